@@ -1,3 +1,4 @@
+const path = require('path');
 const { Web3 } = require('web3');
 // const axios = require('axios');
 
@@ -17,6 +18,19 @@ async function main() {
     const blockNumber = await web3.eth.getBlockNumber();
     console.log(`Current block number: ${blockNumber}`);
 
+    // The genesis enables London (EIP-1559); a data directory initialized from an older genesis
+    // keeps running without it, and geth init skips existing chain data
+    const genesis = require(path.join(__dirname, '..', 'network', 'config', 'geth', 'genesis.json'));
+    const londonBlock = genesis.config.londonBlock;
+    if (londonBlock !== undefined && BigInt(blockNumber) >= BigInt(londonBlock)) {
+      const block = await web3.eth.getBlock(londonBlock);
+      if (block.baseFeePerGas === undefined) {
+        console.error(`Node was initialized from a genesis without londonBlock (block ${londonBlock} has no base fee).`);
+        console.error('Re-initialize the network from network/config/geth/genesis.json: run network/scripts/remove.sh, then start.sh.');
+        process.exit(1);
+      }
+    }
+
     console.log('Geth node is ready for benchmarking!');
     process.exit(0);
   } catch (error) {
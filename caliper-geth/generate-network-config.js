@@ -0,0 +1,237 @@
+'use strict';
+
+// Sync the Caliper contract files and network configuration with the Hardhat build and the deployment
+//
+//   benchmarks/contracts/<Name>.json        Caliper contract JSON: Hardhat artifact fields plus the
+//                                            deployed address and the per-function gas map
+//   networks/ethereum/geth-network.json     ethereum.contracts (address, constructorArgs, gas, abi) and
+//                                            ethereum.accounts (funded genesis accounts with a known key)
+//
+// Addresses and constructor arguments come from ../deployments/<chainId>.json (written by
+// smart-contracts/scripts/deploy.js); gas limits from the gasConfig of benchmarks/config.yaml, then
+// the previous network configuration, then a default per read or write function.
+//
+// node generate-network-config.js [--chain-id 1337] [--artifacts dir] [--check]
+//   --check   exit with 1 instead of writing if any file is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CaliperUtils } = require('@hyperledger/caliper-core');
+const DeploymentManifest = require('./workloads/utils/ssi-deployments');
+
+const REPOSITORY_ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_PATHS = {
+  artifacts: path.join(REPOSITORY_ROOT, 'smart-contracts', 'artifacts', 'contracts'),
+  contracts: path.join(__dirname, 'benchmarks', 'contracts'),
+  networkConfig: path.join(__dirname, 'networks', 'ethereum', 'geth-network.json'),
+  benchConfig: path.join(__dirname, 'benchmarks', 'config.yaml'),
+  genesis: path.join(REPOSITORY_ROOT, 'network', 'config', 'geth', 'genesis.json'),
+  nodes: path.join(REPOSITORY_ROOT, 'network', 'config', 'nodes'),
+  signerKeys: path.join(REPOSITORY_ROOT, 'network', 'config', 'web3signer', 'keys'),
+  deployments: process.env.DEPLOYMENTS_DIR ? path.resolve(process.env.DEPLOYMENTS_DIR) : path.join(REPOSITORY_ROOT, 'deployments')
+};
+
+// Contracts of the benchmark, in deployment order
+const SSI_CONTRACT_NAMES = ['RoleControl', 'DidRegistry', 'CredentialRegistry'];
+
+// Gas of functions without a configured limit
+const DEFAULT_READ_GAS = 50000;
+const DEFAULT_WRITE_GAS = 300000;
+
+/**
+ * Find the Hardhat artifact of a contract (<Name>.sol/<Name>.json) below a directory
+ * @param {string} directory - Hardhat artifacts/contracts directory
+ * @param {string} contractName - Contract name
+ * @returns {string|null} Artifact path
+ */
+function findArtifact(directory, contractName) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    const candidate = path.join(entryPath, `${contractName}.json`);
+    if (entry.name === `${contractName}.sol` && fs.existsSync(candidate)) {
+      return candidate;
+    }
+
+    const nested = findArtifact(entryPath, contractName);
+    if (nested) {
+      return nested;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the gas map of a contract, one limit per ABI function
+ * @param {Array} abi - Contract ABI
+ * @param {Object} configured - gasConfig limits of the benchmark configuration
+ * @param {Object} previous - Gas map of the previous network configuration
+ * @returns {Object} Function name -> gas limit
+ */
+function buildGasMap(abi, configured = {}, previous = {}) {
+  const gas = {};
+  for (const fragment of abi) {
+    if (fragment.type !== 'function' || gas[fragment.name] !== undefined) {
+      continue;
+    }
+
+    const readOnly = ['view', 'pure'].includes(fragment.stateMutability);
+    gas[fragment.name] = configured[fragment.name] ?? previous[fragment.name] ?? (readOnly ? DEFAULT_READ_GAS : DEFAULT_WRITE_GAS);
+  }
+  return gas;
+}
+
+/**
+ * Collect the funded genesis accounts whose private key is known
+ * Keys come from the genesis alloc, the node account keys and the Web3Signer key files
+ * @param {Object} genesis - Genesis configuration
+ * @param {Object} paths - Node and Web3Signer key directories
+ * @param {Array<Object>} previous - Accounts of the previous network configuration (keeps their address spelling)
+ * @param {string} deployer - Deployer address, listed first
+ * @returns {Array<Object>} [{ address, privateKey }]
+ */
+function collectAccounts(genesis, paths, previous = [], deployer) {
+  const keys = [];
+  for (const allocation of Object.values(genesis.alloc || {})) {
+    if (allocation.privateKey) keys.push(allocation.privateKey);
+  }
+  if (fs.existsSync(paths.nodes)) {
+    for (const node of fs.readdirSync(paths.nodes)) {
+      const keyFile = path.join(paths.nodes, node, 'accountPrivateKey');
+      if (fs.existsSync(keyFile)) keys.push(fs.readFileSync(keyFile, 'utf8').trim());
+    }
+  }
+  if (fs.existsSync(paths.signerKeys)) {
+    for (const file of fs.readdirSync(paths.signerKeys)) {
+      const match = /privateKey:\s*"?(?:0x)?([0-9a-fA-F]{64})/.exec(fs.readFileSync(path.join(paths.signerKeys, file), 'utf8'));
+      if (match) keys.push(match[1]);
+    }
+  }
+
+  const keysByAddress = new Map();
+  for (const key of keys) {
+    const privateKey = key.startsWith('0x') ? key : `0x${key}`;
+    keysByAddress.set(new ethers.Wallet(privateKey).address.toLowerCase(), privateKey);
+  }
+
+  const spelling = new Map(previous.map(account => [account.address.toLowerCase(), account.address]));
+  const funded = Object.keys(genesis.alloc || {}).map(address => address.toLowerCase()).filter(address => keysByAddress.has(address));
+  const ordered = [deployer?.toLowerCase(), ...funded].filter((address, index, all) => address && all.indexOf(address) === index);
+
+  return ordered.filter(address => keysByAddress.has(address)).map(address => ({
+    address: spelling.get(address) || ethers.getAddress(address),
+    privateKey: keysByAddress.get(address)
+  }));
+}
+
+/**
+ * Generate the contract files and network configuration
+ * @param {Object} options - { chainId, paths, check }
+ * @returns {Array<string>} Paths of the files that changed (or would change with check)
+ */
+function generate(options = {}) {
+  const paths = { ...DEFAULT_PATHS, ...options.paths };
+  const benchConfig = CaliperUtils.parseYaml(paths.benchConfig);
+  const ssiArgs = benchConfig.ssiArgs || {};
+  const chainId = options.chainId ?? ssiArgs.chainId;
+  const networkConfig = JSON.parse(fs.readFileSync(paths.networkConfig, 'utf8'));
+  const ethereumConfig = networkConfig.ethereum;
+
+  const manifest = DeploymentManifest.load(chainId, paths.deployments);
+  if (!manifest) {
+    console.warn(`⚠️ No deployment manifest for chain ${chainId} in ${paths.deployments}; keeping the configured addresses`);
+  }
+
+  const outputs = new Map();
+  for (const contractName of SSI_CONTRACT_NAMES) {
+    const artifactPath = findArtifact(paths.artifacts, contractName);
+    if (!artifactPath) {
+      throw new Error(`No Hardhat artifact for ${contractName} in ${paths.artifacts}; run "npx hardhat compile" in smart-contracts`);
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    if (manifest && !manifest.matchesAbi(contractName, artifact.abi)) {
+      throw new Error(`${contractName} artifact ABI differs from the deployed contract (${manifest.filePath}); redeploy or rebuild the deployed sources`);
+    }
+
+    const previous = ethereumConfig.contracts[contractName] || {};
+    const deployment = manifest?.contracts[contractName];
+    const address = deployment?.address || previous.address;
+    const gas = buildGasMap(artifact.abi, ssiArgs.gasConfig?.[contractName], previous.gas);
+
+    outputs.set(path.join(paths.contracts, `${contractName}.json`), {
+      ...artifact,
+      name: contractName,
+      address,
+      gas
+    });
+
+    ethereumConfig.contracts[contractName] = {
+      constructorArgs: deployment?.constructorArgs || previous.constructorArgs || [],
+      deploy: previous.deploy ?? false,
+      estimateGas: previous.estimateGas ?? false,
+      gas,
+      address,
+      abi: artifact.abi
+    };
+  }
+
+  const genesis = JSON.parse(fs.readFileSync(paths.genesis, 'utf8'));
+  ethereumConfig.accounts = collectAccounts(genesis, paths, ethereumConfig.accounts, ethereumConfig.fromAddress);
+  outputs.set(paths.networkConfig, networkConfig);
+
+  const changed = [];
+  for (const [filePath, content] of outputs) {
+    const text = `${JSON.stringify(content, null, 2)}\n`;
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === text) {
+      continue;
+    }
+
+    changed.push(filePath);
+    if (!options.check) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, text);
+    }
+  }
+  return changed;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const check = args.includes('--check');
+
+  try {
+    const changed = generate({
+      chainId: option('--chain-id') !== undefined ? Number(option('--chain-id')) : undefined,
+      paths: option('--artifacts') ? { artifacts: path.resolve(option('--artifacts')) } : {},
+      check
+    });
+
+    if (changed.length === 0) {
+      console.log('✅ Contract files and network configuration match the build and deployment');
+    } else if (check) {
+      changed.forEach(filePath => console.error(`❌ Out of date: ${path.relative(process.cwd(), filePath)}`));
+      process.exit(1);
+    } else {
+      changed.forEach(filePath => console.log(`📝 Updated ${path.relative(process.cwd(), filePath)}`));
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  generate,
+  buildGasMap,
+  collectAccounts
+};
@@ -21,4 +21,7 @@ tail -5 $REPORT_DIR/benchmark_summary.csv | column -t -s','
 echo ''
 echo 'Current Log:'
 tail -5 $REPORT_DIR/logs/run_*.log 2>/dev/null | tail -20
+echo ''
+echo 'Chain (rounds finished in the current run):'
+node workloads/utils/ssi-chain-monitor.js .ssi-reports/chain-monitor 2>/dev/null | tail -5 | column -t
 "
@@ -61,32 +61,14 @@ check_node_health() {
   fi
 }
 
-# Extract and copy contract ABIs
+# Generate contract files and network config from the Hardhat build and the deployment manifest
 setup_contracts() {
-  log $CYAN "Setting up contract ABIs..."
+  log $CYAN "Generating contract files and network config..."
 
-  # Create destination directory if it doesn't exist
-  mkdir -p "${CONTRACT_DEST_DIR}"
-
-  # Copy contract ABIs
-  local contracts=("auth/RoleControl" "did/DidRegistry" "vc/CredentialRegistry")
-  local all_found=true
-
-  for contract in "${contracts[@]}"; do
-    local source="${CONTRACT_SOURCE_DIR}/${contract}.sol/$(basename ${contract}).json"
-    local dest="${CONTRACT_DEST_DIR}/$(basename ${contract}).json"
-
-    if [ -f "$source" ]; then
-      cp "$source" "$dest"
-      log $GREEN "  ✓ Copied $(basename ${contract}).json"
-    else
-      log $RED "  ✗ Missing ${source}"
-      all_found=false
-    fi
-  done
-
-  if [ "$all_found" = false ]; then
-    log $YELLOW "Some contract ABIs are missing. Continue anyway? (y/n)"
+  if node generate-network-config.js --artifacts "${CONTRACT_SOURCE_DIR}"; then
+    log $GREEN "  ✓ ${CONTRACT_DEST_DIR} and networks/ethereum/geth-network.json match the build"
+  else
+    log $YELLOW "Contract files could not be generated. Continue with the existing ones? (y/n)"
     read -r response
     if [[ ! "$response" =~ ^[Yy]$ ]]; then
       exit 1
@@ -311,6 +293,9 @@ run_single_benchmark() {
       network_config="networks/ethereum/geth-network.json"
     fi
 
+    # Receipt metrics, latency phases, rate control, chain monitor and mixed operation reports of earlier runs would be merged into this run's results
+    rm -rf .ssi-reports/receipt-metrics .ssi-reports/latency-phases .ssi-reports/rate-control .ssi-reports/chain-monitor .ssi-reports/mixed-operations
+
     # Run Caliper benchmark
     echo "Running benchmarks optimized for CLIQUE consensus..."
     caliper launch manager \
@@ -330,6 +315,28 @@ run_single_benchmark() {
     if [ $exit_code -eq 0 ]; then
       # Check if report was generated
       if [ -f "report.html" ]; then
+        # Add per-operation receipt metrics (gasUsed, inclusion delay, block fullness)
+        node workloads/utils/ssi-receipt-metrics.js .ssi-reports/receipt-metrics --html report.html \
+          >>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log" 2>&1
+
+        # Add latency and outcomes per operation of the weighted mix rounds
+        node workloads/utils/ssi-mix-report.js .ssi-reports/mixed-operations --html report.html \
+          >>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log" 2>&1
+
+        # Add chain-side saturation (txpool, block fullness, peers, Clique signers) and keep its time series
+        node workloads/utils/ssi-chain-monitor.js .ssi-reports/chain-monitor --html report.html \
+          >>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log" 2>&1
+        node workloads/utils/ssi-chain-monitor.js .ssi-reports/chain-monitor --series \
+          >"${RUN_DIR}/logs/chain_monitor_${run_number}.tsv" 2>>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log"
+
+        # Keep the time per latency phase (submission, txpool, inclusion, confirmation) of this run
+        node workloads/utils/ssi-latency-phases.js .ssi-reports/latency-phases \
+          >"${RUN_DIR}/logs/latency_phases_${run_number}.tsv" 2>>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log"
+
+        # Keep the sustainable rate of the rounds with the txpool rate controller
+        node workloads/utils/ssi-txpool-rate.js .ssi-reports/rate-control \
+          >"${RUN_DIR}/logs/rate_control_${run_number}.tsv" 2>>"${RUN_DIR}/logs/run_${run_number}_attempt_${attempt}.log"
+
         # Move and rename report
         mv report.html "${RUN_DIR}/reports/report_${run_number}.html"
 
@@ -1,11 +1,12 @@
 #!/bin/bash
 
-# Extract contract ABIs
-echo "Extracting contract ABIs..."
-# You may need to adjust these paths based on your setup
-cp ../smart-contracts/artifacts/contracts/auth/RoleControl.sol/RoleControl.json benchmarks/contracts/
-cp ../smart-contracts/artifacts/contracts/did/DidRegistry.sol/DidRegistry.json benchmarks/contracts/
-cp ../smart-contracts/artifacts/contracts/vc/CredentialRegistry.sol/CredentialRegistry.json benchmarks/contracts/
+# Sync contract files and network config with the Hardhat build and ../deployments/<chainId>.json
+echo "Generating contract files and network config..."
+node generate-network-config.js
+if [ $? -ne 0 ]; then
+  echo "Contract files and network config could not be generated. Compile and deploy the contracts first."
+  exit 1
+fi
 
 # Check if Geth is ready
 echo "Checking if Geth node is ready..."
@@ -20,6 +21,9 @@ echo "Binding Caliper to Geth..."
 # Use the correct binding syntax with version
 caliper bind --caliper-bind-sut ethereum:latest --caliper-bind-cwd ./ --caliper-bind-args="-g"
 
+# Receipt metrics, latency phases, rate control, chain monitor and mixed operation reports of earlier runs would be merged into this run's results
+rm -rf .ssi-reports/receipt-metrics .ssi-reports/latency-phases .ssi-reports/rate-control .ssi-reports/chain-monitor .ssi-reports/mixed-operations
+
 # Run the benchmarks with CLIQUE-specific settings
 echo "Running benchmarks optimized for CLIQUE consensus..."
 caliper launch manager \
@@ -30,4 +34,24 @@ caliper launch manager \
   --caliper-report-name "ssi-geth-clique-benchmark-$(date +%Y%m%d-%H%M%S)" \
   --caliper-worker-remote=false
 
+# Add per-operation receipt metrics (gasUsed, inclusion delay, block fullness) to the report
+echo "Adding receipt metrics to the report..."
+node workloads/utils/ssi-receipt-metrics.js .ssi-reports/receipt-metrics --html report.html
+
+# Latency and outcomes per operation of the weighted mix rounds
+echo "Adding the mixed operation breakdown to the report..."
+node workloads/utils/ssi-mix-report.js .ssi-reports/mixed-operations --html report.html
+
+# Chain-side saturation (txpool, block fullness, peers, Clique signers) next to the client-side results
+echo "Adding chain monitor tables and time series to the report..."
+node workloads/utils/ssi-chain-monitor.js .ssi-reports/chain-monitor --html report.html
+
+# Time per latency phase (submission, txpool, inclusion, confirmation) per operation
+echo "Latency phases:"
+node workloads/utils/ssi-latency-phases.js .ssi-reports/latency-phases
+
+# Sustainable rate of the rounds with the txpool rate controller
+echo "Adaptive rate control:"
+node workloads/utils/ssi-txpool-rate.js .ssi-reports/rate-control
+
 echo "Benchmarking complete! Check the report HTML file for results."
@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoundArgumentSchema, validateRoundArguments } = require('../workloads/utils/ssi-arguments');
+
+const ADDRESS = '0x1932c48b2bF8102Ba33B4A6B545C32236e342f34';
+const SCHEMA = createRoundArgumentSchema(['createDid', 'resolveDid'], ['DidRegistry']);
+const BASE_ARGUMENTS = { gethEndpoint: 'ws://172.16.239.15:8546', chainId: 1337 };
+
+/**
+ * Validate round arguments on top of the base arguments
+ * @param {Object} overrides - Arguments added to the base arguments
+ * @param {Object} options - Validation options
+ * @returns {Array<string>} Warnings
+ */
+function validate(overrides, options = {}) {
+  return validateRoundArguments({ ...BASE_ARGUMENTS, ...overrides }, SCHEMA, { label: 'Test_Round', ...options });
+}
+
+describe('validateRoundArguments', () => {
+  it('accepts valid arguments without warnings', () => {
+    assert.deepEqual(validate({
+      operationType: 'createDid',
+      contractAddresses: { DidRegistry: ADDRESS },
+      gasConfig: { DidRegistry: { createDid: 140000 } },
+      seed: 'run-1'
+    }, { operationType: 'createDid' }), []);
+  });
+
+  it('reports every error at once, naming the round', () => {
+    assert.throws(
+      () => validateRoundArguments({ gethEndpoint: 'localhost:8546', blockTime: 0 }, SCHEMA, { label: 'Test_Round' }),
+      error => {
+        assert.match(error.message, /invalid arguments for round "Test_Round"/);
+        assert.match(error.message, /chainId is required/);
+        assert.match(error.message, /gethEndpoint must match/);
+        assert.match(error.message, /blockTime must be greater than 0/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects wrong types and values outside the enum', () => {
+    assert.throws(() => validate({ chainId: '1337' }), /chainId must be of type integer, got "1337" \(string\)/);
+    assert.throws(() => validate({ cidFormat: 'cidv2' }), /cidFormat must be one of/);
+  });
+
+  it('rejects addresses with a bad EIP-55 checksum', () => {
+    const badChecksum = ADDRESS.replace('bF', 'bf');
+
+    assert.throws(() => validate({ contractAddresses: { DidRegistry: badChecksum } }), /contractAddresses.DidRegistry has an invalid checksum \(expected 0x1932c48b2bF8102Ba33B4A6B545C32236e342f34\)/);
+    assert.deepEqual(validate({ contractAddresses: { DidRegistry: ADDRESS.toLowerCase() } }), []);
+  });
+
+  it('rejects gasConfig functions missing from the contract ABI', () => {
+    const contractFunctions = { DidRegistry: ['createDid', 'resolveDid'] };
+
+    assert.throws(() => validate({ gasConfig: { DidRegistry: { createDID: 1 } } }, { contractFunctions }), /gasConfig.DidRegistry.createDID is not a function of DidRegistry/);
+    assert.throws(() => validate({ gasConfig: { DidRegistry: { createDid: 0 } } }, { contractFunctions }), /gasConfig.DidRegistry.createDid must be at least 1/);
+  });
+
+  it('rejects an operationType that does not match the workload module', () => {
+    assert.throws(() => validate({ operationType: 'resolveDid' }, { operationType: 'createDid' }), /operationType "resolveDid" does not match the workload module \(createDid\)/);
+  });
+
+  it('warns about unknown, deprecated and inapplicable keys', () => {
+    const warnings = validateRoundArguments(
+      { besuEndpoint: 'ws://172.16.239.15:8546', chainId: 1337, missRatio: 0.1, txCount: 5 },
+      SCHEMA,
+      { label: 'Test_Round', operationType: 'createDid' }
+    );
+
+    assert.deepEqual(warnings, [
+      'besuEndpoint is deprecated; use gethEndpoint',
+      'missRatio has no effect on createDid rounds (only getRole, resolveDid, resolveCredential, mixed)',
+      'txCount is not a known argument and is ignored'
+    ]);
+  });
+
+  it('validates the mix operations in either form', () => {
+    assert.deepEqual(validate({ operations: { createDid: 3, resolveDid: 1 } }, { operationType: 'mixed' }), []);
+    assert.deepEqual(validate({ operations: [{ name: 'createDid', weight: 1 }] }, { operationType: 'mixed' }), []);
+    assert.throws(() => validate({ operations: [{ name: 'createDid' }] }, { operationType: 'mixed' }), /operations\[0\].weight is required/);
+  });
+
+  it('warns that per-operation gas limits of the mix are ignored', () => {
+    assert.deepEqual(
+      validate({ operations: [{ name: 'createDid', weight: 1, gasLimit: 150000 }] }, { operationType: 'mixed' }),
+      ['operations[0].gasLimit is not a known argument and is ignored']
+    );
+  });
+});
\ No newline at end of file
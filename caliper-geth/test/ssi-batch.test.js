@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestBatch = require('../workloads/utils/ssi-batch');
+
+describe('RequestBatch', () => {
+  it('sends the requests of all operations together, in request order', async () => {
+    const sent = [];
+    const batch = new RequestBatch(3, async requests => {
+      sent.push(requests);
+      return requests.map(request => `result-${request.id}`);
+    });
+
+    const results = await Promise.all([1, 2, 3].map(id => batch.run(() => RequestBatch.join({ id }))));
+
+    assert.deepEqual(sent, [[{ id: 1 }, { id: 2 }, { id: 3 }]]);
+    assert.deepEqual(results, ['result-1', 'result-2', 'result-3']);
+  });
+
+  it('does not wait for operations that fail before sending', async () => {
+    const sent = [];
+    const batch = new RequestBatch(2, async requests => {
+      sent.push(requests);
+      return requests.map(() => 'ok');
+    });
+
+    const [failed, joined] = await Promise.allSettled([
+      batch.run(async () => { throw new Error('no DID left'); }),
+      batch.run(() => RequestBatch.join({ id: 2 }))
+    ]);
+
+    assert.equal(failed.status, 'rejected');
+    assert.equal(joined.value, 'ok');
+    assert.deepEqual(sent, [[{ id: 2 }]]);
+  });
+
+  it('does not send when no operation joined', async () => {
+    let sends = 0;
+    const batch = new RequestBatch(2, async () => { sends++; return []; });
+
+    await Promise.all([batch.run(async () => 'read'), batch.run(async () => 'read')]);
+
+    assert.equal(sends, 0);
+  });
+
+  it('adds only the first request of an operation', async () => {
+    const batch = new RequestBatch(1, async requests => requests.map(() => 'ok'));
+
+    await batch.run(async () => {
+      const first = RequestBatch.join({ id: 1 });
+      assert.equal(RequestBatch.join({ id: 2 }), null);
+      assert.equal(await first, 'ok');
+    });
+  });
+
+  it('returns null outside a batch', () => {
+    assert.equal(RequestBatch.join({ id: 1 }), null);
+  });
+
+  it('rejects every request of a batch that failed to send', async () => {
+    const batch = new RequestBatch(2, async () => { throw new Error('connection closed'); });
+
+    const results = await Promise.allSettled([1, 2].map(id => batch.run(() => RequestBatch.join({ id }))));
+
+    assert.deepEqual(results.map(result => result.reason?.message), ['connection closed', 'connection closed']);
+  });
+});
\ No newline at end of file
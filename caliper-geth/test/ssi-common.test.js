@@ -0,0 +1,60 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigUtil } = require('@hyperledger/caliper-core');
+const { getNodeHttpEndpoint } = require('../workloads/utils/ssi-common');
+
+describe('getNodeHttpEndpoint', () => {
+  let directory;
+  let savedEndpoint;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-common-'));
+    savedEndpoint = process.env.NODE_HTTP_ENDPOINT;
+    delete process.env.NODE_HTTP_ENDPOINT;
+  });
+
+  afterEach(() => {
+    ConfigUtil.set(ConfigUtil.keys.NetworkConfig, undefined);
+    if (savedEndpoint === undefined) {
+      delete process.env.NODE_HTTP_ENDPOINT;
+    } else {
+      process.env.NODE_HTTP_ENDPOINT = savedEndpoint;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Point Caliper at a network configuration with the given url
+   * The configuration is loaded with require, so every url gets its own file
+   * @param {string} url - Connector url
+   */
+  function useNetworkUrl(url) {
+    const networkPath = path.join(directory, `network-${fs.readdirSync(directory).length}.json`);
+    fs.writeFileSync(networkPath, JSON.stringify({ ethereum: { url } }));
+    ConfigUtil.set(ConfigUtil.keys.NetworkConfig, networkPath);
+  }
+
+  it('turns the websocket url of the network configuration into the HTTP endpoint', () => {
+    useNetworkUrl('ws://node.example:8546');
+    assert.equal(getNodeHttpEndpoint(), 'http://node.example:8545');
+
+    useNetworkUrl('wss://node.example:9000/rpc');
+    assert.equal(getNodeHttpEndpoint(), 'https://node.example:9000/rpc');
+  });
+
+  it('prefers NODE_HTTP_ENDPOINT', () => {
+    useNetworkUrl('ws://node.example:8546');
+    process.env.NODE_HTTP_ENDPOINT = 'http://rpc.example:8545';
+
+    assert.equal(getNodeHttpEndpoint(), 'http://rpc.example:8545');
+  });
+
+  it('returns null without a network configuration', () => {
+    assert.equal(getNodeHttpEndpoint(), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CID_FORMATS,
+  canonicalizeJSON,
+  computeContentCid,
+  toUriReference
+} = require('../workloads/utils/ssi-content');
+
+describe('computeContentCid', () => {
+  it('matches ipfs add --cid-version 1 --raw-leaves', () => {
+    assert.equal(computeContentCid('hello world'), 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+  });
+
+  it('matches ipfs add --cid-version 0', () => {
+    assert.equal(
+      computeContentCid('hello world\n', CID_FORMATS.CIDV0_BASE58),
+      'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'
+    );
+  });
+
+  it('hashes strings as UTF-8 bytes', () => {
+    assert.equal(computeContentCid('déjà vu'), computeContentCid(Buffer.from('déjà vu', 'utf8')));
+  });
+
+  it('produces CIDs of the documented lengths', () => {
+    assert.equal(computeContentCid('{}').length, 59);
+    assert.match(computeContentCid('{}', CID_FORMATS.CIDV0_BASE58), /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/);
+  });
+});
+
+describe('toUriReference', () => {
+  const cid = computeContentCid('hello world');
+
+  it('pads the reference to the target length with a path derived from the CID', () => {
+    const reference = toUriReference(cid, 512);
+
+    assert.equal(reference.length, 512);
+    assert.ok(reference.startsWith(`ipfs://${cid}/`));
+    assert.equal(toUriReference(cid, 512), reference);
+  });
+
+  it('leaves the reference unpadded when the target is unset or too short', () => {
+    assert.equal(toUriReference(cid), `ipfs://${cid}`);
+    assert.equal(toUriReference(cid, 10), `ipfs://${cid}`);
+  });
+});
+
+describe('canonicalizeJSON', () => {
+  it('sorts keys at every level and drops whitespace', () => {
+    assert.equal(
+      canonicalizeJSON({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: 'x' } }),
+      '{"a":{"c":"x","d":[2,{"e":4,"f":3}]},"b":1}'
+    );
+  });
+});
\ No newline at end of file
@@ -0,0 +1,24 @@
+'use strict';
+
+const { execFileSync } = require('child_process');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureLogging, getLogger } = require('../workloads/utils/ssi-logger');
+
+describe('configureLogging', () => {
+  it('loads with an unsupported SSI_LOG_LEVEL and uses info', () => {
+    const output = execFileSync(process.execPath, [
+      '-e',
+      "const logger = require('./workloads/utils/ssi-logger').getLogger('test'); " +
+        "console.log(logger.isLevelEnabled('info'), logger.isLevelEnabled('debug'));"
+    ], { cwd: `${__dirname}/..`, env: { ...process.env, SSI_LOG_LEVEL: 'verbose' }, encoding: 'utf8', stdio: 'pipe' });
+
+    assert.equal(output.trim(), 'true false');
+  });
+
+  it('rejects an unsupported logLevel round argument', () => {
+    assert.throws(() => configureLogging({ logLevel: 'verbose', logConsole: false }), /unsupported logLevel "verbose"/);
+    configureLogging({ logConsole: false });
+    assert.equal(getLogger('test').isLevelEnabled('debug'), false);
+  });
+});
\ No newline at end of file
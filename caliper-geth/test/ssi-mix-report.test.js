@@ -0,0 +1,60 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MixedOperationReport = require('../workloads/utils/ssi-mix-report');
+
+describe('MixedOperationReport', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-mix-report-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('merges the outcomes of all workers per round and operation', () => {
+    const first = new MixedOperationReport({ workerIndex: 0, roundIndex: 3, directory });
+    first.record('createDid', { committed: true, latency: 100 });
+    first.record('createDid', { committed: false });
+    first.record('resolveDid', { committed: true, latency: 10 });
+    first.write();
+
+    const second = new MixedOperationReport({ workerIndex: 1, roundIndex: 3, directory });
+    second.record('createDid', { committed: true, latency: 300 });
+    second.write();
+
+    const [round] = MixedOperationReport.mergeDirectory(directory);
+
+    assert.equal(round.roundIndex, 3);
+    assert.equal(round.workers, 2);
+    assert.deepEqual(round.summary.createDid, {
+      succeeded: 2,
+      failed: 1,
+      latency: { count: 2, mean: 200, p50: 100, p95: 300, min: 100, max: 300 }
+    });
+    assert.equal(round.summary.resolveDid.succeeded, 1);
+  });
+
+  it('replaces the section it added to the report before', () => {
+    const reportPath = path.join(directory, 'report.html');
+    fs.writeFileSync(reportPath, '<html><body></body></html>');
+    const rounds = [{ roundIndex: 0, workers: 1, summary: { createDid: { succeeded: 1, failed: 0, latency: { mean: 5, p50: 5, p95: 5, max: 5 } } } }];
+
+    MixedOperationReport.injectIntoHtmlReport(reportPath, rounds);
+    MixedOperationReport.injectIntoHtmlReport(reportPath, rounds);
+
+    const html = fs.readFileSync(reportPath, 'utf8');
+    assert.equal(html.match(/id="ssi-mixed-operations"/g).length, 1);
+    assert.match(html, /<td>0<\/td><td>createDid<\/td><td>1<\/td><td>0<\/td>/);
+  });
+
+  it('writes nothing when no operation was recorded', () => {
+    assert.equal(new MixedOperationReport({ workerIndex: 0, roundIndex: 0, directory }).write(), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const NonceManager = require('../workloads/utils/ssi-nonce-manager');
+const { configureLogging } = require('../workloads/utils/ssi-logger');
+
+// Console lines written by the manager would interleave with the test runner's output
+configureLogging({ logConsole: false });
+
+const ADDRESS = '0x1932c48b2bF8102Ba33B4A6B545C32236e342f34';
+
+/**
+ * Build a web3 stub whose pending transaction count can be moved by the test
+ * @param {number} pending - Initial pending count
+ * @returns {Object} { web3, node } where node.pending is the count returned and node.calls the query count
+ */
+function createWeb3(pending) {
+  const node = { pending, calls: 0, fail: false };
+  const web3 = {
+    eth: {
+      getTransactionCount: async () => {
+        node.calls++;
+        if (node.fail) throw new Error('connection refused');
+        return node.pending;
+      }
+    }
+  };
+  return { web3, node };
+}
+
+describe('NonceManager', () => {
+  it('hands out consecutive nonces from the pending count', async () => {
+    const { web3, node } = createWeb3(5);
+    const manager = new NonceManager(web3);
+
+    const nonces = await Promise.all([1, 2, 3, 4].map(() => manager.acquire(ADDRESS)));
+
+    assert.deepEqual(nonces.sort((a, b) => a - b), [5, 6, 7, 8]);
+    assert.equal(node.calls, 1);
+  });
+
+  it('treats addresses case-insensitively', async () => {
+    const { web3 } = createWeb3(0);
+    const manager = new NonceManager(web3);
+
+    assert.equal(await manager.acquire(ADDRESS), 0);
+    assert.equal(await manager.acquire(ADDRESS.toLowerCase()), 1);
+  });
+
+  it('does not query the node again after a confirmed nonce', async () => {
+    const { web3, node } = createWeb3(3);
+    const manager = new NonceManager(web3);
+
+    const nonce = await manager.acquire(ADDRESS);
+    manager.confirm(ADDRESS, nonce);
+
+    assert.equal(await manager.acquire(ADDRESS), 4);
+    assert.equal(node.calls, 1);
+  });
+
+  it('hands out a released nonce again when the node still waits for it', async () => {
+    const { web3 } = createWeb3(5);
+    const manager = new NonceManager(web3);
+
+    const first = await manager.acquire(ADDRESS);
+    await manager.acquire(ADDRESS);
+    manager.release(ADDRESS, first);
+
+    assert.equal(await manager.acquire(ADDRESS), 5);
+    assert.equal(await manager.acquire(ADDRESS), 7);
+    await manager.close();
+  });
+
+  it('does not treat a nonce still held by a send as a gap', async () => {
+    const { web3 } = createWeb3(5);
+    const manager = new NonceManager(web3);
+
+    await manager.acquire(ADDRESS);
+    const second = await manager.acquire(ADDRESS);
+    manager.release(ADDRESS, second);
+
+    // 5 is still in flight, so the node's pending count of 5 is no gap
+    assert.equal(await manager.acquire(ADDRESS), 7);
+  });
+
+  it('moves forward when other senders used the account', async () => {
+    const { web3, node } = createWeb3(5);
+    const manager = new NonceManager(web3);
+
+    const nonce = await manager.acquire(ADDRESS);
+    node.pending = 10;
+    manager.release(ADDRESS, nonce);
+
+    assert.equal(await manager.acquire(ADDRESS), 10);
+  });
+
+  it('fills an unused gap with fillGap after the refill delay', async () => {
+    const { web3 } = createWeb3(5);
+    const filled = [];
+    const manager = new NonceManager(web3, {
+      fillGap: async (address, nonce) => { filled.push({ address, nonce }); },
+      gapRefillDelayMs: 10
+    });
+
+    const first = await manager.acquire(ADDRESS);
+    await manager.acquire(ADDRESS);
+    manager.release(ADDRESS, first);
+    await manager.sync(ADDRESS);
+
+    // The refill timer does not keep the process alive, so wait on a timer of our own
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepEqual(filled, [{ address: ADDRESS, nonce: 5 }]);
+    assert.equal(await manager.acquire(ADDRESS), 7);
+  });
+
+  it('resyncs after a refill until every gap is filled', async () => {
+    const { web3, node } = createWeb3(5);
+    const gaps = [];
+    // Filling a gap lets the node run on to the next missing nonce
+    const manager = new NonceManager(web3, {
+      fillGap: async (address, nonce) => {
+        gaps.push(nonce);
+        node.pending = nonce === 5 ? 7 : 9;
+      },
+      gapRefillDelayMs: 60000
+    });
+
+    const nonces = (await Promise.all([1, 2, 3, 4].map(() => manager.acquire(ADDRESS)))).sort((a, b) => a - b);
+    manager.confirm(ADDRESS, nonces[1]);
+    manager.confirm(ADDRESS, nonces[3]);
+    manager.release(ADDRESS, nonces[0]);
+    manager.release(ADDRESS, nonces[2]);
+    await manager.sync(ADDRESS);
+
+    assert.equal(await manager.refillGaps(ADDRESS), 2);
+    assert.deepEqual(gaps, [5, 7]);
+    assert.equal(await manager.acquire(ADDRESS), 9);
+  });
+
+  it('fills open gaps on close', async () => {
+    const { web3 } = createWeb3(5);
+    const gaps = [];
+    const manager = new NonceManager(web3, {
+      fillGap: async (address, nonce) => { gaps.push(nonce); },
+      gapRefillDelayMs: 60000
+    });
+
+    const first = await manager.acquire(ADDRESS);
+    await manager.acquire(ADDRESS);
+    manager.release(ADDRESS, first);
+    await manager.sync(ADDRESS);
+
+    assert.equal(await manager.close(), 1);
+    assert.deepEqual(gaps, [5]);
+  });
+
+  it('keeps a gap open when filling it fails', async () => {
+    const { web3 } = createWeb3(5);
+    const manager = new NonceManager(web3, {
+      fillGap: async () => { throw new Error('underpriced'); },
+      gapRefillDelayMs: 60000
+    });
+
+    const first = await manager.acquire(ADDRESS);
+    await manager.acquire(ADDRESS);
+    manager.release(ADDRESS, first);
+    await manager.sync(ADDRESS);
+
+    await assert.rejects(manager.refillGaps(ADDRESS), /underpriced/);
+    // The failed fill resyncs the account, which finds the gap again
+    assert.equal(await manager.acquire(ADDRESS), 5);
+    await manager.close();
+  });
+
+  it('reports a failed sync and retries on the next acquire', async () => {
+    const { web3, node } = createWeb3(2);
+    const manager = new NonceManager(web3);
+
+    node.fail = true;
+    await assert.rejects(manager.acquire(ADDRESS), /Nonce sync failed for 0x1932.*connection refused/);
+
+    node.fail = false;
+    assert.equal(await manager.acquire(ADDRESS), 2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SimplifiedSSIOperationBase = require('../workloads/utils/ssi-operation');
+const { TX_TYPES } = require('../workloads/utils/ssi-fees');
+const SSIRandomSource = require('../workloads/utils/ssi-random');
+const { configureLogging } = require('../workloads/utils/ssi-logger');
+
+// Console lines written by the workload would interleave with the test runner's output
+configureLogging({ logConsole: false });
+
+const TRUSTEE = '0x1932c48b2bF8102Ba33B4A6B545C32236e342f34';
+const HOLDER = '0x1349F3e1B8D71eFfb47B840594Ff27dA7E603d17';
+const CONTRACT_ADDRESSES = {
+  RoleControl: '0x9d13C6D3aFE1721BEef56B55D303B09E021E27ab',
+  DidRegistry: '0x0000000000000000000000000000000000000D1d',
+  CredentialRegistry: '0x0000000000000000000000000000000000000c4e'
+};
+
+/**
+ * Build a contract stub whose methods encode to their name
+ * @param {string} address - Contract address
+ * @returns {Object} Stand-in for a web3 contract instance
+ */
+function createContract(address) {
+  const methods = new Proxy({}, {
+    get: (target, name) => () => ({ encodeABI: () => `0x${Buffer.from(String(name)).toString('hex')}` })
+  });
+  return { options: { address }, methods };
+}
+
+/**
+ * Build a workload module with a stubbed web3 and network
+ * @param {Object} options - { cachePath, estimates: operation -> gas }
+ * @returns {Object} { operation, rpcCalls }
+ */
+function createOperation({ cachePath, estimates }) {
+  const rpcCalls = [];
+  const web3 = {
+    eth: { getCode: async () => '0x6080604052' },
+    currentProvider: {
+      send: (payload, callback) => {
+        rpcCalls.push(payload);
+        const operationName = Buffer.from(payload.params[0].data.slice(2), 'hex').toString();
+        callback(null, { result: `0x${estimates[operationName].toString(16)}` });
+      }
+    }
+  };
+
+  const operation = new SimplifiedSSIOperationBase();
+  operation.workerIndex = 0;
+  operation.ssiConfig = { gasCalibration: true, gasCalibrationPath: cachePath, gasHeadroom: 0.2, gasConfig: {} };
+  operation.sutAdapter = { ethereumConfig: { fromAddress: TRUSTEE, contracts: {} } };
+  operation.sutContext = {
+    web3,
+    fromAddress: TRUSTEE,
+    contracts: Object.fromEntries(Object.entries(CONTRACT_ADDRESSES).map(([name, address]) => [
+      name, { contract: createContract(address), gas: { createDid: 140000 } }
+    ]))
+  };
+  operation.ssiState = {
+    calibrationRandom: new SSIRandomSource('calibration-test'),
+    getRepresentativeCid: () => 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e',
+    getAccountsToReconcile: async () => [{ address: HOLDER }],
+    getCalibrationCredential: () => null
+  };
+  operation.readOnChainAccountState = async address => address.toLowerCase() === TRUSTEE.toLowerCase() ?
+    { role: 3, didActive: true } :
+    { role: 2, didActive: true };
+
+  return { operation, rpcCalls };
+}
+
+describe('calibrateGasLimits', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-calibration-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('estimates every operation with on-chain state when the cache is cold', async () => {
+    const cachePath = path.join(directory, 'gas-calibration.json');
+    const estimates = { assignRole: 60000, revokeRole: 40000, createDid: 150000, updateDid: 70000, deactivateDid: 35000, issueCredential: 140000 };
+    const { operation, rpcCalls } = createOperation({ cachePath, estimates });
+
+    const limits = await operation.calibrateGasLimits();
+
+    assert.deepEqual(limits, {
+      RoleControl: { assignRole: 72000, revokeRole: 48000 },
+      DidRegistry: { createDid: 180000, updateDid: 84000, deactivateDid: 42000 },
+      CredentialRegistry: { issueCredential: 168000 }
+    });
+    assert.equal(rpcCalls.length, 6);
+    assert.equal(operation.sutContext.contracts.DidRegistry.gas.createDid, 180000);
+
+    const cached = Object.values(JSON.parse(fs.readFileSync(cachePath, 'utf8')))[0];
+    assert.equal(cached.assignRole.estimate, 60000);
+  });
+
+  it('uses the cached estimates without calling the node again', async () => {
+    const cachePath = path.join(directory, 'gas-calibration.json');
+    const estimates = { assignRole: 60000, revokeRole: 40000, createDid: 150000, updateDid: 70000, deactivateDid: 35000, issueCredential: 140000 };
+    await createOperation({ cachePath, estimates }).operation.calibrateGasLimits();
+
+    const { operation, rpcCalls } = createOperation({ cachePath, estimates });
+    const limits = await operation.calibrateGasLimits();
+
+    assert.equal(rpcCalls.length, 0);
+    assert.equal(limits.DidRegistry.createDid, 180000);
+  });
+});
+
+describe('applyConfiguredGasLimits', () => {
+  it('sends transactions with the gasConfig limits of the round', async () => {
+    const { operation } = createOperation({ estimates: {} });
+    const sent = [];
+    operation.ssiConfig.gasConfig = { DidRegistry: { createDid: 160000 }, CredentialRegistry: { issueCredential: 150000 } };
+    operation.sutContext.web3.eth.sendTransaction = async transaction => {
+      sent.push(transaction);
+      return { transactionHash: `0x${sent.length}` };
+    };
+    operation.sutAdapter._onTxsSubmitted = () => {};
+    operation.sutAdapter._onTxsFinished = () => {};
+
+    operation.applyConfiguredGasLimits();
+    const fees = { type: TX_TYPES.LEGACY, gasPrice: 1 };
+    await operation.sendTypedRequest({ contract: 'DidRegistry', verb: 'createDid', args: [], gas: { limit: 135000 } }, TRUSTEE, 0, fees);
+    await operation.sendTypedRequest({ contract: 'CredentialRegistry', verb: 'issueCredential', args: [], gas: { limit: 130000 } }, TRUSTEE, 1, fees);
+
+    assert.deepEqual(sent.map(transaction => transaction.gas), [160000, 150000]);
+  });
+});
+
+describe('executeSSIOperation', () => {
+  it('returns a failed result before its replay has been decoded', async () => {
+    const { operation } = createOperation({ estimates: {} });
+    let answerReplay;
+    const request = { contract: 'DidRegistry', verb: 'resolveDid', args: [], readOnly: true };
+    operation.ssiConfig.decodeFailures = true;
+    operation.createSSIRequest = () => request;
+    operation.sutAdapter.sendRequests = async () => ({ IsCommitted: () => false, Set: () => {} });
+    operation.sendRawRpc = () => new Promise(resolve => { answerReplay = resolve; });
+    operation.errorDecoder = { decode: data => data ? { name: 'DidNotFound', args: {} } : null };
+    operation.failureCounts = new Map();
+    operation.pendingFailures = new Set();
+
+    const result = await operation.executeSSIOperation('DidRegistry', 'resolveDid', []);
+
+    assert.equal(result.IsCommitted(), false);
+    assert.equal(operation.failureCounts.size, 0);
+
+    answerReplay({ error: { message: 'execution reverted', data: '0x12345678' } });
+    await Promise.all(operation.pendingFailures);
+
+    assert.equal(operation.failureCounts.get('DidRegistry.resolveDid').get('DidNotFound'), 1);
+  });
+});
+
+
+describe('sendManagedBatch', () => {
+  it('sends legacy requests as connector arrays per sender and run of consecutive nonces', async () => {
+    const { operation } = createOperation({ estimates: {} });
+    const nonces = { [TRUSTEE]: [5, 6, 8], [HOLDER]: [9] };
+    const confirmed = [];
+    const arrays = [];
+    operation.feeStrategy = { getFees: async () => ({ type: TX_TYPES.LEGACY, gasPrice: 7 }) };
+    operation.nonceManager = {
+      acquire: async sender => nonces[sender].shift(),
+      confirm: (sender, nonce) => confirmed.push(`${sender}:${nonce}`),
+      release: () => assert.fail('no nonce is released')
+    };
+    operation.registerWalletSender = () => {};
+    // Like the connector: sender, nonce and gas price are read before the first await
+    operation.sutAdapter.sendRequests = async requests => {
+      const context = operation.sutContext;
+      const sent = requests.map(request => ({ id: request.id, from: context.fromAddress, nonce: context.nonces[context.fromAddress]++, gasPrice: context.gasPrice }));
+      arrays.push(sent);
+      await null;
+      return sent.map(transaction => ({ GetResult: () => ({ transactionHash: `0x${transaction.id}` }), transaction }));
+    };
+
+    const requests = [
+      { id: 1, fromAddress: TRUSTEE },
+      { id: 2, fromAddress: HOLDER },
+      { id: 3, fromAddress: TRUSTEE },
+      { id: 4, fromAddress: TRUSTEE }
+    ];
+    const results = await operation.sendManagedBatch(requests);
+
+    assert.deepEqual(arrays, [
+      [{ id: 1, from: TRUSTEE, nonce: 5, gasPrice: 7 }, { id: 3, from: TRUSTEE, nonce: 6, gasPrice: 7 }],
+      [{ id: 2, from: HOLDER, nonce: 9, gasPrice: 7 }],
+      [{ id: 4, from: TRUSTEE, nonce: 8, gasPrice: 7 }]
+    ]);
+    assert.deepEqual(results.map(result => result.transaction.id), [1, 2, 3, 4]);
+    assert.equal(operation.sutContext.fromAddress, TRUSTEE);
+    assert.deepEqual(confirmed.sort(), [`${HOLDER}:9`, `${TRUSTEE}:5`, `${TRUSTEE}:6`, `${TRUSTEE}:8`].sort());
+  });
+});
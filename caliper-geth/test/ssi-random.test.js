@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SSIRandomSource = require('../workloads/utils/ssi-random');
+
+describe('SSIRandomSource', () => {
+  it('reproduces the same stream from the same seed', () => {
+    const first = new SSIRandomSource('benchmark');
+    const second = new SSIRandomSource('benchmark');
+
+    assert.deepEqual(first.bytes(48), second.bytes(48));
+    assert.equal(first.float(), second.float());
+    assert.equal(first.int(1000), second.int(1000));
+  });
+
+  it('does not depend on how the stream is split into reads', () => {
+    const whole = new SSIRandomSource(42).bytes(40);
+    const split = new SSIRandomSource(42);
+
+    assert.deepEqual(Buffer.concat([split.bytes(7), split.bytes(33)]), whole);
+  });
+
+  it('gives different seeds different streams', () => {
+    assert.notDeepEqual(new SSIRandomSource('a').bytes(32), new SSIRandomSource('b').bytes(32));
+  });
+
+  it('is not deterministic without a seed', () => {
+    const source = new SSIRandomSource();
+
+    assert.equal(source.seeded, false);
+    assert.notDeepEqual(source.bytes(32), source.bytes(32));
+  });
+
+  it('keeps floats, integers and picks in range', () => {
+    const source = new SSIRandomSource('range');
+
+    for (let i = 0; i < 200; i++) {
+      const value = source.float();
+      assert.ok(value >= 0 && value < 1);
+
+      const integer = source.int(7);
+      assert.ok(Number.isInteger(integer) && integer >= 0 && integer < 7);
+    }
+
+    assert.ok(['x', 'y'].includes(source.pick(['x', 'y'])));
+    assert.equal(source.pick([]), undefined);
+  });
+
+  describe('deriveSeed', () => {
+    it('returns no seed when none is configured', () => {
+      assert.equal(SSIRandomSource.deriveSeed(undefined, 0, 0), undefined);
+      assert.equal(SSIRandomSource.deriveSeed(null, 0, 0), undefined);
+      assert.equal(SSIRandomSource.deriveSeed('', 0, 0), undefined);
+    });
+
+    it('gives every worker and round its own stream', () => {
+      const seeds = [
+        SSIRandomSource.deriveSeed(7, 0, 0),
+        SSIRandomSource.deriveSeed(7, 1, 0),
+        SSIRandomSource.deriveSeed(7, 0, 1)
+      ];
+
+      assert.equal(new Set(seeds).size, 3);
+      assert.equal(SSIRandomSource.deriveSeed(7, 1, 0), seeds[1]);
+      assert.notDeepEqual(new SSIRandomSource(seeds[0]).bytes(32), new SSIRandomSource(seeds[1]).bytes(32));
+    });
+  });
+});
\ No newline at end of file
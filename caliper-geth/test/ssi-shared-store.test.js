@@ -0,0 +1,51 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SharedSSIStateStore = require('../workloads/utils/ssi-shared-store');
+const { configureLogging } = require('../workloads/utils/ssi-logger');
+
+// Console lines written by the store would interleave with the test runner's output
+configureLogging({ logConsole: false });
+
+describe('SharedSSIStateStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-shared-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('merges the partitions of all workers, keeping the latest entry', () => {
+    const filePath = path.join(directory, 'shared-state.json');
+    const first = new SharedSSIStateStore({ workerIndex: 0, deploymentKey: 'chain-1337', filePath });
+    const second = new SharedSSIStateStore({ workerIndex: 1, deploymentKey: 'chain-1337', filePath });
+
+    first.savePartition({ dids: new Map([['did-1', { value: 'old', updatedAt: 1 }]]) });
+    second.savePartition({ dids: new Map([['did-1', { value: 'new', updatedAt: 2 }], ['did-2', { value: 'x', updatedAt: 1 }]]) });
+
+    const state = first.load();
+    assert.equal(state.dids.get('did-1').value, 'new');
+    assert.equal(state.dids.size, 2);
+    assert.equal(fs.existsSync(first.lockPath), false);
+  });
+
+  it('leaves a lock that another worker took over in place', () => {
+    const filePath = path.join(directory, 'shared-state.json');
+    const store = new SharedSSIStateStore({ workerIndex: 0, deploymentKey: 'chain-1337', filePath });
+
+    store._withLock(() => {
+      // Another worker removed the lock as stale and holds it now
+      fs.rmSync(store.lockPath);
+      fs.writeFileSync(store.lockPath, 'other-worker');
+    });
+
+    assert.equal(fs.readFileSync(store.lockPath, 'utf8'), 'other-worker');
+  });
+});
\ No newline at end of file
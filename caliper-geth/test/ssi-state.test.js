@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const SimplifiedSSIStateManager = require('../workloads/utils/ssi-state');
+const { configureLogging } = require('../workloads/utils/ssi-logger');
+
+// Console lines written by the state manager would interleave with the test runner's output
+configureLogging({ logConsole: false });
+
+const KEY_SECRET = '0x8f2a55949038a9610f50fb23b5883af3b4ecb3c3bb792cbcefbd1542c692be63';
+
+describe('SimplifiedSSIStateManager shared state', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Build a state manager sharing state through the test directory
+   * @param {number} workerIndex - Worker index
+   * @returns {SimplifiedSSIStateManager} State manager
+   */
+  function createState(workerIndex) {
+    return new SimplifiedSSIStateManager(workerIndex, 'did', {
+      seed: 'shared-state-test',
+      sharedState: { filePath: path.join(directory, 'shared-state.json'), deploymentKey: 'test', keySecret: KEY_SECRET }
+    });
+  }
+
+  it('shares generated accounts without their private keys', async () => {
+    const state = createState(0);
+    await state.waitForAccountsLoaded();
+    const { address, privateKey, keySalt } = state._generateRandomAccount();
+    state._updateGlobalAccountCache(address, { role: 2, source: 'generated', privateKey, keySalt });
+
+    state.persistSharedState();
+
+    const file = fs.readFileSync(path.join(directory, 'shared-state.json'), 'utf8');
+    assert.doesNotMatch(file, /privateKey/);
+    assert.match(file, /keySalt/);
+  });
+
+  it('derives the key of a shared generated account again', () => {
+    const generated = createState(0)._generateRandomAccount();
+
+    const restored = createState(1)._restoreAccountKey(generated.address, { source: 'generated', keySalt: generated.keySalt });
+
+    assert.equal(restored.privateKey, generated.privateKey);
+    assert.equal(ethers.computeAddress(restored.privateKey), generated.address);
+  });
+});
+
+describe('SimplifiedSSIStateManager DID updates', () => {
+  const IDENTITY = '0x1349F3e1B8D71eFfb47B840594Ff27dA7E603d17';
+
+  it('ignores receipts older than the confirmed version', () => {
+    const state = new SimplifiedSSIStateManager(0, 'did', { sharedState: { enabled: false } });
+    state.entities.dids.set(IDENTITY, { docHash: '0xaa', docCid: 'cid-a', versionId: 100, updateCount: 1, status: 1 });
+
+    assert.equal(state.confirmDIDUpdate({ identity: IDENTITY, docHash: '0xbb', docCid: 'cid-b' }, 90), false);
+    assert.equal(state.entities.dids.get(IDENTITY).docHash, '0xaa');
+    assert.equal(state.entities.dids.get(IDENTITY).updateCount, 1);
+
+    assert.equal(state.confirmDIDUpdate({ identity: IDENTITY, docHash: '0xcc', docCid: 'cid-c' }, 110), true);
+    const didRecord = state.entities.dids.get(IDENTITY);
+    assert.equal(didRecord.docHash, '0xcc');
+    assert.equal(didRecord.previousDocHash, '0xaa');
+    assert.equal(didRecord.versionId, 110);
+    assert.equal(didRecord.updateCount, 2);
+    assert.equal(state.didUpdateCount, 1);
+  });
+});
+
+describe('SimplifiedSSIStateManager calibration randomness', () => {
+  it('builds seeded representative CIDs without advancing the generated data', () => {
+    const config = { seed: 'calibration', sharedState: { enabled: false } };
+    const calibrated = new SimplifiedSSIStateManager(0, 'did', config);
+    const uncalibrated = new SimplifiedSSIStateManager(0, 'did', config);
+
+    assert.equal(calibrated.getRepresentativeCid(), new SimplifiedSSIStateManager(0, 'did', config).getRepresentativeCid());
+    assert.deepEqual(calibrated.random.bytes(32), uncalibrated.random.bytes(32));
+  });
+});
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
 const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('AssignRole');
 
 /**
  * Simplified Role Assignment Workload for Caliper Benchmarking
@@ -14,7 +15,6 @@ class SimplifiedAssignRole extends SimplifiedSSIOperationBase {
   constructor() {
     super();
     this.operationType = 'assignRole';
-    this.debugMode = false; // Set to true for verbose logging
   }
 
   /**
@@ -29,11 +29,9 @@ class SimplifiedAssignRole extends SimplifiedSSIOperationBase {
    * Execute a single transaction
    * @returns {Promise} Transaction result
    */
-  async submitTransaction() {
+  async submitOperation() {
     try {
-      if (this.debugMode) {
-        console.log(`Worker ${this.workerIndex}: Starting role assignment...`);
-      }
+      logger.debug(`Worker ${this.workerIndex}: Starting role assignment...`);
       
       // Get role assignment arguments from state manager
       const roleArgs = this.ssiState.getRoleAssignmentArguments();
@@ -42,12 +40,10 @@ class SimplifiedAssignRole extends SimplifiedSSIOperationBase {
         throw new Error('Failed to generate role assignment arguments');
       }
       
-      if (this.debugMode) {
-        console.log(`Role assignment args:`, {
-          role: roleArgs.role,
-          account: roleArgs.account
-        });
-      }
+      logger.debug(`Role assignment args`, {
+        role: roleArgs.role,
+        account: roleArgs.account
+      });
       
       // Use optimized Caliper Ethereum connector for transaction submission
       const result = await this.executeSSIOperation(
@@ -56,13 +52,11 @@ class SimplifiedAssignRole extends SimplifiedSSIOperationBase {
         roleArgs
       );
       
-      if (this.debugMode) {
-        console.log(`✅ Role assignment successful for Worker ${this.workerIndex}`);
-      }
+      logger.debug(`✅ Role assignment successful for Worker ${this.workerIndex}`);
       
       return result;
     } catch (error) {
-      console.error(`❌ Role assignment failed for Worker ${this.workerIndex}: ${error.message}`);
+      logger.error(`❌ Role assignment failed for Worker ${this.workerIndex}: ${error.message}`);
       throw error;
     }
   }
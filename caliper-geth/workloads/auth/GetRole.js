@@ -0,0 +1,61 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIReadOperationBase = require('../utils/ssi-read-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('GetRole');
+
+/**
+ * Simplified Role Query Workload for Caliper Benchmarking
+ * Measures the read path of RoleControl.getRole
+ */
+class SimplifiedGetRole extends SimplifiedSSIReadOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'getRole';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'role', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single call
+   * @returns {Promise} Call result
+   */
+  async submitOperation() {
+    try {
+      // Get role query arguments from state manager
+      const roleArgs = this.ssiState.getRoleQueryArguments(this.missRatio);
+
+      // For getRole(address account); misses return ROLES.EMPTY instead of reverting
+      return await this.executeReadOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.ROLE_CONTROL,
+        SimplifiedSSIOperationBase.OPERATIONS.GET_ROLE,
+        { account: roleArgs.account },
+        roleArgs.expectMiss,
+        result => result.IsCommitted() && Number(result.GetResult()) === roleArgs.expectedRole
+      );
+    } catch (error) {
+      logger.error(`❌ Role query failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedGetRole} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedGetRole();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
@@ -0,0 +1,137 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('RevokeRole');
+
+/**
+ * Simplified Role Revocation Workload for Caliper Benchmarking
+ * Revokes roles assigned by AssignRole.js and checks role counts at round cleanup
+ */
+class SimplifiedRevokeRole extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'revokeRole';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'role', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitOperation() {
+    let roleArgs;
+
+    try {
+      logger.debug(`Worker ${this.workerIndex}: Starting role revocation...`);
+
+      // Get role revocation arguments from state manager
+      roleArgs = this.ssiState.getRoleRevocationArguments();
+
+      if (!roleArgs) {
+        throw new Error('Failed to generate role revocation arguments');
+      }
+
+      logger.debug(`Role revocation args`, {
+        role: roleArgs.role,
+        account: roleArgs.account
+      });
+
+      // revokeRole(ROLES role, address account) must be sent by the role owner (TRUSTEE)
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.ROLE_CONTROL,
+        SimplifiedSSIOperationBase.OPERATIONS.REVOKE_ROLE,
+        roleArgs
+      );
+
+      // Apply the revocation to the role ledger, or release the account for another attempt
+      this.ssiState.confirmRoleRevocation(
+        roleArgs.account,
+        typeof result?.IsCommitted === 'function' && result.IsCommitted()
+      );
+
+      logger.debug(`✅ Role revocation successful for Worker ${this.workerIndex}`);
+
+      return result;
+    } catch (error) {
+      if (roleArgs) {
+        this.ssiState.confirmRoleRevocation(roleArgs.account, false);
+      }
+
+      logger.error(`❌ Role revocation failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare local role tallies against RoleControl.getRoleCount at the end of the round
+   */
+  async cleanupWorkloadModule() {
+    // Every worker shares the same chain state, so one check per round is enough
+    if (this.workerIndex === 0) {
+      await this.checkRoleCountConsistency();
+    }
+
+    await super.cleanupWorkloadModule();
+  }
+
+  /**
+   * Query getRoleCount for every role and report drift from the local role ledger
+   * Drift is reported, not thrown, so the round results are still collected
+   * @returns {Promise<Object>} Drift per role name (on-chain minus local)
+   */
+  async checkRoleCountConsistency() {
+    const localTallies = this.ssiState.getRoleTallies();
+    const drift = {};
+
+    if (this.totalWorkers > 1) {
+      logger.warn(`⚠️ Local role tallies only cover worker ${this.workerIndex} of ${this.totalWorkers}; expect drift from other workers`);
+    }
+
+    for (const [roleName, localCount] of Object.entries(localTallies)) {
+      const role = SimplifiedSSIOperationBase.ROLES[roleName];
+
+      try {
+        const onChainCount = Number(await this.callContractView(
+          SimplifiedSSIOperationBase.CONTRACTS.ROLE_CONTROL,
+          'getRoleCount',
+          [role]
+        ));
+        drift[roleName] = onChainCount - localCount;
+
+        if (drift[roleName] === 0) {
+          logger.info(`✅ Role count ${roleName}: local=${localCount} on-chain=${onChainCount}`);
+        } else {
+          const sign = drift[roleName] > 0 ? '+' : '';
+          logger.warn(`⚠️ Role count drift ${roleName}: local=${localCount} on-chain=${onChainCount} (drift ${sign}${drift[roleName]})`);
+        }
+      } catch (error) {
+        drift[roleName] = null;
+        logger.error(`❌ Could not read getRoleCount(${roleName}): ${error.message}`);
+      }
+    }
+
+    this.roleCountDrift = drift;
+    return drift;
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedRevokeRole} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedRevokeRole();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
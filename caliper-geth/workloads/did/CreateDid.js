@@ -2,6 +2,7 @@
 
 const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
 const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('CreateDid');
 
 /**
  * Simplified DID Creation Workload for Caliper Benchmarking
@@ -14,7 +15,6 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
   constructor() {
     super();
     this.operationType = 'createDid';
-    this.debugMode = false; // Set to true for verbose logging
   }
 
   /**
@@ -29,7 +29,7 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
    * Execute a single transaction
    * @returns {Promise} Transaction result
    */
-  async submitTransaction() {
+  async submitOperation() {
     try {
       // console.log(`Worker ${this.workerIndex}: Starting DID creation...`);
       
@@ -52,17 +52,21 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
       const result = await this.executeSSIOperation(
         SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
         SimplifiedSSIOperationBase.OPERATIONS.CREATE_DID,
-        createDidArgs,
-        { fromAddress: didArgs.identity } // Use identity as the transaction sender
+        createDidArgs
+        // Sent by the connector's TRUSTEE account; the identity becomes the DID owner
       );
-      
-      if (this.debugMode) {
-        console.log(`✅ DID creation successful for Worker ${this.workerIndex}`);
+
+      // DidRegistry sets versionId to the creation block number
+      const blockNumber = this.getResultBlockNumber(result);
+      if (blockNumber !== null) {
+        this.ssiState.confirmDIDVersion(didArgs.identity, blockNumber);
       }
       
+      logger.debug(`✅ DID creation successful for Worker ${this.workerIndex}`);
+      
       return result;
     } catch (error) {
-      console.error(`❌ DID creation failed for Worker ${this.workerIndex}: ${error.message}`);
+      logger.error(`❌ DID creation failed for Worker ${this.workerIndex}: ${error.message}`);
       throw error;
     }
   }
@@ -0,0 +1,103 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('DeactivateDid');
+
+/**
+ * Simplified DID Deactivation Workload for Caliper Benchmarking
+ * Deactivated identities are excluded from holder selection in later rounds
+ */
+class SimplifiedDeactivateDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'deactivateDid';
+  }
+
+  /**
+   * Initialize the workload module and fund the DID owners that send the deactivations
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    // Generated identities own their DIDs but hold no ether to pay for their deactivation
+    await this.fundDIDOwners();
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitOperation() {
+    let didArgs;
+
+    try {
+      logger.debug(`Worker ${this.workerIndex}: Starting DID deactivation...`);
+
+      // Get DID deactivation arguments from state manager
+      didArgs = await this.ssiState.getDIDDeactivationArguments();
+
+      if (!didArgs) {
+        throw new Error('Failed to generate DID deactivation arguments');
+      }
+
+      // For deactivateDid(address identity)
+      const deactivateDidArgs = {
+        identity: didArgs.identity
+      };
+
+      // Only the DID owner may deactivate the DID, so the identity must sign
+      const senderOptions = { fromAddress: didArgs.caller };
+      if (didArgs.callerPrivateKey) {
+        senderOptions.fromAddressPrivateKey = didArgs.callerPrivateKey;
+      }
+
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.DEACTIVATE_DID,
+        deactivateDidArgs,
+        senderOptions
+      );
+
+      // DidRegistry also bumps versionId to the deactivation block number
+      const blockNumber = this.getResultBlockNumber(result);
+      if (blockNumber !== null) {
+        this.ssiState.confirmDIDVersion(didArgs.identity, blockNumber);
+      } else {
+        // The DID stays active when the deactivation did not commit
+        this.ssiState.revertDIDDeactivation(didArgs.identity);
+      }
+
+      logger.debug(`✅ DID deactivation successful for Worker ${this.workerIndex}`);
+
+      return result;
+    } catch (error) {
+      if (didArgs) {
+        this.ssiState.revertDIDDeactivation(didArgs.identity);
+      }
+      logger.error(`❌ DID deactivation failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedDeactivateDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedDeactivateDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
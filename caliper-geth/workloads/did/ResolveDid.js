@@ -0,0 +1,65 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIReadOperationBase = require('../utils/ssi-read-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('ResolveDid');
+
+/**
+ * Simplified DID Resolution Workload for Caliper Benchmarking
+ * Measures the read path of DidRegistry.resolveDid
+ */
+class SimplifiedResolveDid extends SimplifiedSSIReadOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'resolveDid';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single call
+   * @returns {Promise} Call result
+   */
+  async submitOperation() {
+    try {
+      // Get DID resolution arguments from state manager
+      const didArgs = await this.ssiState.getDIDResolutionArguments(this.missRatio);
+
+      if (!didArgs) {
+        throw new Error('Failed to generate DID resolution arguments');
+      }
+
+      // For resolveDid(address identity); misses revert with DidNotFound
+      return await this.executeReadOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.RESOLVE_DID,
+        { identity: didArgs.identity },
+        didArgs.expectMiss,
+        result => result.IsCommitted() !== didArgs.expectMiss
+      );
+    } catch (error) {
+      logger.error(`❌ DID resolution failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedResolveDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedResolveDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
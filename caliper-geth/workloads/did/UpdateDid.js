@@ -0,0 +1,98 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('UpdateDid');
+
+/**
+ * Simplified DID Update Workload for Caliper Benchmarking
+ * Rotates DID documents of existing identities to benchmark document churn
+ */
+class SimplifiedUpdateDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'updateDid';
+  }
+
+  /**
+   * Initialize the workload module and fund the DID owners that send the updates
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    // Generated identities own their DIDs but hold no ether to pay for their updates
+    await this.fundDIDOwners();
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitOperation() {
+    try {
+      logger.debug(`Worker ${this.workerIndex}: Starting DID update...`);
+
+      // Get DID update arguments from state manager
+      const didArgs = await this.ssiState.getDIDUpdateArguments();
+
+      if (!didArgs) {
+        throw new Error('Failed to generate DID update arguments');
+      }
+
+      // For updateDid(address identity, bytes32 docHash, string calldata docCid)
+      // Note that we exclude 'caller' from the args since it's used for the fromAddress
+      const updateDidArgs = {
+        identity: didArgs.identity,
+        docHash: didArgs.docHash,
+        docCid: didArgs.docCid
+      };
+
+      // Only the DID owner may update the document, so the identity must sign
+      const senderOptions = { fromAddress: didArgs.caller };
+      if (didArgs.callerPrivateKey) {
+        senderOptions.fromAddressPrivateKey = didArgs.callerPrivateKey;
+      }
+
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.UPDATE_DID,
+        updateDidArgs,
+        senderOptions
+      );
+
+      // DidRegistry sets versionId to the block number of the update
+      const blockNumber = this.getResultBlockNumber(result);
+      if (blockNumber !== null) {
+        this.ssiState.confirmDIDUpdate(didArgs, blockNumber);
+      }
+
+      logger.debug(`✅ DID update successful for Worker ${this.workerIndex} (versionId: ${this.ssiState.getExpectedDIDVersion(didArgs.identity)})`);
+
+      return result;
+    } catch (error) {
+      logger.error(`❌ DID update failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedUpdateDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedUpdateDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
@@ -0,0 +1,327 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const MixedOperationReport = require('../utils/ssi-mix-report');
+const logger = require('../utils/ssi-logger').getLogger('SsiMix');
+
+const CONTRACTS = SimplifiedSSIOperationBase.CONTRACTS;
+const OPERATIONS = SimplifiedSSIOperationBase.OPERATIONS;
+
+// Contract that serves each operation
+const OPERATION_CONTRACTS = {
+  [OPERATIONS.ASSIGN_ROLE]: CONTRACTS.ROLE_CONTROL,
+  [OPERATIONS.REVOKE_ROLE]: CONTRACTS.ROLE_CONTROL,
+  [OPERATIONS.GET_ROLE]: CONTRACTS.ROLE_CONTROL,
+  [OPERATIONS.CREATE_DID]: CONTRACTS.DID_REGISTRY,
+  [OPERATIONS.UPDATE_DID]: CONTRACTS.DID_REGISTRY,
+  [OPERATIONS.DEACTIVATE_DID]: CONTRACTS.DID_REGISTRY,
+  [OPERATIONS.RESOLVE_DID]: CONTRACTS.DID_REGISTRY,
+  [OPERATIONS.ISSUE_CREDENTIAL]: CONTRACTS.CREDENTIAL_REGISTRY,
+  [OPERATIONS.UPDATE_CREDENTIAL_STATUS]: CONTRACTS.CREDENTIAL_REGISTRY,
+  [OPERATIONS.RESOLVE_CREDENTIAL]: CONTRACTS.CREDENTIAL_REGISTRY
+};
+
+/**
+ * Weighted Mixed SSI Operation Workload for Caliper Benchmarking
+ * Picks each transaction's operation by the configured weights to mimic real traffic
+ */
+class SimplifiedSsiMix extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'mixed';
+  }
+
+  /**
+   * Initialize the workload module and parse the operation weights
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    this.operationWeights = this.parseOperationWeights(this.roundArguments.operations);
+    this.totalWeight = this.operationWeights.reduce((sum, entry) => sum + entry.weight, 0);
+
+    // Options forwarded to the individual operations
+    this.missRatio = Number(this.roundArguments.missRatio || 0);
+    this.statusTransitionMix = this.roundArguments.statusTransitionMix || undefined;
+
+    // Per-operation latency samples and outcome counts, merged into the report after the run
+    this.operationReport = new MixedOperationReport({
+      workerIndex: this.workerIndex,
+      roundIndex: this.roundIndex
+    });
+
+    const mixedOperations = new Set(this.operationWeights.map(entry => entry.operation));
+
+    // Generated identities own their DIDs but hold no ether to pay for updates and deactivations
+    if (mixedOperations.has(OPERATIONS.UPDATE_DID) || mixedOperations.has(OPERATIONS.DEACTIVATE_DID)) {
+      await this.fundDIDOwners();
+    }
+
+    // Credentials are issued from this worker's own ISSUER account
+    if (mixedOperations.has(OPERATIONS.ISSUE_CREDENTIAL)) {
+      await this.setupIssuerAccount();
+    }
+
+    const mixSummary = this.operationWeights
+      .map(entry => `${entry.operation}=${((entry.weight / this.totalWeight) * 100).toFixed(1)}%`)
+      .join(', ');
+    logger.info(`🎲 Worker ${this.workerIndex} operation mix: ${mixSummary}`);
+  }
+
+  /**
+   * Parse operation weights from round arguments
+   * Accepts a map ({ resolveCredential: 50, ... }) or a list ([{ name, weight }, ...])
+   * Gas limits come from the round's gasConfig like in the single-operation rounds
+   * @param {Object|Array} operations - Operation weights from the benchmark configuration
+   * @returns {Array<Object>} Normalized { operation, weight } entries
+   * @protected
+   */
+  parseOperationWeights(operations) {
+    if (!operations || typeof operations !== 'object') {
+      throw new Error('SSI mix workload error: "operations" round argument with operation weights is required');
+    }
+
+    const entries = Array.isArray(operations)
+      ? operations.map(entry => [entry.name, entry.weight])
+      : Object.entries(operations);
+
+    const weights = [];
+
+    for (const [operation, rawWeight] of entries) {
+      if (!OPERATION_CONTRACTS[operation]) {
+        throw new Error(`SSI mix workload error: unsupported operation "${operation}"; expected one of ${Object.keys(OPERATION_CONTRACTS).join(', ')}`);
+      }
+
+      const weight = Number(rawWeight);
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new Error(`SSI mix workload error: weight of "${operation}" must be a non-negative number`);
+      }
+
+      if (weight > 0) {
+        weights.push({ operation, weight });
+      }
+    }
+
+    if (weights.length === 0) {
+      throw new Error('SSI mix workload error: at least one operation needs a positive weight');
+    }
+
+    return weights;
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Pick the next operation according to the configured weights
+   * @returns {string} Operation name
+   * @protected
+   */
+  pickOperation() {
+    // Uses the state manager's random source so seeded runs replay the same operation sequence
+    let roll = this.ssiState.random.float() * this.totalWeight;
+
+    for (const entry of this.operationWeights) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.operation;
+    }
+
+    return this.operationWeights[this.operationWeights.length - 1].operation;
+  }
+
+  /**
+   * Build contract arguments, sender options and result handling for an operation
+   * Mirrors the single-operation workload modules
+   * @param {string} operation - Operation name
+   * @returns {Promise<Object>} { args, options, onResult }
+   * @protected
+   */
+  async prepareOperation(operation) {
+    const state = this.ssiState;
+    const committed = result => typeof result?.IsCommitted === 'function' && result.IsCommitted();
+    const ownerOptions = callerArgs => {
+      const options = { fromAddress: callerArgs.caller };
+      if (callerArgs.callerPrivateKey) {
+        options.fromAddressPrivateKey = callerArgs.callerPrivateKey;
+      }
+      return options;
+    };
+
+    switch (operation) {
+    case OPERATIONS.ASSIGN_ROLE: {
+      const roleArgs = state.getRoleAssignmentArguments();
+      return { args: { role: roleArgs.role, account: roleArgs.account } };
+    }
+    case OPERATIONS.REVOKE_ROLE: {
+      const roleArgs = state.getRoleRevocationArguments();
+      return {
+        args: { role: roleArgs.role, account: roleArgs.account },
+        onResult: result => state.confirmRoleRevocation(roleArgs.account, committed(result)),
+        onError: () => state.confirmRoleRevocation(roleArgs.account, false)
+      };
+    }
+    case OPERATIONS.GET_ROLE: {
+      const roleArgs = state.getRoleQueryArguments(this.missRatio);
+      return { args: { account: roleArgs.account } };
+    }
+    case OPERATIONS.CREATE_DID: {
+      const didArgs = await state.getDIDCreationArguments();
+      return {
+        args: { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid },
+        onResult: result => {
+          const blockNumber = this.getResultBlockNumber(result);
+          if (blockNumber !== null) state.confirmDIDVersion(didArgs.identity, blockNumber);
+        }
+      };
+    }
+    case OPERATIONS.UPDATE_DID: {
+      const didArgs = await state.getDIDUpdateArguments();
+      return {
+        args: { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid },
+        options: ownerOptions(didArgs),
+        onResult: result => {
+          const blockNumber = this.getResultBlockNumber(result);
+          if (blockNumber !== null) state.confirmDIDUpdate(didArgs, blockNumber);
+        }
+      };
+    }
+    case OPERATIONS.DEACTIVATE_DID: {
+      const didArgs = await state.getDIDDeactivationArguments();
+      return {
+        args: { identity: didArgs.identity },
+        options: ownerOptions(didArgs),
+        onResult: result => {
+          const blockNumber = this.getResultBlockNumber(result);
+          if (blockNumber !== null) {
+            state.confirmDIDVersion(didArgs.identity, blockNumber);
+          } else {
+            state.revertDIDDeactivation(didArgs.identity);
+          }
+        },
+        onError: () => state.revertDIDDeactivation(didArgs.identity)
+      };
+    }
+    case OPERATIONS.RESOLVE_DID: {
+      const didArgs = await state.getDIDResolutionArguments(this.missRatio);
+      return { args: { identity: didArgs.identity } };
+    }
+    case OPERATIONS.ISSUE_CREDENTIAL: {
+      const credentialArgs = await state.getCredentialIssuanceArguments(this.issuerAccount.address);
+      return {
+        args: {
+          identity: credentialArgs.identity,
+          credentialId: credentialArgs.credentialId,
+          credentialCid: credentialArgs.credentialCid
+        },
+        options: this.getSenderOptions(this.issuerAccount.address),
+        onResult: result => state.confirmCredentialIssuance(credentialArgs.credentialId, committed(result)),
+        onError: () => state.confirmCredentialIssuance(credentialArgs.credentialId, false)
+      };
+    }
+    case OPERATIONS.UPDATE_CREDENTIAL_STATUS: {
+      const statusArgs = await state.getCredentialStatusUpdateArguments(this.statusTransitionMix);
+      return {
+        args: {
+          credentialId: statusArgs.credentialId,
+          previousStatus: statusArgs.previousStatus,
+          newStatus: statusArgs.newStatus
+        },
+        options: statusArgs.caller ? this.getSenderOptions(statusArgs.caller) : {},
+        onResult: result => state.confirmCredentialStatusUpdate(statusArgs.credentialId, committed(result)),
+        onError: () => state.confirmCredentialStatusUpdate(statusArgs.credentialId, false)
+      };
+    }
+    case OPERATIONS.RESOLVE_CREDENTIAL: {
+      const credentialArgs = await state.getCredentialResolutionArguments(this.missRatio);
+      return { args: { credentialId: credentialArgs.credentialId } };
+    }
+    default:
+      throw new Error(`SSI mix workload error: no handler for operation "${operation}"`);
+    }
+  }
+
+  /**
+   * Execute a single transaction with a weighted random operation
+   * @returns {Promise} Transaction result
+   */
+  async submitOperation() {
+    const operation = this.pickOperation();
+    let prepared;
+
+    try {
+      prepared = await this.prepareOperation(operation);
+
+      const startTime = Date.now();
+      const result = await this.executeSSIOperation(
+        OPERATION_CONTRACTS[operation],
+        operation,
+        prepared.args,
+        prepared.options || {}
+      );
+      this.operationReport.record(operation, {
+        committed: typeof result?.IsCommitted === 'function' && result.IsCommitted(),
+        latency: Date.now() - startTime
+      });
+
+      if (prepared.onResult) {
+        prepared.onResult(result);
+      }
+
+      return result;
+    } catch (error) {
+      this.operationReport.record(operation, { committed: false });
+
+      if (prepared?.onError) {
+        prepared.onError();
+      }
+
+      logger.error(`❌ Mixed ${operation} failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Report per-operation latency and outcomes at the end of the round
+   */
+  async cleanupWorkloadModule() {
+    this.reportOperationBreakdown();
+    await super.cleanupWorkloadModule();
+  }
+
+  /**
+   * Log latency and success counts per operation for this worker and write them for the report
+   * @protected
+   */
+  reportOperationBreakdown() {
+    if (!this.operationReport) return;
+
+    try {
+      this.operationReport.log(`Worker ${this.workerIndex}`);
+      const filePath = this.operationReport.write();
+      if (filePath) {
+        logger.info(`🎲 Worker ${this.workerIndex} mixed operation breakdown written to ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} could not write mixed operation breakdown: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedSsiMix} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedSsiMix();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
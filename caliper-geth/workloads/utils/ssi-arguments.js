@@ -0,0 +1,344 @@
+'use strict';
+
+const { ethers } = require('ethers');
+const { CID_FORMATS } = require('./ssi-content');
+const { FEE_STRATEGIES } = require('./ssi-fees');
+const { LOG_LEVELS, LOG_FORMATS } = require('./ssi-logger');
+const SimplifiedSSIStateManager = require('./ssi-state');
+
+// Read workloads: missRatio applies to them and to the mix
+const READ_OPERATIONS = ['getRole', 'resolveDid', 'resolveCredential'];
+
+// Operation type of the weighted mix workload
+const MIXED_OPERATION = 'mixed';
+
+// Round labels by index, read once per worker process from the benchmark configuration
+let roundLabels = null;
+
+/**
+ * Build the schema of the SSI round arguments
+ * The schema uses a subset of JSON Schema: type, enum, minimum, maximum, exclusiveMinimum, pattern,
+ * properties, required, additionalProperties, items and anyOf, plus
+ *   format: 'address'   a 0x address; mixed-case addresses must carry a valid EIP-55 checksum
+ *   deprecated: 'key'   accepted with a warning to use key instead
+ *   appliesTo: [ops]    accepted with a warning in rounds of other operation types
+ * additionalProperties: false reports unknown keys as warnings rather than errors
+ * @param {Array<string>} operations - Operation names of the workload modules
+ * @param {Array<string>} contracts - Contract names of contractAddresses and gasConfig
+ * @returns {Object} Schema of the arguments object
+ */
+function createRoundArgumentSchema(operations, contracts) {
+  const endpoint = { type: 'string', pattern: '^(wss?|https?)://' };
+  const path = { type: 'string' };
+  const gasLimit = { type: 'integer', minimum: 1 };
+  const wei = { type: 'integer', minimum: 0 };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['chainId'],
+    anyOf: [
+      { required: ['gethEndpoint'] },
+      { required: ['besuEndpoint'] }
+    ],
+    properties: {
+      operationType: { type: 'string', enum: [...operations, MIXED_OPERATION] },
+      gethEndpoint: endpoint,
+      besuEndpoint: { ...endpoint, deprecated: 'gethEndpoint' },
+      chainId: { type: 'integer', minimum: 1 },
+      blockTime: { type: 'number', exclusiveMinimum: 0 },
+
+      contractAddresses: {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(contracts.map(name => [name, { type: 'string', format: 'address' }]))
+      },
+      deploymentManifest: { type: 'boolean' },
+      deploymentsPath: { type: 'string' },
+      gasConfig: {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(contracts.map(name => [name, {
+          type: 'object',
+          additionalProperties: gasLimit,
+          contractFunctions: name
+        }]))
+      },
+      gasCalibration: { type: 'boolean' },
+      gasHeadroom: { type: 'number', minimum: 0 },
+      gasCalibrationPath: path,
+
+      feeStrategy: { type: 'string', enum: Object.values(FEE_STRATEGIES) },
+      gasPrice: wei,
+      maxFeePerGas: wei,
+      maxPriorityFeePerGas: wei,
+      feeHistoryBlocks: { type: 'integer', minimum: 1, maximum: 1024 },
+      feeHistoryPercentile: { type: 'number', minimum: 0, maximum: 100 },
+      baseFeeMultiplier: { type: 'number', minimum: 1 },
+      feeRefreshMs: { type: 'integer', minimum: 0 },
+      nonceGapRefillMs: { type: 'integer', minimum: 0 },
+      batchSize: { type: 'integer', minimum: 1, maximum: 1000 },
+
+      decodeFailures: { type: 'boolean' },
+      sharedState: { type: 'boolean' },
+      sharedStatePath: path,
+      reconcileOnChain: { type: 'boolean' },
+      setupMissingState: { type: 'boolean' },
+      seed: { type: ['string', 'number'] },
+
+      payloadMode: { type: 'string', enum: Object.values(SimplifiedSSIStateManager.PAYLOAD_MODES) },
+      contentStorePath: path,
+      cidFormat: { type: 'string', enum: Object.values(CID_FORMATS) },
+      cidUriLength: { type: 'integer', minimum: 0 },
+      didDocumentSize: { type: 'integer', minimum: 0 },
+
+      payloadReport: { type: 'boolean' },
+      payloadReportPath: path,
+      receiptMetrics: { type: 'boolean' },
+      receiptMetricsPath: path,
+      latencyPhases: { type: 'boolean' },
+      latencyPhaseEndpoint: endpoint,
+      latencyPhasesPath: path,
+      chainMonitor: { type: 'boolean' },
+      chainMonitorEndpoints: { type: 'array', items: { type: 'string', pattern: '^https?://' } },
+      chainMonitorIntervalMs: { type: 'integer', minimum: 100 },
+      chainMonitorPath: path,
+
+      logLevel: { type: 'string', enum: Object.values(LOG_LEVELS) },
+      logFormat: { type: 'string', enum: Object.values(LOG_FORMATS) },
+      logFile: { type: 'boolean' },
+      logPath: path,
+      logConsole: { type: 'boolean' },
+      debugMode: { type: 'boolean' },
+
+      missRatio: { type: 'number', minimum: 0, maximum: 1, appliesTo: [...READ_OPERATIONS, MIXED_OPERATION] },
+      statusTransitionMix: {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(Object.keys(SimplifiedSSIStateManager.STATUS_ACTIONS).map(action => [action, { type: 'number', minimum: 0 }])),
+        appliesTo: ['updateCredentialStatus', MIXED_OPERATION]
+      },
+      operations: {
+        appliesTo: [MIXED_OPERATION],
+        anyOf: [
+          {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.fromEntries(operations.map(operation => [operation, { type: 'number', minimum: 0 }]))
+          },
+          {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'weight'],
+              properties: {
+                name: { type: 'string', enum: operations },
+                weight: { type: 'number', minimum: 0 }
+              }
+            }
+          }
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Describe a value for error messages
+ * @param {*} value - Value
+ * @returns {string} e.g. "abc" (string) or 12 (number)
+ * @private
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return 'an object';
+  return `${JSON.stringify(value)} (${typeof value})`;
+}
+
+/**
+ * Check whether a value has one of the schema types
+ * @param {*} value - Value
+ * @param {string|Array<string>} type - Schema type(s)
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function matchesType(value, type) {
+  return [].concat(type).some(expected => {
+    switch (expected) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: return typeof value === expected;
+    }
+  });
+}
+
+/**
+ * Check an address and its EIP-55 checksum
+ * @param {string} value - Address
+ * @returns {string|null} Problem description or null if valid
+ * @private
+ */
+function checkAddress(value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return 'must be a 0x-prefixed 20-byte address';
+  }
+
+  const checksummed = ethers.getAddress(value.toLowerCase());
+  if (value !== value.toLowerCase() && value !== checksummed) {
+    return `has an invalid checksum (expected ${checksummed})`;
+  }
+  return null;
+}
+
+/**
+ * Validate a value against a schema, collecting errors and warnings
+ * @param {Object} schema - Schema
+ * @param {*} value - Value
+ * @param {string} path - Dotted key path for messages
+ * @param {Object} context - { operationType, contractFunctions, errors, warnings }
+ * @private
+ */
+function validateValue(schema, value, path, context) {
+  const { errors, warnings } = context;
+
+  if (schema.deprecated) {
+    warnings.push(`${path} is deprecated; use ${schema.deprecated}`);
+  }
+  if (schema.appliesTo && context.operationType && !schema.appliesTo.includes(context.operationType)) {
+    warnings.push(`${path} has no effect on ${context.operationType} rounds (only ${schema.appliesTo.join(', ')})`);
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => {
+      const branchContext = { ...context, errors: [], warnings: [] };
+      validateValue(branch, value, path, branchContext);
+      return branchContext;
+    });
+
+    const passed = branches.find(branch => branch.errors.length === 0);
+    if (passed) {
+      warnings.push(...passed.warnings);
+    } else {
+      // Report the branch written for this kind of value, if any
+      const typed = schema.anyOf.findIndex(branch => branch.type && matchesType(value, branch.type));
+      const reported = branches[typed >= 0 ? typed : 0];
+      errors.push(...reported.errors);
+      warnings.push(...reported.warnings);
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${[].concat(schema.type).join(' or ')}, got ${describeValue(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}, got ${describeValue(value)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push(`${path} must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}, got ${value}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}, got ${describeValue(value)}`);
+  }
+  if (schema.format === 'address') {
+    const problem = checkAddress(value);
+    if (problem) errors.push(`${path} ${problem}, got ${describeValue(value)}`);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, context));
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+
+    // Function names of the contract ABI, where the network configuration provides it
+    const functions = schema.contractFunctions ? context.contractFunctions?.[schema.contractFunctions] : null;
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+
+      if (functions && !functions.includes(key)) {
+        errors.push(`${childPath} is not a function of ${schema.contractFunctions}; expected one of ${functions.join(', ')}`);
+        continue;
+      }
+
+      const childSchema = schema.properties?.[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+
+      if (childSchema) {
+        validateValue(childSchema, child, childPath, context);
+      } else if (schema.additionalProperties === false) {
+        warnings.push(`${childPath} is not a known argument and is ignored`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate the arguments of a round
+ * Fails with all errors at once; unknown, deprecated and inapplicable keys are returned as warnings
+ * @param {Object} roundArguments - Workload arguments of the round
+ * @param {Object} schema - Schema from createRoundArgumentSchema
+ * @param {Object} options - Validation options
+ * @param {string} options.label - Round label for messages
+ * @param {string} options.operationType - Operation type of the workload module
+ * @param {Object} options.contractFunctions - Contract name -> function names of its ABI
+ * @returns {Array<string>} Warnings
+ */
+function validateRoundArguments(roundArguments, schema, { label, operationType, contractFunctions } = {}) {
+  const context = { operationType, contractFunctions, errors: [], warnings: [] };
+  validateValue(schema, roundArguments || {}, '', context);
+
+  if (operationType && roundArguments?.operationType !== undefined && roundArguments.operationType !== operationType) {
+    context.errors.push(`operationType "${roundArguments.operationType}" does not match the workload module (${operationType})`);
+  }
+
+  if (context.errors.length > 0) {
+    throw new Error(`SSI workload error: invalid arguments for round "${label}":\n  - ${context.errors.join('\n  - ')}`);
+  }
+
+  return context.warnings;
+}
+
+/**
+ * Get the label of a round from the benchmark configuration
+ * Caliper passes workload modules the round index only
+ * @param {number} roundIndex - Round index
+ * @returns {string} Round label, or "round <index>" if the configuration cannot be read
+ */
+function getRoundLabel(roundIndex) {
+  if (!roundLabels) {
+    roundLabels = [];
+    try {
+      const { ConfigUtil, CaliperUtils } = require('@hyperledger/caliper-core');
+      const benchConfigPath = CaliperUtils.resolvePath(ConfigUtil.get(ConfigUtil.keys.BenchConfig), ConfigUtil.get(ConfigUtil.keys.Workspace));
+      roundLabels = (CaliperUtils.parseYaml(benchConfigPath)?.test?.rounds || []).map(round => round.label);
+    } catch (error) {
+      // Fall back to the round index below
+    }
+  }
+
+  return roundLabels[roundIndex] || `round ${roundIndex}`;
+}
+
+module.exports = {
+  createRoundArgumentSchema,
+  validateRoundArguments,
+  getRoundLabel
+};
\ No newline at end of file
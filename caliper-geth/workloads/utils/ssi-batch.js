@@ -0,0 +1,80 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Batch slot of the operation running in the current async context
+const batchSlots = new AsyncLocalStorage();
+
+/**
+ * Requests of the operations of one submitTransaction call, sent together once every operation
+ * has either added its request or finished without one
+ */
+class RequestBatch {
+  /**
+   * Initializes the batch
+   * @param {number} size - Number of operations in the batch
+   * @param {Function} send - Sends the requests: async (requests) => results, in request order
+   */
+  constructor(size, send) {
+    this.open = size;
+    this.send = send;
+    this.entries = [];
+  }
+
+  /**
+   * Run an operation in a slot of this batch
+   * The first request the operation sends through join() becomes part of the batch
+   * @param {Function} operation - Async operation
+   * @returns {Promise} Operation result
+   */
+  run(operation) {
+    const slot = { batch: this, joined: false };
+
+    return batchSlots.run(slot, async () => {
+      try {
+        return await operation();
+      } finally {
+        // Failed before sending: the batch must not wait for this operation
+        if (!slot.joined) this.leave();
+      }
+    });
+  }
+
+  /**
+   * Add a request of the current operation to its batch, if it has one and has not sent yet
+   * @param {Object} request - Caliper connector request
+   * @returns {Promise|null} Result of the request once the batch is sent, or null outside a batch
+   */
+  static join(request) {
+    const slot = batchSlots.getStore();
+    if (!slot || slot.joined) {
+      return null;
+    }
+
+    slot.joined = true;
+    return new Promise((resolve, reject) => {
+      slot.batch.entries.push({ request, resolve, reject });
+      slot.batch.leave();
+    });
+  }
+
+  /**
+   * Close the slot of an operation and send the batch once no operation is left open
+   * @private
+   */
+  leave() {
+    this.open--;
+    if (this.open > 0 || this.entries.length === 0) {
+      return;
+    }
+
+    const entries = this.entries;
+    this.entries = [];
+    this.send(entries.map(entry => entry.request)).then(
+      results => entries.forEach((entry, index) => entry.resolve(results[index])),
+      error => entries.forEach(entry => entry.reject(error))
+    );
+  }
+}
+
+module.exports = RequestBatch;
\ No newline at end of file
@@ -0,0 +1,539 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath, summarize } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-chain-monitor');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'chain-monitor');
+
+// Default sampling interval; a third of the 3 s Clique block time
+const DEFAULT_INTERVAL_MS = 1000;
+
+// Blocks read per poll when the chain advanced further (e.g. after a stalled endpoint)
+const MAX_BLOCKS_PER_POLL = 64;
+
+// Clique difficulty of a block sealed by the in-turn signer
+const DIFF_INTURN = 2;
+
+// Line colors of the time series charts, one per endpoint
+const SERIES_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f'];
+
+/**
+ * Chain-side metrics of a round, sampled over the HTTP RPC of each node
+ * Caliper 0.6 only runs its built-in resource monitors (docker, process, prometheus), so worker 0
+ * samples the chain from initialization to cleanup of each round and writes one file per round:
+ *   per endpoint   txpool_status (pending, queued), eth_blockNumber (lag behind the highest head)
+ *                  and net_peerCount
+ *   per block      gasUsed against gasLimit, transactions, timestamp, and the Clique signer
+ *                  (clique_getSigner) with in-turn or out-of-turn difficulty
+ *   signers        clique_getSigners at round start, to show authorized signers that sealed nothing
+ */
+class ChainMonitor {
+  /**
+   * Initializes the monitor
+   * @param {Array<string>} endpoints - HTTP RPC endpoints of the nodes
+   * @param {Object} options - { roundIndex, roundLabel, intervalMs, directory }
+   */
+  constructor(endpoints, options = {}) {
+    this.endpoints = endpoints;
+    this.roundIndex = options.roundIndex;
+    this.roundLabel = options.roundLabel;
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.directory = path.resolve(options.directory || ChainMonitor.getDefaultDirectory());
+
+    // Poll results: Array<{ time, endpoint, blockNumber, pending, queued, peers }> or { time, endpoint, error }
+    this.samples = [];
+    // Blocks sealed while the monitor ran: Array<{ number, timestamp, gasUsed, gasLimit, transactions, signer, inTurn }>
+    this.blocks = [];
+    this.signers = [];
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.lastBlock = null;
+
+    this.requestId = 0;
+    this.timer = null;
+    this.polling = null;
+    this.failedEndpoints = new Set();
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Send JSON-RPC calls to an endpoint as one batch
+   * @param {string} endpoint - HTTP RPC endpoint
+   * @param {Array<Array>} calls - [[method, params]]
+   * @returns {Promise<Array>} Results in call order; a failed call yields an Error
+   * @private
+   */
+  async call(endpoint, calls) {
+    const requests = calls.map(([method, params]) => ({ jsonrpc: '2.0', id: ++this.requestId, method, params }));
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requests),
+      signal: AbortSignal.timeout(Math.max(this.intervalMs, 2000))
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const replies = new Map((await response.json()).map(reply => [reply.id, reply]));
+    return requests.map(request => {
+      const reply = replies.get(request.id);
+      return !reply || reply.error ? new Error(reply?.error?.message || 'no reply') : reply.result;
+    });
+  }
+
+  /**
+   * Read the signer set and the current head, then start sampling
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.startedAt = Date.now();
+
+    for (const endpoint of this.endpoints) {
+      try {
+        const [signers, blockNumber] = await this.call(endpoint, [['clique_getSigners', []], ['eth_blockNumber', []]]);
+        if (!(blockNumber instanceof Error)) {
+          this.lastBlock = Number(blockNumber);
+          this.signers = signers instanceof Error ? [] : signers.map(signer => signer.toLowerCase());
+          break;
+        }
+      } catch (error) {
+        // Try the next endpoint
+      }
+    }
+    if (this.lastBlock === null) {
+      throw new Error(`no endpoint answered (${this.endpoints.join(', ')})`);
+    }
+
+    this.timer = setInterval(() => {
+      if (!this.polling) {
+        this.polling = this.poll().finally(() => { this.polling = null; });
+      }
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Sample every endpoint, then read the blocks sealed since the previous poll
+   * @returns {Promise<void>}
+   * @private
+   */
+  async poll() {
+    const time = Date.now();
+    const heads = await Promise.all(this.endpoints.map(endpoint => this.sampleEndpoint(endpoint, time)));
+
+    // Read new blocks from the endpoint with the highest head
+    let source = null;
+    heads.forEach((head, index) => {
+      if (head !== null && (source === null || head > source.head)) source = { head, endpoint: this.endpoints[index] };
+    });
+    if (source && source.head > this.lastBlock) {
+      await this.readBlocks(source.endpoint, this.lastBlock + 1, Math.min(source.head, this.lastBlock + MAX_BLOCKS_PER_POLL));
+    }
+  }
+
+  /**
+   * Record txpool size, head and peer count of one endpoint
+   * @param {string} endpoint - HTTP RPC endpoint
+   * @param {number} time - Poll timestamp
+   * @returns {Promise<number|null>} Head block number, or null if the endpoint failed
+   * @private
+   */
+  async sampleEndpoint(endpoint, time) {
+    try {
+      const [status, blockNumber, peers] = await this.call(endpoint, [
+        ['txpool_status', []],
+        ['eth_blockNumber', []],
+        ['net_peerCount', []]
+      ]);
+      const failed = [status, blockNumber, peers].find(result => result instanceof Error);
+      if (failed) {
+        throw failed;
+      }
+
+      this.samples.push({
+        time,
+        endpoint,
+        blockNumber: Number(blockNumber),
+        pending: Number(status.pending),
+        queued: Number(status.queued),
+        peers: Number(peers)
+      });
+      this.failedEndpoints.delete(endpoint);
+      return Number(blockNumber);
+    } catch (error) {
+      this.samples.push({ time, endpoint, error: error.message });
+      if (!this.failedEndpoints.has(endpoint)) {
+        logger.warn(`⚠️ Chain monitor could not sample ${endpoint}: ${error.message}`);
+        this.failedEndpoints.add(endpoint);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Record gas, transactions and signer of a range of blocks
+   * @param {string} endpoint - HTTP RPC endpoint
+   * @param {number} from - First block number
+   * @param {number} to - Last block number (inclusive)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async readBlocks(endpoint, from, to) {
+    const calls = [];
+    for (let number = from; number <= to; number++) {
+      const tag = `0x${number.toString(16)}`;
+      calls.push(['eth_getBlockByNumber', [tag, false]], ['clique_getSigner', [tag]]);
+    }
+
+    let results;
+    try {
+      results = await this.call(endpoint, calls);
+    } catch (error) {
+      logger.debug(`Chain monitor could not read blocks ${from}-${to} from ${endpoint}: ${error.message}`);
+      return;
+    }
+
+    for (let index = 0; index < results.length; index += 2) {
+      const block = results[index];
+      const signer = results[index + 1];
+      // Keep the blocks in order: stop at the first one the endpoint could not return
+      if (block instanceof Error || !block) break;
+
+      this.blocks.push({
+        number: Number(block.number),
+        timestamp: Number(block.timestamp),
+        gasUsed: Number(block.gasUsed),
+        gasLimit: Number(block.gasLimit),
+        transactions: block.transactions.length,
+        signer: signer instanceof Error ? null : signer.toLowerCase(),
+        inTurn: Number(block.difficulty) === DIFF_INTURN
+      });
+      this.lastBlock = Number(block.number);
+    }
+  }
+
+  /**
+   * Stop sampling, after the poll in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.polling) {
+      await this.polling;
+    }
+    this.stoppedAt = Date.now();
+  }
+
+  /**
+   * Summarize per endpoint, per block and per signer
+   * @returns {Object} { endpoints, blocks, signers }
+   */
+  summarize() {
+    return ChainMonitor.summarizeRound({
+      endpoints: this.endpoints,
+      signers: this.signers,
+      samples: this.samples,
+      blocks: this.blocks
+    });
+  }
+
+  /**
+   * Summarize the samples and blocks of a round
+   * @param {Object} round - { endpoints, signers, samples, blocks }
+   * @returns {Object} { endpoints, blocks, signers }
+   */
+  static summarizeRound(round) {
+    // Highest head seen per poll, to measure how far each endpoint lags behind
+    const highest = new Map();
+    for (const sample of round.samples) {
+      if (sample.error === undefined) highest.set(sample.time, Math.max(highest.get(sample.time) ?? 0, sample.blockNumber));
+    }
+
+    const endpoints = round.endpoints.map(endpoint => {
+      const samples = round.samples.filter(sample => sample.endpoint === endpoint);
+      const answered = samples.filter(sample => sample.error === undefined);
+      return {
+        endpoint,
+        samples: samples.length,
+        errors: samples.length - answered.length,
+        pending: summarize(answered.map(sample => sample.pending)),
+        queued: summarize(answered.map(sample => sample.queued)),
+        peers: summarize(answered.map(sample => sample.peers)),
+        lagBlocks: summarize(answered.map(sample => highest.get(sample.time) - sample.blockNumber), 2)
+      };
+    });
+
+    const blocks = round.blocks;
+    const intervals = blocks.slice(1).map((block, index) => block.timestamp - blocks[index].timestamp);
+    const sealed = new Map(round.signers.map(signer => [signer, { sealed: 0, outOfTurn: 0 }]));
+    for (const block of blocks) {
+      if (!block.signer) continue;
+      const signer = sealed.get(block.signer) || { sealed: 0, outOfTurn: 0 };
+      signer.sealed++;
+      if (!block.inTurn) signer.outOfTurn++;
+      sealed.set(block.signer, signer);
+    }
+
+    return {
+      endpoints,
+      blocks: {
+        count: blocks.length,
+        empty: blocks.filter(block => block.transactions === 0).length,
+        fullness: summarize(blocks.map(block => (block.gasLimit > 0 ? block.gasUsed / block.gasLimit : 0)), 4),
+        transactions: summarize(blocks.map(block => block.transactions), 2),
+        blockTime: summarize(intervals, 2)
+      },
+      signers: [...sealed.entries()].map(([signer, counts]) => ({
+        signer,
+        authorized: round.signers.includes(signer),
+        ...counts
+      }))
+    };
+  }
+
+  /**
+   * Write the samples and summary of the round
+   * @returns {string|null} Written file path, or null if nothing was sampled
+   */
+  write() {
+    if (this.samples.length === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      roundLabel: this.roundLabel,
+      startedAt: this.startedAt,
+      stoppedAt: this.stoppedAt,
+      intervalMs: this.intervalMs,
+      endpoints: this.endpoints,
+      signers: this.signers,
+      summary: this.summarize(),
+      samples: this.samples,
+      blocks: this.blocks
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Log a one-line summary per endpoint and for the blocks of the round
+   * @param {string} label - Log prefix (e.g. worker label)
+   */
+  log(label) {
+    const summary = this.summarize();
+    for (const endpoint of summary.endpoints) {
+      logger.info(`⛓️ ${label} ${endpoint.endpoint}: pending mean ${endpoint.pending.mean} (max ${endpoint.pending.max}), ` +
+        `queued max ${endpoint.queued.max}, peers min ${endpoint.peers.min}, lag max ${endpoint.lagBlocks.max} blocks, ${endpoint.errors} failed samples`);
+    }
+
+    const idle = summary.signers.filter(signer => signer.authorized && signer.sealed === 0).length;
+    logger.info(`⛓️ ${label} ${summary.blocks.count} blocks: fullness mean ${(summary.blocks.fullness.mean * 100).toFixed(1)}% ` +
+      `(p95 ${(summary.blocks.fullness.p95 * 100).toFixed(1)}%), ${summary.blocks.transactions.mean} tx/block, ` +
+      `block time mean ${summary.blocks.blockTime.mean}s, ${idle} of ${this.signers.length} signers idle`);
+  }
+
+  /**
+   * Read the round files of a report directory
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} Round reports ordered by round
+   */
+  static readDirectory(directory) {
+    return fs.readdirSync(directory)
+      .filter(file => /^round-\d+\.json$/.test(file))
+      .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+      .sort((a, b) => a.roundIndex - b.roundIndex);
+  }
+
+  /**
+   * Render one time series chart as inline SVG
+   * @param {string} title - Chart title
+   * @param {Array<Object>} series - [{ name, points: [[seconds, value]] }]
+   * @param {number} duration - Round duration in seconds (x axis)
+   * @returns {string} HTML fragment
+   * @private
+   */
+  static renderChart(title, series, duration) {
+    const width = 640;
+    const height = 160;
+    const margin = 40;
+    const maxValue = Math.max(1, ...series.flatMap(line => line.points.map(point => point[1])));
+    const x = seconds => (margin + (seconds / Math.max(duration, 1)) * (width - 2 * margin)).toFixed(1);
+    const y = value => (height - margin / 2 - (value / maxValue) * (height - margin)).toFixed(1);
+
+    const lines = series.map((line, index) => {
+      const color = SERIES_COLORS[index % SERIES_COLORS.length];
+      const points = line.points.map(([seconds, value]) => `${x(seconds)},${y(value)}`).join(' ');
+      return `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"><title>${line.name}</title></polyline>`;
+    });
+    const legend = series.map((line, index) =>
+      `<span style="color: ${SERIES_COLORS[index % SERIES_COLORS.length]};">&#9632; ${line.name}</span>`).join(' ');
+
+    return [
+      `<p><b>${title}</b> (max ${maxValue}, ${duration}s) ${legend}</p>`,
+      `<svg width="${width}" height="${height}" style="border: 1px solid #ccc;">`,
+      `<line x1="${margin}" y1="${y(0)}" x2="${width - margin}" y2="${y(0)}" stroke="#999"/>`,
+      ...lines,
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Render the rounds as an HTML section in the style of the Caliper report tables, with
+   * txpool pending and block fullness time series per round
+   * @param {Array<Object>} rounds - Result of readDirectory
+   * @returns {string} HTML fragment
+   */
+  static renderHtml(rounds) {
+    const endpointRows = [];
+    const blockRows = [];
+    const signerRows = [];
+    const charts = [];
+
+    for (const round of rounds) {
+      const { summary } = round;
+      for (const endpoint of summary.endpoints) {
+        endpointRows.push(`<tr><td>${round.roundIndex}</td><td>${round.roundLabel}</td><td>${endpoint.endpoint}</td>` +
+          `<td>${endpoint.pending.mean}</td><td>${endpoint.pending.p95}</td><td>${endpoint.pending.max}</td>` +
+          `<td>${endpoint.queued.mean}</td><td>${endpoint.queued.max}</td><td>${endpoint.peers.min}</td>` +
+          `<td>${endpoint.lagBlocks.max}</td><td>${endpoint.errors}/${endpoint.samples}</td></tr>`);
+      }
+
+      const idle = summary.signers.filter(signer => signer.authorized && signer.sealed === 0).map(signer => signer.signer);
+      blockRows.push(`<tr><td>${round.roundIndex}</td><td>${round.roundLabel}</td><td>${summary.blocks.count}</td>` +
+        `<td>${summary.blocks.empty}</td><td>${(summary.blocks.fullness.mean * 100).toFixed(1)}%</td>` +
+        `<td>${(summary.blocks.fullness.p95 * 100).toFixed(1)}%</td><td>${(summary.blocks.fullness.max * 100).toFixed(1)}%</td>` +
+        `<td>${summary.blocks.transactions.mean}</td><td>${summary.blocks.transactions.max}</td>` +
+        `<td>${summary.blocks.blockTime.mean}</td><td>${summary.blocks.blockTime.max}</td></tr>`);
+      for (const signer of summary.signers) {
+        signerRows.push(`<tr><td>${round.roundIndex}</td><td>${signer.signer}</td><td>${signer.authorized ? 'yes' : 'no'}</td>` +
+          `<td>${signer.sealed}</td><td>${signer.outOfTurn}</td></tr>`);
+      }
+
+      const duration = Math.round(((round.stoppedAt || round.startedAt) - round.startedAt) / 1000);
+      const seconds = time => Number(((time - round.startedAt) / 1000).toFixed(1));
+      const pending = round.endpoints.map(endpoint => ({
+        name: endpoint,
+        points: round.samples.filter(sample => sample.endpoint === endpoint && sample.error === undefined)
+          .map(sample => [seconds(sample.time), sample.pending])
+      }));
+      const fullness = [{
+        name: 'gasUsed / gasLimit (%)',
+        points: round.blocks.map(block => [
+          Math.max(0, seconds(block.timestamp * 1000)),
+          Number(((block.gasUsed / block.gasLimit) * 100).toFixed(1))
+        ])
+      }];
+
+      charts.push(`<h4>Round ${round.roundIndex}: ${round.roundLabel}${idle.length > 0 ? ` (idle signers: ${idle.join(', ')})` : ''}</h4>`,
+        ChainMonitor.renderChart('txpool pending per endpoint', pending, duration),
+        ChainMonitor.renderChart('Block fullness', fullness, duration));
+    }
+
+    return [
+      '<div id="ssi-chain-monitor">',
+      '<h3>SSI chain monitor</h3>',
+      '<p>Sampled by worker 0 over the HTTP RPC of each node from round initialization to cleanup; lag counts blocks behind the highest head of the same poll.</p>',
+      '<table style="min-width: 100%;">',
+      '<tr><th>Round</th><th>Label</th><th>Endpoint</th><th>Pending mean</th><th>Pending p95</th><th>Pending max</th>' +
+        '<th>Queued mean</th><th>Queued max</th><th>Peers min</th><th>Lag max (blocks)</th><th>Failed samples</th></tr>',
+      ...endpointRows,
+      '</table>',
+      '<table style="min-width: 100%;">',
+      '<tr><th>Round</th><th>Label</th><th>Blocks</th><th>Empty</th><th>Fullness mean</th><th>Fullness p95</th><th>Fullness max</th>' +
+        '<th>Tx/block mean</th><th>Tx/block max</th><th>Block time mean (s)</th><th>Block time max (s)</th></tr>',
+      ...blockRows,
+      '</table>',
+      '<table style="min-width: 100%;">',
+      '<tr><th>Round</th><th>Signer</th><th>Authorized</th><th>Sealed</th><th>Out of turn</th></tr>',
+      ...signerRows,
+      '</table>',
+      ...charts,
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Add the rounds to a Caliper HTML report, replacing a section added before
+   * @param {string} reportPath - Caliper report.html
+   * @param {Array<Object>} rounds - Result of readDirectory
+   */
+  static injectIntoHtmlReport(reportPath, rounds) {
+    let html = fs.readFileSync(reportPath, 'utf8');
+    html = html.replace(/<div id="ssi-chain-monitor">[\s\S]*?<\/div>\n?/, '');
+
+    const section = `${ChainMonitor.renderHtml(rounds)}\n`;
+    html = html.includes('</body>') ? html.replace('</body>', `${section}</body>`) : html + section;
+
+    fs.writeFileSync(reportPath, html);
+  }
+}
+
+// Print the tables after a run and optionally add them to the Caliper report:
+// node workloads/utils/ssi-chain-monitor.js [directory] [--html report.html] [--series]
+//   --series   print the per-poll samples (time series) instead of the summary
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const htmlIndex = args.indexOf('--html');
+  const reportPath = htmlIndex >= 0 ? args.splice(htmlIndex, 2)[1] : null;
+  const seriesIndex = args.indexOf('--series');
+  const series = seriesIndex >= 0 && args.splice(seriesIndex, 1).length > 0;
+  const directory = path.resolve(args[0] || ChainMonitor.getDefaultDirectory());
+
+  const rounds = fs.existsSync(directory) ? ChainMonitor.readDirectory(directory) : [];
+
+  if (series) {
+    console.log('round\tseconds\tendpoint\tblockNumber\tpending\tqueued\tpeers');
+    for (const round of rounds) {
+      for (const sample of round.samples.filter(sample => sample.error === undefined)) {
+        console.log([round.roundIndex, ((sample.time - round.startedAt) / 1000).toFixed(1), sample.endpoint,
+          sample.blockNumber, sample.pending, sample.queued, sample.peers].join('\t'));
+      }
+    }
+  } else {
+    console.log('round\tlabel\tendpoint\tpendingMean\tpendingMax\tqueuedMax\tpeersMin\tlagMax\tblocks\tfullnessMean\tfullnessP95\ttxPerBlockMean\tidleSigners');
+    for (const round of rounds) {
+      const { summary } = round;
+      const idle = summary.signers.filter(signer => signer.authorized && signer.sealed === 0).length;
+      for (const endpoint of summary.endpoints) {
+        console.log([
+          round.roundIndex,
+          round.roundLabel,
+          endpoint.endpoint,
+          endpoint.pending.mean,
+          endpoint.pending.max,
+          endpoint.queued.max,
+          endpoint.peers.min,
+          endpoint.lagBlocks.max,
+          summary.blocks.count,
+          summary.blocks.fullness.mean,
+          summary.blocks.fullness.p95,
+          summary.blocks.transactions.mean,
+          idle
+        ].join('\t'));
+      }
+    }
+  }
+
+  if (reportPath) {
+    ChainMonitor.injectIntoHtmlReport(reportPath, rounds);
+    console.log(`⛓️ Chain monitor added to ${reportPath}`);
+  }
+}
+
+module.exports = ChainMonitor;
\ No newline at end of file
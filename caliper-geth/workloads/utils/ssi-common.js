@@ -0,0 +1,91 @@
+'use strict';
+
+const path = require('path');
+
+// HTTP RPC of the node under test, as named for run-benchmarks-automated.sh
+const NODE_HTTP_ENDPOINT_ENV = 'NODE_HTTP_ENDPOINT';
+
+// geth serves JSON-RPC over HTTP and websocket on neighbouring default ports
+const GETH_WS_PORT = '8546';
+const GETH_HTTP_PORT = '8545';
+
+/**
+ * Resolve a path under the Caliper workspace
+ * Outside of a Caliper run (report CLIs, scripts, tests) the working directory is used instead
+ * @param {...string} segments - Path segments relative to the workspace
+ * @returns {string} Absolute path
+ */
+function resolveWorkspacePath(...segments) {
+  let workspace;
+  try {
+    const { ConfigUtil } = require('@hyperledger/caliper-core');
+    workspace = ConfigUtil.get(ConfigUtil.keys.Workspace);
+  } catch (error) {
+    // Fall back to the working directory below
+  }
+
+  return path.resolve(workspace || process.cwd(), ...segments);
+}
+
+/**
+ * Get the HTTP RPC endpoint of the node under test
+ * NODE_HTTP_ENDPOINT if set, otherwise the url of the Caliper network configuration, with a
+ * websocket url turned into the node's HTTP endpoint
+ * @returns {string|null} Endpoint URL, or null if neither is available
+ */
+function getNodeHttpEndpoint() {
+  if (process.env[NODE_HTTP_ENDPOINT_ENV]) {
+    return process.env[NODE_HTTP_ENDPOINT_ENV];
+  }
+
+  let networkUrl;
+  try {
+    // Same lookup as the Ethereum connector
+    const { CaliperUtils, ConfigUtil } = require('@hyperledger/caliper-core');
+    networkUrl = require(CaliperUtils.resolvePath(ConfigUtil.get(ConfigUtil.keys.NetworkConfig))).ethereum?.url;
+  } catch (error) {
+    return null;
+  }
+  if (!networkUrl) return null;
+
+  const endpoint = new URL(networkUrl);
+  if (endpoint.protocol === 'ws:' || endpoint.protocol === 'wss:') {
+    endpoint.protocol = endpoint.protocol === 'ws:' ? 'http:' : 'https:';
+    if (endpoint.port === GETH_WS_PORT) {
+      endpoint.port = GETH_HTTP_PORT;
+    }
+  }
+  return endpoint.toString().replace(/\/$/, '');
+}
+
+/**
+ * Summarize a list of numbers
+ * Percentiles use the nearest-rank method
+ * @param {Array<number>} values - Samples
+ * @param {number} decimals - Decimals kept for the mean
+ * @returns {Object} { count, mean, p50, p95, min, max }
+ */
+function summarize(values, decimals = 0) {
+  if (values.length === 0) {
+    return { count: 0, mean: 0, p50: 0, p95: 0, min: 0, max: 0 };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+  return {
+    count: sorted.length,
+    mean: Number(mean.toFixed(decimals)),
+    p50: percentile(50),
+    p95: percentile(95),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+module.exports = {
+  resolveWorkspacePath,
+  getNodeHttpEndpoint,
+  summarize
+};
\ No newline at end of file
@@ -0,0 +1,372 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { resolveWorkspacePath } = require('./ssi-common');
+
+// Multicodec codes used in CIDv1 prefixes
+const CID_CODECS = {
+  RAW: 0x55,
+  DAG_PB: 0x70
+};
+
+// Multihash sha2-256 code and digest length
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+
+// Formats for docCid/credentialCid values anchored on-chain
+const CID_FORMATS = {
+  CIDV1_BASE32: 'cidv1-base32',
+  CIDV0_BASE58: 'cidv0-base58',
+  URI: 'uri'
+};
+
+// URI scheme used for URI-style references (ipfs://<cidv1>[/<path>])
+const URI_PREFIX = 'ipfs://';
+
+// Default content store location, relative to the Caliper workspace
+const DEFAULT_CONTENT_DIR = '.ssi-content';
+
+/**
+ * Simple canonicalization for JSON objects (sorted keys, no whitespace)
+ * Same rules as simpleCanonicalizeJSON in the smart-contracts scripts
+ * @param {*} obj - The object to canonicalize
+ * @returns {string} The canonicalized JSON string
+ */
+function canonicalizeJSON(obj) {
+  // For arrays, recursively canonicalize each element and join
+  if (Array.isArray(obj)) {
+    return '[' + obj.map(canonicalizeJSON).join(',') + ']';
+  }
+
+  // For objects, sort keys and recursively canonicalize values
+  if (obj && typeof obj === 'object') {
+    return '{' + Object.keys(obj).sort().map(key => {
+      return JSON.stringify(key) + ':' + canonicalizeJSON(obj[key]);
+    }).join(',') + '}';
+  }
+
+  // For primitives, use standard JSON serialization
+  return JSON.stringify(obj);
+}
+
+/**
+ * Base32 encode (lowercase, no padding) per RFC4648 alphabet
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function base32Encode(buffer) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  const chars = [];
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      chars.push(alphabet[(value >>> (bits - 5)) & 31]);
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    chars.push(alphabet[(value << (5 - bits)) & 31]);
+  }
+  return chars.join('');
+}
+
+/**
+ * Encode a CIDv1 with a sha2-256 multihash as base32 (multibase prefix 'b')
+ * @param {number} codec - Multicodec of the content (CID_CODECS)
+ * @param {Buffer} digest - 32-byte sha2-256 digest
+ * @returns {string} CIDv1 string (59 characters)
+ */
+function encodeCidV1(codec, digest) {
+  const prefix = Buffer.from([0x01, codec, SHA2_256, SHA2_256_LENGTH]);
+  return `b${base32Encode(Buffer.concat([prefix, digest]))}`;
+}
+
+/**
+ * Encode a CIDv0 (bare sha2-256 multihash of a dag-pb node) as base58btc
+ * @param {Buffer} digest - 32-byte sha2-256 digest
+ * @returns {string} CIDv0 string (46 characters, starting with "Qm")
+ */
+function encodeCidV0(digest) {
+  return ethers.encodeBase58(Buffer.concat([Buffer.from([SHA2_256, SHA2_256_LENGTH]), digest]));
+}
+
+/**
+ * Encode an unsigned protobuf varint
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Varint bytes
+ * @private
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Wrap content in a single dag-pb UnixFS file node, as `ipfs add --cid-version 0` does for content up to one chunk (256 KiB)
+ * @param {Buffer} bytes - File content
+ * @returns {Buffer} Serialized PBNode
+ * @private
+ */
+function encodeUnixFsLeaf(bytes) {
+  // UnixFS Data { Type = File (2), Data = bytes, filesize = length }
+  const unixFs = Buffer.concat([
+    Buffer.from([0x08, 0x02]),
+    Buffer.from([0x12]), encodeVarint(bytes.length), bytes,
+    Buffer.from([0x18]), encodeVarint(bytes.length)
+  ]);
+  // PBNode { Data = unixFs }, no links
+  return Buffer.concat([Buffer.from([0x0a]), encodeVarint(unixFs.length), unixFs]);
+}
+
+/**
+ * Compute the CID of content bytes
+ * CIDv1 uses the raw codec, matching `ipfs add --cid-version 1 --raw-leaves` for single-block content;
+ * CIDv0 hashes the dag-pb UnixFS node, matching `ipfs add --cid-version 0` for content up to one chunk
+ * @param {Buffer|string} content - Content bytes (strings are UTF-8 encoded)
+ * @param {string} format - CID_FORMATS.CIDV1_BASE32 (default) or CID_FORMATS.CIDV0_BASE58
+ * @returns {string} CID string
+ */
+function computeContentCid(content, format = CID_FORMATS.CIDV1_BASE32) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+
+  if (format === CID_FORMATS.CIDV0_BASE58) {
+    return encodeCidV0(crypto.createHash('sha256').update(encodeUnixFsLeaf(bytes)).digest());
+  }
+
+  return encodeCidV1(CID_CODECS.RAW, crypto.createHash('sha256').update(bytes).digest());
+}
+
+/**
+ * Build a URI-style reference to a CID, padded with a path up to a target length
+ * The path is derived from the CID, so the same CID always yields the same reference
+ * @param {string} cid - CID string
+ * @param {number} length - Target reference length in characters (no padding if unset or too short)
+ * @returns {string} Reference such as ipfs://<cid>/<path>
+ */
+function toUriReference(cid, length) {
+  const base = `${URI_PREFIX}${cid}`;
+  const pathLength = (length || 0) - base.length - 1;
+  if (pathLength <= 0) return base;
+
+  const digestHex = crypto.createHash('sha256').update(cid).digest('hex');
+  return `${base}/${digestHex.repeat(Math.ceil(pathLength / digestHex.length)).slice(0, pathLength)}`;
+}
+
+/**
+ * Hash a canonicalized document with keccak256, as anchored on-chain
+ * @param {string} canonical - Canonicalized JSON
+ * @returns {string} bytes32 hash
+ */
+function hashCanonical(canonical) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonical));
+}
+
+/**
+ * Build a W3C DID Core v1.0 document, following createDidDocument in geth-create-dids.js
+ * @param {string} address - Identity address
+ * @param {Object} options - Document options
+ * @param {string} options.serviceEndpoint - Service endpoint URL (varied per document version)
+ * @param {number} options.minSize - Minimum canonical size in bytes, reached by adding service entries
+ * @returns {Object} DID document
+ */
+function createDidDocument(address, { serviceEndpoint, minSize } = {}) {
+  const didId = `did:ethr:${address}`;
+
+  const didDocument = {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/ed25519-2020/v1'
+    ],
+    'id': didId,
+    'verificationMethod': [
+      {
+        'id': `${didId}#keys-1`,
+        'type': 'Ed25519VerificationKey2020',
+        'controller': didId,
+        'publicKeyMultibase': 'z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH'
+      }
+    ],
+    'authentication': [
+      `${didId}#keys-1`
+    ],
+    'service': [
+      {
+        'id': `${didId}#endpoint-1`,
+        'type': 'DIDCommMessaging',
+        'serviceEndpoint': serviceEndpoint || 'https://example.com/endpoint/8377464'
+      }
+    ]
+  };
+
+  // Grow the document with further service entries (each adds its canonical length plus a comma)
+  let size = canonicalizeJSON(didDocument).length;
+  while (size < (minSize || 0)) {
+    const index = didDocument.service.length + 1;
+    const service = {
+      'id': `${didId}#endpoint-${index}`,
+      'type': 'LinkedDomains',
+      'serviceEndpoint': `https://example.com/linked/${index}`
+    };
+    didDocument.service.push(service);
+    size += canonicalizeJSON(service).length + 1;
+  }
+
+  return didDocument;
+}
+
+/**
+ * Build a W3C VC Data Model v2.0 credential, following generateVCPayload in geth-issue-creds.js
+ * @param {string} issuerAddress - Issuer address
+ * @param {string} holderAddress - Holder address
+ * @param {Object} options - Credential options
+ * @param {string} options.id - Credential id (urn:uuid:...)
+ * @param {string} options.issuanceDate - ISO timestamp
+ * @returns {Object} Verifiable credential
+ */
+function generateVCPayload(issuerAddress, holderAddress, { id, issuanceDate }) {
+  return {
+    '@context': [
+      'https://www.w3.org/ns/credentials/v2',
+      'https://www.w3.org/ns/credentials/examples/v2'
+    ],
+    'id': id,
+    'type': ['VerifiableCredential', 'IdentityCredential'],
+    'issuer': {
+      'id': `did:ethr:${issuerAddress}`,
+      'name': 'Example Issuer Organization'
+    },
+    'validFrom': issuanceDate,
+    'credentialSubject': {
+      'id': `did:ethr:${holderAddress}`,
+      'type': 'Person',
+      'name': 'Example Subject',
+      'attributes': {
+        'firstName': 'John',
+        'lastName': 'Doe',
+        'dateOfBirth': '1990-01-01',
+        'nationality': 'US'
+      }
+    },
+    // Static data for consistent size
+    'evidence': {
+      'type': 'DocumentVerification',
+      'verificationMethod': 'Automated',
+      'verificationDate': issuanceDate,
+      'staticData': 'X'.repeat(500)
+    }
+  };
+}
+
+/**
+ * Local content-addressed store for documents anchored during a benchmark
+ * Files are named by CID and hold the exact canonical bytes, so every entry can be re-verified
+ */
+class ContentStore {
+  /**
+   * Initializes the content store
+   * @param {string} directory - Store directory (defaults to the Caliper workspace)
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory || ContentStore.getDefaultDirectory());
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Get the default store directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_CONTENT_DIR);
+  }
+
+  /**
+   * Store canonical content and return its CID
+   * @param {string} canonical - Canonicalized JSON
+   * @returns {string} CIDv1 of the content
+   */
+  put(canonical) {
+    const cid = computeContentCid(canonical);
+
+    try {
+      fs.writeFileSync(path.join(this.directory, `${cid}.json`), canonical, { flag: 'wx' });
+    } catch (error) {
+      // Identical content is already stored under the same CID
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    return cid;
+  }
+
+  /**
+   * Verify that a stored entry still matches its CID
+   * @param {string} cid - CIDv1 of the content
+   * @returns {Object} { cid, valid, keccak } (keccak is the docHash/credentialId to compare on-chain)
+   */
+  verify(cid) {
+    const canonical = fs.readFileSync(path.join(this.directory, `${cid}.json`), 'utf8');
+
+    return {
+      cid,
+      valid: computeContentCid(canonical) === cid && canonicalizeJSON(JSON.parse(canonical)) === canonical,
+      keccak: hashCanonical(canonical)
+    };
+  }
+
+  /**
+   * Verify every entry of the store
+   * @returns {Object} { total, valid, invalid: Array<string> }
+   */
+  verifyAll() {
+    const summary = { total: 0, valid: 0, invalid: [] };
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      const cid = file.slice(0, -'.json'.length);
+      summary.total++;
+
+      if (this.verify(cid).valid) {
+        summary.valid++;
+      } else {
+        summary.invalid.push(cid);
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Verify a content store after a run: node workloads/utils/ssi-content.js [directory]
+if (require.main === module) {
+  const store = new ContentStore(process.argv[2]);
+  const summary = store.verifyAll();
+  console.log(`🔍 ${summary.valid}/${summary.total} documents in ${store.directory} match their CIDs`);
+  summary.invalid.forEach(cid => console.log(`❌ ${cid}`));
+  process.exitCode = summary.invalid.length > 0 ? 1 : 0;
+}
+
+module.exports = {
+  CID_CODECS,
+  CID_FORMATS,
+  canonicalizeJSON,
+  base32Encode,
+  encodeCidV1,
+  encodeCidV0,
+  computeContentCid,
+  toUriReference,
+  hashCanonical,
+  createDidDocument,
+  generateVCPayload,
+  ContentStore
+};
\ No newline at end of file
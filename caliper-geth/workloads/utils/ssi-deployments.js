@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { resolveWorkspacePath } = require('./ssi-common');
+
+// Default manifest directory, relative to the Caliper workspace (deployments/ at the repository root)
+const DEFAULT_DEPLOYMENTS_DIR = path.join('..', 'deployments');
+
+/**
+ * Deployment manifest written by smart-contracts/scripts/deploy.js and deploy-optimized.js
+ * One file per chain (deployments/<chainId>.json) with the address, deploy transaction, block,
+ * constructor arguments and ABI hash of each contract of the latest deployment
+ */
+class DeploymentManifest {
+  /**
+   * Initializes the manifest
+   * @param {string} filePath - Manifest path
+   * @param {Object} data - Parsed manifest
+   */
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.chainId = data.chainId;
+    this.updatedAt = data.updatedAt;
+    this.contracts = data.contracts || {};
+  }
+
+  /**
+   * Get the default manifest directory: DEPLOYMENTS_DIR, or deployments/ next to the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    if (process.env.DEPLOYMENTS_DIR) {
+      return path.resolve(process.env.DEPLOYMENTS_DIR);
+    }
+
+    return resolveWorkspacePath(DEFAULT_DEPLOYMENTS_DIR);
+  }
+
+  /**
+   * Load the manifest of a chain
+   * @param {number} chainId - Chain ID
+   * @param {string} directory - Manifest directory (defaults to getDefaultDirectory)
+   * @returns {DeploymentManifest|null} Manifest, or null if the chain has none
+   */
+  static load(chainId, directory) {
+    const filePath = path.join(path.resolve(directory || DeploymentManifest.getDefaultDirectory()), `${chainId}.json`);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.chainId !== undefined && Number(data.chainId) !== Number(chainId)) {
+      throw new Error(`Deployment manifest ${filePath} is for chain ${data.chainId}, not ${chainId}`);
+    }
+    return new DeploymentManifest(filePath, data);
+  }
+
+  /**
+   * Hash of a contract ABI, as recorded by the deploy scripts
+   * @param {Array} abi - Contract ABI
+   * @returns {string} keccak256 of the ABI JSON
+   */
+  static getAbiHash(abi) {
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+  }
+
+  /**
+   * Get the deployed address of a contract
+   * @param {string} contractName - Contract name
+   * @returns {string|null} Address, or null if the manifest has no such contract
+   */
+  getAddress(contractName) {
+    return this.contracts[contractName]?.address || null;
+  }
+
+  /**
+   * Check whether an ABI matches the deployed contract
+   * @param {string} contractName - Contract name
+   * @param {Array} abi - ABI in use (e.g. benchmarks/contracts/<name>.json)
+   * @returns {boolean} False if the manifest records a different ABI hash
+   */
+  matchesAbi(contractName, abi) {
+    const recorded = this.contracts[contractName]?.abiHash;
+    return !recorded || !Array.isArray(abi) || recorded === DeploymentManifest.getAbiHash(abi);
+  }
+}
+
+module.exports = DeploymentManifest;
\ No newline at end of file
@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./ssi-logger').getLogger('ssi-errors');
+
+// Contract artifacts used by the benchmark
+const DEFAULT_CONTRACTS_DIR = path.resolve(__dirname, '../../benchmarks/contracts');
+
+// Custom errors declared in smart-contracts/contracts/{auth/AuthErrors,did/DidErrors,vc/CredentialErrors}.sol
+// Compiled ABIs only list the errors a contract can raise, so the full set is kept here as well
+const DECLARED_ERRORS = [
+  // AuthErrors.sol
+  'error Unauthorized(address sender)',
+  'error InvalidRole(uint8 role)',
+  'error RoleNotFound(uint8 role)',
+  'error RoleAlreadyAssigned(address account, uint8 role)',
+
+  // DidErrors.sol
+  'error DidNotFound(address identity)',
+  'error DidAlreadyExist(address identity)',
+  'error DidHasBeenDeactivated(address identity, string operationName)',
+  'error InvalidDidDocument(string reason)',
+  'error DidHashMismatch(bytes32 providedHash, bytes32 storedHash, string reason)',
+  'error NotIdentityOwner(address actor, address identity)',
+  'error IdenticalDidAddress(bytes32 issuerDid, bytes32 holderDid, string reason)',
+
+  // CredentialErrors.sol
+  'error CredentialAlreadyExists(bytes32 credentialHash)',
+  'error CredentialNotFound(bytes32 credentialHash)',
+  'error CredentialExpired(bytes32 credentialHash, uint64 expirationDate, uint64 currentTime)',
+  'error CredentialIsRevoked(bytes32 credentialHash, uint64 revokedAt, string reason)',
+  'error CredentialIsSuspended(bytes32 credentialHash, uint64 suspendedAt, string reason)',
+  'error InvalidStatusTransition(bytes32 credentialHash, uint8 currentStatus, uint8 attemptedStatus, string reason)',
+  'error IdentityNotFound(address identity)',
+  'error IdentityHasBeenDeactivated(address identity, string reason)',
+  'error InvalidIdentity(address identity, string reason)',
+  'error InvalidIssuanceDate(bytes32 credentialHash, uint64 issuanceDate, uint64 currentTime)',
+  'error InvalidExpirationDate(bytes32 credentialHash, uint64 issuanceDate, uint64 expirationDate)',
+  'error NotCredentialOwner(bytes32 credentialHash, address caller, address owner)',
+  'error NotCredentialIssuer(address caller, address expectedIssuer)',
+  'error IdenticalCallerAddress(address issuer, address holder, string reason)'
+];
+
+// Failure names for failures without a decodable custom error
+const FAILURE_NAMES = {
+  // Replay reverted without data (e.g. require without message)
+  NO_REVERT_DATA: 'NoRevertData',
+  // Replay ran out of the configured gas limit
+  OUT_OF_GAS: 'OutOfGas',
+  // Replay succeeded: nonce/transport failure, or the state changed since the transaction
+  NOT_REPRODUCED: 'NotReproduced'
+};
+
+/**
+ * Convert decoded ABI values into JSON-friendly values
+ * @param {*} value - Decoded value
+ * @returns {*} Value with BigInts as strings
+ * @private
+ */
+function toPlainValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  return value;
+}
+
+/**
+ * Find revert data in an error thrown by web3 or a JSON-RPC provider
+ * Nodes return it as error.data, either a hex string or nested one level deeper
+ * @param {Error|Object} error - Error or JSON-RPC error object
+ * @returns {string|null} 0x-prefixed revert data
+ */
+function extractRevertData(error) {
+  const candidates = [error?.data, error?.data?.data, error?.error?.data, error?.error?.data?.data, error?.innerError?.data];
+  return candidates.find(data => typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data)) || null;
+}
+
+/**
+ * Decoder for revert data of the SSI contracts
+ * Knows every custom error of the benchmark ABIs and the *Errors.sol files, plus Error(string) and Panic(uint256)
+ */
+class SSIErrorDecoder {
+  /**
+   * Initializes the decoder
+   * @param {Array<Array<Object>>} abis - Contract ABIs whose error fragments are added
+   */
+  constructor(abis = []) {
+    const fragments = new Map();
+
+    const addFragment = fragment => {
+      const errorFragment = ethers.ErrorFragment.from(fragment);
+      const signature = errorFragment.format('sighash');
+      if (!fragments.has(signature)) {
+        fragments.set(signature, errorFragment);
+      }
+    };
+
+    abis.forEach(abi => abi.filter(entry => entry.type === 'error').forEach(addFragment));
+    DECLARED_ERRORS.forEach(addFragment);
+
+    this.interface = new ethers.Interface([...fragments.values()]);
+  }
+
+  /**
+   * Build a decoder from the contract artifacts of a directory
+   * @param {string} directory - Directory with Hardhat artifacts (defaults to benchmarks/contracts)
+   * @returns {SSIErrorDecoder} Decoder
+   */
+  static fromContractsDirectory(directory = DEFAULT_CONTRACTS_DIR) {
+    const abis = [];
+
+    try {
+      for (const file of fs.readdirSync(directory)) {
+        if (!file.endsWith('.json')) continue;
+        const artifact = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        if (Array.isArray(artifact.abi)) abis.push(artifact.abi);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not load contract ABIs from ${directory}: ${error.message}; using declared errors only`);
+    }
+
+    return new SSIErrorDecoder(abis);
+  }
+
+  /**
+   * Decode revert data
+   * @param {string} data - 0x-prefixed revert data
+   * @returns {Object|null} { name, signature, selector, args } or null if the selector is unknown
+   */
+  decode(data) {
+    if (typeof data !== 'string' || data.length < 10) return null;
+
+    let description;
+    try {
+      description = this.interface.parseError(data);
+    } catch (error) {
+      // Known selector with malformed arguments
+      return null;
+    }
+    if (!description) return null;
+
+    // Named arguments for custom errors, positional ones for Error(string) / Panic(uint256)
+    const args = {};
+    const inputs = description.fragment?.inputs || [];
+    [...description.args].forEach((value, index) => {
+      args[inputs[index]?.name || String(index)] = toPlainValue(value);
+    });
+
+    return {
+      name: description.name,
+      signature: description.signature,
+      selector: description.selector,
+      args
+    };
+  }
+}
+
+module.exports = {
+  SSIErrorDecoder,
+  extractRevertData,
+  FAILURE_NAMES,
+  DECLARED_ERRORS
+};
\ No newline at end of file
@@ -0,0 +1,227 @@
+'use strict';
+
+const logger = require('./ssi-logger').getLogger('ssi-fees');
+
+// Fee strategies selectable with the feeStrategy round argument
+const FEE_STRATEGIES = {
+  // Type 0 transactions with a fixed gasPrice
+  LEGACY: 'legacy',
+  // Type 2 transactions with fixed maxFeePerGas / maxPriorityFeePerGas
+  EIP1559: 'eip1559',
+  // Type 2 transactions with the tip and fee cap derived from eth_feeHistory
+  FEE_HISTORY: 'fee-history'
+};
+
+const TX_TYPES = {
+  LEGACY: 0,
+  EIP1559: 2
+};
+
+const GWEI = 1000000000;
+
+const DEFAULTS = {
+  gasPrice: 2 * GWEI,
+  maxFeePerGas: 2 * GWEI,
+  maxPriorityFeePerGas: 1 * GWEI,
+  feeHistoryBlocks: 10,
+  feeHistoryPercentile: 50,
+  // The cap covers the base fee doubling (six full blocks at +12.5% each) before the transaction is included
+  baseFeeMultiplier: 2,
+  // One Clique period: the base fee changes once per block
+  feeRefreshMs: 3000
+};
+
+/**
+ * Format a wei amount in gwei for logs
+ * @param {number} wei - Amount in wei
+ * @returns {string} e.g. "1.5 gwei"
+ * @private
+ */
+function formatGwei(wei) {
+  return `${Number((wei / GWEI).toFixed(4))} gwei`;
+}
+
+/**
+ * Transaction type and fee fields for the transactions of a worker
+ * eip1559 and fee-history need London active on the network (baseFeePerGas in block headers)
+ */
+class FeeStrategy {
+  /**
+   * Initializes the fee strategy
+   * @param {Function} sendRpc - async (method, params) => result, raw JSON-RPC call
+   * @param {Object} options - Strategy options (round arguments)
+   * @param {string} options.strategy - One of FEE_STRATEGIES (default legacy)
+   * @param {number} options.gasPrice - legacy: gas price in wei
+   * @param {number} options.maxFeePerGas - eip1559: fee cap in wei; fee-history: upper bound of the cap
+   * @param {number} options.maxPriorityFeePerGas - eip1559: tip in wei; fee-history: lower bound of the tip
+   * @param {number} options.feeHistoryBlocks - fee-history: blocks sampled
+   * @param {number} options.feeHistoryPercentile - fee-history: reward percentile used as tip
+   * @param {number} options.baseFeeMultiplier - fee-history: fee cap = next base fee x multiplier + tip
+   * @param {number} options.feeRefreshMs - fee-history: reuse fees for this long
+   */
+  constructor(sendRpc, options = {}) {
+    this.sendRpc = sendRpc;
+    this.strategy = options.strategy || FEE_STRATEGIES.LEGACY;
+
+    if (!Object.values(FEE_STRATEGIES).includes(this.strategy)) {
+      throw new Error(`SSI workload error: unsupported feeStrategy "${this.strategy}"; expected one of ${Object.values(FEE_STRATEGIES).join(', ')}`);
+    }
+
+    this.gasPrice = Number(options.gasPrice || DEFAULTS.gasPrice);
+    this.maxFeePerGas = options.maxFeePerGas ? Number(options.maxFeePerGas) : null;
+    this.maxPriorityFeePerGas = Number(options.maxPriorityFeePerGas ?? DEFAULTS.maxPriorityFeePerGas);
+    this.feeHistoryBlocks = options.feeHistoryBlocks || DEFAULTS.feeHistoryBlocks;
+    this.feeHistoryPercentile = options.feeHistoryPercentile ?? DEFAULTS.feeHistoryPercentile;
+    this.baseFeeMultiplier = options.baseFeeMultiplier || DEFAULTS.baseFeeMultiplier;
+    this.feeRefreshMs = options.feeRefreshMs ?? DEFAULTS.feeRefreshMs;
+
+    if (this.strategy === FEE_STRATEGIES.EIP1559 && this.maxFeePerGas === null) {
+      this.maxFeePerGas = DEFAULTS.maxFeePerGas;
+    }
+    if (this.maxFeePerGas !== null && this.maxFeePerGas < this.maxPriorityFeePerGas) {
+      throw new Error(`SSI workload error: maxFeePerGas (${this.maxFeePerGas}) is below maxPriorityFeePerGas (${this.maxPriorityFeePerGas})`);
+    }
+
+    // fee-history: { fees, fetchedAt } of the last refresh; concurrent refreshes share one request
+    this.cached = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Whether transactions are sent as EIP-1559 (type 2) transactions
+   * @returns {boolean} True for eip1559 and fee-history
+   */
+  isTyped() {
+    return this.strategy !== FEE_STRATEGIES.LEGACY;
+  }
+
+  /**
+   * Check that the network supports the strategy
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.isTyped()) return;
+
+    const block = await this.sendRpc('eth_getBlockByNumber', ['latest', false]);
+    if (!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+      throw new Error(`SSI workload error: feeStrategy "${this.strategy}" needs EIP-1559 (London) on the network; ` +
+        'set londonBlock in the genesis config or use feeStrategy "legacy"');
+    }
+
+    if (this.strategy === FEE_STRATEGIES.FEE_HISTORY) {
+      await this.getFees();
+    }
+  }
+
+  /**
+   * Get the fee fields for the next transaction
+   * @returns {Promise<Object>} { type: 0, gasPrice } or { type: 2, maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async getFees() {
+    if (this.strategy !== FEE_STRATEGIES.FEE_HISTORY) {
+      return this._getFixedFees();
+    }
+
+    if (this.cached && Date.now() - this.cached.fetchedAt < this.feeRefreshMs) {
+      return this.cached.fees;
+    }
+
+    if (!this.refreshing) {
+      this.refreshing = this._readFeeHistory().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Get the configured fee fields of the legacy and eip1559 strategies
+   * @returns {Object} { type: 0, gasPrice } or { type: 2, maxFeePerGas, maxPriorityFeePerGas }
+   * @private
+   */
+  _getFixedFees() {
+    if (this.strategy === FEE_STRATEGIES.LEGACY) {
+      return { type: TX_TYPES.LEGACY, gasPrice: this.gasPrice };
+    }
+
+    return {
+      type: TX_TYPES.EIP1559,
+      maxFeePerGas: this.maxFeePerGas,
+      maxPriorityFeePerGas: this.maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Derive the tip and fee cap from eth_feeHistory
+   * Tip: mean of the percentile rewards of the sampled blocks, at least maxPriorityFeePerGas;
+   * fee cap: next block's base fee x baseFeeMultiplier + tip, at most maxFeePerGas if configured
+   * @returns {Promise<Object>} { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas }
+   * @private
+   */
+  async _readFeeHistory() {
+    let history;
+    try {
+      history = await this.sendRpc('eth_feeHistory', [`0x${this.feeHistoryBlocks.toString(16)}`, 'latest', [this.feeHistoryPercentile]]);
+    } catch (error) {
+      if (this.cached) {
+        logger.warn(`⚠️ eth_feeHistory failed, reusing previous fees: ${error.message}`);
+        return this.cached.fees;
+      }
+      throw error;
+    }
+
+    // baseFeePerGas has one entry more than the sampled blocks: the base fee of the next block
+    const baseFees = history?.baseFeePerGas || [];
+    const nextBaseFee = Number(baseFees[baseFees.length - 1] || 0);
+
+    const rewards = (history?.reward || []).map(blockRewards => Number(blockRewards[0] || 0));
+    const meanReward = rewards.length > 0 ? Math.round(rewards.reduce((sum, reward) => sum + reward, 0) / rewards.length) : 0;
+    const maxPriorityFeePerGas = Math.max(meanReward, this.maxPriorityFeePerGas);
+
+    let maxFeePerGas = Math.ceil(nextBaseFee * this.baseFeeMultiplier) + maxPriorityFeePerGas;
+    if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) {
+      maxFeePerGas = this.maxFeePerGas;
+    }
+
+    const fees = {
+      type: TX_TYPES.EIP1559,
+      maxFeePerGas,
+      maxPriorityFeePerGas: Math.min(maxPriorityFeePerGas, maxFeePerGas),
+      baseFeePerGas: nextBaseFee
+    };
+
+    this.cached = { fees, fetchedAt: Date.now() };
+
+    logger.debug(`💸 Fee history: next base fee ${formatGwei(nextBaseFee)}, ${this.feeHistoryPercentile}th percentile tip ` +
+      `${formatGwei(meanReward)} -> ${this.describe(fees)}`);
+
+    return fees;
+  }
+
+  /**
+   * Describe fee fields for logs
+   * @param {Object} fees - Result of getFees (defaults to the configured strategy)
+   * @returns {string} e.g. "type 2, maxFeePerGas 2 gwei, maxPriorityFeePerGas 1 gwei"
+   */
+  describe(fees = null) {
+    if (!fees) {
+      if (this.strategy === FEE_STRATEGIES.FEE_HISTORY) {
+        return `type 2 from eth_feeHistory (${this.feeHistoryBlocks} blocks, ${this.feeHistoryPercentile}th percentile tip, base fee x${this.baseFeeMultiplier})`;
+      }
+      fees = this._getFixedFees();
+    }
+
+    if (fees.type === TX_TYPES.LEGACY) {
+      return `type 0, gasPrice ${formatGwei(fees.gasPrice)}`;
+    }
+
+    return `type 2, maxFeePerGas ${formatGwei(fees.maxFeePerGas)}, maxPriorityFeePerGas ${formatGwei(fees.maxPriorityFeePerGas)}`;
+  }
+}
+
+module.exports = {
+  FeeStrategy,
+  FEE_STRATEGIES,
+  TX_TYPES
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { resolveWorkspacePath } = require('./ssi-common');
+
+// Default cache location, relative to the Caliper workspace (next to the shared SSI state)
+const DEFAULT_CACHE_DIR = '.ssi-state';
+const DEFAULT_CACHE_FILE = 'gas-calibration.json';
+
+// Default headroom added to estimates (0.2 = +20%)
+const DEFAULT_GAS_HEADROOM = 0.2;
+
+/**
+ * Add headroom to a gas estimate
+ * @param {number} estimate - eth_estimateGas result
+ * @param {number} headroom - Relative headroom (0.2 = +20%)
+ * @returns {number} Gas limit
+ */
+function applyHeadroom(estimate, headroom = DEFAULT_GAS_HEADROOM) {
+  return Math.ceil(estimate * (1 + headroom));
+}
+
+/**
+ * File cache of gas estimates keyed by the keccak256 hash of the deployed contract bytecode
+ * Estimates are reused until the contract code changes; entries of other bytecode stay in the file,
+ * so switching between deployments does not re-estimate
+ */
+class GasCalibrationCache {
+  /**
+   * Initializes the cache
+   * @param {string} filePath - Cache file path (defaults to the Caliper workspace)
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath || GasCalibrationCache.getDefaultFilePath());
+    this.entries = this._read();
+    this.changed = false;
+  }
+
+  /**
+   * Get the default cache file path under the Caliper workspace
+   * @returns {string} Absolute cache file path
+   */
+  static getDefaultFilePath() {
+    return resolveWorkspacePath(DEFAULT_CACHE_DIR, DEFAULT_CACHE_FILE);
+  }
+
+  /**
+   * Hash the bytecode deployed at an address
+   * @param {Object} web3 - web3 instance
+   * @param {string} address - Contract address
+   * @returns {Promise<string>} keccak256 of the runtime bytecode
+   */
+  static async getCodeHash(web3, address) {
+    const code = await web3.eth.getCode(address);
+    if (!code || code === '0x') {
+      throw new Error(`No contract code at ${address}`);
+    }
+    return ethers.keccak256(code);
+  }
+
+  /**
+   * Read the cache file
+   * @returns {Object} codeHash -> { variant -> { estimate, calibratedAt } }
+   * @private
+   */
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Missing or unreadable cache: calibrate from scratch
+      return {};
+    }
+  }
+
+  /**
+   * Get a cached estimate
+   * @param {string} codeHash - Contract bytecode hash
+   * @param {string} variant - Operation and argument shape (e.g. "createDid|cid59")
+   * @returns {number|undefined} Estimate or undefined if not cached
+   */
+  get(codeHash, variant) {
+    return this.entries[codeHash]?.[variant]?.estimate;
+  }
+
+  /**
+   * Cache an estimate
+   * @param {string} codeHash - Contract bytecode hash
+   * @param {string} variant - Operation and argument shape
+   * @param {number} estimate - eth_estimateGas result
+   */
+  set(codeHash, variant, estimate) {
+    this.entries[codeHash] = this.entries[codeHash] || {};
+    this.entries[codeHash][variant] = { estimate, calibratedAt: new Date().toISOString() };
+    this.changed = true;
+  }
+
+  /**
+   * Write new estimates, merged with entries other workers wrote meanwhile
+   * Estimates are idempotent, so a concurrent write losing an entry only costs a re-estimate
+   */
+  save() {
+    if (!this.changed) return;
+
+    const merged = this._read();
+    for (const [codeHash, variants] of Object.entries(this.entries)) {
+      merged[codeHash] = { ...merged[codeHash], ...variants };
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(merged, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+
+    this.entries = merged;
+    this.changed = false;
+  }
+}
+
+module.exports = {
+  GasCalibrationCache,
+  applyHeadroom,
+  DEFAULT_GAS_HEADROOM
+};
\ No newline at end of file
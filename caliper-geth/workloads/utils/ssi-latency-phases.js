@@ -0,0 +1,335 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { resolveWorkspacePath, summarize } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-latency-phases');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'latency-phases');
+
+// Pending hashes of other senders are forgotten after this long
+const PENDING_RETENTION_MS = 10 * 60 * 1000;
+
+// Wait for the websocket subscription before the round starts
+const CONNECT_TIMEOUT_MS = 10000;
+
+// Latency phases, in order; together they add up to the Caliper latency of a transaction
+const PHASES = ['submitToPool', 'poolToInclusion', 'inclusionToConfirmation', 'confirmationToResult'];
+
+/**
+ * Splits the latency of committed transactions into the time spent in each phase
+ *   submitToPool            submission until the node announces the hash (newPendingTransactions)
+ *   poolToInclusion         announcement until the head containing the transaction arrives (newHeads)
+ *   inclusionToConfirmation inclusion head until the head at the confirmation depth, or the result if earlier
+ *   confirmationToResult    confirmation head until the connector returned the result
+ * poolBlocks counts heads that arrived while the transaction was pending: above 0 the transaction
+ * waited in the mempool, at 0 it only waited for the next Clique block.
+ * All times are taken from this worker's clock; hashes are matched once the receipt arrived.
+ */
+class LatencyPhaseTracker {
+  /**
+   * Initializes the tracker
+   * @param {string} endpoint - Websocket endpoint of the node the workload sends to
+   * @param {Object} options - Tracker options
+   * @param {number} options.workerIndex - Worker index
+   * @param {number} options.roundIndex - Round index
+   * @param {number} options.confirmationBlocks - Confirmation depth of the connector (transactionConfirmationBlocks)
+   * @param {string} options.directory - Report directory (defaults to the Caliper workspace)
+   */
+  constructor(endpoint, { workerIndex, roundIndex, confirmationBlocks = 1, directory } = {}) {
+    this.endpoint = endpoint;
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.confirmationBlocks = Math.max(1, Number(confirmationBlocks) || 1);
+    this.directory = path.resolve(directory || LatencyPhaseTracker.getDefaultDirectory());
+
+    this.provider = null;
+
+    // lowercase hash -> time the node announced it; block number -> time its head arrived
+    this.pendingSeen = new Map();
+    this.headSeen = new Map();
+
+    // operation -> Array<{ hash, blockNumber, submittedAt, finishedAt, ...phases }>
+    this.samples = new Map();
+
+    // Callbacks waiting for a head: Array<{ blockNumber, resolve }>
+    this.headWaiters = [];
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Connect to the websocket endpoint and subscribe to pending transactions and new heads
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const provider = new ethers.WebSocketProvider(this.endpoint);
+
+    // ethers leaves socket errors unhandled, which would end the worker process
+    const connectionFailed = new Promise((_, reject) => {
+      provider.websocket.on?.('error', error => {
+        if (this.provider) {
+          logger.warn(`⚠️ Latency phase websocket error (${this.endpoint}): ${error.message}`);
+        }
+        reject(error);
+      });
+    });
+    connectionFailed.catch(() => {});
+
+    let timer;
+    try {
+      await Promise.race([
+        provider.getBlockNumber(),
+        connectionFailed,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`no response within ${CONNECT_TIMEOUT_MS}ms`)), CONNECT_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      await provider.destroy();
+      throw new Error(`Cannot subscribe at ${this.endpoint}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await provider.on('pending', hash => this.onPending(hash));
+    await provider.on('block', blockNumber => this.onHead(blockNumber));
+    this.provider = provider;
+  }
+
+  /**
+   * Record the first announcement of a pending transaction
+   * @param {string} hash - Transaction hash
+   * @param {number} seenAt - Observation time (defaults to now)
+   */
+  onPending(hash, seenAt = Date.now()) {
+    const key = String(hash).toLowerCase();
+    if (!this.pendingSeen.has(key)) {
+      this.pendingSeen.set(key, seenAt);
+    }
+  }
+
+  /**
+   * Record the arrival of a new head
+   * @param {number} blockNumber - Block number
+   * @param {number} seenAt - Observation time (defaults to now)
+   */
+  onHead(blockNumber, seenAt = Date.now()) {
+    const number = Number(blockNumber);
+    if (!this.headSeen.has(number)) {
+      this.headSeen.set(number, seenAt);
+    }
+
+    logger.trace(`⛓️ Head ${number} seen by worker ${this.workerIndex} (${this.pendingSeen.size} pending hashes tracked)`);
+
+    this.headWaiters = this.headWaiters.filter(waiter => {
+      if (number >= waiter.blockNumber) {
+        waiter.resolve(true);
+        return false;
+      }
+      return true;
+    });
+
+    // Forget announcements of transactions this worker never matched
+    const cutoff = seenAt - PENDING_RETENTION_MS;
+    for (const [key, time] of this.pendingSeen) {
+      if (time >= cutoff) break;
+      this.pendingSeen.delete(key);
+    }
+  }
+
+  /**
+   * Record a committed transaction; phases are derived in resolve()
+   * @param {string} operation - Operation name
+   * @param {Object} sample - { hash, blockNumber, submittedAt, finishedAt } (times in epoch milliseconds)
+   */
+  record(operation, sample) {
+    if (!this.samples.has(operation)) {
+      this.samples.set(operation, []);
+    }
+    this.samples.get(operation).push(sample);
+  }
+
+  /**
+   * Wait until the head at the confirmation depth of the last recorded transaction arrived
+   * @param {number} timeoutMs - Maximum wait
+   * @returns {Promise<boolean>} True if the head arrived in time
+   */
+  async waitForConfirmations(timeoutMs) {
+    const blockNumbers = [...this.samples.values()].flat().map(sample => sample.blockNumber);
+    if (!this.provider || blockNumbers.length === 0) return true;
+
+    const blockNumber = Math.max(...blockNumbers) + this.confirmationBlocks - 1;
+    if ([...this.headSeen.keys()].some(number => number >= blockNumber)) return true;
+
+    return new Promise(resolve => {
+      const waiter = { blockNumber, resolve };
+      this.headWaiters.push(waiter);
+      setTimeout(() => {
+        this.headWaiters = this.headWaiters.filter(entry => entry !== waiter);
+        resolve(false);
+      }, timeoutMs).unref();
+    });
+  }
+
+  /**
+   * Derive the phases of every recorded transaction from the observed announcements and heads
+   * A phase stays null if an observation it needs is missing
+   */
+  resolve() {
+    const heads = [...this.headSeen.entries()].sort((a, b) => a[0] - b[0]);
+
+    for (const sample of [...this.samples.values()].flat()) {
+      const pooledAt = this.pendingSeen.get(String(sample.hash).toLowerCase()) ?? null;
+      const includedAt = this.headSeen.get(sample.blockNumber) ?? null;
+      const confirmationHeadAt = this.headSeen.get(sample.blockNumber + this.confirmationBlocks - 1) ?? null;
+      const confirmedAt = confirmationHeadAt === null ? null : Math.min(confirmationHeadAt, sample.finishedAt);
+
+      sample.submitToPool = pooledAt === null ? null : Math.max(0, pooledAt - sample.submittedAt);
+      sample.poolToInclusion = pooledAt === null || includedAt === null ? null : Math.max(0, includedAt - pooledAt);
+      sample.inclusionToConfirmation = includedAt === null || confirmedAt === null ? null : Math.max(0, confirmedAt - includedAt);
+      sample.confirmationToResult = confirmedAt === null ? null : Math.max(0, sample.finishedAt - confirmedAt);
+      sample.poolBlocks = pooledAt === null ? null :
+        heads.filter(([number, seenAt]) => number < sample.blockNumber && seenAt > pooledAt).length;
+    }
+  }
+
+  /**
+   * Summarize the recorded samples per operation
+   * @returns {Object} operation -> { samples, observed, total, poolBlocks, <phase> }
+   */
+  summarize() {
+    return LatencyPhaseTracker.summarizeSamples(this.samples);
+  }
+
+  /**
+   * Summarize samples per operation
+   * observed counts transactions with every phase known; phase summaries use the known values
+   * @param {Map<string, Array<Object>>} samplesByOperation - operation -> samples
+   * @returns {Object} operation -> summary
+   */
+  static summarizeSamples(samplesByOperation) {
+    const summary = {};
+
+    for (const [operation, samples] of samplesByOperation) {
+      const known = phase => samples.map(sample => sample[phase]).filter(value => value !== null && value !== undefined);
+
+      summary[operation] = {
+        samples: samples.length,
+        observed: samples.filter(sample => PHASES.every(phase => sample[phase] !== null && sample[phase] !== undefined)).length,
+        total: summarize(samples.map(sample => sample.finishedAt - sample.submittedAt)),
+        poolBlocks: summarize(known('poolBlocks'))
+      };
+      for (const phase of PHASES) {
+        summary[operation][phase] = summarize(known(phase));
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Write this worker's samples and summary for the round
+   * @returns {string|null} Written file path, or null if nothing was recorded
+   */
+  write() {
+    if (this.samples.size === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}-worker-${this.workerIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      workerIndex: this.workerIndex,
+      confirmationBlocks: this.confirmationBlocks,
+      summary: this.summarize(),
+      samples: Object.fromEntries(this.samples)
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Log a one-line summary per operation
+   * @param {string} label - Log prefix (e.g. worker label)
+   */
+  log(label) {
+    for (const [operation, summary] of Object.entries(this.summarize())) {
+      const phases = PHASES.map(phase => `${phase} ${summary[phase].mean}ms`).join(', ');
+      logger.info(`⏱️ ${label} ${operation}: ${summary.observed}/${summary.samples} tx observed, total mean ${summary.total.mean}ms; ` +
+        `${phases}; pool blocks mean ${summary.poolBlocks.mean} (max ${summary.poolBlocks.max})`);
+    }
+  }
+
+  /**
+   * Close the websocket subscription
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.headWaiters.forEach(waiter => waiter.resolve(false));
+    this.headWaiters = [];
+
+    if (this.provider) {
+      const provider = this.provider;
+      this.provider = null;
+      await provider.destroy();
+    }
+  }
+
+  /**
+   * Merge the worker files of a report directory into one summary per round
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} [{ roundIndex, summary }] ordered by round
+   */
+  static mergeDirectory(directory) {
+    const rounds = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      if (!/^round-\d+-worker-\d+\.json$/.test(file)) continue;
+
+      const report = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const samples = rounds.get(report.roundIndex) || new Map();
+
+      for (const [operation, operationSamples] of Object.entries(report.samples)) {
+        samples.set(operation, (samples.get(operation) || []).concat(operationSamples));
+      }
+      rounds.set(report.roundIndex, samples);
+    }
+
+    return [...rounds.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundIndex, samples]) => ({ roundIndex, summary: LatencyPhaseTracker.summarizeSamples(samples) }));
+  }
+}
+
+// Print the merged table after a run: node workloads/utils/ssi-latency-phases.js [directory]
+if (require.main === module) {
+  const directory = path.resolve(process.argv[2] || LatencyPhaseTracker.getDefaultDirectory());
+
+  console.log(['round', 'operation', 'tx', 'observed', 'totalMean', ...PHASES.map(phase => `${phase}Mean`), 'poolBlocksMean', 'poolBlocksMax'].join('\t'));
+  const rounds = fs.existsSync(directory) ? LatencyPhaseTracker.mergeDirectory(directory) : [];
+  for (const round of rounds) {
+    for (const [operation, summary] of Object.entries(round.summary)) {
+      console.log([
+        round.roundIndex,
+        operation,
+        summary.samples,
+        summary.observed,
+        summary.total.mean,
+        ...PHASES.map(phase => summary[phase].mean),
+        summary.poolBlocks.mean,
+        summary.poolBlocks.max
+      ].join('\t'));
+    }
+  }
+}
+
+module.exports = LatencyPhaseTracker;
\ No newline at end of file
@@ -0,0 +1,302 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath } = require('./ssi-common');
+
+// Levels in order of severity; a logger writes its level and everything above
+const LOG_LEVELS = {
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  DEBUG: 'debug',
+  TRACE: 'trace'
+};
+
+const LOG_FORMATS = {
+  // Plain messages on the console; timestamp, level and module prefixed in log files
+  TEXT: 'text',
+  // One JSON object per line: { time, level, module, worker, round, msg, ...fields }
+  JSON: 'json'
+};
+
+const SEVERITY = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+// Default log file directory, relative to the Caliper workspace
+const DEFAULT_LOG_DIR = path.join('.ssi-reports', 'logs');
+
+// Process-wide settings shared by every module logger; workers are separate processes
+const settings = {
+  level: LOG_LEVELS.INFO,
+  format: LOG_FORMATS.TEXT,
+  console: true,
+  filePath: null,
+  stream: null,
+  context: {}
+};
+
+/**
+ * Parse a boolean from a round argument or environment variable
+ * @param {*} value - true/false or "true"/"false"/"1"/"0"
+ * @param {boolean} fallback - Value if unset
+ * @returns {boolean} Parsed value
+ * @private
+ */
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+/**
+ * JSON.stringify replacer for log fields: BigInt as string, errors as their message
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ * @private
+ */
+function serializeField(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Error) return { name: value.name, message: value.message };
+  return value;
+}
+
+/**
+ * Resolve a choice setting from a round argument, falling back to the environment
+ * An unsupported round argument is an error; an unsupported environment value only warns and
+ * uses the default, since logging is configured from the environment when the module is loaded
+ * @param {string} name - Round argument name
+ * @param {*} optionValue - Round argument value
+ * @param {string} envName - Environment variable name
+ * @param {string} fallback - Value if unset
+ * @param {Array<string>} choices - Supported values
+ * @returns {string} Resolved value
+ * @private
+ */
+function resolveChoice(name, optionValue, envName, fallback, choices) {
+  if (optionValue) {
+    const value = String(optionValue).toLowerCase();
+    if (!choices.includes(value)) {
+      throw new Error(`SSI workload error: unsupported ${name} "${value}"; expected one of ${choices.join(', ')}`);
+    }
+    return value;
+  }
+
+  const envValue = process.env[envName];
+  if (!envValue) return fallback;
+
+  const value = envValue.toLowerCase();
+  if (!choices.includes(value)) {
+    console.warn(`⚠️ Unsupported ${envName} "${envValue}"; expected one of ${choices.join(', ')}, using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Get the default log directory under the Caliper workspace
+ * @returns {string} Absolute directory path
+ * @private
+ */
+function getDefaultDirectory() {
+  return resolveWorkspacePath(DEFAULT_LOG_DIR);
+}
+
+/**
+ * Leveled logger of one module; all module loggers share the process-wide settings of configureLogging
+ */
+class SSILogger {
+  /**
+   * Initializes the logger
+   * @param {string} name - Module name written with every record
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether records of a level are written
+   * Check before building expensive messages on the transaction path
+   * @param {string} level - One of LOG_LEVELS
+   * @returns {boolean} True if the level is enabled
+   */
+  isLevelEnabled(level) {
+    return SEVERITY[level] <= SEVERITY[settings.level];
+  }
+
+  /**
+   * Log an error
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields (JSON format) or appended details (text format)
+   */
+  error(message, fields) {
+    this._write(LOG_LEVELS.ERROR, message, fields);
+  }
+
+  /**
+   * Log a warning
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  warn(message, fields) {
+    this._write(LOG_LEVELS.WARN, message, fields);
+  }
+
+  /**
+   * Log progress of setup and cleanup
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  info(message, fields) {
+    this._write(LOG_LEVELS.INFO, message, fields);
+  }
+
+  /**
+   * Log per-transaction details
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  debug(message, fields) {
+    this._write(LOG_LEVELS.DEBUG, message, fields);
+  }
+
+  /**
+   * Log internals such as nonce handouts and subscription events
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  trace(message, fields) {
+    this._write(LOG_LEVELS.TRACE, message, fields);
+  }
+
+  /**
+   * Format and write a record to the console and the log file
+   * With logConsole disabled only errors reach the console
+   * @param {string} level - Record level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   * @private
+   */
+  _write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const toConsole = settings.console || level === LOG_LEVELS.ERROR;
+    if (!toConsole && !settings.stream) return;
+
+    let line;
+    if (settings.format === LOG_FORMATS.JSON) {
+      line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        module: this.name,
+        ...settings.context,
+        msg: message,
+        ...fields
+      }, serializeField);
+    } else {
+      line = fields === undefined ? message : `${message} ${JSON.stringify(fields, serializeField)}`;
+    }
+
+    if (toConsole) {
+      if (level === LOG_LEVELS.ERROR) {
+        console.error(line);
+      } else if (level === LOG_LEVELS.WARN) {
+        console.warn(line);
+      } else {
+        console.log(line);
+      }
+    }
+
+    if (settings.stream) {
+      const fileLine = settings.format === LOG_FORMATS.JSON ? line :
+        `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} [${this.name}] ${line}`;
+      settings.stream.write(`${fileLine}\n`);
+    }
+  }
+}
+
+/**
+ * Get the logger of a module
+ * @param {string} name - Module name (e.g. "ssi-operation")
+ * @returns {SSILogger} Module logger
+ */
+function getLogger(name) {
+  return new SSILogger(name);
+}
+
+/**
+ * Configure logging for this process from round arguments, falling back to the environment
+ *   logLevel / SSI_LOG_LEVEL       error, warn, info (default) or debug/trace; debugMode implies debug
+ *   logFormat / SSI_LOG_FORMAT     text (default) or json
+ *   logFile / SSI_LOG_FILE         write <logPath>/worker-<index>.log (default off)
+ *   logPath / SSI_LOG_PATH         log file directory (default <workspace>/.ssi-reports/logs)
+ *   logConsole / SSI_LOG_CONSOLE   also write to the console (default on; errors always do)
+ * @param {Object} options - Round arguments
+ * @param {Object} context - Fields written with every JSON record (e.g. { worker, round })
+ */
+function configureLogging(options = {}, context = {}) {
+  const env = process.env;
+
+  const level = resolveChoice('logLevel', options.logLevel, 'SSI_LOG_LEVEL',
+    options.debugMode ? LOG_LEVELS.DEBUG : LOG_LEVELS.INFO, Object.values(LOG_LEVELS));
+  const format = resolveChoice('logFormat', options.logFormat, 'SSI_LOG_FORMAT', LOG_FORMATS.TEXT, Object.values(LOG_FORMATS));
+
+  settings.level = level;
+  settings.format = format;
+  settings.console = parseBoolean(options.logConsole ?? env.SSI_LOG_CONSOLE, true);
+  settings.context = context;
+
+  // Log files are per worker; without a worker index (command-line tools) only the console is used
+  const logFile = parseBoolean(options.logFile ?? env.SSI_LOG_FILE, false) && context.worker !== undefined;
+  const filePath = logFile ?
+    path.join(path.resolve(options.logPath || env.SSI_LOG_PATH || getDefaultDirectory()), `worker-${context.worker}.log`) :
+    null;
+
+  if (filePath !== settings.filePath) {
+    if (settings.stream) settings.stream.end();
+    settings.stream = null;
+    settings.filePath = filePath;
+
+    if (filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      settings.stream = fs.createWriteStream(filePath, { flags: 'a' });
+      settings.stream.on('error', error => {
+        console.error(`❌ Log file ${filePath} failed, logging to the console only: ${error.message}`);
+        settings.stream = null;
+        settings.filePath = null;
+        settings.console = true;
+      });
+    }
+  }
+}
+
+/**
+ * Flush and close the log file; the next configureLogging reopens it in append mode
+ * @returns {Promise<void>}
+ */
+function closeLogging() {
+  const stream = settings.stream;
+  settings.stream = null;
+  settings.filePath = null;
+
+  if (!stream) return Promise.resolve();
+  return new Promise(resolve => stream.end(resolve));
+}
+
+// Environment settings apply until a workload configures logging from its round arguments
+configureLogging();
+
+module.exports = {
+  SSILogger,
+  getLogger,
+  configureLogging,
+  closeLogging,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
\ No newline at end of file
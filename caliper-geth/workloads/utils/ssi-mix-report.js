@@ -0,0 +1,225 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath, summarize } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-mix-report');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'mixed-operations');
+
+/**
+ * Per-round record of latency and outcomes per operation of the weighted mix
+ * Caliper aggregates every transaction of a round into one row, so the split by operation
+ * is written per worker and merged into the report after the run
+ */
+class MixedOperationReport {
+  /**
+   * Initializes the report
+   * @param {Object} options - Report options
+   * @param {number} options.workerIndex - Worker index
+   * @param {number} options.roundIndex - Round index
+   * @param {string} options.directory - Report directory (defaults to the Caliper workspace)
+   */
+  constructor({ workerIndex, roundIndex, directory } = {}) {
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.directory = path.resolve(directory || MixedOperationReport.getDefaultDirectory());
+
+    // operation -> { latencies, succeeded, failed }
+    this.operations = new Map();
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Record the outcome of one operation
+   * @param {string} operation - Operation name
+   * @param {Object} outcome - { committed, latency } (latency in milliseconds, unset if nothing was sent)
+   */
+  record(operation, { committed, latency }) {
+    if (!this.operations.has(operation)) {
+      this.operations.set(operation, { latencies: [], succeeded: 0, failed: 0 });
+    }
+
+    const stats = this.operations.get(operation);
+    if (committed) {
+      stats.succeeded++;
+    } else {
+      stats.failed++;
+    }
+    if (Number.isFinite(latency)) {
+      stats.latencies.push(latency);
+    }
+  }
+
+  /**
+   * Summarize the recorded outcomes per operation
+   * @returns {Object} operation -> { succeeded, failed, latency }
+   */
+  summarize() {
+    return MixedOperationReport.summarizeOperations(this.operations);
+  }
+
+  /**
+   * Summarize outcomes and latencies per operation
+   * @param {Map<string, Object>} operations - operation -> { latencies, succeeded, failed }
+   * @returns {Object} operation -> { succeeded, failed, latency }
+   */
+  static summarizeOperations(operations) {
+    return Object.fromEntries([...operations.entries()].map(([operation, stats]) => [operation, {
+      succeeded: stats.succeeded,
+      failed: stats.failed,
+      latency: summarize(stats.latencies)
+    }]));
+  }
+
+  /**
+   * Write this worker's outcomes and summary for the round
+   * @returns {string|null} Written file path, or null if nothing was recorded
+   */
+  write() {
+    if (this.operations.size === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}-worker-${this.workerIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      workerIndex: this.workerIndex,
+      summary: this.summarize(),
+      operations: Object.fromEntries(this.operations)
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Log a one-line summary per operation
+   * @param {string} label - Log prefix (e.g. worker label)
+   */
+  log(label) {
+    for (const [operation, metrics] of Object.entries(this.summarize())) {
+      logger.info(`🎲 ${label} ${operation}: succ=${metrics.succeeded} fail=${metrics.failed} ` +
+        `avg=${metrics.latency.mean}ms p50=${metrics.latency.p50}ms p95=${metrics.latency.p95}ms max=${metrics.latency.max}ms`);
+    }
+  }
+
+  /**
+   * Merge the worker files of a report directory into one summary per round
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} [{ roundIndex, workers, summary }] ordered by round
+   */
+  static mergeDirectory(directory) {
+    const rounds = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      if (!/^round-\d+-worker-\d+\.json$/.test(file)) continue;
+
+      const report = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const round = rounds.get(report.roundIndex) || { workers: 0, operations: new Map() };
+
+      round.workers++;
+      for (const [operation, stats] of Object.entries(report.operations)) {
+        const merged = round.operations.get(operation) || { latencies: [], succeeded: 0, failed: 0 };
+        round.operations.set(operation, {
+          latencies: merged.latencies.concat(stats.latencies),
+          succeeded: merged.succeeded + stats.succeeded,
+          failed: merged.failed + stats.failed
+        });
+      }
+      rounds.set(report.roundIndex, round);
+    }
+
+    return [...rounds.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundIndex, round]) => ({
+        roundIndex,
+        workers: round.workers,
+        summary: MixedOperationReport.summarizeOperations(round.operations)
+      }));
+  }
+
+  /**
+   * Render merged rounds as an HTML section in the style of the Caliper report tables
+   * @param {Array<Object>} rounds - Result of mergeDirectory
+   * @returns {string} HTML fragment
+   */
+  static renderHtml(rounds) {
+    const rows = [];
+
+    for (const round of rounds) {
+      for (const [operation, metrics] of Object.entries(round.summary)) {
+        rows.push(`<tr><td>${round.roundIndex}</td><td>${operation}</td><td>${metrics.succeeded}</td><td>${metrics.failed}</td>` +
+          `<td>${metrics.latency.mean}</td><td>${metrics.latency.p50}</td><td>${metrics.latency.p95}</td><td>${metrics.latency.max}</td></tr>`);
+      }
+    }
+
+    return [
+      '<div id="ssi-mixed-operations">',
+      '<h3>SSI mixed operations per operation</h3>',
+      '<p>Latency in milliseconds from sending the request to its result, per operation of the weighted mix rounds.</p>',
+      '<table style="min-width: 100%;">',
+      '<tr><th>Round</th><th>Operation</th><th>Succ</th><th>Fail</th><th>Latency mean</th><th>Latency p50</th>' +
+        '<th>Latency p95</th><th>Latency max</th></tr>',
+      ...rows,
+      '</table>',
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Add the merged rounds to a Caliper HTML report, replacing a section added before
+   * @param {string} reportPath - Caliper report.html
+   * @param {Array<Object>} rounds - Result of mergeDirectory
+   */
+  static injectIntoHtmlReport(reportPath, rounds) {
+    let html = fs.readFileSync(reportPath, 'utf8');
+    html = html.replace(/<div id="ssi-mixed-operations">[\s\S]*?<\/div>\n?/, '');
+
+    const section = `${MixedOperationReport.renderHtml(rounds)}\n`;
+    html = html.includes('</body>') ? html.replace('</body>', `${section}</body>`) : html + section;
+
+    fs.writeFileSync(reportPath, html);
+  }
+}
+
+// Print the merged table after a run and optionally add it to the Caliper report:
+// node workloads/utils/ssi-mix-report.js [directory] [--html report.html]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const htmlIndex = args.indexOf('--html');
+  const reportPath = htmlIndex >= 0 ? args.splice(htmlIndex, 2)[1] : null;
+  const directory = path.resolve(args[0] || MixedOperationReport.getDefaultDirectory());
+
+  const rounds = fs.existsSync(directory) ? MixedOperationReport.mergeDirectory(directory) : [];
+
+  console.log('round\toperation\tsucceeded\tfailed\tlatencyMean\tlatencyP50\tlatencyP95\tlatencyMax');
+  for (const round of rounds) {
+    for (const [operation, metrics] of Object.entries(round.summary)) {
+      console.log([
+        round.roundIndex,
+        operation,
+        metrics.succeeded,
+        metrics.failed,
+        metrics.latency.mean,
+        metrics.latency.p50,
+        metrics.latency.p95,
+        metrics.latency.max
+      ].join('\t'));
+    }
+  }
+
+  if (reportPath) {
+    MixedOperationReport.injectIntoHtmlReport(reportPath, rounds);
+    console.log(`🎲 Mixed operations added to ${reportPath}`);
+  }
+}
+
+module.exports = MixedOperationReport;
\ No newline at end of file
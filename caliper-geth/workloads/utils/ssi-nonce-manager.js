@@ -0,0 +1,244 @@
+'use strict';
+
+const logger = require('./ssi-logger').getLogger('ssi-nonce-manager');
+
+// Wait before a gap nobody reused is filled with a self-transfer
+const DEFAULT_GAP_REFILL_DELAY_MS = 5000;
+
+/**
+ * Per-account nonce manager for workloads that send from several accounts
+ * Nonces are synced from eth_getTransactionCount(pending) on first use and handed out
+ * synchronously afterwards, so concurrent sends in one worker never share a nonce.
+ * After a failed send the account is resynced; a nonce that no transaction holds and that
+ * the node reports as next pending is a gap: it is handed out again first, or filled with
+ * a self-transfer if no send reuses it in time (queued transactions above it stall otherwise)
+ */
+class NonceManager {
+  /**
+   * Initializes the nonce manager
+   * @param {Object} web3 - web3 instance used to query transaction counts
+   * @param {Object} options - Manager options
+   * @param {Function} options.fillGap - async (address, nonce) => void, sends a no-op transaction with the nonce
+   * @param {number} options.gapRefillDelayMs - Delay before an unused gap is filled
+   */
+  constructor(web3, { fillGap, gapRefillDelayMs = DEFAULT_GAP_REFILL_DELAY_MS } = {}) {
+    this.web3 = web3;
+    this.fillGap = fillGap;
+    this.gapRefillDelayMs = gapRefillDelayMs;
+
+    // lowercase address -> { next, inFlight: Set<number>, gaps: Array<number>, syncing, needsSync, refillTimer }
+    this.accounts = new Map();
+  }
+
+  /**
+   * Get the state of an account, creating it on first use
+   * @param {string} address - Account address
+   * @returns {Object} Account state
+   * @private
+   */
+  _getAccount(address) {
+    const key = address.toLowerCase();
+
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        address,
+        next: null,
+        inFlight: new Set(),
+        gaps: [],
+        syncing: null,
+        needsSync: true,
+        refillTimer: null
+      });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Hand out the next nonce of an account
+   * Gaps are handed out before new nonces, lowest first
+   * @param {string} address - Sender address
+   * @returns {Promise<number>} Nonce reserved for the caller
+   */
+  async acquire(address) {
+    const account = this._getAccount(address);
+
+    while (account.needsSync || account.syncing) {
+      await this.sync(address);
+    }
+
+    // Synchronous from here on: no other caller can take the same nonce
+    const nonce = account.gaps.length > 0 ? account.gaps.shift() : account.next++;
+    account.inFlight.add(nonce);
+
+    logger.trace(`🔢 Nonce ${nonce} handed out for ${address.substring(0, 10)}...`);
+
+    return nonce;
+  }
+
+  /**
+   * Mark a nonce as used by a transaction the node accepted (mined, even if reverted)
+   * @param {string} address - Sender address
+   * @param {number} nonce - Nonce returned by acquire
+   */
+  confirm(address, nonce) {
+    this._getAccount(address).inFlight.delete(nonce);
+  }
+
+  /**
+   * Mark a nonce whose send failed
+   * The account is resynced before the next handout, which detects whether the nonce became a gap
+   * ("nonce too low" and "replacement transaction underpriced" resolve the same way)
+   * @param {string} address - Sender address
+   * @param {number} nonce - Nonce returned by acquire
+   */
+  release(address, nonce) {
+    const account = this._getAccount(address);
+    account.inFlight.delete(nonce);
+    account.needsSync = true;
+  }
+
+  /**
+   * Sync an account with the node's pending transaction count and detect a gap
+   * Concurrent callers share one request
+   * @param {string} address - Account address
+   * @returns {Promise<void>}
+   */
+  sync(address) {
+    const account = this._getAccount(address);
+
+    if (!account.syncing) {
+      account.needsSync = false;
+      account.syncing = this._sync(account).finally(() => {
+        account.syncing = null;
+      });
+    }
+
+    return account.syncing;
+  }
+
+  /**
+   * Read the pending transaction count and reconcile the local counter and gaps
+   * @param {Object} account - Account state
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sync(account) {
+    // Nonces held by a send when the count was requested cannot be gaps, even if they settle meanwhile
+    const inFlightAtStart = new Set(account.inFlight);
+
+    let pending;
+    try {
+      pending = Number(await this.web3.eth.getTransactionCount(account.address, 'pending'));
+    } catch (error) {
+      account.needsSync = true;
+      throw new Error(`Nonce sync failed for ${account.address}: ${error.message}`);
+    }
+
+    if (account.next === null || pending > account.next) {
+      // First use, or other senders (setup, other workers) moved the account forward
+      account.next = pending;
+    }
+
+    // Gaps below the pending count were used by another transaction meanwhile
+    account.gaps = account.gaps.filter(nonce => nonce >= pending);
+
+    // Nonces above the node's pending count were handed out but the node waits for this one
+    const isGap = pending < account.next &&
+      !inFlightAtStart.has(pending) &&
+      !account.inFlight.has(pending) &&
+      !account.gaps.includes(pending);
+
+    if (isGap) {
+      account.gaps.push(pending);
+      account.gaps.sort((a, b) => a - b);
+      logger.warn(`⚠️ Nonce gap at ${pending} for ${account.address.substring(0, 10)}... (next ${account.next}); reusing it`);
+      this._scheduleRefill(account);
+    }
+
+    logger.debug(`🔄 Nonce sync for ${account.address.substring(0, 10)}...: pending ${pending}, next ${account.next}, gaps [${account.gaps.join(', ')}]`);
+  }
+
+  /**
+   * Fill gaps that no send reused within the refill delay
+   * @param {Object} account - Account state
+   * @private
+   */
+  _scheduleRefill(account) {
+    if (account.refillTimer || typeof this.fillGap !== 'function') return;
+
+    account.refillTimer = setTimeout(() => {
+      account.refillTimer = null;
+      this.refillGaps(account.address).catch(error => {
+        logger.warn(`⚠️ Nonce gap refill failed for ${account.address.substring(0, 10)}...: ${error.message}`);
+      });
+    }, this.gapRefillDelayMs);
+
+    // Never keep the worker process alive for a refill
+    account.refillTimer.unref?.();
+  }
+
+  /**
+   * Fill every open gap of an account with a no-op transaction
+   * A sync only sees the lowest gap, so the account is resynced after the gaps known so far are
+   * filled, until the node's pending count has caught up with the local counter
+   * @param {string} address - Account address
+   * @returns {Promise<number>} Number of gaps filled
+   */
+  async refillGaps(address) {
+    const account = this._getAccount(address);
+    const filled = new Set();
+
+    while (account.gaps.length > 0) {
+      const nonce = account.gaps.shift();
+      account.inFlight.add(nonce);
+
+      try {
+        await this.fillGap(account.address, nonce);
+        this.confirm(account.address, nonce);
+        filled.add(nonce);
+        logger.info(`🩹 Filled nonce gap ${nonce} for ${account.address.substring(0, 10)}...`);
+      } catch (error) {
+        this.release(account.address, nonce);
+        throw error;
+      }
+
+      // The node moves up to the next gap once the filled ones are mined
+      if (account.gaps.length === 0) {
+        await this.sync(account.address);
+        account.gaps = account.gaps.filter(gap => !filled.has(gap));
+      }
+    }
+
+    // Gaps found by the resyncs above are filled already
+    clearTimeout(account.refillTimer);
+    account.refillTimer = null;
+
+    return filled.size;
+  }
+
+  /**
+   * Fill the open gaps of every account and stop pending refill timers
+   * @returns {Promise<number>} Number of gaps filled
+   */
+  async close() {
+    let filled = 0;
+
+    for (const account of this.accounts.values()) {
+      clearTimeout(account.refillTimer);
+      account.refillTimer = null;
+
+      if (account.gaps.length > 0 && typeof this.fillGap === 'function') {
+        try {
+          filled += await this.refillGaps(account.address);
+        } catch (error) {
+          logger.warn(`⚠️ Nonce gap refill failed for ${account.address.substring(0, 10)}...: ${error.message}`);
+        }
+      }
+    }
+
+    return filled;
+  }
+}
+
+module.exports = NonceManager;
\ No newline at end of file
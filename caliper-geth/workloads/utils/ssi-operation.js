@@ -1,6 +1,23 @@
 'use strict';
 
-const { WorkloadModuleBase } = require('@hyperledger/caliper-core');
+const { WorkloadModuleBase, TxStatus } = require('@hyperledger/caliper-core');
+const { ethers } = require('ethers');
+const { summarize, getNodeHttpEndpoint } = require('./ssi-common');
+const { CID_FORMATS } = require('./ssi-content');
+const { PayloadSizeReport, measureCalldata } = require('./ssi-payload-report');
+const NonceManager = require('./ssi-nonce-manager');
+const { SSIErrorDecoder, extractRevertData, FAILURE_NAMES } = require('./ssi-errors');
+const { GasCalibrationCache, applyHeadroom, DEFAULT_GAS_HEADROOM } = require('./ssi-gas-calibration');
+const { FeeStrategy, TX_TYPES } = require('./ssi-fees');
+const ReceiptMetricsReport = require('./ssi-receipt-metrics');
+const LatencyPhaseTracker = require('./ssi-latency-phases');
+const ChainMonitor = require('./ssi-chain-monitor');
+const DeploymentManifest = require('./ssi-deployments');
+const RequestBatch = require('./ssi-batch');
+const { getLogger, configureLogging, closeLogging } = require('./ssi-logger');
+const { createRoundArgumentSchema, validateRoundArguments, getRoundLabel } = require('./ssi-arguments');
+
+const logger = getLogger('ssi-operation');
 
 // SSI Contract names - must match network configuration
 const SSI_CONTRACTS = {
@@ -19,6 +36,7 @@ const SSI_OPERATIONS = {
   // DID operations  
   CREATE_DID: 'createDid',
   UPDATE_DID: 'updateDid',
+  DEACTIVATE_DID: 'deactivateDid',
   RESOLVE_DID: 'resolveDid',
 
   // Credential operations
@@ -34,6 +52,23 @@ const READ_ONLY_OPERATIONS = new Set([
   SSI_OPERATIONS.RESOLVE_CREDENTIAL
 ]);
 
+// Balance given to generated identities that send their own transactions (0.01 ether)
+const SENDER_FUNDING_WEI = 10n ** 16n;
+
+// Write operations whose gas limit is calibrated with eth_estimateGas
+const CALIBRATED_OPERATIONS = [
+  [SSI_CONTRACTS.ROLE_CONTROL, SSI_OPERATIONS.ASSIGN_ROLE],
+  [SSI_CONTRACTS.ROLE_CONTROL, SSI_OPERATIONS.REVOKE_ROLE],
+  [SSI_CONTRACTS.DID_REGISTRY, SSI_OPERATIONS.CREATE_DID],
+  [SSI_CONTRACTS.DID_REGISTRY, SSI_OPERATIONS.UPDATE_DID],
+  [SSI_CONTRACTS.DID_REGISTRY, SSI_OPERATIONS.DEACTIVATE_DID],
+  [SSI_CONTRACTS.CREDENTIAL_REGISTRY, SSI_OPERATIONS.ISSUE_CREDENTIAL],
+  [SSI_CONTRACTS.CREDENTIAL_REGISTRY, SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS]
+];
+
+// Schema of the round arguments shared by all SSI workload modules
+const ROUND_ARGUMENT_SCHEMA = createRoundArgumentSchema(Object.values(SSI_OPERATIONS), Object.values(SSI_CONTRACTS));
+
 // SSI Role Constants
 const SSI_ROLES = {
   NONE: 0,
@@ -53,6 +88,9 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
   async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
     await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
 
+    // Log level, format and per-worker log file of this round (logLevel, logFormat, logFile, ...)
+    configureLogging(this.roundArguments, { worker: workerIndex, round: roundIndex });
+
     // Initialize basic configuration
     this.workerIndex = workerIndex;
     this.totalWorkers = totalWorkers;
@@ -67,16 +105,63 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     // Setup account management
     await this.setupAccountManagement();
 
+    // Transaction type and fees of every transaction this worker sends
+    await this.setupFeeStrategy();
+
     // Validate required contracts exist
     this.validateContractAvailability();
 
+    // Send to the addresses of the deployment manifest or the contractAddresses override
+    this.applyContractAddresses();
+
+    // Send with the gasConfig limits of this round unless calibration replaces them
+    this.applyConfiguredGasLimits();
+
     // Initialize state manager if needed (must be implemented by subclass)
     this.ssiState = this.createSSIState();
 
     // Store reference as stateManager for consistency across methods
     this.stateManager = this.ssiState;
 
-    console.log(`🔗 Worker ${this.workerIndex} initialized with account: ${this.fromAddress}`);
+    // Record gasUsed against calldata bytes of write operations in the payload sweep rounds
+    this.payloadReport = this.roundArguments.payloadReport ? new PayloadSizeReport({
+      workerIndex: this.workerIndex,
+      roundIndex: this.roundIndex,
+      directory: this.roundArguments.payloadReportPath,
+      settings: {
+        payloadMode: this.ssiConfig.payloadMode,
+        feeStrategy: this.ssiConfig.feeStrategy,
+        cidFormat: this.ssiConfig.cidFormat,
+        cidUriLength: this.ssiConfig.cidUriLength,
+        didDocumentSize: this.ssiConfig.didDocumentSize
+      }
+    }) : null;
+
+    // Record gasUsed, inclusion delay and block fullness of committed write operations in instrumented rounds
+    this.receiptMetrics = this.roundArguments.receiptMetrics ? new ReceiptMetricsReport({
+      workerIndex: this.workerIndex,
+      roundIndex: this.roundIndex,
+      directory: this.roundArguments.receiptMetricsPath
+    }) : null;
+
+    // Decode failed requests against the contract ABIs; counts per request and error name for this round
+    this.errorDecoder = SSIErrorDecoder.fromContractsDirectory();
+    this.failureCounts = new Map();
+    this.pendingFailures = new Set();
+
+    // Build the account view from real on-chain roles and DIDs
+    await this.reconcileOnChainState();
+
+    // Replace configured gas limits with estimates plus headroom
+    await this.calibrateGasLimits();
+
+    // Observe pending transactions and new heads to split latency into txpool, block and confirmation time
+    await this.setupLatencyPhases();
+
+    // Sample txpool, blocks, peers and Clique signers of every node while the round runs
+    await this.setupChainMonitor();
+
+    logger.info(`🔗 Worker ${this.workerIndex} initialized with account: ${this.fromAddress}`);
   }
 
   /**
@@ -87,6 +172,31 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     throw new Error('createSSIState must be implemented by subclass');
   }
 
+  /**
+   * Submit the operations of one Caliper transaction call
+   * With batchSize N, N operations build their requests concurrently and the requests are sent
+   * together through sendBatch; Caliper still counts every request as a transaction
+   * @returns {Promise} Operation result, or the results of the batch
+   */
+  async submitTransaction() {
+    if (this.ssiConfig.batchSize <= 1) {
+      return this.submitOperation();
+    }
+
+    const batch = new RequestBatch(this.ssiConfig.batchSize, requests => this.sendBatch(requests));
+    const operations = Array.from({ length: this.ssiConfig.batchSize }, () => batch.run(() => this.submitOperation()));
+    return Promise.all(operations);
+  }
+
+  /**
+   * Build and execute a single operation (must be implemented by subclass)
+   * @returns {Promise} Operation result
+   * @protected
+   */
+  async submitOperation() {
+    throw new Error('submitOperation must be implemented by subclass');
+  }
+
   /**
    * Ensures the connector type is Ethereum
    * @protected
@@ -103,26 +213,195 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   initializeSSIConfiguration() {
-    // Extract required configuration (simplified for Caliper Ethereum)
-    const requiredSettings = ['gethEndpoint', 'chainId'];
+    // Fail on mistyped or invalid arguments before any transaction is sent
+    this.validateRoundArguments();
 
-    requiredSettings.forEach(setting => {
-      if (!this.roundArguments.hasOwnProperty(setting)) {
-        throw new Error(`SSI workload error: required setting "${setting}" is missing from benchmark configuration`);
-      }
-    });
+    // contractAddresses round argument, then deployments/<chainId>.json, then the network configuration
+    const contractAddresses = this.resolveContractAddresses();
 
     // Store SSI configuration optimized for Caliper Ethereum
     this.ssiConfig = {
       chainId: this.roundArguments.chainId || 1337,
-      gethEndpoint: this.roundArguments.gethEndpoint,
-      contractAddresses: this.roundArguments.contractAddresses || {},
+      gethEndpoint: this.roundArguments.gethEndpoint ?? this.roundArguments.besuEndpoint,
+      contractAddresses,
       gasConfig: this.roundArguments.gasConfig || {},
       // Additional Caliper Ethereum specific configurations
-      gasPrice: this.roundArguments.gasPrice || 2000000000
+      gasPrice: this.roundArguments.gasPrice || 2000000000,
+      // Transaction type: "legacy" (gasPrice), "eip1559" (maxFeePerGas / maxPriorityFeePerGas) or "fee-history"
+      feeStrategy: this.roundArguments.feeStrategy || 'legacy',
+      // Gas limits from eth_estimateGas plus headroom, cached per contract bytecode
+      gasCalibration: this.roundArguments.gasCalibration !== false,
+      gasHeadroom: this.roundArguments.gasHeadroom ?? DEFAULT_GAS_HEADROOM,
+      gasCalibrationPath: this.roundArguments.gasCalibrationPath,
+      // Replay failed requests with eth_call to recover their revert data
+      decodeFailures: this.roundArguments.decodeFailures !== false,
+      // Optional seed for reproducible data generation (per worker and round)
+      seed: this.roundArguments.seed,
+      // "content" anchors real DID documents and VCs kept in a local content store
+      payloadMode: this.roundArguments.payloadMode || 'random',
+      contentStorePath: this.roundArguments.contentStorePath,
+      // Payload size sweep: docCid/credentialCid format, URI reference length and DID document size
+      cidFormat: this.roundArguments.cidFormat || CID_FORMATS.CIDV1_BASE32,
+      cidUriLength: this.roundArguments.cidUriLength || 0,
+      didDocumentSize: this.roundArguments.didDocumentSize || 0,
+      // Operations per submitTransaction call, sent to the connector as one request array
+      batchSize: this.roundArguments.batchSize || 1,
+      roundIndex: this.roundIndex,
+      // Worker layout and cross-process state shared through the Caliper workspace
+      totalWorkers: this.totalWorkers,
+      sharedState: {
+        enabled: this.roundArguments.sharedState !== false,
+        filePath: this.roundArguments.sharedStatePath,
+        deploymentKey: this.getDeploymentKey(contractAddresses),
+        // Generated account keys are derived from a network config key, so the shared file holds no keys
+        keySecret: (this.getNetworkAccounts() || []).find(account => account.privateKey)?.privateKey || null
+      }
     };
 
-    console.log(`⚙️ SSI Configuration loaded for worker ${this.workerIndex}`);
+    logger.info(`⚙️ SSI Configuration loaded for worker ${this.workerIndex}`);
+  }
+
+  /**
+   * Validate the round arguments against the SSI argument schema
+   * Errors name the round label and every bad key; unknown keys, deprecated aliases and
+   * keys without effect on this workload are logged as warnings by the first worker
+   * @protected
+   */
+  validateRoundArguments() {
+    const contracts = this.sutAdapter.ethereumConfig?.contracts || {};
+    const contractFunctions = {};
+    for (const [contractName, contract] of Object.entries(contracts)) {
+      if (Array.isArray(contract?.abi)) {
+        contractFunctions[contractName] = contract.abi.filter(entry => entry.type === 'function').map(entry => entry.name);
+      }
+    }
+
+    const label = getRoundLabel(this.roundIndex);
+    const warnings = validateRoundArguments(this.roundArguments, ROUND_ARGUMENT_SCHEMA, {
+      label,
+      operationType: this.operationType,
+      contractFunctions
+    });
+
+    if (this.workerIndex === 0) {
+      warnings.forEach(warning => logger.warn(`⚠️ Round "${label}": ${warning}`));
+    }
+  }
+
+  /**
+   * Resolve the address of each SSI contract
+   * The contractAddresses round argument overrides the deployment manifest of the chain
+   * (deployments/<chainId>.json, written by the deploy scripts), which overrides the network configuration
+   * @returns {Object} Contract name -> address
+   * @protected
+   */
+  resolveContractAddresses() {
+    const contracts = this.sutAdapter.ethereumConfig?.contracts || {};
+    const overrides = this.roundArguments.contractAddresses || {};
+    const chainId = this.roundArguments.chainId;
+
+    let manifest = null;
+    if (this.roundArguments.deploymentManifest !== false) {
+      try {
+        manifest = DeploymentManifest.load(chainId, this.roundArguments.deploymentsPath);
+      } catch (error) {
+        throw new Error(`SSI workload error: cannot read the deployment manifest of chain ${chainId}: ${error.message}`);
+      }
+    }
+
+    const report = this.workerIndex === 0;
+    if (report && this.roundArguments.deploymentManifest !== false && !manifest) {
+      logger.info(`📄 No deployment manifest for chain ${chainId}; using the network configuration addresses`);
+    }
+
+    const addresses = {};
+    for (const contractName of Object.values(SSI_CONTRACTS)) {
+      const manifestAddress = manifest?.getAddress(contractName);
+      const [address, source] = overrides[contractName] ? [overrides[contractName], 'contractAddresses'] :
+        manifestAddress ? [manifestAddress, manifest.filePath] : [contracts[contractName]?.address, 'network configuration'];
+      if (!address) {
+        continue;
+      }
+      addresses[contractName] = address;
+
+      if (report) {
+        logger.info(`📍 ${contractName} at ${address} (${source})`);
+        if (manifest && !manifest.matchesAbi(contractName, contracts[contractName]?.abi)) {
+          logger.warn(`⚠️ ${contractName} ABI of the network configuration differs from the deployed contract; copy the current artifacts to benchmarks/contracts`);
+        }
+      }
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Point the connector's contract instances at the resolved addresses
+   * The connector builds them from the network configuration addresses before the round
+   * @protected
+   */
+  applyContractAddresses() {
+    for (const [contractName, address] of Object.entries(this.ssiConfig.contractAddresses)) {
+      const contract = this.sutContext?.contracts?.[contractName]?.contract;
+      if (contract && contract.options.address?.toLowerCase() !== address.toLowerCase()) {
+        contract.options.address = address;
+      }
+    }
+  }
+
+  /**
+   * Copy the gasConfig limits of the round into the connector's per-function gas map
+   * The connector and sendTypedRequest take the limit from that map, not from the request
+   * @protected
+   */
+  applyConfiguredGasLimits() {
+    for (const [contractName, limits] of Object.entries(this.ssiConfig.gasConfig)) {
+      const contextContract = this.sutContext?.contracts?.[contractName];
+      if (contextContract) {
+        // Copied, the map is shared with the network config and later rounds
+        contextContract.gas = { ...contextContract.gas, ...limits };
+      }
+    }
+  }
+
+  /**
+   * Build a key identifying the chain and contract deployment under test
+   * Shared state recorded against other contract addresses is discarded
+   * @param {Object} contractAddresses - Contract name -> address
+   * @returns {string} Deployment key
+   * @protected
+   */
+  getDeploymentKey(contractAddresses) {
+    const addresses = Object.values(SSI_CONTRACTS).map(contractName =>
+      `${contractName}@${(contractAddresses[contractName] || 'unknown').toLowerCase()}`);
+
+    return [`chain-${this.roundArguments.chainId || 1337}`, ...addresses].join('|');
+  }
+
+  /**
+   * Share the state of this round with other workers and later rounds
+   */
+  async cleanupWorkloadModule() {
+    if (this.pendingFailures) {
+      await Promise.all(this.pendingFailures);
+    }
+    this.reportFailureTable();
+    this.reportPayloadSizes();
+    await this.reportReceiptMetrics();
+    await this.reportLatencyPhases();
+    await this.reportChainMonitor();
+
+    // Fill nonce gaps left by failed sends so no later transaction of these accounts stalls
+    if (this.nonceManager) {
+      await this.nonceManager.close();
+    }
+
+    if (this.ssiState && typeof this.ssiState.persistSharedState === 'function') {
+      this.ssiState.persistSharedState();
+    }
+
+    await super.cleanupWorkloadModule();
+    await closeLogging();
   }
 
   /**
@@ -130,8 +409,14 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   async setupAccountManagement() {
-    // Initialize nonce tracker
-    this.nonceTracker = {};
+    // Nonces of every sender (measured and setup transactions) come from one manager per worker
+    this.nonceManager = new NonceManager(this.sutContext?.web3 || this.sutAdapter.web3, {
+      fillGap: (address, nonce) => this.sendNonceFiller(address, nonce),
+      gapRefillDelayMs: this.roundArguments.nonceGapRefillMs
+    });
+
+    // Senders whose keys were added to the connector's web3 wallet
+    this.walletSenders = new Set();
 
     // Try to use available accounts from network config or adapter
     const networkAccounts = this.getNetworkAccounts();
@@ -142,7 +427,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
       this.clientIdx = this.workerIndex % availableAccounts;
       this.fromAddress = networkAccounts[this.clientIdx].address;
 
-      console.log(`👤 Worker ${this.workerIndex} using network account ${this.clientIdx}: ${this.fromAddress}`);
+      logger.info(`👤 Worker ${this.workerIndex} using network account ${this.clientIdx}: ${this.fromAddress}`);
     } else {
       // Fallback to connector's default account
       this.fromAddress = this.sutAdapter.defaultAccount || null;
@@ -151,11 +436,37 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
         throw new Error('No accounts available from network config or connector defaults');
       }
 
-      console.log(`👤 Worker ${this.workerIndex} using default account: ${this.fromAddress}`);
+      logger.info(`👤 Worker ${this.workerIndex} using default account: ${this.fromAddress}`);
     }
+  }
+
+  /**
+   * Create the fee strategy of this worker and check that the network supports it
+   * @protected
+   */
+  async setupFeeStrategy() {
+    const sendRpc = async (method, params) => {
+      const { result, error } = await this.sendRawRpc(method, params);
+      if (error) {
+        throw new Error(`${method} failed: ${error.message}`);
+      }
+      return result;
+    };
+
+    this.feeStrategy = new FeeStrategy(sendRpc, {
+      strategy: this.ssiConfig.feeStrategy,
+      gasPrice: this.ssiConfig.gasPrice,
+      maxFeePerGas: this.roundArguments.maxFeePerGas,
+      maxPriorityFeePerGas: this.roundArguments.maxPriorityFeePerGas,
+      feeHistoryBlocks: this.roundArguments.feeHistoryBlocks,
+      feeHistoryPercentile: this.roundArguments.feeHistoryPercentile,
+      baseFeeMultiplier: this.roundArguments.baseFeeMultiplier,
+      // Fee history changes once per block
+      feeRefreshMs: this.roundArguments.feeRefreshMs ?? (this.roundArguments.blockTime ? this.roundArguments.blockTime * 1000 : undefined)
+    });
 
-    // Initialize nonce tracker for this account
-    this.nonceTracker[this.fromAddress] = 0;
+    await this.feeStrategy.initialize();
+    logger.info(`💸 Worker ${this.workerIndex} fees: ${this.feeStrategy.describe()}`);
   }
 
   /**
@@ -180,7 +491,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
 
       return null;
     } catch (error) {
-      console.warn(`⚠️ Could not access network accounts: ${error.message}`);
+      logger.warn(`⚠️ Could not access network accounts: ${error.message}`);
       return null;
     }
   }
@@ -190,7 +501,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   validateContractAvailability() {
-    console.log(`🔍 Validating contract availability...`);
+    logger.info(`🔍 Validating contract availability...`);
 
     // Ensure contracts exist in sutAdapter
     if (!this.sutAdapter.ethereumConfig?.contracts) {
@@ -211,7 +522,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
         throw new Error(`${contractName} is not a valid contract object`);
       }
 
-      console.log(`✅ ${contractName} contract validated`);
+      logger.info(`✅ ${contractName} contract validated`);
     }
   }
 
@@ -227,11 +538,6 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    */
   createSSIRequest(contractName, operation, args, options = {}) {
     const isReadOnly = READ_ONLY_OPERATIONS.has(operation);
-    // const limit = this.getGasLimitFromConfig(contractName, operation);
-
-    // if (typeof limit !== 'number' || !Number.isFinite(limit) || limit <= 100000) {
-    //   throw new Error(`Invalid gas limit resolved for ${contractName}.${operation}: ${limit}`);   
-    // }
 
     // Create basic request optimized for Caliper Ethereum
     const request = {
@@ -246,15 +552,10 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     if (!isReadOnly) {
       // Use Caliper Ethereum's gas configuration
       request.gas = {
-        limit: this.getGasLimitFromConfig(contractName, operation),
-        price: this.ssiConfig.gasPrice
+        limit: this.getGasLimitFromConfig(contractName, operation)
       };
 
-      // // Caliper Ethereum expects flat fields: gas (limit) and gasPrice
-      // request.gas = limit;
-      // request.gasPrice = this.ssiConfig.gasPrice;
-
-      // Let Caliper Ethereum handle transaction signing and nonce management
+      // Sender, nonce and fees are applied in sendManagedRequest
     }
 
     return request;
@@ -268,23 +569,14 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   getGasLimitFromConfig(contractName, operation) {
-    // Try custom gas config first
-    if (this.ssiConfig.gasConfig?.[contractName]?.[operation]) {
-      return this.ssiConfig.gasConfig[contractName][operation];
+    // Calibrated limits take precedence
+    if (this.calibratedGasLimits?.[contractName]?.[operation]) {
+      return this.calibratedGasLimits[contractName][operation];
     }
 
-    // Try to get from network contract configuration
-    try {
-      const contractConfig = this.sutAdapter.ethereumConfig.contracts[contractName];
-      if (contractConfig?.gas?.limit) {
-        return contractConfig.gas.limit;
-      }
-
-      if (contractConfig?.functions?.[operation]?.gas) {
-        return contractConfig.functions[operation].gas;
-      }
-    } catch (error) {
-      // Continue to fallback values
+    const configured = this.getConfiguredGasLimit(contractName, operation);
+    if (configured !== null) {
+      return configured;
     }
 
     // Fallback to reasonable defaults optimized for SSI operations
@@ -293,6 +585,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
       'revokeRole': 70000,
       'createDid': 135000,
       'updateDid': 80000,
+      'deactivateDid': 50000,
       'issueCredential': 130000,
       'updateCredentialStatus': 100000,
       // Read operations (should not be used as they're read-only)
@@ -304,6 +597,194 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     return defaultGasLimits[operation] || 250000;
   }
 
+  /**
+   * Get the gas limit set in the round arguments or the network configuration
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Operation name
+   * @returns {number|null} Configured gas limit or null if none is set
+   * @protected
+   */
+  getConfiguredGasLimit(contractName, operation) {
+    // Try custom gas config first
+    if (this.ssiConfig.gasConfig?.[contractName]?.[operation]) {
+      return this.ssiConfig.gasConfig[contractName][operation];
+    }
+
+    // Try to get from network contract configuration
+    try {
+      const contractConfig = this.sutAdapter.ethereumConfig.contracts[contractName];
+      if (contractConfig?.gas?.[operation]) {
+        return contractConfig.gas[operation];
+      }
+
+      if (contractConfig?.gas?.limit) {
+        return contractConfig.gas.limit;
+      }
+
+      if (contractConfig?.functions?.[operation]?.gas) {
+        return contractConfig.functions[operation].gas;
+      }
+    } catch (error) {
+      // No configured value
+    }
+
+    return null;
+  }
+
+  /**
+   * Calibrate the gas limit of every write operation with eth_estimateGas plus headroom
+   * Estimates are cached per contract bytecode hash, so they are only repeated when the contracts change.
+   * Calibrated limits are also set in the connector's per-function gas map, which it applies to every transaction.
+   * Operations that cannot be estimated (no suitable on-chain state yet) keep their configured limit.
+   * Disable with gasCalibration: false
+   * @returns {Promise<Object>} contract -> operation -> calibrated gas limit
+   * @protected
+   */
+  async calibrateGasLimits() {
+    this.calibratedGasLimits = {};
+    if (!this.ssiConfig.gasCalibration) {
+      return this.calibratedGasLimits;
+    }
+
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const cache = new GasCalibrationCache(this.ssiConfig.gasCalibrationPath);
+    const codeHashes = new Map();
+    const skipped = [];
+    let fixture = null;
+
+    for (const [contractName, operation] of CALIBRATED_OPERATIONS) {
+      try {
+        const contract = this.getContractInstance(contractName);
+        if (!codeHashes.has(contractName)) {
+          codeHashes.set(contractName, await GasCalibrationCache.getCodeHash(web3, contract.options.address));
+        }
+        const codeHash = codeHashes.get(contractName);
+
+        // Gas depends on the CID length, so estimates are cached per length
+        const cid = this.ssiState.getRepresentativeCid();
+        const variant = [SSI_OPERATIONS.ASSIGN_ROLE, SSI_OPERATIONS.REVOKE_ROLE, SSI_OPERATIONS.DEACTIVATE_DID,
+          SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS].includes(operation) ? operation : `${operation}|cid${cid.length}`;
+
+        let estimate = cache.get(codeHash, variant);
+        if (estimate === undefined) {
+          fixture = fixture || await this.getCalibrationFixture();
+          const call = this.getCalibrationCall(operation, fixture, cid);
+          if (!call) {
+            skipped.push(`${operation} (no on-chain state to estimate against)`);
+            continue;
+          }
+
+          const estimation = await this.sendRawRpc('eth_estimateGas', [{
+            from: call.from,
+            to: contract.options.address,
+            data: contract.methods[operation](...call.args).encodeABI()
+          }]);
+
+          if (estimation.error) {
+            const decoded = this.errorDecoder.decode(extractRevertData(estimation.error));
+            skipped.push(`${operation} (${decoded ? this.formatFailure(decoded) : estimation.error.message})`);
+            continue;
+          }
+
+          estimate = Number(estimation.result);
+          cache.set(codeHash, variant, estimate);
+        }
+
+        const limit = applyHeadroom(estimate, this.ssiConfig.gasHeadroom);
+        const configured = this.getConfiguredGasLimit(contractName, operation);
+        if (configured !== null && configured < estimate) {
+          logger.warn(`⚠️ Configured gas limit ${configured} for ${contractName}.${operation} is below the estimate ${estimate}; using ${limit}`);
+        }
+
+        this.calibratedGasLimits[contractName] = this.calibratedGasLimits[contractName] || {};
+        this.calibratedGasLimits[contractName][operation] = limit;
+
+        // The connector takes the limit from its per-function gas map (copied, the map is shared with the network config)
+        const contextContract = this.sutContext?.contracts?.[contractName];
+        if (contextContract) {
+          contextContract.gas = { ...contextContract.gas, [operation]: limit };
+        }
+      } catch (error) {
+        skipped.push(`${operation} (${error.message})`);
+      }
+    }
+
+    try {
+      cache.save();
+    } catch (error) {
+      logger.warn(`⚠️ Could not write gas calibration cache ${cache.filePath}: ${error.message}`);
+    }
+
+    const calibrated = Object.values(this.calibratedGasLimits)
+      .flatMap(limits => Object.entries(limits).map(([operation, limit]) => `${operation}=${limit}`));
+    logger.info(`⛽ Worker ${this.workerIndex} gas limits (+${Math.round(this.ssiConfig.gasHeadroom * 100)}% headroom): ${calibrated.join(', ') || 'none calibrated'}`);
+    skipped.forEach(reason => logger.warn(`⚠️ Gas calibration skipped ${reason}; using configured limit`));
+
+    return this.calibratedGasLimits;
+  }
+
+  /**
+   * Read the on-chain state calibration calls are built from
+   * @returns {Promise<Object>} { trustee, accounts: Array<{ address, role, didActive }>, credential }
+   * @protected
+   */
+  async getCalibrationFixture() {
+    const trustee = this.getTrusteeAccount().address;
+    const addresses = [trustee, ...(await this.ssiState.getAccountsToReconcile()).map(account => account.address)];
+    const accounts = [];
+
+    for (const address of new Set(addresses.map(address => address.toLowerCase()))) {
+      const state = await this.readOnChainAccountState(address);
+      accounts.push({ address, role: state.role, didActive: state.didActive });
+    }
+
+    return { trustee, accounts, credential: this.ssiState.getCalibrationCredential() };
+  }
+
+  /**
+   * Build representative arguments and sender for estimating an operation
+   * New identities are random addresses; updates use accounts whose role or DID exists on-chain
+   * @param {string} operation - Operation name
+   * @param {Object} fixture - Result of getCalibrationFixture
+   * @param {string} cid - docCid/credentialCid of the configured format
+   * @returns {Object|null} { from, args } in ABI order, or null if no suitable state exists
+   * @protected
+   */
+  getCalibrationCall(operation, fixture, cid) {
+    // Seeded runs estimate with the same arguments
+    const random = this.ssiState.calibrationRandom;
+    const randomAddress = () => ethers.getAddress(ethers.hexlify(random.bytes(20)));
+    const randomHash = () => ethers.hexlify(random.bytes(32));
+    const trusteeLower = fixture.trustee.toLowerCase();
+
+    const roleHolder = fixture.accounts.find(account => account.role !== SSI_ROLES.NONE && account.address.toLowerCase() !== trusteeLower);
+    const didOwner = fixture.accounts.find(account => account.didActive && account.role !== SSI_ROLES.NONE &&
+      account.address.toLowerCase() !== trusteeLower);
+    const issuer = fixture.accounts.find(account => account.didActive &&
+      (account.role === SSI_ROLES.ISSUER || account.role === SSI_ROLES.TRUSTEE));
+    const holder = issuer && fixture.accounts.find(account => account.didActive && account.address !== issuer.address);
+
+    switch (operation) {
+      case SSI_OPERATIONS.ASSIGN_ROLE:
+        return { from: fixture.trustee, args: [SSI_ROLES.HOLDER, randomAddress()] };
+      case SSI_OPERATIONS.REVOKE_ROLE:
+        return roleHolder ? { from: fixture.trustee, args: [roleHolder.role, roleHolder.address] } : null;
+      case SSI_OPERATIONS.CREATE_DID:
+        return { from: fixture.trustee, args: [randomAddress(), randomHash(), cid] };
+      case SSI_OPERATIONS.UPDATE_DID:
+        return didOwner ? { from: didOwner.address, args: [didOwner.address, randomHash(), cid] } : null;
+      case SSI_OPERATIONS.DEACTIVATE_DID:
+        return didOwner ? { from: didOwner.address, args: [didOwner.address] } : null;
+      case SSI_OPERATIONS.ISSUE_CREDENTIAL:
+        return holder ? { from: issuer.address, args: [holder.address, randomHash(), cid] } : null;
+      case SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS:
+        // ACTIVE (1) -> SUSPENDED (3)
+        return fixture.credential ? { from: fixture.credential.issuer, args: [fixture.credential.credentialId, 1, 3] } : null;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Execute an SSI operation using Caliper Ethereum connector
    * @param {string} contractName - Contract name
@@ -316,6 +797,7 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
   async executeSSIOperation(contractName, operation, args, options = {}) {
     const startTime = Date.now();
     let result;
+    let request;
 
     // Handle case where options is actually a caller address string
     if (typeof options === 'string' && options.startsWith('0x')) {
@@ -324,24 +806,47 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
 
     try {
       // Create optimized request for Caliper Ethereum
-      const request = this.createSSIRequest(contractName, operation, args, options);
+      request = this.createSSIRequest(contractName, operation, args, options);
+
+      logger.debug('Caliper request gas', { gas: request.gas });
 
-      console.log('Caliper request gas:', request.gas);
+      // Join the batch of this submitTransaction call, or send right away through sutAdapter.sendRequests
+      const batched = RequestBatch.join(request);
+      if (batched) {
+        result = await batched;
+      } else {
+        result = request.readOnly ? await this.sutAdapter.sendRequests(request) : await this.sendManagedRequest(request);
+      }
 
-      // Use sutAdapter.sendRequests for optimal Geth interaction
-      result = await this.sutAdapter.sendRequests(request);
+      if (!request.readOnly) {
+        this.recordPayloadSample(request, result);
+        this.recordReceiptMetrics(request, result);
+        this.recordLatencyPhases(request, result);
+      }
 
       const executionTime = Date.now() - startTime;
-      console.log(`✅ ${contractName}.${operation} completed in ${executionTime}ms`);
+
+      // The connector reports failures as a failed status; the decoded error is attached to the result later
+      if (typeof result?.IsCommitted === 'function' && !result.IsCommitted()) {
+        this.trackFailure(request, result).then(failure =>
+          logger.warn(`❌ ${contractName}.${operation} failed after ${executionTime}ms: ${this.formatFailure(failure)}`));
+        return result;
+      }
+
+      logger.debug(`✅ ${contractName}.${operation} completed in ${executionTime}ms`);
 
       return result;
     } catch (error) {
       const executionTime = Date.now() - startTime;
-      console.error(`❌ ${contractName}.${operation} failed after ${executionTime}ms: ${error.message}`);
+      logger.error(`❌ ${contractName}.${operation} failed after ${executionTime}ms: ${error.message}`);
+      if (request) {
+        this.trackFailure(request, null, error).then(failure =>
+          logger.error(`❌ ${contractName}.${operation} failed with ${this.formatFailure(failure)}`));
+      }
 
       // Add transaction details to error for better debugging
       if (error.originalError) {
-        console.error(`Original error: ${error.originalError.message || JSON.stringify(error.originalError)}`);
+        logger.error(`Original error: ${error.originalError.message || JSON.stringify(error.originalError)}`);
       }
 
       throw error;
@@ -349,28 +854,1145 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
   }
 
   /**
-   * Get current nonce for the from address
-   * Uses Caliper Ethereum's nonce management
-   * @returns {Promise<number>} Current nonce
+   * Decode a failure without holding up the operation that failed
+   * The replay is another RPC call; cleanupWorkloadModule waits for it before the failure table
+   * @param {Object} request - Failed Caliper connector request
+   * @param {TxStatus|null} result - Failed result, if the connector returned one
+   * @param {Error} error - Thrown error, if any
+   * @returns {Promise<Object>} { name, args }
+   * @protected
+   */
+  trackFailure(request, result, error = null) {
+    const pending = this.recordFailure(request, result, error);
+    this.pendingFailures.add(pending);
+    pending.finally(() => this.pendingFailures.delete(pending));
+    return pending;
+  }
+
+  /**
+   * Decode why a request failed, attach it to the result and count it for the round's failure table
+   * The connector does not keep the error, so the request is replayed with eth_call on the latest
+   * state to recover the revert data (the state may have moved on since the transaction)
+   * @param {Object} request - Failed Caliper connector request
+   * @param {TxStatus|null} result - Failed result, if the connector returned one
+   * @param {Error} error - Thrown error, if any
+   * @returns {Promise<Object>} { name, args }
+   * @protected
+   */
+  async recordFailure(request, result, error = null) {
+    let failure;
+
+    try {
+      let revertData = extractRevertData(error);
+      let replay = null;
+
+      if (!revertData && this.ssiConfig.decodeFailures) {
+        replay = await this.replayRequest(request);
+        revertData = extractRevertData(replay.error);
+      }
+
+      const decoded = this.errorDecoder.decode(revertData);
+      if (decoded) {
+        failure = { name: decoded.name, args: decoded.args };
+      } else if (revertData) {
+        failure = { name: `Unknown(${revertData.slice(0, 10)})`, args: { data: revertData } };
+      } else if (replay && !replay.error) {
+        failure = { name: FAILURE_NAMES.NOT_REPRODUCED, args: {} };
+      } else if (/out of gas|gas required exceeds/i.test(replay?.error?.message || error?.message || '')) {
+        failure = { name: FAILURE_NAMES.OUT_OF_GAS, args: {} };
+      } else {
+        failure = { name: FAILURE_NAMES.NO_REVERT_DATA, args: {} };
+      }
+    } catch (decodeError) {
+      failure = { name: FAILURE_NAMES.NO_REVERT_DATA, args: { decodeError: decodeError.message } };
+    }
+
+    if (result && typeof result.Set === 'function') {
+      result.Set('errorName', failure.name);
+      result.Set('errorArgs', failure.args);
+    }
+
+    const requestKey = `${request.contract}.${request.verb}`;
+    if (!this.failureCounts.has(requestKey)) {
+      this.failureCounts.set(requestKey, new Map());
+    }
+    const counts = this.failureCounts.get(requestKey);
+    counts.set(failure.name, (counts.get(failure.name) || 0) + 1);
+
+    return failure;
+  }
+
+  /**
+   * Replay a request with eth_call against the latest state
+   * Uses the raw JSON-RPC response, since web3 drops error.data from its exceptions
+   * @param {Object} request - Caliper connector request
+   * @returns {Promise<Object>} { result, error } of the JSON-RPC call
+   * @protected
+   */
+  async replayRequest(request) {
+    const contract = this.getContractInstance(request.contract);
+    const gas = this.sutContext?.contracts?.[request.contract]?.gas?.[request.verb] || request.gas?.limit;
+
+    const call = {
+      from: request.fromAddress || this.sutContext?.fromAddress || this.fromAddress,
+      to: contract.options.address,
+      data: contract.methods[request.verb](...request.args).encodeABI()
+    };
+    if (!request.readOnly && gas) {
+      call.gas = `0x${Number(gas).toString(16)}`;
+    }
+
+    return this.sendRawRpc('eth_call', [call, 'latest']);
+  }
+
+  /**
+   * Send a JSON-RPC request through the connector's provider and return the raw response
+   * web3 drops error.data (the revert data) from its exceptions, so callers that need it use this
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Method parameters
+   * @returns {Promise<Object>} { result, error } of the JSON-RPC response
+   * @protected
+   */
+  async sendRawRpc(method, params) {
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const payload = { jsonrpc: '2.0', id: Date.now(), method, params };
+
+    const response = await new Promise((resolve, reject) => {
+      web3.currentProvider.send(payload, (sendError, reply) => sendError ? reject(sendError) : resolve(reply));
+    });
+
+    return { result: response?.result, error: response?.error || null };
+  }
+
+  /**
+   * Format a decoded failure for logging
+   * @param {Object} failure - { name, args }
+   * @returns {string} e.g. DidNotFound(identity=0x...)
+   * @protected
+   */
+  formatFailure(failure) {
+    const args = Object.entries(failure.args || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+    return `${failure.name}(${args})`;
+  }
+
+  /**
+   * Log this round's failure counts by request and error name
+   * @protected
+   */
+  reportFailureTable() {
+    if (!this.failureCounts || this.failureCounts.size === 0) return;
+
+    logger.info(`📉 Worker ${this.workerIndex} failures by error (round ${this.roundIndex}):`);
+    for (const [requestKey, counts] of this.failureCounts) {
+      const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+      for (const [name, count] of sorted) {
+        logger.info(`   ${requestKey.padEnd(42)} ${name.padEnd(28)} ${count}`);
+      }
+    }
+  }
+
+  /**
+   * Send a write request with the sender and nonce from the nonce manager and the fee strategy's fees
+   * The connector signs for context.fromAddress with context.nonces[fromAddress] and context.gasPrice;
+   * they are read synchronously when the request is submitted, so they are swapped in for this call only.
+   * EIP-1559 fees are sent through sendTypedRequest instead
+   * @param {Object} request - Caliper connector request (fromAddress selects the sender)
+   * @returns {Promise<TxStatus>} Result returned by sutAdapter.sendRequests
    * @protected
    */
-  async getCurrentNonce() {
+  async sendManagedRequest(request) {
+    const context = this.sutContext;
+    const sender = request.fromAddress || context?.fromAddress;
+
+    if (!context || !sender) {
+      return this.sutAdapter.sendRequests(request);
+    }
+
+    this.registerWalletSender(sender, request.fromAddressPrivateKey);
+    const fees = await this.feeStrategy.getFees();
+    const nonce = await this.nonceManager.acquire(sender);
+    request.fees = fees;
+
+    let pending;
+    if (fees.type === TX_TYPES.EIP1559) {
+      pending = this.sendTypedRequest(request, sender, nonce, fees);
+    } else {
+      pending = this.withConnectorSender(sender, nonce, fees.gasPrice, () => this.sutAdapter.sendRequests(request));
+    }
+
+    let result;
     try {
-      // Let Caliper Ethereum handle nonce management
-      return await this.sutAdapter.getNonce(this.fromAddress);
+      result = await pending;
     } catch (error) {
-      // Fallback to local tracking
-      return this.nonceTracker[this.fromAddress] || 0;
+      this.nonceManager.release(sender, nonce);
+      throw error;
     }
+
+    this.settleNonce(sender, nonce, result);
+    return result;
+  }
+
+  /**
+   * Send the requests of a batch: calls as one connector array, write requests through sendManagedBatch
+   * @param {Array<Object>} requests - Caliper connector requests
+   * @returns {Promise<Array<TxStatus>>} Results in request order
+   * @protected
+   */
+  async sendBatch(requests) {
+    const calls = requests.filter(request => request.readOnly);
+    const writes = requests.filter(request => !request.readOnly);
+
+    const [callResults, writeResults] = await Promise.all([
+      calls.length > 0 ? this.sutAdapter.sendRequests(calls) : [],
+      writes.length > 0 ? this.sendManagedBatch(writes) : []
+    ]);
+
+    const results = new Map([
+      ...calls.map((request, index) => [request, callResults[index]]),
+      ...writes.map((request, index) => [request, writeResults[index]])
+    ]);
+    return requests.map(request => results.get(request));
   }
 
   /**
-   * Increment nonce tracker (for fallback scenarios)
+   * Send write requests concurrently, each with the sender and nonce from the nonce manager
+   * Legacy requests go to the connector as one array per sender and run of consecutive nonces;
+   * EIP-1559 requests are signed here through sendTypedRequest (the connector's web3 cannot sign them)
+   * @param {Array<Object>} requests - Caliper connector write requests
+   * @returns {Promise<Array<TxStatus>>} Results in request order
    * @protected
    */
-  incrementNonce() {
-    this.nonceTracker[this.fromAddress] = (this.nonceTracker[this.fromAddress] || 0) + 1;
+  async sendManagedBatch(requests) {
+    const context = this.sutContext;
+    if (!context) {
+      return this.sutAdapter.sendRequests(requests);
+    }
+
+    // One fee quote for the whole batch; nonces reserved in request order
+    const fees = await this.feeStrategy.getFees();
+    const senders = new Map();
+    for (const request of requests) {
+      const sender = request.fromAddress || context.fromAddress;
+      this.registerWalletSender(sender, request.fromAddressPrivateKey);
+      senders.set(request, { sender, nonce: await this.nonceManager.acquire(sender) });
+      request.fees = fees;
+    }
+
+    if (fees.type === TX_TYPES.EIP1559) {
+      const results = await Promise.all(requests.map(request =>
+        this.sendTypedRequest(request, senders.get(request).sender, senders.get(request).nonce, fees)));
+
+      requests.forEach((request, index) => {
+        const { sender, nonce } = senders.get(request);
+        this.settleNonce(sender, nonce, results[index]);
+      });
+      return results;
+    }
+
+    // The connector reads sender and nonce of every request of an array before sendRequests returns
+    // its promise and counts the nonce up itself, so each run needs the context swapped only once
+    const runs = this.groupNonceRuns(requests, senders);
+    const outcomes = await Promise.allSettled(runs.map(run => {
+      const { sender, nonce } = senders.get(run[0]);
+      return this.withConnectorSender(sender, nonce, fees.gasPrice, () => this.sutAdapter.sendRequests(run));
+    }));
+
+    const results = new Map();
+    let firstError = null;
+    runs.forEach((run, index) => {
+      const outcome = outcomes[index];
+      run.forEach((request, position) => {
+        const { sender, nonce } = senders.get(request);
+        if (outcome.status === 'fulfilled') {
+          results.set(request, outcome.value[position]);
+          this.settleNonce(sender, nonce, outcome.value[position]);
+        } else {
+          this.nonceManager.release(sender, nonce);
+        }
+      });
+      if (outcome.status === 'rejected' && !firstError) {
+        firstError = outcome.reason;
+      }
+    });
+
+    if (firstError) {
+      throw firstError;
+    }
+    return requests.map(request => results.get(request));
   }
+
+  /**
+   * Split batch requests into runs with the same sender and consecutive nonces, in request order
+   * @param {Array<Object>} requests - Caliper connector write requests
+   * @param {Map<Object, Object>} senders - request -> { sender, nonce }
+   * @returns {Array<Array<Object>>} Runs of requests
+   * @protected
+   */
+  groupNonceRuns(requests, senders) {
+    const runs = [];
+    const openRuns = new Map();
+
+    for (const request of requests) {
+      const { sender, nonce } = senders.get(request);
+      const key = sender.toLowerCase();
+      const run = openRuns.get(key);
+
+      if (run && senders.get(run[run.length - 1]).nonce === nonce - 1) {
+        run.push(request);
+      } else {
+        const newRun = [request];
+        runs.push(newRun);
+        openRuns.set(key, newRun);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Run a connector call with the sender, nonce and gas price of one legacy transaction
+   * The connector reads them from its context synchronously when it builds the transaction
+   * @param {string} sender - Sender address
+   * @param {number} nonce - Nonce reserved for the sender
+   * @param {string|number} gasPrice - Gas price of the fee strategy
+   * @param {Function} send - Connector call
+   * @returns {*} Result of send
+   * @protected
+   */
+  withConnectorSender(sender, nonce, gasPrice, send) {
+    const context = this.sutContext;
+    const connectorSender = context.fromAddress;
+    const connectorGasPrice = context.gasPrice;
+    context.nonces = context.nonces || {};
+
+    try {
+      context.fromAddress = sender;
+      context.nonces[sender] = nonce;
+      context.gasPrice = gasPrice;
+      return send();
+    } finally {
+      context.fromAddress = connectorSender;
+      context.gasPrice = connectorGasPrice;
+    }
+  }
+
+  /**
+   * Confirm or release the nonce of a sent request
+   * The connector reports failures without the error; a receipt means the nonce was used
+   * @param {string} sender - Sender address
+   * @param {number} nonce - Nonce of the request
+   * @param {TxStatus} result - Result of the request
+   * @protected
+   */
+  settleNonce(sender, nonce, result) {
+    if (result?.GetResult?.()?.transactionHash) {
+      this.nonceManager.confirm(sender, nonce);
+    } else {
+      this.nonceManager.release(sender, nonce);
+    }
+  }
+
+  /**
+   * Send a write request as a transaction built here and report it to Caliper like a connector request
+   * Used for EIP-1559 requests, which the connector's web3 (1.2.x) cannot sign;
+   * submission and result are announced through the connector's own events
+   * @param {Object} request - Caliper connector request
+   * @param {string} sender - Sender address
+   * @param {number} nonce - Nonce reserved for the sender
+   * @param {Object} fees - Result of feeStrategy.getFees()
+   * @returns {Promise<TxStatus>} Result in the connector's format
+   * @protected
+   */
+  async sendTypedRequest(request, sender, nonce, fees) {
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const status = new TxStatus();
+    this.sutAdapter._onTxsSubmitted(1);
+
+    try {
+      const privateKey = request.fromAddressPrivateKey || this.findNetworkAccount(sender)?.privateKey;
+      this._assertCanSend({ address: sender, privateKey }, fees);
+
+      const contract = this.getContractInstance(request.contract);
+      const transaction = {
+        to: contract.options.address,
+        data: contract.methods[request.verb](...request.args).encodeABI(),
+        value: request.value || 0,
+        // Same precedence as the connector: context gas map (calibrated), then the request
+        gas: this.sutContext?.contracts?.[request.contract]?.gas?.[request.verb] || request.gas?.limit,
+        chainId: this.sutContext?.chainId || this.ssiConfig.chainId,
+        nonce
+      };
+
+      // Without a key, legacy transactions are signed by the web3 wallet or the node
+      const receipt = privateKey
+        ? await web3.eth.sendSignedTransaction(await this.signTransaction(transaction, privateKey, fees))
+        : await web3.eth.sendTransaction({ ...transaction, from: sender, gasPrice: fees.gasPrice });
+      status.SetID(receipt.transactionHash);
+      status.SetResult(receipt);
+      status.SetVerification(true);
+      status.SetStatusSuccess();
+    } catch (error) {
+      // Reverted transactions carry their receipt: the nonce was used
+      if (error.receipt?.transactionHash) {
+        status.SetID(error.receipt.transactionHash);
+        status.SetResult(error.receipt);
+      } else {
+        logger.warn(`⚠️ ${request.contract}.${request.verb} rejected (nonce ${nonce}, ${this.feeStrategy.describe(fees)}): ${error.message}`);
+      }
+      status.SetStatusFail();
+    } finally {
+      this.sutAdapter._onTxsFinished(status);
+    }
+
+    return status;
+  }
+
+  /**
+   * Sign a transaction with the fees of the fee strategy
+   * Legacy transactions are signed by the connector's web3, EIP-1559 transactions by ethers
+   * @param {Object} transaction - Transaction fields in web3 naming (to, data, value, gas, chainId, nonce)
+   * @param {string} privateKey - Sender's private key
+   * @param {Object} fees - Result of feeStrategy.getFees()
+   * @returns {Promise<string>} Raw signed transaction
+   * @protected
+   */
+  async signTransaction(transaction, privateKey, fees) {
+    if (fees.type === TX_TYPES.LEGACY) {
+      const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+      const signed = await web3.eth.accounts.signTransaction({ ...transaction, gasPrice: fees.gasPrice }, privateKey);
+      return signed.rawTransaction;
+    }
+
+    return new ethers.Wallet(privateKey).signTransaction({
+      type: TX_TYPES.EIP1559,
+      chainId: transaction.chainId,
+      nonce: transaction.nonce,
+      to: transaction.to,
+      data: transaction.data || '0x',
+      value: transaction.value || 0,
+      gasLimit: transaction.gas,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+    });
+  }
+
+  /**
+   * Add a sender's private key to the connector's web3 wallet so the connector can sign for it
+   * @param {string} address - Sender address
+   * @param {string} privateKey - Private key from the request or the network config
+   * @protected
+   */
+  registerWalletSender(address, privateKey) {
+    const key = address.toLowerCase();
+    if (this.walletSenders.has(key)) return;
+
+    const wallet = (this.sutContext?.web3 || this.sutAdapter.web3)?.eth?.accounts?.wallet;
+    const signingKey = privateKey || this.findNetworkAccount(address)?.privateKey;
+
+    // The connector's own account is signed for by the connector or unlocked on the node
+    if (!signingKey && !wallet?.[address] && !this.isConnectorSender(address)) {
+      throw new Error(`No private key to sign as ${address}; only accounts with known keys can send requests`);
+    }
+
+    if (wallet && signingKey && !wallet[address]) {
+      wallet.add(signingKey);
+    }
+
+    this.walletSenders.add(key);
+  }
+
+  /**
+   * Check whether an address is the connector's own sender account
+   * @param {string} address - Sender address
+   * @returns {boolean} True if the connector's account is the sender
+   * @protected
+   */
+  isConnectorSender(address) {
+    const connectorSender = this.sutContext?.fromAddress || this.sutAdapter.ethereumConfig?.fromAddress;
+    return Boolean(connectorSender) && address.toLowerCase() === connectorSender.toLowerCase();
+  }
+
+  /**
+   * Record calldata bytes and gasUsed of a committed write transaction
+   * @param {Object} request - Request passed to sutAdapter.sendRequests
+   * @param {TxStatus} result - Result returned by sutAdapter.sendRequests
+   * @protected
+   */
+  recordPayloadSample(request, result) {
+    if (!this.payloadReport || !result || typeof result.IsCommitted !== 'function' || !result.IsCommitted()) {
+      return;
+    }
+
+    const receipt = result.GetResult();
+    if (!receipt || receipt.gasUsed === undefined || receipt.gasUsed === null) {
+      return;
+    }
+
+    try {
+      const data = this.getContractInstance(request.contract).methods[request.verb](...request.args).encodeABI();
+      const calldata = measureCalldata(data);
+
+      this.payloadReport.record(request.verb, {
+        calldataBytes: calldata.bytes,
+        calldataGas: calldata.gas,
+        gasUsed: Number(receipt.gasUsed)
+      });
+    } catch (error) {
+      // Reporting must never fail the measured transaction
+      logger.warn(`⚠️ Worker ${this.workerIndex} stopped payload size recording: ${error.message}`);
+      this.payloadReport = null;
+    }
+  }
+
+  /**
+   * Log and write this round's gasUsed against calldata bytes
+   * @protected
+   */
+  reportPayloadSizes() {
+    if (!this.payloadReport) return;
+
+    try {
+      this.payloadReport.log(`Worker ${this.workerIndex}`);
+      const filePath = this.payloadReport.write();
+      if (filePath) {
+        logger.info(`📦 Worker ${this.workerIndex} payload size report written to ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} could not write payload size report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record gasUsed, inclusion block and submission time of a committed write transaction
+   * @param {Object} request - Request passed to sutAdapter.sendRequests
+   * @param {TxStatus} result - Result returned by sutAdapter.sendRequests
+   * @protected
+   */
+  recordReceiptMetrics(request, result) {
+    if (!this.receiptMetrics || !result || typeof result.IsCommitted !== 'function' || !result.IsCommitted()) {
+      return;
+    }
+
+    const receipt = result.GetResult();
+    const blockNumber = this.getResultBlockNumber(result);
+    if (!receipt || receipt.gasUsed === undefined || blockNumber === null) {
+      return;
+    }
+
+    this.receiptMetrics.record(request.verb, {
+      gasUsed: Number(receipt.gasUsed),
+      blockNumber,
+      submittedAt: result.GetTimeCreate()
+    });
+  }
+
+  /**
+   * Resolve inclusion delay and block fullness, then log and write this round's receipt metrics
+   * Block headers are read here, after the measured transactions
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async reportReceiptMetrics() {
+    if (!this.receiptMetrics) return;
+
+    try {
+      await this.receiptMetrics.resolveBlocks(async blockNumber => {
+        const { result, error } = await this.sendRawRpc('eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, false]);
+        if (error || !result) {
+          throw new Error(`block ${blockNumber} unavailable${error ? `: ${error.message}` : ''}`);
+        }
+        return result;
+      });
+
+      this.receiptMetrics.log(`Worker ${this.workerIndex}`);
+      const filePath = this.receiptMetrics.write();
+      if (filePath) {
+        logger.info(`🧾 Worker ${this.workerIndex} receipt metrics written to ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} could not write receipt metrics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Subscribe to pending transactions and new heads on the websocket endpoint of the node
+   * Enabled with latencyPhases: true; without a websocket endpoint the round runs untracked
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async setupLatencyPhases() {
+    this.latencyPhases = null;
+    if (!this.roundArguments.latencyPhases) return;
+
+    const endpoint = this.roundArguments.latencyPhaseEndpoint || this.ssiConfig.gethEndpoint || this.sutAdapter.ethereumConfig?.url;
+    if (!endpoint || !/^wss?:\/\//.test(endpoint)) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} latency phases disabled: no websocket endpoint (got ${endpoint || 'none'})`);
+      return;
+    }
+
+    const tracker = new LatencyPhaseTracker(endpoint, {
+      workerIndex: this.workerIndex,
+      roundIndex: this.roundIndex,
+      confirmationBlocks: this.sutAdapter.ethereumConfig?.transactionConfirmationBlocks,
+      directory: this.roundArguments.latencyPhasesPath
+    });
+
+    try {
+      await tracker.start();
+      this.latencyPhases = tracker;
+      logger.info(`⏱️ Worker ${this.workerIndex} tracking latency phases at ${endpoint} (${tracker.confirmationBlocks} confirmation blocks)`);
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} latency phases disabled: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record hash, inclusion block, submission and result time of a committed write transaction
+   * @param {Object} request - Request passed to sutAdapter.sendRequests
+   * @param {TxStatus} result - Result returned by sutAdapter.sendRequests
+   * @protected
+   */
+  recordLatencyPhases(request, result) {
+    if (!this.latencyPhases || !result || typeof result.IsCommitted !== 'function' || !result.IsCommitted()) {
+      return;
+    }
+
+    const blockNumber = this.getResultBlockNumber(result);
+    if (!result.GetID() || blockNumber === null) {
+      return;
+    }
+
+    this.latencyPhases.record(request.verb, {
+      hash: result.GetID(),
+      blockNumber,
+      submittedAt: result.GetTimeCreate(),
+      finishedAt: result.GetTimeFinal()
+    });
+  }
+
+  /**
+   * Wait for the confirmation head of the last transaction, then log and write this round's latency phases
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async reportLatencyPhases() {
+    if (!this.latencyPhases) return;
+
+    try {
+      const blockTimeMs = (this.roundArguments.blockTime || 3) * 1000;
+      const arrived = await this.latencyPhases.waitForConfirmations(this.latencyPhases.confirmationBlocks * blockTimeMs + 2000);
+      if (!arrived) {
+        logger.warn(`⚠️ Worker ${this.workerIndex} did not see the confirmation head of its last transactions; their confirmation phase stays unobserved`);
+      }
+
+      this.latencyPhases.resolve();
+      this.latencyPhases.log(`Worker ${this.workerIndex}`);
+      const filePath = this.latencyPhases.write();
+      if (filePath) {
+        logger.info(`⏱️ Worker ${this.workerIndex} latency phases written to ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} could not write latency phases: ${error.message}`);
+    } finally {
+      await this.latencyPhases.stop();
+    }
+  }
+
+  /**
+   * Start sampling the chain on worker 0; the chain is shared, so one sampler per round is enough
+   * Enabled with chainMonitor: true; an unreachable node leaves the round unmonitored
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async setupChainMonitor() {
+    this.chainMonitor = null;
+    if (this.workerIndex !== 0 || !this.roundArguments.chainMonitor) return;
+
+    // Without chainMonitorEndpoints the node under test is sampled (NODE_HTTP_ENDPOINT or the network config url)
+    const defaultEndpoint = getNodeHttpEndpoint();
+    const endpoints = this.roundArguments.chainMonitorEndpoints || (defaultEndpoint ? [defaultEndpoint] : []);
+    if (endpoints.length === 0) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} chain monitor disabled: no chainMonitorEndpoints and no NODE_HTTP_ENDPOINT`);
+      return;
+    }
+
+    const monitor = new ChainMonitor(endpoints, {
+      roundIndex: this.roundIndex,
+      roundLabel: getRoundLabel(this.roundIndex),
+      intervalMs: this.roundArguments.chainMonitorIntervalMs,
+      directory: this.roundArguments.chainMonitorPath
+    });
+
+    try {
+      await monitor.start();
+      this.chainMonitor = monitor;
+      logger.info(`⛓️ Worker ${this.workerIndex} sampling ${endpoints.length} node(s) every ${monitor.intervalMs}ms`);
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} chain monitor disabled: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop sampling, then log and write this round's chain metrics
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async reportChainMonitor() {
+    if (!this.chainMonitor) return;
+
+    try {
+      await this.chainMonitor.stop();
+      this.chainMonitor.log(`Worker ${this.workerIndex}`);
+      const filePath = this.chainMonitor.write();
+      if (filePath) {
+        logger.info(`⛓️ Worker ${this.workerIndex} chain metrics written to ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Worker ${this.workerIndex} could not write chain metrics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a web3 contract instance for direct, unmeasured contract calls
+   * @param {string} contractName - Contract name matching network config
+   * @returns {Object} web3 contract instance
+   * @protected
+   */
+  getContractInstance(contractName) {
+    // Prefer the instance the connector already built for this round
+    const contextContract = this.sutContext?.contracts?.[contractName]?.contract;
+    if (contextContract) {
+      return contextContract;
+    }
+
+    const contractConfig = this.sutAdapter.ethereumConfig?.contracts?.[contractName];
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+
+    if (!contractConfig || !web3) {
+      throw new Error(`Cannot build contract instance for ${contractName}: missing contract config or web3 provider`);
+    }
+
+    const address = this.ssiConfig.contractAddresses?.[contractName] || contractConfig.address;
+    return new web3.eth.Contract(contractConfig.abi, address);
+  }
+
+  /**
+   * Call a view function outside of Caliper's transaction statistics
+   * Intended for setup and consistency checks, not for measured workload traffic
+   * @param {string} contractName - Contract name matching network config
+   * @param {string} method - View function name
+   * @param {Array} args - Function arguments in ABI order
+   * @returns {Promise<*>} Decoded return value
+   * @protected
+   */
+  async callContractView(contractName, method, args = []) {
+    const contract = this.getContractInstance(contractName);
+    return contract.methods[method](...args).call();
+  }
+
+  /**
+   * Find a network config account by address
+   * @param {string} address - Account address
+   * @returns {Object|null} Account entry with address and privateKey, or null if unknown
+   * @protected
+   */
+  findNetworkAccount(address) {
+    if (!address) return null;
+
+    const addressLower = address.toLowerCase();
+    const accounts = this.getNetworkAccounts() || [];
+
+    return accounts.find(account => account.address?.toLowerCase() === addressLower) || null;
+  }
+
+  /**
+   * Build Caliper sender options for an account
+   * Adds the private key from the network config, so requests are signed as this account
+   * @param {string} address - Sender address
+   * @returns {Object} Request options with fromAddress and, if known, fromAddressPrivateKey
+   * @protected
+   */
+  getSenderOptions(address) {
+    const options = { fromAddress: address };
+    const account = this.findNetworkAccount(address);
+
+    if (account?.privateKey) {
+      options.fromAddressPrivateKey = account.privateKey;
+    }
+
+    return options;
+  }
+
+  /**
+   * Reserve a nonce for an unmeasured setup transaction
+   * Takes it from the nonce manager, so workload transactions sent afterwards do not reuse it
+   * @param {string} address - Sender address
+   * @returns {Promise<number>} Nonce to use
+   * @protected
+   */
+  async reserveSetupNonce(address) {
+    return this.nonceManager.acquire(address);
+  }
+
+  /**
+   * Sign and send a transaction with a reserved nonce and wait for its receipt
+   * The nonce is confirmed once the node returns a receipt and released otherwise
+   * @param {Object} transaction - Transaction fields without nonce
+   * @param {Object} account - Sender as { address, privateKey }; without a key the node must hold the account unlocked
+   * @returns {Promise<Object>} Transaction receipt
+   * @private
+   */
+  async _sendWithManagedNonce(transaction, account) {
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const fees = await this.feeStrategy.getFees();
+    this._assertCanSend(account, fees);
+    const nonce = await this.reserveSetupNonce(account.address);
+
+    try {
+      let receipt;
+      if (account.privateKey) {
+        const rawTransaction = await this.signTransaction({ ...transaction, nonce }, account.privateKey, fees);
+        receipt = await web3.eth.sendSignedTransaction(rawTransaction);
+      } else {
+        receipt = await web3.eth.sendTransaction({ ...transaction, gasPrice: fees.gasPrice, nonce });
+      }
+
+      this.nonceManager.confirm(account.address, nonce);
+      return receipt;
+    } catch (error) {
+      // Reverted transactions carry their receipt: the nonce was used
+      if (error.receipt?.transactionHash) {
+        this.nonceManager.confirm(account.address, nonce);
+      } else {
+        this.nonceManager.release(account.address, nonce);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a transaction with the given fees can be sent from an account
+   * Node-held (unlocked) accounts are sent through web3 1.2.x, which only builds legacy transactions
+   * @param {Object} account - Sender as { address, privateKey }
+   * @param {Object} fees - Result of feeStrategy.getFees()
+   * @private
+   */
+  _assertCanSend(account, fees) {
+    if (!account.privateKey && fees.type !== TX_TYPES.LEGACY) {
+      throw new Error(`EIP-1559 transactions need the private key of ${account.address} in the network config`);
+    }
+  }
+
+  /**
+   * Send a zero-value self-transfer that fills a nonce gap
+   * @param {string} address - Account with the gap
+   * @param {number} nonce - Gap nonce
+   * @returns {Promise<Object>} Transaction receipt
+   * @protected
+   */
+  async sendNonceFiller(address, nonce) {
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const account = this.findNetworkAccount(address) || { address };
+    const fees = await this.feeStrategy.getFees();
+    this._assertCanSend(account, fees);
+
+    const transaction = {
+      from: address,
+      to: address,
+      value: 0,
+      gas: 21000,
+      chainId: this.ssiConfig.chainId,
+      nonce
+    };
+
+    if (account.privateKey) {
+      const rawTransaction = await this.signTransaction(transaction, account.privateKey, fees);
+      return web3.eth.sendSignedTransaction(rawTransaction);
+    }
+
+    return web3.eth.sendTransaction({ ...transaction, gasPrice: fees.gasPrice });
+  }
+
+  /**
+   * Send a transaction outside of Caliper's transaction statistics and wait for its receipt
+   * Intended for workload setup, not for measured workload traffic
+   * @param {string} contractName - Contract name matching network config
+   * @param {string} method - Contract function name
+   * @param {Array} args - Function arguments in ABI order
+   * @param {Object} account - Sender as { address, privateKey }; without a key the node must hold the account unlocked
+   * @returns {Promise<Object>} Transaction receipt
+   * @protected
+   */
+  async sendSetupTransaction(contractName, method, args, account) {
+    const contract = this.getContractInstance(contractName);
+
+    const transaction = {
+      from: account.address,
+      to: contract.options.address,
+      data: contract.methods[method](...args).encodeABI(),
+      gas: this.getGasLimitFromConfig(contractName, method),
+      chainId: this.ssiConfig.chainId
+    };
+
+    const receipt = await this._sendWithManagedNonce(transaction, account);
+
+    if (!receipt || receipt.status === false || receipt.status === 0n || receipt.status === '0x0') {
+      throw new Error(`Setup transaction ${contractName}.${method} reverted for ${account.address}`);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Get the account that assigns roles in setup transactions
+   * This is the connector's sender, which deployed RoleControl and holds TRUSTEE
+   * @returns {Object} Trustee account as { address, privateKey }
+   * @protected
+   */
+  getTrusteeAccount() {
+    const trusteeAddress = this.sutContext?.fromAddress || this.sutAdapter.ethereumConfig?.fromAddress || this.fromAddress;
+    return this.findNetworkAccount(trusteeAddress) || { address: trusteeAddress };
+  }
+
+  /**
+   * Read the role and DID state of an account from the chain
+   * @param {string} address - Account address
+   * @returns {Promise<Object>} { role, didExists, didActive, docHash, versionId }
+   * @protected
+   */
+  async readOnChainAccountState(address) {
+    const role = Number(await this.callContractView(SSI_CONTRACTS.ROLE_CONTROL, 'getRole', [address]));
+    const didState = await this.callContractView(SSI_CONTRACTS.DID_REGISTRY, 'validateDid', [address]);
+
+    const state = {
+      role,
+      didExists: Boolean(didState.exists),
+      didActive: Boolean(didState.active),
+      docHash: null,
+      versionId: null
+    };
+
+    // resolveDid reverts for deactivated DIDs, so only active ones are resolved
+    if (state.didActive) {
+      const didRecord = await this.callContractView(SSI_CONTRACTS.DID_REGISTRY, 'resolveDid', [address]);
+      state.docHash = didRecord.docHash;
+      state.versionId = Number(didRecord.metadata.versionId);
+    }
+
+    return state;
+  }
+
+  /**
+   * Reconcile the state manager's pre-funded accounts with RoleControl and DidRegistry
+   * With the setupMissingState round argument, missing roles and DIDs are created in an
+   * unmeasured setup phase; each worker only sets up the accounts it owns
+   * Disable with reconcileOnChain: false
+   * @returns {Promise<Object>} Reconciliation summary
+   * @protected
+   */
+  async reconcileOnChainState() {
+    const summary = { accounts: 0, withRole: 0, withDid: 0, rolesAssigned: 0, didsCreated: 0, failed: 0 };
+
+    if (this.roundArguments.reconcileOnChain === false) {
+      return summary;
+    }
+
+    const setupMissing = this.roundArguments.setupMissingState === true;
+    const trustee = this.getTrusteeAccount();
+    const accounts = await this.ssiState.getAccountsToReconcile();
+
+    for (const account of accounts) {
+      summary.accounts++;
+
+      try {
+        let state = await this.readOnChainAccountState(account.address);
+
+        if (setupMissing && this.ssiState.isOwnedByWorker(account.address)) {
+          let changed = false;
+
+          if (state.role === SSI_ROLES.NONE && account.intendedRole && account.intendedRole !== SSI_ROLES.NONE) {
+            await this.sendSetupTransaction(SSI_CONTRACTS.ROLE_CONTROL, 'assignRole', [account.intendedRole, account.address], trustee);
+            summary.rolesAssigned++;
+            changed = true;
+          }
+
+          // createDid must be signed by an account holding a role, here the identity itself
+          if (!state.didExists && account.privateKey) {
+            const didArgs = this.ssiState.getSetupDIDArguments(account.address);
+            await this.sendSetupTransaction(
+              SSI_CONTRACTS.DID_REGISTRY,
+              'createDid',
+              [didArgs.identity, didArgs.docHash, didArgs.docCid],
+              { address: account.address, privateKey: account.privateKey }
+            );
+            summary.didsCreated++;
+            changed = true;
+          }
+
+          if (changed) {
+            state = await this.readOnChainAccountState(account.address);
+          }
+        }
+
+        this.ssiState.applyOnChainAccountState(account.address, state);
+
+        if (state.role !== SSI_ROLES.NONE) summary.withRole++;
+        if (state.didExists && state.didActive) summary.withDid++;
+      } catch (error) {
+        summary.failed++;
+        logger.warn(`⚠️ Worker ${this.workerIndex}: could not reconcile ${account.address.substring(0, 10)}... (${error.message})`);
+      }
+    }
+
+    logger.info(`🔎 Worker ${this.workerIndex} reconciled ${summary.accounts} accounts: ${summary.withRole} with roles, ${summary.withDid} with active DIDs` +
+      (setupMissing ? `, set up ${summary.rolesAssigned} roles and ${summary.didsCreated} DIDs` : '') +
+      (summary.failed > 0 ? `, ${summary.failed} failed` : ''));
+
+    return summary;
+  }
+
+  /**
+   * Select this worker's credential issuer and make sure it can issue on-chain
+   * The account needs the ISSUER role and an active DID, since CredentialRegistry
+   * validates the DID of the issuer as well as the holder
+   * Falls back to the worker's default account when no issuer accounts are configured
+   * @returns {Promise<Object>} Issuer account as { address, privateKey }
+   * @protected
+   */
+  async setupIssuerAccount() {
+    const candidates = await this.ssiState.getIssuerAccountCandidates();
+
+    const trustee = this.getTrusteeAccount();
+
+    if (candidates.length === 0) {
+      logger.warn(`⚠️ Worker ${this.workerIndex}: no ISSUER accounts with private keys in network config, issuing from ${trustee.address}`);
+      this.issuerAccount = trustee;
+      return this.issuerAccount;
+    }
+
+    if (this.totalWorkers > candidates.length) {
+      logger.warn(`⚠️ ${this.totalWorkers} workers share ${candidates.length} issuer accounts; nonces will contend`);
+    }
+
+    // Start at this worker's slot and skip accounts whose DIDs can no longer issue
+    for (let offset = 0; offset < candidates.length; offset++) {
+      const account = candidates[(this.workerIndex + offset) % candidates.length];
+
+      const role = Number(await this.callContractView(SSI_CONTRACTS.ROLE_CONTROL, 'getRole', [account.address]));
+      const didState = await this.callContractView(SSI_CONTRACTS.DID_REGISTRY, 'validateDid', [account.address]);
+
+      if (didState.exists && !didState.active) {
+        logger.warn(`⚠️ Worker ${this.workerIndex}: issuer candidate ${account.address.substring(0, 10)}... has a deactivated DID, skipping`);
+        continue;
+      }
+
+      if (role !== SSI_ROLES.ISSUER) {
+        logger.info(`🎭 Assigning ISSUER role to worker ${this.workerIndex} issuer ${account.address.substring(0, 10)}...`);
+        await this.sendSetupTransaction(SSI_CONTRACTS.ROLE_CONTROL, 'assignRole', [SSI_ROLES.ISSUER, account.address], trustee);
+      }
+
+      const didArgs = this.ssiState.getSetupDIDArguments(account.address);
+      let versionId = null;
+
+      if (!didState.exists) {
+        logger.info(`🆔 Creating DID for worker ${this.workerIndex} issuer ${account.address.substring(0, 10)}...`);
+        const receipt = await this.sendSetupTransaction(
+          SSI_CONTRACTS.DID_REGISTRY,
+          'createDid',
+          [didArgs.identity, didArgs.docHash, didArgs.docCid],
+          account
+        );
+        versionId = Number(receipt.blockNumber);
+      }
+
+      // An existing DID keeps its own document, which this run never learned
+      this.ssiState.registerWorkerIssuer(account.address, didState.exists ? {} : { ...didArgs, versionId });
+
+      // Publish the issuer right away so other workers never revoke or deactivate it
+      this.ssiState.persistSharedState();
+
+      this.issuerAccount = account;
+      logger.info(`🏛️ Worker ${this.workerIndex} issues credentials from ${account.address}`);
+      return this.issuerAccount;
+    }
+
+    throw new Error(`Worker ${this.workerIndex}: no issuer account with an active DID available`);
+  }
+
+  /**
+   * Summarize latency samples
+   * @param {Array<number>} samples - Latency samples in milliseconds
+   * @returns {Object} Count, mean, p50, p95, min and max latency
+   * @protected
+   */
+  summarizeLatency(samples) {
+    return summarize(samples);
+  }
+
+  /**
+   * Fund the DID owners that send their own DID transactions and let the state manager select them
+   * DIDs created later in the round stay unfunded, so their owners are not picked as senders
+   * @returns {Promise<number>} Number of accounts funded
+   * @protected
+   */
+  async fundDIDOwners() {
+    await this.ssiState.waitForAccountsLoaded();
+
+    const owners = this.ssiState.getDIDOwnerAddresses(false);
+    const funded = await this.fundSenders(owners);
+    this.ssiState.markAccountsFunded(owners);
+
+    return funded;
+  }
+
+  /**
+   * Top up accounts that send their own transactions from the connector's account
+   * Generated identities start without ether; this runs as unmeasured setup before the round
+   * @param {Array<string>} addresses - Sender addresses
+   * @returns {Promise<number>} Number of accounts funded
+   * @protected
+   */
+  async fundSenders(addresses) {
+    const web3 = this.sutContext?.web3 || this.sutAdapter.web3;
+    const funder = this.getTrusteeAccount();
+
+    const balances = await Promise.all(addresses.map(address => web3.eth.getBalance(address)));
+    const unfunded = addresses.filter((address, index) => BigInt(balances[index]) < SENDER_FUNDING_WEI / 2n);
+
+    await Promise.all(unfunded.map(address => this._sendWithManagedNonce({
+      from: funder.address,
+      to: address,
+      value: SENDER_FUNDING_WEI.toString(),
+      gas: 21000,
+      chainId: this.ssiConfig.chainId
+    }, funder)));
+
+    if (unfunded.length > 0) {
+      logger.info(`💰 Worker ${this.workerIndex} funded ${unfunded.length} sender accounts from ${funder.address}`);
+    }
+
+    return unfunded.length;
+  }
+
+  /**
+   * Extract the inclusion block number from a Caliper transaction result
+   * @param {TxStatus} result - Result returned by sutAdapter.sendRequests
+   * @returns {number|null} Block number or null if the transaction was not committed
+   * @protected
+   */
+  getResultBlockNumber(result) {
+    if (!result || typeof result.IsCommitted !== 'function' || !result.IsCommitted()) {
+      return null;
+    }
+
+    const receipt = result.GetResult();
+    if (!receipt || receipt.blockNumber === undefined || receipt.blockNumber === null) {
+      return null;
+    }
+
+    return Number(receipt.blockNumber);
+  }
+
 }
 
 // Export constants for use in workload modules
@@ -0,0 +1,204 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath, summarize } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-payload-report');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'payload-size');
+
+// Calldata gas per byte (EIP-2028)
+const CALLDATA_ZERO_BYTE_GAS = 4;
+const CALLDATA_NONZERO_BYTE_GAS = 16;
+
+/**
+ * Measure the calldata of an encoded transaction input
+ * @param {string} data - 0x-prefixed transaction input
+ * @returns {Object} { bytes, gas } - Calldata size and its intrinsic gas cost
+ */
+function measureCalldata(data) {
+  const bytes = Buffer.from(String(data).replace(/^0x/, ''), 'hex');
+  let gas = 0;
+
+  for (const byte of bytes) {
+    gas += byte === 0 ? CALLDATA_ZERO_BYTE_GAS : CALLDATA_NONZERO_BYTE_GAS;
+  }
+
+  return { bytes: bytes.length, gas };
+}
+
+/**
+ * Per-round record of gasUsed against calldata bytes for write operations
+ * Each worker writes its own file; the CLI below merges them into one table per round
+ */
+class PayloadSizeReport {
+  /**
+   * Initializes the report
+   * @param {Object} options - Report options
+   * @param {number} options.workerIndex - Worker index
+   * @param {number} options.roundIndex - Round index
+   * @param {Object} options.settings - Payload settings of the round (cidFormat, cidUriLength, ...)
+   * @param {string} options.directory - Report directory (defaults to the Caliper workspace)
+   */
+  constructor({ workerIndex, roundIndex, settings = {}, directory } = {}) {
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.settings = settings;
+    this.directory = path.resolve(directory || PayloadSizeReport.getDefaultDirectory());
+
+    // operation -> Array<{ calldataBytes, calldataGas, gasUsed }>
+    this.samples = new Map();
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Record one committed transaction
+   * @param {string} operation - Operation name
+   * @param {Object} sample - { calldataBytes, calldataGas, gasUsed }
+   */
+  record(operation, sample) {
+    if (!this.samples.has(operation)) {
+      this.samples.set(operation, []);
+    }
+    this.samples.get(operation).push(sample);
+  }
+
+  /**
+   * Summarize the recorded samples per operation
+   * @returns {Object} operation -> { samples, calldataBytes, calldataGas, gasUsed, points }
+   */
+  summarize() {
+    return PayloadSizeReport.summarizeSamples(this.samples);
+  }
+
+  /**
+   * Summarize samples per operation
+   * Points group transactions by calldata size: [calldataBytes, avg gasUsed, count]
+   * @param {Map<string, Array<Object>>} samplesByOperation - operation -> samples
+   * @returns {Object} operation -> summary
+   */
+  static summarizeSamples(samplesByOperation) {
+    const summary = {};
+
+    for (const [operation, samples] of samplesByOperation) {
+      const points = new Map();
+      for (const sample of samples) {
+        const point = points.get(sample.calldataBytes) || { gasUsed: 0, count: 0 };
+        point.gasUsed += sample.gasUsed;
+        point.count++;
+        points.set(sample.calldataBytes, point);
+      }
+
+      summary[operation] = {
+        samples: samples.length,
+        calldataBytes: summarize(samples.map(sample => sample.calldataBytes)),
+        calldataGas: summarize(samples.map(sample => sample.calldataGas)),
+        gasUsed: summarize(samples.map(sample => sample.gasUsed)),
+        points: [...points.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([bytes, point]) => [bytes, Math.round(point.gasUsed / point.count), point.count])
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Write this worker's samples and summary for the round
+   * @returns {string|null} Written file path, or null if nothing was recorded
+   */
+  write() {
+    if (this.samples.size === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}-worker-${this.workerIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      workerIndex: this.workerIndex,
+      settings: this.settings,
+      summary: this.summarize(),
+      samples: Object.fromEntries(this.samples)
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Log a one-line summary per operation
+   * @param {string} label - Log prefix (e.g. worker label)
+   */
+  log(label) {
+    const settings = Object.entries(this.settings).map(([key, value]) => `${key}=${value}`).join(', ');
+
+    for (const [operation, summary] of Object.entries(this.summarize())) {
+      logger.info(`📦 ${label} ${operation} [${settings}]: ${summary.samples} tx, calldata avg ${summary.calldataBytes.mean} B ` +
+        `(${summary.calldataGas.mean} gas), gasUsed avg ${summary.gasUsed.mean} (min ${summary.gasUsed.min}, max ${summary.gasUsed.max})`);
+    }
+  }
+
+  /**
+   * Merge the worker files of a report directory into one summary per round
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} [{ roundIndex, settings, summary }] ordered by round
+   */
+  static mergeDirectory(directory) {
+    const rounds = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      if (!/^round-\d+-worker-\d+\.json$/.test(file)) continue;
+
+      const report = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const round = rounds.get(report.roundIndex) || { settings: report.settings, samples: new Map() };
+
+      for (const [operation, samples] of Object.entries(report.samples)) {
+        round.samples.set(operation, (round.samples.get(operation) || []).concat(samples));
+      }
+      rounds.set(report.roundIndex, round);
+    }
+
+    return [...rounds.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundIndex, round]) => ({
+        roundIndex,
+        settings: round.settings,
+        summary: PayloadSizeReport.summarizeSamples(round.samples)
+      }));
+  }
+}
+
+// Print the merged table after a run: node workloads/utils/ssi-payload-report.js [directory]
+if (require.main === module) {
+  const directory = path.resolve(process.argv[2] || PayloadSizeReport.getDefaultDirectory());
+
+  console.log('round\toperation\tcidFormat\tcidUriLength\tdidDocumentSize\ttx\tcalldataBytes\tcalldataGas\tgasUsed');
+  const rounds = fs.existsSync(directory) ? PayloadSizeReport.mergeDirectory(directory) : [];
+  for (const round of rounds) {
+    for (const [operation, summary] of Object.entries(round.summary)) {
+      console.log([
+        round.roundIndex,
+        operation,
+        round.settings.cidFormat,
+        round.settings.cidUriLength || '-',
+        round.settings.didDocumentSize || '-',
+        summary.samples,
+        summary.calldataBytes.mean,
+        summary.calldataGas.mean,
+        summary.gasUsed.mean
+      ].join('\t'));
+    }
+  }
+}
+
+module.exports = {
+  PayloadSizeReport,
+  measureCalldata
+};
\ No newline at end of file
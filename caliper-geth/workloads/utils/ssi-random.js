@@ -0,0 +1,91 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// 2^48, used to turn 6 random bytes into a float in [0, 1)
+const FLOAT_DIVISOR = 2 ** 48;
+
+/**
+ * Random source for SSI workload data generation
+ * Without a seed it uses crypto.randomBytes; with a seed it becomes a deterministic
+ * SHA-256 counter-mode generator, so the same seed reproduces the same byte stream
+ */
+class SSIRandomSource {
+  /**
+   * Initializes the random source
+   * @param {string|number|undefined} seed - Seed material; undefined for non-deterministic output
+   */
+  constructor(seed) {
+    this.seeded = seed !== undefined && seed !== null;
+    this.seedMaterial = this.seeded ? String(seed) : null;
+    this.counter = 0;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Derive the seed material for one worker in one round
+   * Workers and rounds get independent streams from a single benchmark seed
+   * @param {string|number|undefined} seed - Benchmark seed from round arguments
+   * @param {number} workerIndex - Worker index
+   * @param {number} roundIndex - Round index
+   * @returns {string|undefined} Seed material or undefined if no seed is configured
+   */
+  static deriveSeed(seed, workerIndex, roundIndex) {
+    if (seed === undefined || seed === null || seed === '') return undefined;
+    return `${seed}:worker-${workerIndex}:round-${roundIndex}`;
+  }
+
+  /**
+   * Get random bytes
+   * @param {number} length - Number of bytes
+   * @returns {Buffer} Random bytes
+   */
+  bytes(length) {
+    if (!this.seeded) {
+      return crypto.randomBytes(length);
+    }
+
+    while (this.buffer.length < length) {
+      const block = crypto.createHash('sha256')
+        .update(`${this.seedMaterial}:${this.counter++}`)
+        .digest();
+      this.buffer = Buffer.concat([this.buffer, block]);
+    }
+
+    const output = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return Buffer.from(output);
+  }
+
+  /**
+   * Get a random float in [0, 1)
+   * @returns {number} Random float
+   */
+  float() {
+    if (!this.seeded) {
+      return Math.random();
+    }
+
+    return this.bytes(6).readUIntBE(0, 6) / FLOAT_DIVISOR;
+  }
+
+  /**
+   * Get a random integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.float() * max);
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Selected item, or undefined for an empty array
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
+
+module.exports = SSIRandomSource;
\ No newline at end of file
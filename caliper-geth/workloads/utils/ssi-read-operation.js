@@ -0,0 +1,99 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('./ssi-operation');
+const logger = require('./ssi-logger').getLogger('ssi-read-operation');
+
+/**
+ * Read-path SSI Operation Base
+ * Measures call latency of view functions separately for hits and deliberate misses,
+ * so read rounds can be compared with transaction rounds
+ */
+class SimplifiedSSIReadOperationBase extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the read workload module
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    // Share of calls (0-1) that query identifiers which do not exist on chain
+    const missRatio = Number(this.roundArguments.missRatio || 0);
+    this.missRatio = Math.min(Math.max(Number.isFinite(missRatio) ? missRatio : 0, 0), 1);
+
+    // Call latency samples in milliseconds
+    this.callStats = {
+      hits: [],
+      misses: [],
+      unexpected: 0
+    };
+
+    logger.info(`📖 Read workload ${this.operationType} ready (missRatio: ${this.missRatio})`);
+  }
+
+  /**
+   * Execute a read-only SSI operation and record its call latency
+   * @param {string} contractName - Contract name
+   * @param {string} operation - View function name
+   * @param {Object} args - Operation arguments
+   * @param {boolean} expectMiss - Whether the call deliberately queries a missing identifier
+   * @param {Function} isExpected - Returns true if the result matches the expectation
+   * @returns {Promise} Operation result
+   * @protected
+   */
+  async executeReadOperation(contractName, operation, args, expectMiss, isExpected) {
+    const startTime = Date.now();
+    const result = await this.executeSSIOperation(contractName, operation, args);
+    const latency = Date.now() - startTime;
+
+    if (expectMiss) {
+      this.callStats.misses.push(latency);
+    } else {
+      this.callStats.hits.push(latency);
+    }
+
+    if (!isExpected(result)) {
+      this.callStats.unexpected++;
+
+      logger.debug(`⚠️ Unexpected ${operation} result for Worker ${this.workerIndex} (expected ${expectMiss ? 'miss' : 'hit'})`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Report call latency at the end of the round
+   */
+  async cleanupWorkloadModule() {
+    this.reportCallLatency();
+    await super.cleanupWorkloadModule();
+  }
+
+  /**
+   * Log call latency for hits and misses of this worker
+   * Deliberate misses revert on chain and show up as failures in the Caliper report
+   * @returns {Object} Latency summary
+   * @protected
+   */
+  reportCallLatency() {
+    const summary = {
+      operation: this.operationType,
+      worker: this.workerIndex,
+      hits: this.summarizeLatency(this.callStats.hits),
+      misses: this.summarizeLatency(this.callStats.misses),
+      unexpected: this.callStats.unexpected
+    };
+
+    const format = stats => `n=${stats.count} avg=${stats.mean}ms p50=${stats.p50}ms p95=${stats.p95}ms max=${stats.max}ms`;
+
+    logger.info(`📖 ${summary.operation} call latency (worker ${summary.worker})`);
+    logger.info(`   hits:   ${format(summary.hits)}`);
+    logger.info(`   misses: ${format(summary.misses)}`);
+
+    if (summary.unexpected > 0) {
+      logger.warn(`⚠️ ${summary.unexpected} ${summary.operation} calls did not match the expected hit/miss outcome`);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = SimplifiedSSIReadOperationBase;
\ No newline at end of file
@@ -0,0 +1,321 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath, summarize } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-receipt-metrics');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'receipt-metrics');
+
+// Blocks read before the first inclusion block to find the head at the earliest submission
+const MAX_LOOKBACK_BLOCKS = 64;
+
+/**
+ * Per-round record of receipt data of committed write transactions
+ * gasUsed and the inclusion block come from the receipt; the head block at submission, the
+ * inclusion delay in blocks and the fullness of the inclusion block are resolved from block
+ * headers once the round is over, so no extra requests are sent while the round is measured
+ */
+class ReceiptMetricsReport {
+  /**
+   * Initializes the report
+   * @param {Object} options - Report options
+   * @param {number} options.workerIndex - Worker index
+   * @param {number} options.roundIndex - Round index
+   * @param {string} options.directory - Report directory (defaults to the Caliper workspace)
+   */
+  constructor({ workerIndex, roundIndex, directory } = {}) {
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.directory = path.resolve(directory || ReceiptMetricsReport.getDefaultDirectory());
+
+    // operation -> Array<{ gasUsed, blockNumber, submittedAt, submittedBlock, inclusionBlocks, blockFullness }>
+    this.samples = new Map();
+
+    // block number -> { number, timestamp, gasUsed, gasLimit, transactions }
+    this.blocks = new Map();
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Record one committed transaction
+   * @param {string} operation - Operation name
+   * @param {Object} sample - { gasUsed, blockNumber, submittedAt } (submittedAt in epoch milliseconds)
+   */
+  record(operation, sample) {
+    if (!this.samples.has(operation)) {
+      this.samples.set(operation, []);
+    }
+    this.samples.get(operation).push(sample);
+  }
+
+  /**
+   * Read the headers of the inclusion blocks and of the blocks that were head at submission,
+   * then derive inclusion delay and block fullness for every sample
+   * @param {Function} getBlock - async (blockNumber) => block header with timestamp, gasUsed, gasLimit, transactions
+   * @returns {Promise<void>}
+   */
+  async resolveBlocks(getBlock) {
+    const samples = [...this.samples.values()].flat();
+    if (samples.length === 0) return;
+
+    const readBlock = async number => {
+      if (!this.blocks.has(number)) {
+        const block = await getBlock(number);
+        this.blocks.set(number, {
+          number,
+          timestamp: Number(block.timestamp),
+          gasUsed: Number(block.gasUsed),
+          gasLimit: Number(block.gasLimit),
+          transactions: Array.isArray(block.transactions) ? block.transactions.length : 0
+        });
+      }
+      return this.blocks.get(number);
+    };
+
+    const blockNumbers = samples.map(sample => sample.blockNumber);
+    const firstBlock = Math.min(...blockNumbers);
+    const lastBlock = Math.max(...blockNumbers);
+    const firstSubmission = Math.floor(Math.min(...samples.map(sample => sample.submittedAt)) / 1000);
+
+    // Every block between the first and the last inclusion, for the round's block fullness
+    for (let number = firstBlock; number <= lastBlock; number++) {
+      await readBlock(number);
+    }
+
+    // Walk back until the head at the earliest submission is known
+    let lowest = firstBlock;
+    while (lowest > 0 && firstBlock - lowest < MAX_LOOKBACK_BLOCKS && this.blocks.get(lowest).timestamp > firstSubmission) {
+      lowest--;
+      await readBlock(lowest);
+    }
+
+    for (const sample of samples) {
+      // Head at submission: the latest block sealed at or before the submission second
+      const submittedSecond = Math.floor(sample.submittedAt / 1000);
+      let submittedBlock = lowest;
+      for (let number = sample.blockNumber - 1; number >= lowest; number--) {
+        if (this.blocks.get(number).timestamp <= submittedSecond) {
+          submittedBlock = number;
+          break;
+        }
+      }
+
+      const block = this.blocks.get(sample.blockNumber);
+      sample.submittedBlock = submittedBlock;
+      sample.inclusionBlocks = sample.blockNumber - submittedBlock;
+      sample.blockFullness = block.gasLimit > 0 ? Number((block.gasUsed / block.gasLimit).toFixed(4)) : 0;
+    }
+  }
+
+  /**
+   * Summarize the recorded samples per operation
+   * @returns {Object} { operations: operation -> aggregates, blocks: aggregates of the round's blocks }
+   */
+  summarize() {
+    return ReceiptMetricsReport.summarizeSamples(this.samples, [...this.blocks.values()]);
+  }
+
+  /**
+   * Summarize samples per operation and the blocks between the first and the last inclusion
+   * @param {Map<string, Array<Object>>} samplesByOperation - operation -> samples
+   * @param {Array<Object>} blocks - Block headers read by resolveBlocks
+   * @returns {Object} { operations, blocks }
+   */
+  static summarizeSamples(samplesByOperation, blocks) {
+    const operations = {};
+    let firstBlock = Infinity;
+    let lastBlock = -Infinity;
+
+    for (const [operation, samples] of samplesByOperation) {
+      const resolved = samples.filter(sample => sample.inclusionBlocks !== undefined);
+      samples.forEach(sample => {
+        firstBlock = Math.min(firstBlock, sample.blockNumber);
+        lastBlock = Math.max(lastBlock, sample.blockNumber);
+      });
+
+      operations[operation] = {
+        samples: samples.length,
+        gasUsed: summarize(samples.map(sample => sample.gasUsed)),
+        inclusionBlocks: summarize(resolved.map(sample => sample.inclusionBlocks), 2),
+        blockFullness: summarize(resolved.map(sample => sample.blockFullness), 4),
+        blocks: new Set(samples.map(sample => sample.blockNumber)).size
+      };
+    }
+
+    const roundBlocks = blocks.filter(block => block.number >= firstBlock && block.number <= lastBlock);
+
+    return {
+      operations,
+      blocks: {
+        count: roundBlocks.length,
+        first: roundBlocks.length > 0 ? firstBlock : null,
+        last: roundBlocks.length > 0 ? lastBlock : null,
+        fullness: summarize(roundBlocks.map(block => block.gasLimit > 0 ? Number((block.gasUsed / block.gasLimit).toFixed(4)) : 0), 4),
+        transactions: summarize(roundBlocks.map(block => block.transactions), 2)
+      }
+    };
+  }
+
+  /**
+   * Write this worker's samples, block headers and summary for the round
+   * @returns {string|null} Written file path, or null if nothing was recorded
+   */
+  write() {
+    if (this.samples.size === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}-worker-${this.workerIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      workerIndex: this.workerIndex,
+      summary: this.summarize(),
+      samples: Object.fromEntries(this.samples),
+      blocks: [...this.blocks.values()]
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Log a one-line summary per operation
+   * @param {string} label - Log prefix (e.g. worker label)
+   */
+  log(label) {
+    const summary = this.summarize();
+
+    for (const [operation, metrics] of Object.entries(summary.operations)) {
+      logger.info(`🧾 ${label} ${operation}: ${metrics.samples} tx in ${metrics.blocks} blocks, ` +
+        `gasUsed mean ${metrics.gasUsed.mean} (p50 ${metrics.gasUsed.p50}, p95 ${metrics.gasUsed.p95}), ` +
+        `inclusion mean ${metrics.inclusionBlocks.mean} blocks (p95 ${metrics.inclusionBlocks.p95}), ` +
+        `block fullness mean ${(metrics.blockFullness.mean * 100).toFixed(1)}%`);
+    }
+  }
+
+  /**
+   * Merge the worker files of a report directory into one summary per round
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} [{ roundIndex, workers, summary }] ordered by round
+   */
+  static mergeDirectory(directory) {
+    const rounds = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      if (!/^round-\d+-worker-\d+\.json$/.test(file)) continue;
+
+      const report = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const round = rounds.get(report.roundIndex) || { workers: 0, samples: new Map(), blocks: new Map() };
+
+      round.workers++;
+      for (const [operation, samples] of Object.entries(report.samples)) {
+        round.samples.set(operation, (round.samples.get(operation) || []).concat(samples));
+      }
+      for (const block of report.blocks || []) {
+        round.blocks.set(block.number, block);
+      }
+      rounds.set(report.roundIndex, round);
+    }
+
+    return [...rounds.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundIndex, round]) => ({
+        roundIndex,
+        workers: round.workers,
+        summary: ReceiptMetricsReport.summarizeSamples(round.samples, [...round.blocks.values()])
+      }));
+  }
+
+  /**
+   * Render merged rounds as an HTML section in the style of the Caliper report tables
+   * @param {Array<Object>} rounds - Result of mergeDirectory
+   * @returns {string} HTML fragment
+   */
+  static renderHtml(rounds) {
+    const rows = [];
+
+    for (const round of rounds) {
+      for (const [operation, metrics] of Object.entries(round.summary.operations)) {
+        rows.push(`<tr><td>${round.roundIndex}</td><td>${operation}</td><td>${metrics.samples}</td>` +
+          `<td>${metrics.gasUsed.mean}</td><td>${metrics.gasUsed.p50}</td><td>${metrics.gasUsed.p95}</td>` +
+          `<td>${metrics.inclusionBlocks.mean}</td><td>${metrics.inclusionBlocks.p50}</td><td>${metrics.inclusionBlocks.p95}</td>` +
+          `<td>${(metrics.blockFullness.mean * 100).toFixed(1)}%</td>` +
+          `<td>${(round.summary.blocks.fullness.mean * 100).toFixed(1)}%</td><td>${round.summary.blocks.transactions.mean}</td></tr>`);
+      }
+    }
+
+    return [
+      '<div id="ssi-receipt-metrics">',
+      '<h3>SSI receipt metrics per operation</h3>',
+      '<p>Committed write transactions; inclusion delay counts blocks from the head at submission to the inclusion block.</p>',
+      '<table style="min-width: 100%;">',
+      '<tr><th>Round</th><th>Operation</th><th>Tx</th><th>gasUsed mean</th><th>gasUsed p50</th><th>gasUsed p95</th>' +
+        '<th>Inclusion mean (blocks)</th><th>Inclusion p50</th><th>Inclusion p95</th><th>Inclusion block fullness</th>' +
+        '<th>Round block fullness</th><th>Round tx/block</th></tr>',
+      ...rows,
+      '</table>',
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Add the merged rounds to a Caliper HTML report, replacing a section added before
+   * @param {string} reportPath - Caliper report.html
+   * @param {Array<Object>} rounds - Result of mergeDirectory
+   */
+  static injectIntoHtmlReport(reportPath, rounds) {
+    let html = fs.readFileSync(reportPath, 'utf8');
+    html = html.replace(/<div id="ssi-receipt-metrics">[\s\S]*?<\/div>\n?/, '');
+
+    const section = `${ReceiptMetricsReport.renderHtml(rounds)}\n`;
+    html = html.includes('</body>') ? html.replace('</body>', `${section}</body>`) : html + section;
+
+    fs.writeFileSync(reportPath, html);
+  }
+}
+
+// Print the merged table after a run and optionally add it to the Caliper report:
+// node workloads/utils/ssi-receipt-metrics.js [directory] [--html report.html]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const htmlIndex = args.indexOf('--html');
+  const reportPath = htmlIndex >= 0 ? args.splice(htmlIndex, 2)[1] : null;
+  const directory = path.resolve(args[0] || ReceiptMetricsReport.getDefaultDirectory());
+
+  const rounds = fs.existsSync(directory) ? ReceiptMetricsReport.mergeDirectory(directory) : [];
+
+  console.log('round\toperation\ttx\tgasUsedMean\tgasUsedP50\tgasUsedP95\tinclusionMean\tinclusionP50\tinclusionP95\tblockFullnessMean\troundBlockFullness\troundTxPerBlock');
+  for (const round of rounds) {
+    for (const [operation, metrics] of Object.entries(round.summary.operations)) {
+      console.log([
+        round.roundIndex,
+        operation,
+        metrics.samples,
+        metrics.gasUsed.mean,
+        metrics.gasUsed.p50,
+        metrics.gasUsed.p95,
+        metrics.inclusionBlocks.mean,
+        metrics.inclusionBlocks.p50,
+        metrics.inclusionBlocks.p95,
+        metrics.blockFullness.mean,
+        round.summary.blocks.fullness.mean,
+        round.summary.blocks.transactions.mean
+      ].join('\t'));
+    }
+  }
+
+  if (reportPath) {
+    ReceiptMetricsReport.injectIntoHtmlReport(reportPath, rounds);
+    console.log(`🧾 Receipt metrics added to ${reportPath}`);
+  }
+}
+
+module.exports = ReceiptMetricsReport;
\ No newline at end of file
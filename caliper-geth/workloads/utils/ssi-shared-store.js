@@ -0,0 +1,228 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-shared-store');
+
+// Default location of the shared state file, relative to the Caliper workspace
+const DEFAULT_STATE_DIR = '.ssi-state';
+const DEFAULT_STATE_FILE = 'shared-state.json';
+
+// Lock handling (milliseconds)
+const LOCK_RETRY_MS = 20;
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+// A lock is only held for one read-merge-write; stays below the timeout so waiting workers remove stale locks
+const DEFAULT_STALE_LOCK_MS = 5000;
+
+// Buffer used to block while waiting for the lock (workers only touch the store at setup and cleanup)
+const SLEEP_BUFFER = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * File-backed SSI state shared between Caliper worker processes
+ * Each worker writes only its own partition; reads merge all partitions,
+ * keeping the most recently updated value of every entry
+ * The file is bound to a deployment key so state from other contract deployments is discarded
+ */
+class SharedSSIStateStore {
+  /**
+   * Initializes the shared state store
+   * @param {Object} options - Store options
+   * @param {number} options.workerIndex - Worker index owning the partition written by this store
+   * @param {string} options.deploymentKey - Identifies the chain and contract deployment the state belongs to
+   * @param {string} options.filePath - State file path (defaults to the Caliper workspace)
+   * @param {number} options.lockTimeoutMs - Maximum time to wait for the file lock
+   * @param {number} options.staleLockMs - Age after which a lock left by a crashed worker is removed (below lockTimeoutMs)
+   */
+  constructor({ workerIndex, deploymentKey, filePath, lockTimeoutMs, staleLockMs } = {}) {
+    this.workerIndex = workerIndex;
+    this.deploymentKey = deploymentKey || 'default';
+    this.filePath = filePath || SharedSSIStateStore.getDefaultFilePath();
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+    this.staleLockMs = Math.min(staleLockMs || DEFAULT_STALE_LOCK_MS, this.lockTimeoutMs / 2);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  /**
+   * Get the default state file path under the Caliper workspace
+   * @returns {string} Absolute state file path
+   */
+  static getDefaultFilePath() {
+    return resolveWorkspacePath(DEFAULT_STATE_DIR, DEFAULT_STATE_FILE);
+  }
+
+  /**
+   * Load the merged state of all worker partitions
+   * @returns {Object} Map of collection name to Map(key -> { value, updatedAt })
+   */
+  load() {
+    const state = this._withLock(() => this._readState());
+    const merged = {};
+
+    for (const partition of Object.values(state.partitions)) {
+      for (const [collection, entries] of Object.entries(partition.collections || {})) {
+        if (!merged[collection]) {
+          merged[collection] = new Map();
+        }
+
+        for (const [key, entry] of Object.entries(entries)) {
+          const current = merged[collection].get(key);
+          if (!current || entry.updatedAt > current.updatedAt) {
+            merged[collection].set(key, entry);
+          }
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Write changed entries into this worker's partition
+   * @param {Object} changes - Map of collection name to Map(key -> { value, updatedAt })
+   * @returns {number} Number of entries written
+   */
+  savePartition(changes) {
+    let written = 0;
+
+    this._withLock(() => {
+      const state = this._readState();
+      const partitionKey = String(this.workerIndex);
+      const partition = state.partitions[partitionKey] || { collections: {} };
+
+      for (const [collection, entries] of Object.entries(changes)) {
+        if (!partition.collections[collection]) {
+          partition.collections[collection] = {};
+        }
+
+        for (const [key, entry] of entries.entries()) {
+          partition.collections[collection][key] = entry;
+          written++;
+        }
+      }
+
+      partition.updatedAt = Date.now();
+      state.partitions[partitionKey] = partition;
+      this._writeState(state);
+    });
+
+    return written;
+  }
+
+  /**
+   * Read the state file, starting over when it belongs to another deployment
+   * Must be called while holding the lock
+   * @returns {Object} State file content
+   * @private
+   */
+  _readState() {
+    const emptyState = { deploymentKey: this.deploymentKey, partitions: {} };
+
+    if (!fs.existsSync(this.filePath)) {
+      return emptyState;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      if (state.deploymentKey !== this.deploymentKey) {
+        logger.info(`♻️ Shared SSI state belongs to another deployment, starting fresh`);
+        return emptyState;
+      }
+
+      state.partitions = state.partitions || {};
+      return state;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read shared SSI state (${error.message}), starting fresh`);
+      return emptyState;
+    }
+  }
+
+  /**
+   * Write the state file atomically (write to a temp file, then rename)
+   * Must be called while holding the lock
+   * @param {Object} state - State file content
+   * @private
+   */
+  _writeState(state) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Run a function while holding the state file lock
+   * The lock file holds a token of this holder; if a waiting worker removed the lock as stale and
+   * took it over, the lock is left to the new holder
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   * @private
+   */
+  _withLock(fn) {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    const token = `${process.pid}-${crypto.randomBytes(8).toString('hex')}`;
+    let lockFd = null;
+
+    while (lockFd === null) {
+      try {
+        lockFd = fs.openSync(this.lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        this._removeStaleLock();
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for shared SSI state lock ${this.lockPath}`);
+        }
+
+        Atomics.wait(SLEEP_BUFFER, 0, 0, LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      fs.writeSync(lockFd, token);
+      return fn();
+    } finally {
+      fs.closeSync(lockFd);
+      this._releaseLock(token);
+    }
+  }
+
+  /**
+   * Remove the lock file if it still holds the given token
+   * @param {string} token - Token written when the lock was taken
+   * @private
+   */
+  _releaseLock(token) {
+    try {
+      if (fs.readFileSync(this.lockPath, 'utf8') === token) {
+        fs.rmSync(this.lockPath, { force: true });
+      } else {
+        logger.warn(`⚠️ Shared SSI state lock ${this.lockPath} was taken over by another worker`);
+      }
+    } catch (error) {
+      // Lock was removed as stale in the meantime
+    }
+  }
+
+  /**
+   * Remove a lock file left behind by a crashed worker
+   * @private
+   */
+  _removeStaleLock() {
+    try {
+      const { mtimeMs } = fs.statSync(this.lockPath);
+      if (Date.now() - mtimeMs > this.staleLockMs) {
+        logger.warn(`⚠️ Removing stale shared SSI state lock ${this.lockPath}`);
+        fs.rmSync(this.lockPath, { force: true });
+      }
+    } catch (error) {
+      // Lock was released in the meantime
+    }
+  }
+}
+
+module.exports = SharedSSIStateStore;
\ No newline at end of file
@@ -1,8 +1,25 @@
 'use strict';
 
-const crypto = require('crypto');
 const { ethers } = require('ethers');
 const { ConfigUtil } = require('@hyperledger/caliper-core');
+const SharedSSIStateStore = require('./ssi-shared-store');
+const SSIRandomSource = require('./ssi-random');
+const { getLogger, LOG_LEVELS } = require('./ssi-logger');
+const {
+  CID_CODECS,
+  CID_FORMATS,
+  encodeCidV1,
+  encodeCidV0,
+  computeContentCid,
+  toUriReference,
+  canonicalizeJSON,
+  hashCanonical,
+  createDidDocument,
+  generateVCPayload,
+  ContentStore
+} = require('./ssi-content');
+
+const logger = getLogger('ssi-state');
 
 // SSI Entity Types
 const SSI_ENTITY_TYPES = {
@@ -27,6 +44,52 @@ const ROLE_NAMES = new Map([
   [SSI_ROLES.TRUSTEE, 'TRUSTEE']
 ]);
 
+// DID Status Types (based on DidStatus enum in DidType.sol)
+const DID_STATUS = {
+  NONE: 0,
+  ACTIVE: 1,
+  DEACTIVATED: 2
+};
+
+// Credential Status Types (based on CredentialStatus enum in CredentialType.sol)
+const CREDENTIAL_STATUS = {
+  NONE: 0,
+  ACTIVE: 1,
+  REVOKED: 2,
+  SUSPENDED: 3
+};
+
+// Allowed status transitions, mirroring _validateStatusTransition in CredentialRegistry.sol
+// REVOKED is terminal and NONE is never a valid target
+const CREDENTIAL_STATUS_TRANSITIONS = new Map([
+  [CREDENTIAL_STATUS.ACTIVE, new Set([CREDENTIAL_STATUS.SUSPENDED, CREDENTIAL_STATUS.REVOKED])],
+  [CREDENTIAL_STATUS.SUSPENDED, new Set([CREDENTIAL_STATUS.ACTIVE, CREDENTIAL_STATUS.REVOKED])],
+  [CREDENTIAL_STATUS.REVOKED, new Set()]
+]);
+
+// Status update actions and the statuses a credential must be in for each of them
+const CREDENTIAL_STATUS_ACTIONS = {
+  suspend: { from: [CREDENTIAL_STATUS.ACTIVE], to: CREDENTIAL_STATUS.SUSPENDED },
+  reactivate: { from: [CREDENTIAL_STATUS.SUSPENDED], to: CREDENTIAL_STATUS.ACTIVE },
+  revoke: { from: [CREDENTIAL_STATUS.ACTIVE, CREDENTIAL_STATUS.SUSPENDED], to: CREDENTIAL_STATUS.REVOKED }
+};
+
+// Default mix of status update actions (weights, not required to sum to 100)
+const DEFAULT_STATUS_TRANSITION_MIX = {
+  suspend: 50,
+  reactivate: 30,
+  revoke: 20
+};
+
+// Payload modes: random hashes/CIDs, or real documents hashed and stored by content
+const PAYLOAD_MODES = {
+  RANDOM: 'random',
+  CONTENT: 'content'
+};
+
+// Base timestamp for documents generated in seeded content mode (keeps payloads reproducible)
+const SEEDED_CONTENT_EPOCH_MS = Date.UTC(2025, 0, 1);
+
 // Special addresses
 const DEPLOYER_ADDRESS = '0xed9d02e382b34818e88b88a309c7fe71e65f419d';
 const DEPLOYER_ADDRESS_LOWER = DEPLOYER_ADDRESS.toLowerCase();
@@ -34,6 +97,16 @@ const DEPLOYER_ADDRESS_LOWER = DEPLOYER_ADDRESS.toLowerCase();
 // Static cache to persist accounts between round initializations
 const GLOBAL_ACCOUNT_CACHE = new Map();
 
+// Static cache to persist issued credentials and their current status between rounds
+const GLOBAL_CREDENTIAL_CACHE = new Map();
+
+// Accounts confirmed on-chain as per-worker credential issuers (lowercase address -> worker index)
+const WORKER_ISSUER_ACCOUNTS = new Map();
+
+// Last loaded or persisted version of every shared state entry ("collection/key" -> { updatedAt, json })
+// Used to write only entries that changed in this process since they were shared
+const SHARED_STATE_VERSIONS = new Map();
+
 /**
  * Simplified SSI State Manager
  * Generates transaction arguments for SSI operations without complex state tracking
@@ -50,13 +123,31 @@ class SimplifiedSSIStateManager {
     this.primaryEntityType = primaryEntityType;
     this.config = config;
     
-    // Debug mode flag - set to false in production for maximum performance
-    // When false, eliminates verbose per-transaction logging that blocks event loop
-    this.debugMode = config.debugMode || false;
-    
     // Generate worker-specific prefix for unique identifiers
     this.workerPrefix = `w${workerIndex}`;
     
+    // Random source for generated data and selections; seeded runs are reproducible
+    const seedMaterial = SSIRandomSource.deriveSeed(config.seed, workerIndex, config.roundIndex || 0);
+    this.random = new SSIRandomSource(seedMaterial);
+    // Own stream for gas calibration arguments, so a cold or warm calibration cache generates the same data
+    this.calibrationRandom = new SSIRandomSource(seedMaterial === undefined ? undefined : `${seedMaterial}:calibration`);
+    if (this.random.seeded) {
+      logger.info(`🎲 Worker ${workerIndex} using seeded generation (seed: ${config.seed}, round: ${config.roundIndex || 0})`);
+    }
+    
+    // Payload mode: content mode anchors real DID documents and VCs and keeps them in a local store
+    this.payloadMode = config.payloadMode === PAYLOAD_MODES.CONTENT ? PAYLOAD_MODES.CONTENT : PAYLOAD_MODES.RANDOM;
+    this.contentStore = this.payloadMode === PAYLOAD_MODES.CONTENT ? new ContentStore(config.contentStorePath) : null;
+    this.contentCounter = 0;
+    if (this.contentStore) {
+      logger.info(`📄 Worker ${workerIndex} storing DID documents and credentials in ${this.contentStore.directory}`);
+    }
+    
+    // Payload size settings: docCid/credentialCid format and DID document size (content mode)
+    this.cidFormat = config.cidFormat || CID_FORMATS.CIDV1_BASE32;
+    this.cidUriLength = config.cidUriLength || 0;
+    this.didDocumentSize = config.didDocumentSize || 0;
+    
     // Basic entity counters
     this.counters = {
       [SSI_ENTITY_TYPES.ROLE]: 0,
@@ -74,6 +165,12 @@ class SimplifiedSSIStateManager {
     // Predefined accounts for stable testing
     this.predefinedAccounts = new Map();
     
+    // Shared state store so accounts, DIDs and credentials from other worker processes
+    // are visible here and survive between rounds
+    this.totalWorkers = config.totalWorkers || 1;
+    this.sharedStore = this._createSharedStore(config.sharedState);
+    this._loadSharedState();
+    
     // Flag to track if we've fully loaded accounts
     this.accountsLoaded = false;
     
@@ -83,21 +180,177 @@ class SimplifiedSSIStateManager {
         this.predefinedAccounts = accounts;
         this._mergeGlobalCacheAccounts();
         this.accountsLoaded = true;
-        console.log(`📊 Loaded ${this.predefinedAccounts.size} accounts total (${accounts.size} from Caliper network config + ${GLOBAL_ACCOUNT_CACHE.size} from cache)`);
+        logger.info(`📊 Loaded ${this.predefinedAccounts.size} accounts total (${accounts.size} from Caliper network config + ${GLOBAL_ACCOUNT_CACHE.size} from cache)`);
       })
       .catch(error => {
-        console.error(`❌ Failed to load accounts from Caliper network config via ConfigUtil: ${error.message}`);
+        logger.error(`❌ Failed to load accounts from Caliper network config via ConfigUtil: ${error.message}`);
         
         // Fallback to default predefined accounts
         this.predefinedAccounts = this.getDefaultPredefinedAccounts();
         this._mergeGlobalCacheAccounts('(fallback mode)');
         this.accountsLoaded = true;
-        console.log(`⚠️ Using ${this.predefinedAccounts.size} accounts (default + cached)`);
+        logger.info(`⚠️ Using ${this.predefinedAccounts.size} accounts (default + cached)`);
       });
     
-    console.log(`🗃️ Simplified SSI State Manager initialized for worker ${workerIndex}`);
+    logger.info(`🗃️ Simplified SSI State Manager initialized for worker ${workerIndex}`);
   }
   
+  /**
+   * Create the shared state store if enabled
+   * @param {Object} sharedConfig - Shared state settings ({ enabled, filePath, deploymentKey })
+   * @returns {SharedSSIStateStore|null} Store instance or null if disabled
+   * @private
+   */
+  _createSharedStore(sharedConfig) {
+    if (!sharedConfig || sharedConfig.enabled === false) return null;
+
+    try {
+      return new SharedSSIStateStore({
+        workerIndex: this.workerIndex,
+        deploymentKey: sharedConfig.deploymentKey,
+        filePath: sharedConfig.filePath
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Shared SSI state disabled for worker ${this.workerIndex}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the module-level caches that are shared between worker processes
+   * @returns {Object} Map of collection name to cache Map
+   * @private
+   */
+  _getSharedCollections() {
+    return {
+      accounts: GLOBAL_ACCOUNT_CACHE,
+      credentials: GLOBAL_CREDENTIAL_CACHE,
+      issuers: WORKER_ISSUER_ACCOUNTS
+    };
+  }
+
+  /**
+   * Load entries written by any worker into the module-level caches
+   * Entries are only replaced when the shared copy is newer than the one this process knows
+   * @private
+   */
+  _loadSharedState() {
+    if (!this.sharedStore) return;
+
+    try {
+      const loaded = this.sharedStore.load();
+      let loadedCount = 0;
+
+      for (const [collection, cache] of Object.entries(this._getSharedCollections())) {
+        for (const [key, entry] of (loaded[collection] || new Map()).entries()) {
+          const versionKey = `${collection}/${key}`;
+          const known = SHARED_STATE_VERSIONS.get(versionKey);
+          if (known && known.updatedAt >= entry.updatedAt) continue;
+
+          cache.set(key, collection === 'accounts' ? this._restoreAccountKey(key, entry.value) : entry.value);
+          SHARED_STATE_VERSIONS.set(versionKey, { updatedAt: entry.updatedAt, json: JSON.stringify(entry.value) });
+          loadedCount++;
+        }
+      }
+
+      logger.info(`📥 Worker ${this.workerIndex} loaded ${loadedCount} entries from shared SSI state`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not load shared SSI state for worker ${this.workerIndex}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write entries changed in this process to this worker's partition of the shared state
+   * Called at the end of each round so the next round sees the state of every worker
+   * @returns {number} Number of entries written
+   */
+  persistSharedState() {
+    if (!this.sharedStore) return 0;
+
+    const now = Date.now();
+    const changes = {};
+    let changedCount = 0;
+
+    for (const [collection, cache] of Object.entries(this._getSharedCollections())) {
+      const changed = new Map();
+
+      for (const [key, cached] of cache.entries()) {
+        const versionKey = `${collection}/${key}`;
+        // Private keys stay in memory; other workers look them up or derive them again on load
+        const value = collection === 'accounts' && cached?.privateKey ? { ...cached, privateKey: undefined } : cached;
+        const json = JSON.stringify(value);
+        if (SHARED_STATE_VERSIONS.get(versionKey)?.json === json) continue;
+
+        changed.set(key, { value, updatedAt: now });
+        SHARED_STATE_VERSIONS.set(versionKey, { updatedAt: now, json });
+      }
+
+      changes[collection] = changed;
+      changedCount += changed.size;
+    }
+
+    if (changedCount === 0) return 0;
+
+    try {
+      this.sharedStore.savePartition(changes);
+      logger.info(`📤 Worker ${this.workerIndex} shared ${changedCount} changed SSI state entries`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not persist shared SSI state for worker ${this.workerIndex}: ${error.message}`);
+    }
+
+    return changedCount;
+  }
+
+  /**
+   * Restore the private key of an account loaded from the shared state
+   * Generated accounts are derived again from their key salt; pre-funded accounts get their key
+   * from the network config when the accounts are loaded
+   * @param {string} address - Account address
+   * @param {Object} accountData - Account entry without private key
+   * @returns {Object} Account entry, with the private key if it could be derived
+   * @private
+   */
+  _restoreAccountKey(address, accountData) {
+    if (!accountData?.keySalt) return accountData;
+
+    const privateKey = this._deriveAccountKey(accountData.keySalt);
+    if (!privateKey || ethers.computeAddress(privateKey).toLowerCase() !== address.toLowerCase()) {
+      logger.warn(`⚠️ Cannot derive the key of generated account ${address.substring(0, 10)}... (different network config key)`);
+      return accountData;
+    }
+
+    return { ...accountData, privateKey };
+  }
+
+  /**
+   * Derive the private key of a generated account from its salt and the network config key
+   * @param {string} keySalt - Random 32-byte salt (hex)
+   * @returns {string|null} Private key, or null without a network config key
+   * @private
+   */
+  _deriveAccountKey(keySalt) {
+    const keySecret = this.config.sharedState?.keySecret;
+    if (!keySecret) return null;
+
+    return ethers.keccak256(ethers.concat([keySecret, keySalt]));
+  }
+
+  /**
+   * Check if this worker may mutate an entity
+   * With shared state every worker sees every entity, so mutations are partitioned
+   * by key to keep two workers from changing the same DID, role or credential at once
+   * @param {string} key - Account address or credential id (hex)
+   * @returns {boolean} True if this worker owns the entity
+   */
+  isOwnedByWorker(key) {
+    if (!this.sharedStore || this.totalWorkers <= 1 || !key) return true;
+
+    const bucket = parseInt(key.slice(-6), 16);
+    if (Number.isNaN(bucket)) return true;
+
+    return bucket % this.totalWorkers === this.workerIndex % this.totalWorkers;
+  }
+
   /**
    * Merge accounts from global cache into predefined accounts
    * Eliminates code duplication between success and error paths
@@ -108,7 +361,7 @@ class SimplifiedSSIStateManager {
     if (GLOBAL_ACCOUNT_CACHE.size === 0) return;
     
     const modeLabel = mode ? ` ${mode}` : '';
-    console.log(`📥 Loading ${GLOBAL_ACCOUNT_CACHE.size} previously generated accounts from cache${modeLabel}`);
+    logger.info(`📥 Loading ${GLOBAL_ACCOUNT_CACHE.size} previously generated accounts from cache${modeLabel}`);
     
     let cachedDidsCount = 0;
     
@@ -121,20 +374,22 @@ class SimplifiedSSIStateManager {
         if (accountData.hasDid) {
           cachedDidsCount++;
           // Add a placeholder DID entry so _addressHasDid will return true
+          // Carry over the last known document state so DID updates keep their version history
           this.entities.dids.set(address, {
+            ...(accountData.didRecord || {}),
             importedFromCache: true,
             createdAt: Date.now()
           });
-          console.log(`📎 Added cached account with DID: ${accountData.name} (${address.substring(0, 10)}...)`);
+          logger.debug(`📎 Added cached account with DID: ${accountData.name} (${address.substring(0, 10)}...)`);
         } else {
-          console.log(`📎 Added cached account: ${accountData.name} (${address.substring(0, 10)}...)`);
+          logger.debug(`📎 Added cached account: ${accountData.name} (${address.substring(0, 10)}...)`);
         }
       } else if (accountData.hasDid) {
         cachedDidsCount++;
       }
     }
     
-    console.log(`📊 Found ${cachedDidsCount} accounts with DIDs in global cache${modeLabel}`);
+    logger.info(`📊 Found ${cachedDidsCount} accounts with DIDs in global cache${modeLabel}`);
   }
   
   /**
@@ -151,10 +406,10 @@ class SimplifiedSSIStateManager {
         throw new Error('Network configuration not found via ConfigUtil');
       }
       
-      console.log(`📋 Successfully loaded network config via Caliper ConfigUtil`);
+      logger.info(`📋 Successfully loaded network config via Caliper ConfigUtil`);
       return networkConfig;
     } catch (error) {
-      console.error(`❌ Error loading network config via ConfigUtil: ${error.message}`);
+      logger.error(`❌ Error loading network config via ConfigUtil: ${error.message}`);
       throw error;
     }
   }
@@ -166,7 +421,7 @@ class SimplifiedSSIStateManager {
    */
   async initializePredefinedAccounts() {
     try {
-      console.log(`🔑 Loading pre-funded accounts from Caliper network configuration...`);
+      logger.info(`🔑 Loading pre-funded accounts from Caliper network configuration...`);
       
       // Load network configuration using Caliper's ConfigUtil
       const networkConfig = this._loadNetworkConfig();
@@ -176,7 +431,7 @@ class SimplifiedSSIStateManager {
       }
       
       const configAccounts = networkConfig.ethereum.accounts;
-      console.log(`✅ Found ${configAccounts.length} pre-funded accounts in Caliper network config`);
+      logger.info(`✅ Found ${configAccounts.length} pre-funded accounts in Caliper network config`);
       
       // Create account map with role assignments
       const accounts = new Map();
@@ -206,7 +461,7 @@ class SimplifiedSSIStateManager {
             source: 'caliper-config',
             privateKey: accountConfig.privateKey
           });
-          console.log(`🔐 Assigned TRUSTEE role to deployer address: ${address}`);
+          logger.info(`🔐 Assigned TRUSTEE role to deployer address: ${address}`);
           return;
         }
         
@@ -221,7 +476,7 @@ class SimplifiedSSIStateManager {
             source: 'caliper-config',
             privateKey: accountConfig.privateKey
           });
-          console.log(`🔹 Assigned ${assignment.name} role to: ${address.substring(0, 10)}...`);
+          logger.info(`🔹 Assigned ${assignment.name} role to: ${address.substring(0, 10)}...`);
         } else {
           // Assign a round-robin role for additional accounts
           const role = remainingRoles[index % remainingRoles.length];
@@ -233,42 +488,31 @@ class SimplifiedSSIStateManager {
             source: 'caliper-config',
             privateKey: accountConfig.privateKey
           });
-          console.log(`🔹 Assigned ${roleName} role to: ${address.substring(0, 10)}...`);
+          logger.info(`🔹 Assigned ${roleName} role to: ${address.substring(0, 10)}...`);
         }
       });
       
-      console.log(`📊 Successfully loaded ${accounts.size} pre-funded accounts from Caliper network config`);
+      logger.info(`📊 Successfully loaded ${accounts.size} pre-funded accounts from Caliper network config`);
       
-      // IMPORTANT: Automatically register DIDs for all Caliper accounts to ensure they're ready for credential operations
-      console.log(`🔐 Auto-registering DIDs for all ${accounts.size} Caliper accounts...`);
-      for (const [address, accountData] of accounts.entries()) {
-        // Generate DID data for each account
-        const docHash = this._generateRandomHash(`did-doc-${address.substring(2, 10)}`);
-        const docCid = this._generateRandomCid();
-        
-        // Store in DIDs map (local tracking)
-        this.entities.dids.set(address, {
-          docHash,
-          docCid,
-          createdAt: Date.now(),
-          autoGenerated: true
-        });
-        
-        // Update account data to mark as having a DID
-        accountData.hasDid = true;
-        
-        console.log(`✅ Auto-registered DID for ${accountData.name} (${address.substring(0, 10)}...)`);
+      // Roles above are only the intended layout; DIDs and roles are read from the chain
+      // by reconcileOnChainState() during workload initialization
+      for (const accountData of accounts.values()) {
+        accountData.intendedRole = accountData.role;
+        accountData.hasDid = false;
       }
       
       // Also mirror Caliper config accounts into the Global Accounts Cache (not fallback)
       // so that identity selection can source exclusively from the cache
+      // Accounts already known from earlier rounds keep their reconciled state
       for (const [address, accountData] of accounts.entries()) {
-        this._updateGlobalAccountCache(address, accountData, true);
+        if (!GLOBAL_ACCOUNT_CACHE.has(address)) {
+          this._updateGlobalAccountCache(address, accountData, false);
+        }
       }
       
       return accounts;
     } catch (error) {
-      console.error(`Failed to load accounts from Caliper network config: ${error.message}`);
+      logger.error(`Failed to load accounts from Caliper network config: ${error.message}`);
       throw error;
     }
   }
@@ -294,30 +538,17 @@ class SimplifiedSSIStateManager {
     ];
     
     // Add accounts to map
+    // DIDs are not assumed; reconcileOnChainState() fills them in from the chain
     predefinedAccounts.forEach(account => {
       accounts.set(account.address, {
         role: account.role,
+        intendedRole: account.role,
         name: account.name,
         used: false,
+        hasDid: false,
         source: 'caliper-fallback'
       });
     });
-
-    console.log(`🔐 Auto-registering DIDs for ${accounts.size} fallback accounts...`);
-    for (const [address, accountData] of accounts.entries()) {
-      // Mark as having DID for immediate use
-      accountData.hasDid = true;
-      
-      // Store in DIDs map for local tracking
-      this.entities.dids.set(address, {
-        docHash: this._generateRandomHash(`did-fallback-${address.substring(2, 10)}`),
-        docCid: this._generateRandomCid(),
-        createdAt: Date.now(),
-        autoGenerated: true
-      });
-      
-      console.log(`✅ Auto-registered DID for fallback ${accountData.name}`);
-    }
     
     return accounts;
   }
@@ -333,7 +564,7 @@ class SimplifiedSSIStateManager {
       return true;
     }
     
-    console.log(`⏳ Waiting for accounts to be loaded...`);
+    logger.info(`⏳ Waiting for accounts to be loaded...`);
     
     const startTime = Date.now();
     while (!this.accountsLoaded && (Date.now() - startTime) < maxWaitMs) {
@@ -341,29 +572,43 @@ class SimplifiedSSIStateManager {
     }
     
     if (!this.accountsLoaded) {
-      console.warn(`⏰ Timed out waiting for accounts to load after ${maxWaitMs}ms`);
+      logger.warn(`⏰ Timed out waiting for accounts to load after ${maxWaitMs}ms`);
       return false;
     }
     
-    console.log(`✅ Accounts loaded successfully (${this.predefinedAccounts.size} accounts)`);
+    logger.info(`✅ Accounts loaded successfully (${this.predefinedAccounts.size} accounts)`);
     return true;
   }
   
   /**
-   * Generate a random Ethereum address
-   * Uses crypto.randomBytes to create truly random addresses
-   * @returns {string} Ethereum address
+   * Generate a random Ethereum account
+   * Derives the account from a random salt of the state manager's random source and the network
+   * config key, so the shared state only needs the salt; without that key the salt is the key
+   * and is not shared
+   * @returns {Object} Account as { address, privateKey, keySalt }
    * @private
    */
-  _generateRandomAddress() {
+  _generateRandomAccount() {
     // Generate a secure random private key and derive a valid EOA address (EIP-55 checksummed)
     // Ensures uniform distribution across the full address space
     let pk;
     do {
-      pk = crypto.randomBytes(32);
+      pk = this.random.bytes(32);
     } while (pk.equals(Buffer.alloc(32, 0))); // avoid zero key
-    const privateKey = '0x' + pk.toString('hex');
-    return ethers.computeAddress(privateKey);
+    const salt = '0x' + pk.toString('hex');
+
+    const derivedKey = this._deriveAccountKey(salt);
+    const privateKey = derivedKey || salt;
+    return { address: ethers.computeAddress(privateKey), privateKey, keySalt: derivedKey ? salt : null };
+  }
+
+  /**
+   * Generate a random Ethereum address
+   * @returns {string} Ethereum address
+   * @private
+   */
+  _generateRandomAddress() {
+    return this._generateRandomAccount().address;
   }
   
   /**
@@ -374,15 +619,19 @@ class SimplifiedSSIStateManager {
    */
   _generateRandomHash(prefix = '') {
     // Build a high-entropy buffer: 64 random bytes + worker prefix + hi-res time + optional prefix
-    const rndA = crypto.randomBytes(32);
-    const rndB = crypto.randomBytes(32);
+    const rndA = this.random.bytes(32);
+    const rndB = this.random.bytes(32);
     const wp = this.workerPrefix ? Buffer.from(String(this.workerPrefix), 'utf8') : Buffer.alloc(0);
-    const nowMs = Buffer.from(String(Date.now()), 'utf8');
+    let nowMs = Buffer.alloc(0);
     let hr = Buffer.alloc(0);
-    try {
-      hr = Buffer.from(process.hrtime.bigint().toString(), 'utf8');
-    } catch (_) {
-      // ignore if not available
+    // Seeded runs leave out the clock so the same seed yields the same hashes
+    if (!this.random.seeded) {
+      nowMs = Buffer.from(String(Date.now()), 'utf8');
+      try {
+        hr = Buffer.from(process.hrtime.bigint().toString(), 'utf8');
+      } catch (_) {
+        // ignore if not available
+      }
     }
     const pfx = prefix ? Buffer.from(String(prefix), 'utf8') : Buffer.alloc(0);
     const entropy = Buffer.concat([rndA, rndB, wp, nowMs, hr, pfx]);
@@ -391,48 +640,143 @@ class SimplifiedSSIStateManager {
   }
 
   /**
-   * Base32 encode (lowercase, no padding) per RFC4648 alphabet
-   * @param {Buffer} buffer - bytes to encode
-   * @returns {string}
+   * Generate a random IPFS CID
+   * @returns {string} CID
    * @private
    */
-  _base32Encode(buffer) {
-    const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
-    let bits = 0;
-    let value = 0;
-    const chars = [];
-    for (const byte of buffer) {
-      value = (value << 8) | byte;
-      bits += 8;
-      while (bits >= 5) {
-        chars.push(alphabet[(value >>> (bits - 5)) & 31]);
-        bits -= 5;
-      }
+  _generateRandomCid() {
+    // The digest is random, so the CID does not point at any content
+    return this._formatDigestAsCid(this.random.bytes(32));
+  }
+
+  /**
+   * Build a docCid/credentialCid of the configured format and length for gas estimation
+   * Draws from the calibration stream, so the generated data stream is not advanced
+   * @returns {string} CID or URI reference
+   */
+  getRepresentativeCid() {
+    return this._formatDigestAsCid(this.calibrationRandom.bytes(32));
+  }
+
+  /**
+   * Encode a sha2-256 digest in the configured CID format
+   * @param {Buffer} digest - 32-byte digest
+   * @returns {string} CID or URI reference
+   * @private
+   */
+  _formatDigestAsCid(digest) {
+    switch (this.cidFormat) {
+      case CID_FORMATS.CIDV0_BASE58:
+        // CIDv0, base58btc multihash (46 chars)
+        return encodeCidV0(digest);
+      case CID_FORMATS.URI:
+        return toUriReference(encodeCidV1(CID_CODECS.DAG_PB, digest), this.cidUriLength);
+      default:
+        // CIDv1 for dag-pb with sha2-256 multihash, base32 (lowercase) without padding (59 chars)
+        return encodeCidV1(CID_CODECS.DAG_PB, digest);
     }
-    if (bits > 0) {
-      chars.push(alphabet[(value << (5 - bits)) & 31]);
+  }
+
+  /**
+   * Store canonical content and build its on-chain reference in the configured CID format
+   * The store always keys content by CIDv1; CIDv0 and URI references are derived from the same bytes
+   * @param {string} canonical - Canonicalized JSON
+   * @returns {string} docCid/credentialCid value
+   * @private
+   */
+  _storeContent(canonical) {
+    const cid = this.contentStore.put(canonical);
+
+    switch (this.cidFormat) {
+      case CID_FORMATS.CIDV0_BASE58:
+        return computeContentCid(canonical, CID_FORMATS.CIDV0_BASE58);
+      case CID_FORMATS.URI:
+        return toUriReference(cid, this.cidUriLength);
+      default:
+        return cid;
     }
-    return chars.join('');
   }
-  
+
   /**
-   * Generate a random IPFS CID
-   * @returns {string} CID
+   * Get the timestamp to embed in generated documents
+   * Seeded runs use a fixed epoch plus a counter so payloads stay reproducible
+   * @returns {string} ISO timestamp
    * @private
    */
-  _generateRandomCid() {
-    // Generate CIDv1 for dag-pb with sha2-256 multihash, base32 (lowercase) without padding.
-    // Bytes layout: [version=0x01, codec=0x70 (dag-pb), mh_code=0x12 (sha2-256), mh_len=0x20 (32)] + 32-byte digest
-    const prefix = Buffer.from([0x01, 0x70, 0x12, 0x20]);
-    const digest = crypto.randomBytes(32);
-    const cidBytes = Buffer.concat([prefix, digest]); // 36 bytes total
-    const base32Body = this._base32Encode(cidBytes);  // 58 chars
-    const cid = `b${base32Body}`; // multibase prefix 'b' -> total 59 chars
-    // Safety check to guarantee requested length
-    if (cid.length !== 59) {
-      return cid.length > 59 ? cid.slice(0, 59) : cid + 'a'.repeat(59 - cid.length);
-    }
-    return cid;
+  _getContentTimestamp() {
+    if (this.random.seeded) {
+      return new Date(SEEDED_CONTENT_EPOCH_MS + this.contentCounter * 1000).toISOString();
+    }
+    return new Date().toISOString();
+  }
+
+  /**
+   * Generate docHash and docCid for a DID document
+   * In content mode the document is built, canonicalized, keccak-hashed and stored under its CID
+   * @param {string} address - Identity address
+   * @param {string} prefix - Hash prefix used in random mode
+   * @returns {Object} { docHash, docCid }
+   * @private
+   */
+  _generateDidDocumentFields(address, prefix) {
+    if (this.payloadMode !== PAYLOAD_MODES.CONTENT) {
+      return {
+        docHash: this._generateRandomHash(prefix),
+        docCid: this._generateRandomCid()
+      };
+    }
+
+    this.contentCounter++;
+
+    // A fresh service endpoint gives every document version distinct content
+    const didDocument = createDidDocument(address, {
+      serviceEndpoint: `https://example.com/endpoint/${this.random.int(10000000)}`,
+      minSize: this.didDocumentSize
+    });
+    const canonical = canonicalizeJSON(didDocument);
+
+    return {
+      docHash: hashCanonical(canonical),
+      docCid: this._storeContent(canonical)
+    };
+  }
+
+  /**
+   * Generate credentialId and credentialCid for a verifiable credential
+   * In content mode the VC is built, canonicalized, keccak-hashed (the id, as in geth-issue-creds.js)
+   * and stored under its CID
+   * @param {string} issuer - Issuer address
+   * @param {string} holder - Holder address
+   * @returns {Object} { credentialId, credentialCid }
+   * @private
+   */
+  _generateCredentialFields(issuer, holder) {
+    if (this.payloadMode !== PAYLOAD_MODES.CONTENT) {
+      return {
+        credentialId: this._generateRandomHash('credential'),
+        credentialCid: this._generateRandomCid()
+      };
+    }
+
+    this.contentCounter++;
+
+    // RFC 4122 version 4 layout from the state manager's random source
+    const uuidBytes = this.random.bytes(16);
+    uuidBytes[6] = (uuidBytes[6] & 0x0f) | 0x40;
+    uuidBytes[8] = (uuidBytes[8] & 0x3f) | 0x80;
+    const uuidHex = uuidBytes.toString('hex');
+    const uuid = `${uuidHex.slice(0, 8)}-${uuidHex.slice(8, 12)}-${uuidHex.slice(12, 16)}-${uuidHex.slice(16, 20)}-${uuidHex.slice(20)}`;
+
+    const credential = generateVCPayload(issuer, holder, {
+      id: `urn:uuid:${uuid}`,
+      issuanceDate: this._getContentTimestamp()
+    });
+    const canonical = canonicalizeJSON(credential);
+
+    return {
+      credentialId: hashCanonical(canonical),
+      credentialCid: this._storeContent(canonical)
+    };
   }
   
   /**
@@ -442,7 +786,7 @@ class SimplifiedSSIStateManager {
    */
   _getRandomRoleType() {
     const roles = [SSI_ROLES.ISSUER, SSI_ROLES.HOLDER, SSI_ROLES.TRUSTEE];
-    return roles[Math.floor(Math.random() * roles.length)];
+    return this.random.pick(roles);
   }
   
   /**
@@ -475,19 +819,113 @@ class SimplifiedSSIStateManager {
       // Track DID status in the account data
       accountCopy.hasDid = hasDid;
       
+      // Keep on-chain tracking records that only live in the cache entry
+      for (const recordKey of ['didRecord', 'roleRecord']) {
+        if (existingData?.[recordKey] && !accountCopy[recordKey]) {
+          accountCopy[recordKey] = existingData[recordKey];
+        }
+      }
+      
       // Add to global cache
       GLOBAL_ACCOUNT_CACHE.set(address, accountCopy);
       
       // Only log when actually adding/updating an account (not on reuse)
-      if (this.debugMode) {
-        console.log(`🔄 Added account to global cache: ${accountCopy.name} (${address.substring(0, 10)}...) ${hasDid ? '✅ with DID' : ''}`);
-        console.log(`📊 Global cache now has ${GLOBAL_ACCOUNT_CACHE.size} accounts`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`🔄 Added account to global cache: ${accountCopy.name} (${address.substring(0, 10)}...) ${hasDid ? '✅ with DID' : ''}`);
+        logger.debug(`📊 Global cache now has ${GLOBAL_ACCOUNT_CACHE.size} accounts`);
       }
     }
     
     return accountCopy; // Return the copied account data
   }
 
+  /**
+   * Mirror the document state of a DID into the global account cache
+   * Keeps docHash, docCid and version tracking available to later rounds
+   * @param {string} address - DID identity address
+   * @param {Object} didRecord - Local DID record from entities.dids
+   * @private
+   */
+  _syncDidRecordToCache(address, didRecord) {
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(address);
+    if (!cachedData || !didRecord) return;
+
+    cachedData.didRecord = {
+      docHash: didRecord.docHash,
+      docCid: didRecord.docCid,
+      versionId: didRecord.versionId ?? null,
+      updateCount: didRecord.updateCount || 0,
+      status: didRecord.status ?? DID_STATUS.ACTIVE
+    };
+  }
+
+  /**
+   * Record an on-chain role assignment in local tracking and the global account cache
+   * The cached role records form the ledger used for revocation and role count checks
+   * @param {string} address - Account address
+   * @param {number} role - Assigned role type
+   * @private
+   */
+  _recordRoleAssignment(address, role) {
+    const roleRecord = {
+      role,
+      assignedAt: Date.now()
+    };
+    this.entities.roles.set(address, roleRecord);
+
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(address);
+    if (cachedData) {
+      cachedData.role = role;
+      cachedData.roleRecord = { ...roleRecord };
+    }
+  }
+
+  /**
+   * Collect identities whose DIDs exist on-chain
+   * Covers DIDs created through the benchmark workflow and DIDs found by on-chain reconciliation
+   * @param {boolean} includeDeactivated - Whether deactivated DIDs should be included
+   * @returns {Array<string>} Identity addresses with DIDs
+   * @private
+   */
+  _getIdentitiesWithDids(includeDeactivated = false) {
+    const identities = [];
+
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data || data.source === 'caliper-fallback') continue;
+
+      const didRecord = this.entities.dids.get(address);
+      if (!didRecord && !data.hasDid) continue;
+      // Deactivated DIDs reject every further write
+      if (!includeDeactivated && this._isDidDeactivated(address)) continue;
+
+      identities.push(address);
+    }
+
+    return identities;
+  }
+
+  /**
+   * Look up the private key of a tracked account
+   * @param {string} address - Account address
+   * @returns {string|null} Private key, or null if the account cannot be signed for
+   * @private
+   */
+  _getAccountPrivateKey(address) {
+    const accountData = this.predefinedAccounts.get(address) || GLOBAL_ACCOUNT_CACHE.get(address);
+    return accountData?.privateKey || null;
+  }
+
+  /**
+   * Check whether requests can be sent from an account
+   * The deployer is the connector's own account; every other sender needs a known private key
+   * @param {string} address - Sender address
+   * @returns {boolean} True if the account can be signed for
+   * @private
+   */
+  _canSignAs(address) {
+    return address.toLowerCase() === DEPLOYER_ADDRESS_LOWER || this._getAccountPrivateKey(address) !== null;
+  }
+
   /**
    * Check if an address already has a DID registered
    * Optimized with case-insensitive check using normalized addresses
@@ -516,6 +954,36 @@ class SimplifiedSSIStateManager {
     return false;
   }
   
+  /**
+   * Check if the DID of an address has been deactivated
+   * Deactivated DIDs still exist on-chain, so _addressHasDid keeps returning true for them
+   * @param {string} address - Ethereum address to check
+   * @returns {boolean} True if the DID is deactivated
+   * @private
+   */
+  _isDidDeactivated(address) {
+    if (!address) return false;
+
+    const didRecord = this.entities.dids.get(address) || this.entities.dids.get(address.toLowerCase());
+    if (didRecord?.status === DID_STATUS.DEACTIVATED) {
+      return true;
+    }
+
+    // Deactivations from earlier rounds are only known through the Global Account Cache
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(address) || GLOBAL_ACCOUNT_CACHE.get(address.toLowerCase());
+    return cachedData?.didRecord?.status === DID_STATUS.DEACTIVATED;
+  }
+
+  /**
+   * Check if an address is registered as a per-worker credential issuer
+   * @param {string} address - Ethereum address to check
+   * @returns {boolean} True if the address issues credentials for a worker
+   * @private
+   */
+  _isWorkerIssuer(address) {
+    return !!address && WORKER_ISSUER_ACCOUNTS.has(address.toLowerCase());
+  }
+  
   /**
    * Ensure DEPLOYER_ADDRESS has a DID registered
    * Eliminates duplicate DID registration code
@@ -525,11 +993,11 @@ class SimplifiedSSIStateManager {
    */
   _ensureDeployerHasDid(purpose = 'setup') {
     if (!this._addressHasDid(DEPLOYER_ADDRESS)) {
-      console.log(`🛡️ PRIORITY 0: Processing DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... for DID creation (${purpose})`);
+      logger.info(`🛡️ PRIORITY 0: Processing DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... for DID creation (${purpose})`);
       
       // Generate document hash and CID for DEPLOYER_ADDRESS
-      const deployerDocHash = this._generateRandomHash('did-doc-deployer');
-      const deployerDocCid = this._generateRandomCid();
+      const { docHash: deployerDocHash, docCid: deployerDocCid } =
+        this._generateDidDocumentFields(DEPLOYER_ADDRESS, 'did-doc-deployer');
       
       // Store in DIDs map
       this.entities.dids.set(DEPLOYER_ADDRESS, {
@@ -548,7 +1016,7 @@ class SimplifiedSSIStateManager {
       };
       this._updateGlobalAccountCache(DEPLOYER_ADDRESS, accountData, true);
       
-      console.log(`🔐 Processed DID creation for DEPLOYER_ADDRESS: ${DEPLOYER_ADDRESS.substring(0, 10)}... (will be registered on-chain)`);
+      logger.info(`🔐 Processed DID creation for DEPLOYER_ADDRESS: ${DEPLOYER_ADDRESS.substring(0, 10)}... (will be registered on-chain)`);
       
       return {
         caller: DEPLOYER_ADDRESS,
@@ -582,6 +1050,7 @@ class SimplifiedSSIStateManager {
       if (needDid && !this._addressHasDid(address)) continue;
       // Must have been tracked in entities.roles
       if (!this.entities.roles.has(address)) continue;
+      if (!this.isOwnedByWorker(address)) continue;
       // Filter by role if specified
       if (roleFilter !== null && data.role !== roleFilter) continue;
       
@@ -607,7 +1076,7 @@ class SimplifiedSSIStateManager {
           if (markAsUsed) {
             account.used = true;
           }
-          console.log(`🔐 Using deployer address as TRUSTEE: ${address}`);
+          logger.debug(`🔐 Using deployer address as TRUSTEE: ${address}`);
           return { address, ...account };
         }
       }
@@ -620,13 +1089,13 @@ class SimplifiedSSIStateManager {
         if (markAsUsed) {
           account.used = true;
         }
-        console.log(`🔹 Using ${account.source} account with role ${role}: ${account.name} (${address})`);
+        logger.debug(`🔹 Using ${account.source} account with role ${role}: ${account.name} (${address})`);
         return { address, ...account };
       }
     }
     
     // No matching account found
-    console.log(`⚠️ No ${markAsUsed ? 'unused' : ''} accounts with role ${role} found`);
+    logger.debug(`⚠️ No ${markAsUsed ? 'unused' : ''} accounts with role ${role} found`);
     return null;
   }
 
@@ -648,7 +1117,7 @@ class SimplifiedSSIStateManager {
       }
     }
     
-    console.log(`🎭 Found ${accountsNeedingRoles.length} generated accounts needing on-chain role assignment`);
+    logger.debug(`🎭 Found ${accountsNeedingRoles.length} generated accounts needing on-chain role assignment`);
     return accountsNeedingRoles;
   }
 
@@ -660,49 +1129,124 @@ class SimplifiedSSIStateManager {
     if (this.predefinedAccounts.has(address)) {
       const account = this.predefinedAccounts.get(address);
       account.needsRoleAssignment = false;
-      console.log(`✅ Marked role assignment complete for: ${address.substring(0, 10)}...`);
+      logger.debug(`✅ Marked role assignment complete for: ${address.substring(0, 10)}...`);
     }
   }
 
-  // === ROLE MANAGEMENT ===
-  
+  // === ON-CHAIN RECONCILIATION ===
+
   /**
-   * Get arguments for role assignment
-   * @param {number} role - Role type (optional)
-   * @param {boolean} markAsUsed - Whether to mark the account as used (default: true)
-   * @returns {Object} Role assignment arguments
+   * List pre-funded accounts whose roles and DIDs must be read from the chain
+   * Generated accounts are skipped since their state is tracked from workflow receipts
+   * @returns {Promise<Array<Object>>} Accounts as { address, intendedRole, privateKey, name }
    */
-  getRoleAssignmentArguments(role = null, markAsUsed = true) {
-    const targetRole = role !== null ? role : this._getRandomRoleType();
-    
-    // PRIORITIZE: Check if we have any generated accounts waiting for role assignment
-    const accountsNeedingRoles = this.getAccountsNeedingRoleAssignment();
-    const matchingAccountNeedingRole = accountsNeedingRoles.find(acc => acc.role === targetRole);
-    
-    if (matchingAccountNeedingRole) {
-      if (this.debugMode) {
-        console.log(`🎯 Prioritizing generated account needing role assignment: ${matchingAccountNeedingRole.name}`);
-      }
-      
-      // Mark role assignment as complete
-      this.markRoleAssignmentComplete(matchingAccountNeedingRole.address);
-      
-      // CRITICAL: Update the global cache to reflect that this account no longer needs role assignment
-      // This ensures getDIDCreationArguments can properly identify it as ready for DID creation
-      const accountData = this.predefinedAccounts.get(matchingAccountNeedingRole.address);
-      if (accountData) {
-        accountData.needsRoleAssignment = false; // Mark role assignment as complete
+  async getAccountsToReconcile() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    const accounts = [];
+
+    for (const [address, data] of this.predefinedAccounts.entries()) {
+      if (data?.source !== 'caliper-config' && data?.source !== 'caliper-fallback') continue;
+
+      accounts.push({
+        address,
+        intendedRole: data.intendedRole ?? data.role,
+        privateKey: data.privateKey,
+        name: data.name
+      });
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Replace the local view of an account with its on-chain role and DID state
+   * @param {string} address - Account address
+   * @param {Object} onChainState - State read from RoleControl and DidRegistry
+   * @param {number} onChainState.role - Role from RoleControl.getRole
+   * @param {boolean} onChainState.didExists - Whether a DID exists (DidRegistry.validateDid)
+   * @param {boolean} onChainState.didActive - Whether the DID is active
+   * @param {string|null} onChainState.docHash - Document hash of an active DID
+   * @param {number|null} onChainState.versionId - Version (block number) of an active DID
+   */
+  applyOnChainAccountState(address, { role, didExists, didActive, docHash = null, versionId = null }) {
+    const accountData = this.predefinedAccounts.get(address);
+    if (!accountData) return;
+
+    accountData.role = role;
+    accountData.hasDid = didExists;
+    accountData.onChainVerified = true;
+
+    const cachedData = this._updateGlobalAccountCache(address, accountData, didExists);
+    cachedData.role = role;
+    cachedData.onChainVerified = true;
+
+    // Role ledger mirrors RoleControl so role count checks stay accurate
+    if (role !== SSI_ROLES.NONE) {
+      this._recordRoleAssignment(address, role);
+    } else {
+      this.entities.roles.delete(address);
+      delete cachedData.roleRecord;
+    }
+
+    if (!didExists) {
+      this.entities.dids.delete(address);
+      delete cachedData.didRecord;
+      return;
+    }
+
+    // The CID is only emitted in events, so a locally known one is kept
+    const currentRecord = this.entities.dids.get(address) || cachedData.didRecord || {};
+    const didRecord = {
+      ...currentRecord,
+      docHash: docHash || currentRecord.docHash || null,
+      docCid: currentRecord.docCid || null,
+      versionId: versionId ?? currentRecord.versionId ?? null,
+      updateCount: currentRecord.updateCount || 0,
+      status: didActive ? DID_STATUS.ACTIVE : DID_STATUS.DEACTIVATED,
+      reconciledAt: Date.now()
+    };
+    this.entities.dids.set(address, didRecord);
+    this._syncDidRecordToCache(address, didRecord);
+  }
+
+  // === ROLE MANAGEMENT ===
+  
+  /**
+   * Get arguments for role assignment
+   * @param {number} role - Role type (optional)
+   * @param {boolean} markAsUsed - Whether to mark the account as used (default: true)
+   * @returns {Object} Role assignment arguments
+   */
+  getRoleAssignmentArguments(role = null, markAsUsed = true) {
+    const targetRole = role !== null ? role : this._getRandomRoleType();
+    
+    // PRIORITIZE: Check if we have any generated accounts waiting for role assignment
+    const accountsNeedingRoles = this.getAccountsNeedingRoleAssignment();
+    const matchingAccountNeedingRole = accountsNeedingRoles.find(acc => acc.role === targetRole);
+    
+    if (matchingAccountNeedingRole) {
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`🎯 Prioritizing generated account needing role assignment: ${matchingAccountNeedingRole.name}`);
+      }
+      
+      // Mark role assignment as complete
+      this.markRoleAssignmentComplete(matchingAccountNeedingRole.address);
+      
+      // CRITICAL: Update the global cache to reflect that this account no longer needs role assignment
+      // This ensures getDIDCreationArguments can properly identify it as ready for DID creation
+      const accountData = this.predefinedAccounts.get(matchingAccountNeedingRole.address);
+      if (accountData) {
+        accountData.needsRoleAssignment = false; // Mark role assignment as complete
         this._updateGlobalAccountCache(matchingAccountNeedingRole.address, accountData);
-        if (this.debugMode) {
-          console.log(`✅ Updated global cache - account ${matchingAccountNeedingRole.address.substring(0, 10)}... role assignment complete`);
+        if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+          logger.debug(`✅ Updated global cache - account ${matchingAccountNeedingRole.address.substring(0, 10)}... role assignment complete`);
         }
       }
       
       // Store in roles map to track that this account has been assigned a role
-      this.entities.roles.set(matchingAccountNeedingRole.address, {
-        role: targetRole,
-        assignedAt: Date.now()
-      });
+      this._recordRoleAssignment(matchingAccountNeedingRole.address, targetRole);
       
       return {
         role: targetRole,
@@ -714,36 +1258,27 @@ class SimplifiedSSIStateManager {
     const predefinedAccount = this._getPredefinedAccountWithRole(targetRole, markAsUsed);
     
     if (predefinedAccount) {
-      if (this.debugMode) {
-        console.log(`🎯 Using predefined account for role ${targetRole}: ${predefinedAccount.name}`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`🎯 Using predefined account for role ${targetRole}: ${predefinedAccount.name}`);
       }
       
-      // Store in roles map with timestamp
-      this.entities.roles.set(predefinedAccount.address, {
-        role: targetRole,
-        assignedAt: Date.now()
-      });
-      
       // Update global cache to ensure the account state is properly tracked
       const accountData = this.predefinedAccounts.get(predefinedAccount.address);
       if (accountData) {
         this._updateGlobalAccountCache(predefinedAccount.address, accountData);
       }
       
+      // Store in roles map with timestamp
+      this._recordRoleAssignment(predefinedAccount.address, targetRole);
+      
       return {
         role: targetRole,
         account: predefinedAccount.address
       };
     }
     
-    // Generate random address if no predefined account available
-    const address = this._generateRandomAddress();
-    
-    // Store in roles map with timestamp
-    this.entities.roles.set(address, {
-      role: targetRole,
-      assignedAt: Date.now()
-    });
+    // Generate random account if no predefined account available
+    const { address, privateKey, keySalt } = this._generateRandomAccount();
     
     // Add to predefined accounts map so it can be reused in later rounds
     const generatedAccount = {
@@ -751,6 +1286,8 @@ class SimplifiedSSIStateManager {
       name: `Generated ${ROLE_NAMES.get(targetRole) || 'UNKNOWN'} ${this.counters[SSI_ENTITY_TYPES.ROLE] + 1}`,
       used: markAsUsed,
       source: 'generated',
+      privateKey, // Kept so the account can sign its own DID transactions
+      keySalt, // Shared instead of the key
       needsRoleAssignment: true // Mark that this account needs on-chain role assignment
     };
     this.predefinedAccounts.set(address, generatedAccount);
@@ -758,12 +1295,15 @@ class SimplifiedSSIStateManager {
     // Add to global cache for persistence between rounds
     this._updateGlobalAccountCache(address, generatedAccount);
     
+    // Store in roles map with timestamp
+    this._recordRoleAssignment(address, targetRole);
+    
     // Increment counter
     this.counters[SSI_ENTITY_TYPES.ROLE]++;
     
-    if (this.debugMode) {
-      console.log(`🆕 Generated new address for role ${targetRole}: ${address.substring(0, 10)}... (added to predefined accounts)`);
-      console.log(`🎭 Account will need on-chain role assignment before DID creation`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🆕 Generated new address for role ${targetRole}: ${address.substring(0, 10)}... (added to predefined accounts)`);
+      logger.debug(`🎭 Account will need on-chain role assignment before DID creation`);
     }
     
     return {
@@ -772,6 +1312,118 @@ class SimplifiedSSIStateManager {
     };
   }
   
+  /**
+   * Get arguments for role revocation
+   * Picks an account whose role was assigned by the workflow (AssignRole.js) and locks it
+   * until confirmRoleRevocation applies or rolls back the revocation, so it is never revoked twice
+   * Accounts without DIDs are preferred to keep credential holder pools intact
+   * @returns {Object} Role revocation arguments
+   */
+  getRoleRevocationArguments() {
+    const withoutDids = [];
+    const withDids = [];
+
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data?.roleRecord) continue;
+      if (data.roleRecord.role === SSI_ROLES.NONE || data.roleRecord.pendingRevocation) continue;
+      // The deployer is the TRUSTEE that signs the revocations
+      if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER) continue;
+      // Worker issuers must keep their role to sign credential issuances
+      if (this._isWorkerIssuer(address)) continue;
+      if (!this.isOwnedByWorker(address)) continue;
+
+      if (this._addressHasDid(address)) {
+        withDids.push(address);
+      } else {
+        withoutDids.push(address);
+      }
+    }
+
+    const candidates = withoutDids.length > 0 ? withoutDids : withDids;
+
+    if (candidates.length === 0) {
+      throw new Error('No accounts with workflow-assigned roles available for revocation. Run an assignRole round first.');
+    }
+
+    const account = this.random.pick(candidates);
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(account);
+    const role = cachedData.roleRecord.role;
+
+    // Lock the account until the transaction outcome is known
+    cachedData.roleRecord.pendingRevocation = true;
+
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🎭 Prepared ${ROLE_NAMES.get(role) || 'UNKNOWN'} role revocation for ${account.substring(0, 10)}... (${cachedData.name || 'Unknown'})`);
+    }
+
+    return {
+      role,
+      account
+    };
+  }
+
+  /**
+   * Apply or roll back a pending role revocation
+   * @param {string} account - Account whose role was revoked
+   * @param {boolean} committed - Whether the revocation transaction was committed
+   */
+  confirmRoleRevocation(account, committed) {
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(account);
+    if (!cachedData?.roleRecord?.pendingRevocation) return;
+
+    delete cachedData.roleRecord.pendingRevocation;
+    if (!committed) return;
+
+    // Mark as revoked in the ledger and local tracking
+    cachedData.roleRecord = {
+      role: SSI_ROLES.NONE,
+      revokedRole: cachedData.roleRecord.role,
+      revokedAt: Date.now()
+    };
+    cachedData.role = SSI_ROLES.NONE;
+    this.entities.roles.delete(account);
+
+    const predefinedAccountData = this.predefinedAccounts.get(account);
+    if (predefinedAccountData) {
+      predefinedAccountData.role = SSI_ROLES.NONE;
+    }
+
+    this.roleRevocationCount = (this.roleRevocationCount || 0) + 1;
+  }
+
+  /**
+   * Get the expected number of accounts per role according to the local role ledger
+   * The deployer counts as TRUSTEE since RoleControl assigns it in the constructor
+   * @returns {Object} Map of role name to expected count
+   */
+  getRoleTallies() {
+    const tallies = {
+      ISSUER: 0,
+      HOLDER: 0,
+      TRUSTEE: 0
+    };
+    let deployerTracked = false;
+
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data?.roleRecord) continue;
+
+      if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER) {
+        deployerTracked = true;
+      }
+
+      const roleName = ROLE_NAMES.get(data.roleRecord.role);
+      if (roleName && roleName !== 'NONE') {
+        tallies[roleName]++;
+      }
+    }
+
+    if (!deployerTracked) {
+      tallies.TRUSTEE++;
+    }
+
+    return tallies;
+  }
+  
   // === DID MANAGEMENT ===
   
   /**
@@ -798,13 +1450,13 @@ class SimplifiedSSIStateManager {
     const accountsWithRolesNeedingDids = this._filterWorkflowAccounts(null, false);
     
     // Debug: Log details about prioritized accounts (only in debug mode)
-    if (this.debugMode && accountsWithRolesNeedingDids.length > 0) {
-      console.log(`📋 Accounts with assigned roles needing DIDs:`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG) && accountsWithRolesNeedingDids.length > 0) {
+      logger.debug(`📋 Accounts with assigned roles needing DIDs:`);
       accountsWithRolesNeedingDids.forEach(addr => {
         const data = GLOBAL_ACCOUNT_CACHE.get(addr);
         const roleInEntities = this.entities.roles.get(addr);
         const roleName = ROLE_NAMES.get(data?.role) || 'UNKNOWN';
-        console.log(`  - ${data?.name || 'Unknown'} (${addr.substring(0, 10)}...) [${roleName}] - Role in entities: ${roleInEntities ? 'YES' : 'NO'}`);
+        logger.debug(`  - ${data?.name || 'Unknown'} (${addr.substring(0, 10)}...) [${roleName}] - Role in entities: ${roleInEntities ? 'YES' : 'NO'}`);
       });
     }
     
@@ -812,7 +1464,7 @@ class SimplifiedSSIStateManager {
     
     if (accountsWithRolesNeedingDids.length > 0) {
       // Prioritize accounts that have been assigned roles but don't have DIDs yet
-      identity = accountsWithRolesNeedingDids[Math.floor(Math.random() * accountsWithRolesNeedingDids.length)];
+      identity = this.random.pick(accountsWithRolesNeedingDids);
     } else {
       // FALLBACK: Look for other available accounts (excluding fallback sources)
       const availableAddresses = [];
@@ -820,19 +1472,23 @@ class SimplifiedSSIStateManager {
         if (!data || data.source === 'caliper-fallback') continue;
         // Identity for DID creation must NOT already have a DID
         if (this._addressHasDid(address)) continue;
+        if (!this.isOwnedByWorker(address)) continue;
         availableAddresses.push(address);
       }
       
       if (availableAddresses.length > 0) {
-        identity = availableAddresses[Math.floor(Math.random() * availableAddresses.length)];
+        identity = this.random.pick(availableAddresses);
       } else {
-        // Last resort: generate a new address
-        identity = this._generateRandomAddress();
+        // Last resort: generate a new account
+        const generated = this._generateRandomAccount();
+        identity = generated.address;
         const generatedAccount = {
           role: SSI_ROLES.HOLDER,
           name: `Generated DID Document ${this.counters[SSI_ENTITY_TYPES.DID] + 1}`,
           used: false,
           source: 'generated',
+          privateKey: generated.privateKey,
+          keySalt: generated.keySalt,
           needsRoleAssignment: true
         };
         this.predefinedAccounts.set(identity, generatedAccount);
@@ -846,15 +1502,18 @@ class SimplifiedSSIStateManager {
     }
     
     // Generate document hash and CID
-    const docHash = this._generateRandomHash('did-doc');
-    const docCid = this._generateRandomCid();
+    const { docHash, docCid } = this._generateDidDocumentFields(identity, 'did-doc');
 
     // Store in DIDs map
-    this.entities.dids.set(identity, {
+    const didRecord = {
       docHash,
       docCid,
+      versionId: null, // Known once the creation receipt is confirmed
+      updateCount: 0,
+      status: DID_STATUS.ACTIVE,
       createdAt: Date.now()
-    });
+    };
+    this.entities.dids.set(identity, didRecord);
     
     // CRITICAL: Update the global account cache to track this address as having a DID
     // This ensures the DID status persists between benchmark rounds
@@ -862,10 +1521,11 @@ class SimplifiedSSIStateManager {
     if (predefinedAccountData) {
       this._updateGlobalAccountCache(identity, predefinedAccountData, true); // true = has DID
     }
+    this._syncDidRecordToCache(identity, didRecord);
     
     // Log successful DID setup for better traceability (only in debug mode)
-    if (this.debugMode) {
-      console.log(`✅ Successfully prepared DID creation: 
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`✅ Successfully prepared DID creation: 
     - Identity: ${identity.substring(0, 10)}...
     - Document Hash: ${docHash.substring(0, 10)}...
     - Document CID: ${docCid}`);
@@ -881,28 +1541,316 @@ class SimplifiedSSIStateManager {
     };
   }
   
+  /**
+   * Get arguments for DID document update
+   * Picks an identity with a DID and generates a new docHash/docCid pair for it;
+   * the pair is tracked by confirmDIDUpdate once the update is committed
+   * The identity is returned as the caller since only the DID owner may update it
+   * @returns {Promise<Object>} DID update arguments
+   */
+  async getDIDUpdateArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    // Only identities whose key is known can send their own update
+    const identities = this.getDIDOwnerAddresses();
+
+    if (identities.length === 0) {
+      throw new Error('No identities with DIDs available for DID update. Run a createDid round first.');
+    }
+
+    const identity = this.random.pick(identities);
+    const currentRecord = this.entities.dids.get(identity) ||
+      GLOBAL_ACCOUNT_CACHE.get(identity)?.didRecord || {};
+
+    // Generate the new document hash and CID
+    const { docHash, docCid } = this._generateDidDocumentFields(identity, 'did-doc-update');
+    const updateCount = (currentRecord.updateCount || 0) + 1;
+
+    // Sender must be the DID owner to avoid NotIdentityOwner reverts
+    const accountData = this.predefinedAccounts.get(identity) || GLOBAL_ACCOUNT_CACHE.get(identity);
+
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`✅ Successfully prepared DID update: 
+    - Identity: ${identity.substring(0, 10)}...
+    - Update #: ${updateCount} (last confirmed versionId: ${currentRecord.versionId ?? 'unknown'})
+    - Document Hash: ${docHash.substring(0, 10)}...
+    - Document CID: ${docCid}`);
+    }
+
+    return {
+      identity,
+      docHash,
+      docCid,
+      caller: identity,
+      callerPrivateKey: accountData?.privateKey
+    };
+  }
+
+  /**
+   * List this worker's identities with DIDs that send their own DID transactions
+   * @param {boolean} fundedOnly - Whether to skip owners that were not funded for this round
+   * @returns {Array<string>} Addresses of DID owners whose private key is known
+   */
+  getDIDOwnerAddresses(fundedOnly = true) {
+    return this._getIdentitiesWithDids()
+      .filter(address => this.isOwnedByWorker(address))
+      .filter(address => this._getAccountPrivateKey(address))
+      .filter(address => !fundedOnly || GLOBAL_ACCOUNT_CACHE.get(address)?.funded);
+  }
+
+  /**
+   * Record that accounts hold enough ether to send their own transactions
+   * @param {Array<string>} addresses - Funded account addresses
+   */
+  markAccountsFunded(addresses) {
+    for (const address of addresses) {
+      for (const accountData of [this.predefinedAccounts.get(address), GLOBAL_ACCOUNT_CACHE.get(address)]) {
+        if (accountData) {
+          accountData.funded = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Record the on-chain versionId of a DID after a confirmed create or update
+   * DidRegistry sets versionId to the block number of the transaction
+   * @param {string} identity - DID identity address
+   * @param {number} versionId - Block number of the confirmed transaction
+   * @returns {boolean} True if the version was recorded
+   */
+  confirmDIDVersion(identity, versionId) {
+    const didRecord = this.entities.dids.get(identity);
+    if (!didRecord || !Number.isFinite(versionId)) return false;
+
+    // Receipts can arrive out of order; keep the highest block as the current version
+    if (didRecord.versionId === null || didRecord.versionId === undefined || versionId > didRecord.versionId) {
+      didRecord.versionId = versionId;
+      this._syncDidRecordToCache(identity, didRecord);
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a DID document update after its transaction is confirmed
+   * A failed update leaves the last confirmed docHash and docCid in place
+   * @param {Object} didArgs - Arguments returned by getDIDUpdateArguments
+   * @param {number} versionId - Block number of the confirmed update
+   * @returns {boolean} True if the update was recorded, false for a failed or stale receipt
+   */
+  confirmDIDUpdate(didArgs, versionId) {
+    const { identity, docHash, docCid } = didArgs;
+    const currentRecord = this.entities.dids.get(identity) || GLOBAL_ACCOUNT_CACHE.get(identity)?.didRecord;
+    if (!currentRecord || !Number.isFinite(versionId)) return false;
+
+    // Receipts can arrive out of order; one older than the confirmed version was superseded
+    const confirmedVersion = currentRecord.versionId ?? null;
+    if (confirmedVersion !== null && versionId < confirmedVersion) {
+      logger.debug(`⏪ Ignoring stale DID update receipt for ${identity.substring(0, 10)}... (block ${versionId} < ${confirmedVersion})`);
+      return false;
+    }
+
+    const didRecord = {
+      ...currentRecord,
+      versionId: confirmedVersion,
+      previousDocHash: currentRecord.docHash || null,
+      docHash,
+      docCid,
+      updateCount: (currentRecord.updateCount || 0) + 1,
+      updatedAt: Date.now()
+    };
+
+    this.entities.dids.set(identity, didRecord);
+    this._syncDidRecordToCache(identity, didRecord);
+
+    this.didUpdateCount = (this.didUpdateCount || 0) + 1;
+    return this.confirmDIDVersion(identity, versionId);
+  }
+
+  /**
+   * Get the expected on-chain versionId of a DID
+   * @param {string} identity - DID identity address
+   * @returns {number|null} Expected versionId or null if not yet confirmed
+   */
+  getExpectedDIDVersion(identity) {
+    const didRecord = this.entities.dids.get(identity) || GLOBAL_ACCOUNT_CACHE.get(identity)?.didRecord;
+    return didRecord?.versionId ?? null;
+  }
+
+  /**
+   * Get arguments for DID deactivation
+   * Picks an active identity and marks its DID as deactivated right away,
+   * so concurrent transactions and later rounds never select it again
+   * @returns {Promise<Object>} DID deactivation arguments
+   */
+  async getDIDDeactivationArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    // Credential issuers (the deployer and per-worker issuers) must keep their DIDs active,
+    // pre-funded config accounts are reused by every run, so their DIDs are never deactivated,
+    // and only owners whose key is known can send their own deactivation
+    const identities = this.getDIDOwnerAddresses()
+      .filter(address => address.toLowerCase() !== DEPLOYER_ADDRESS_LOWER && !this._isWorkerIssuer(address))
+      .filter(address => GLOBAL_ACCOUNT_CACHE.get(address)?.source !== 'caliper-config');
+
+    if (identities.length === 0) {
+      throw new Error('No active DIDs available for deactivation. Run a createDid round first.');
+    }
+
+    const identity = this.random.pick(identities);
+    const currentRecord = this.entities.dids.get(identity) ||
+      GLOBAL_ACCOUNT_CACHE.get(identity)?.didRecord || {};
+
+    const didRecord = {
+      ...currentRecord,
+      status: DID_STATUS.DEACTIVATED,
+      deactivatedAt: Date.now()
+    };
+    this.entities.dids.set(identity, didRecord);
+    this._syncDidRecordToCache(identity, didRecord);
+
+    this.didDeactivationCount = (this.didDeactivationCount || 0) + 1;
+
+    // Sender must be the DID owner to avoid NotIdentityOwner reverts
+    const accountData = this.predefinedAccounts.get(identity) || GLOBAL_ACCOUNT_CACHE.get(identity);
+
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🚫 Prepared DID deactivation for ${identity.substring(0, 10)}... (${accountData?.name || 'Unknown'})`);
+    }
+
+    return {
+      identity,
+      caller: identity,
+      callerPrivateKey: accountData?.privateKey
+    };
+  }
+
+  /**
+   * Mark a DID active again after its deactivation transaction failed
+   * Undoes the state change made by getDIDDeactivationArguments
+   * @param {string} identity - DID identity address
+   * @returns {boolean} True if the deactivation was rolled back
+   */
+  revertDIDDeactivation(identity) {
+    const didRecord = this.entities.dids.get(identity);
+    if (didRecord?.status !== DID_STATUS.DEACTIVATED) return false;
+
+    didRecord.status = DID_STATUS.ACTIVE;
+    delete didRecord.deactivatedAt;
+    this._syncDidRecordToCache(identity, didRecord);
+
+    this.didDeactivationCount--;
+    return true;
+  }
+  
   // === CREDENTIAL MANAGEMENT ===
+
+  /**
+   * List pre-funded config accounts that can act as per-worker credential issuers
+   * Only accounts with a private key can sign their own issuance transactions
+   * @returns {Promise<Array<Object>>} Issuer candidates as { address, privateKey }
+   */
+  async getIssuerAccountCandidates() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    const candidates = [];
+
+    for (const [address, data] of this.predefinedAccounts.entries()) {
+      if (data?.source !== 'caliper-config' || !data.privateKey) continue;
+      // The intended layout decides; setupIssuerAccount() assigns the role on-chain if missing
+      if ((data.intendedRole ?? data.role) !== SSI_ROLES.ISSUER) continue;
+      // The deployer stays the TRUSTEE that assigns roles
+      if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER) continue;
+
+      candidates.push({ address, privateKey: data.privateKey });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Get DID creation arguments for an account whose DID is missing on-chain
+   * Used by the unmeasured setup phase; reuses the locally tracked document when there is one
+   * @param {string} address - Account address
+   * @returns {Object} DID creation arguments
+   */
+  getSetupDIDArguments(address) {
+    const currentRecord = this.entities.dids.get(address);
+    if (currentRecord?.docHash && currentRecord?.docCid) {
+      return { identity: address, docHash: currentRecord.docHash, docCid: currentRecord.docCid };
+    }
+
+    return {
+      identity: address,
+      ...this._generateDidDocumentFields(address, `did-doc-setup-${address.substring(2, 10)}`)
+    };
+  }
+
+  /**
+   * Register an account as this worker's credential issuer
+   * Called once its ISSUER role and active DID are confirmed on-chain
+   * @param {string} address - Issuer account address
+   * @param {Object} didDocument - On-chain DID document state
+   * @param {string} didDocument.docHash - Document hash
+   * @param {string} didDocument.docCid - Document CID
+   * @param {number|null} didDocument.versionId - DID version (block number), if known
+   */
+  registerWorkerIssuer(address, { docHash, docCid, versionId = null } = {}) {
+    WORKER_ISSUER_ACCOUNTS.set(address.toLowerCase(), this.workerIndex);
+
+    const accountData = this.predefinedAccounts.get(address) || GLOBAL_ACCOUNT_CACHE.get(address) || {
+      name: `Worker ${this.workerIndex} Issuer`,
+      used: false,
+      source: 'caliper-config'
+    };
+    this._updateGlobalAccountCache(address, { ...accountData, role: SSI_ROLES.ISSUER }, true);
+
+    // The issuer setup confirmed the DID on-chain
+    const currentRecord = this.entities.dids.get(address) || {};
+    const didRecord = {
+      ...currentRecord,
+      docHash: docHash || currentRecord.docHash,
+      docCid: docCid || currentRecord.docCid,
+      versionId: versionId ?? currentRecord.versionId ?? null,
+      updateCount: currentRecord.updateCount || 0,
+      status: DID_STATUS.ACTIVE
+    };
+    this.entities.dids.set(address, didRecord);
+    this._syncDidRecordToCache(address, didRecord);
+
+    // Keep the role ledger in line with RoleControl role counts
+    this._recordRoleAssignment(address, SSI_ROLES.ISSUER);
+
+    logger.info(`🏛️ Worker ${this.workerIndex} registered issuer account ${address.substring(0, 10)}...`);
+  }
   
   /**
    * Get arguments for credential issuance
+   * @param {string} issuer - Account that signs the issuance (defaults to the deployer)
    * @returns {Promise<Object>} Credential issuance arguments
    */
-  async getCredentialIssuanceArguments() {
+  async getCredentialIssuanceArguments(issuer = DEPLOYER_ADDRESS) {
     // Ensure accounts are loaded before proceeding
     await this.waitForAccountsLoaded();
     
-    // CRITICAL: Ensure DEPLOYER_ADDRESS (issuer) has a DID before credential issuance
-    // The issuer (msg.sender/fromAddress) MUST have a DID to call issueCredential() in the contract
-    const deployerDidArgs = this._ensureDeployerHasDid('pre-credential-issuance-setup');
+    // CRITICAL: The issuer (msg.sender/fromAddress) MUST have a DID to call issueCredential() in the contract
+    // Per-worker issuers get theirs during workload setup; the deployer is tracked here
+    const deployerDidArgs = issuer.toLowerCase() === DEPLOYER_ADDRESS_LOWER
+      ? this._ensureDeployerHasDid('pre-credential-issuance-setup')
+      : null;
     if (deployerDidArgs) {
-      if (this.debugMode) {
-        console.log(`🚨 CRITICAL: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... did not have a DID!`);
-        console.log(`🔧 Automatically registered DID for DEPLOYER_ADDRESS before credential issuance...`);
-        console.log(`⚠️ NOTE: This DID registration should be performed on-chain via getDIDCreationArguments() first!`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`🚨 CRITICAL: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... did not have a DID!`);
+        logger.debug(`🔧 Automatically registered DID for DEPLOYER_ADDRESS before credential issuance...`);
+        logger.debug(`⚠️ NOTE: This DID registration should be performed on-chain via getDIDCreationArguments() first!`);
       }
     } else {
-      if (this.debugMode) {
-        console.log(`✅ Verified: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... already has a DID registered`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`✅ Verified: issuer ${issuer.substring(0, 10)}... already has a DID registered`);
       }
     }
     
@@ -915,9 +1863,9 @@ class SimplifiedSSIStateManager {
     // The issuer will be the caller/sender (msg.sender) in the contract
     let identity = null;
     
-    if (this.debugMode) {
-      console.log(`🔍 Looking for accounts with DIDs for credential issuance from global cache...`);
-      console.log(`📊 Global cache has ${GLOBAL_ACCOUNT_CACHE.size} accounts available`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🔍 Looking for accounts with DIDs for credential issuance from global cache...`);
+      logger.debug(`📊 Global cache has ${GLOBAL_ACCOUNT_CACHE.size} accounts available`);
     }
 
     // Single-pass iteration to find both workflow and fallback HOLDER accounts
@@ -934,6 +1882,8 @@ class SimplifiedSSIStateManager {
       // Cache DID check result
       const addressHasDid = this._addressHasDid(address);
       if (!addressHasDid) continue; // must have DID
+      // Deactivated DIDs would revert with IdentityHasBeenDeactivated
+      if (this._isDidDeactivated(address)) continue;
       
       // Categorize: workflow vs other accounts
       if (data.source === 'generated' && 
@@ -947,8 +1897,8 @@ class SimplifiedSSIStateManager {
       }
     }
     
-    if (this.debugMode) {
-      console.log(`🎯 PRIORITY: Found ${workflowAccountsWithDids.length} workflow HOLDER accounts with DIDs for credential holding`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🎯 PRIORITY: Found ${workflowAccountsWithDids.length} workflow HOLDER accounts with DIDs for credential holding`);
     }
     
     // Create Set for O(1) membership test (reused later)
@@ -957,16 +1907,16 @@ class SimplifiedSSIStateManager {
     // Combine priority and fallback lists
     const holdersWithDids = [...workflowAccountsWithDids, ...otherHoldersWithDids];
     
-    if (this.debugMode) {
-      console.log(`🔢 Found ${holdersWithDids.length} total HOLDER accounts with DIDs (${workflowAccountsWithDids.length} priority + ${otherHoldersWithDids.length} fallback)`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🔢 Found ${holdersWithDids.length} total HOLDER accounts with DIDs (${workflowAccountsWithDids.length} priority + ${otherHoldersWithDids.length} fallback)`);
     }
     
     // Debug: Log details about available HOLDER accounts (only in debug mode)
-    if (this.debugMode && workflowAccountsWithDids.length > 0) {
-      console.log(`📋 Priority workflow HOLDER accounts available for credential holding:`);
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG) && workflowAccountsWithDids.length > 0) {
+      logger.debug(`📋 Priority workflow HOLDER accounts available for credential holding:`);
       workflowAccountsWithDids.forEach(addr => {
         const data = GLOBAL_ACCOUNT_CACHE.get(addr);
-        console.log(`  - ${data?.name || 'Unknown'} (${addr.substring(0, 10)}...) [HOLDER]`);
+        logger.debug(`  - ${data?.name || 'Unknown'} (${addr.substring(0, 10)}...) [HOLDER]`);
       });
     }
     
@@ -982,8 +1932,8 @@ class SimplifiedSSIStateManager {
     
     // FALLBACK: If no priority accounts available, try other accounts
     if (availableHolders.length === 0) {
-      if (this.debugMode) {
-        console.log(`⚠️ No unused priority workflow accounts found, trying other accounts with DIDs...`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`⚠️ No unused priority workflow accounts found, trying other accounts with DIDs...`);
       }
       availableHolders = otherHoldersWithDids.filter(address => {
         // Ensure this holder exists in Global Cache (should by construction)
@@ -999,8 +1949,8 @@ class SimplifiedSSIStateManager {
     
     // LAST RESORT: If no available holders, use any holder with DID
     if (availableHolders.length === 0) {
-      if (this.debugMode) {
-        console.log(`⚠️ No unused holders found, using any holder with DID`);
+      if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+        logger.debug(`⚠️ No unused holders found, using any holder with DID`);
       }
       availableHolders = holdersWithDids;
     }
@@ -1010,7 +1960,7 @@ class SimplifiedSSIStateManager {
     }
     
     // Select a holder
-    identity = availableHolders[Math.floor(Math.random() * availableHolders.length)];
+    identity = this.random.pick(availableHolders);
     
     // Mark as used
     this.usedHolders.add(identity.toLowerCase());
@@ -1021,14 +1971,14 @@ class SimplifiedSSIStateManager {
     
     // Validate that selected account actually has HOLDER role (safety check)
     if (accountData?.role !== SSI_ROLES.HOLDER) {
-      console.warn(`⚠️ WARNING: Selected account ${identity.substring(0, 10)}... does not have HOLDER role! Role: ${accountData?.role}`);
+      logger.warn(`⚠️ WARNING: Selected account ${identity.substring(0, 10)}... does not have HOLDER role! Role: ${accountData?.role}`);
     }
     
-    if (this.debugMode) {
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
       if (isWorkflowAccount) {
-        console.log(`🎯 Using PRIORITY workflow HOLDER account: ${identity.substring(0, 10)}... - ${accountData?.name || 'Unknown'}`);
+        logger.debug(`🎯 Using PRIORITY workflow HOLDER account: ${identity.substring(0, 10)}... - ${accountData?.name || 'Unknown'}`);
       } else {
-        console.log(`🧑 Using FALLBACK HOLDER account: ${identity.substring(0, 10)}... - ${accountData?.name || 'Unknown'}`);
+        logger.debug(`🧑 Using FALLBACK HOLDER account: ${identity.substring(0, 10)}... - ${accountData?.name || 'Unknown'}`);
       }
     }
     
@@ -1038,20 +1988,24 @@ class SimplifiedSSIStateManager {
     
     // Log warning if holder doesn't have a DID (this might cause transaction failure)
     if (!holderHasDid) {
-      console.warn(`⚠️ WARNING: Selected holder ${identity.substring(0, 10)}... doesn't have a DID registered!`);
-      console.warn(`   This will likely cause credential issuance transaction to fail.`);
+      logger.warn(`⚠️ WARNING: Selected holder ${identity.substring(0, 10)}... doesn't have a DID registered!`);
+      logger.warn(`   This will likely cause credential issuance transaction to fail.`);
     }
     
     // Generate credential ID and CID
-    const credentialId = this._generateRandomHash('credential');
-    const credentialCid = this._generateRandomCid();
+    const { credentialId, credentialCid } = this._generateCredentialFields(issuer, identity);
     
     // Store in credentials map
-    this.entities.credentials.set(credentialId, {
+    const credentialRecord = {
       holder: identity,
+      issuer,
       credentialCid,
+      status: CREDENTIAL_STATUS.ACTIVE,
+      confirmed: false, // Set once the issuance receipt is committed
       issuedAt: Date.now()
-    });
+    };
+    this.entities.credentials.set(credentialId, credentialRecord);
+    GLOBAL_CREDENTIAL_CACHE.set(credentialId, credentialRecord);
     
     // Ensure the account is properly saved in the global cache for reuse
     // This step is crucial for maintaining the holder relationship across test rounds
@@ -1076,16 +2030,16 @@ class SimplifiedSSIStateManager {
     });
     
     // Log successful credential setup for better traceability (only in debug mode)
-    if (this.debugMode) {
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
       const isWorkflowHolderAccount = workflowAccountsSet.has(identity);
       
-      console.log(`✅ Successfully prepared credential issuance: 
-    - Issuer (Deployer/fromAddress): ${DEPLOYER_ADDRESS.substring(0, 10)}... (Has DID: YES ✅)
+      logger.debug(`✅ Successfully prepared credential issuance: 
+    - Issuer (fromAddress): ${issuer.substring(0, 10)}... (Has DID: YES ✅)
     - Holder: ${identity.substring(0, 10)}... (Has DID: ${holderHasDid ? 'YES ✅' : 'NO ❌'}) ${isWorkflowHolderAccount ? '[WORKFLOW ACCOUNT]' : '[FALLBACK ACCOUNT]'}
     - Credential ID: ${credentialId.substring(0, 10)}...
     - Credential CID: ${credentialCid}`);
       
-      console.log(`✅ All prerequisites met: Both issuer and holder have DIDs registered`);
+      logger.debug(`✅ All prerequisites met: Both issuer and holder have DIDs registered`);
     }
     
     // Increment counter
@@ -1098,6 +2052,272 @@ class SimplifiedSSIStateManager {
     };
   }
   
+  /**
+   * Record the outcome of a credential issuance
+   * Only committed credentials are eligible for later status updates
+   * @param {string} credentialId - Credential identifier
+   * @param {boolean} committed - Whether the issuance transaction was committed
+   */
+  confirmCredentialIssuance(credentialId, committed) {
+    const credentialRecord = GLOBAL_CREDENTIAL_CACHE.get(credentialId);
+    if (!credentialRecord) return;
+
+    if (committed) {
+      credentialRecord.confirmed = true;
+    } else {
+      // Never issued on-chain, so it must not be picked for status updates
+      GLOBAL_CREDENTIAL_CACHE.delete(credentialId);
+    }
+  }
+
+  /**
+   * Check if a credential status transition is allowed by CredentialRegistry
+   * @param {number} current - Current credential status
+   * @param {number} target - Target credential status
+   * @returns {boolean} True if the transition would pass _validateStatusTransition
+   * @private
+   */
+  _isValidStatusTransition(current, target) {
+    if (target === CREDENTIAL_STATUS.NONE) return false;
+
+    // NONE is unreachable for issued credentials, but the contract allows any valid target from it
+    if (current === CREDENTIAL_STATUS.NONE) return true;
+
+    return CREDENTIAL_STATUS_TRANSITIONS.get(current)?.has(target) || false;
+  }
+
+  /**
+   * Pick a status update action according to the configured mix
+   * @param {Object} mix - Weights per action (suspend, reactivate, revoke)
+   * @param {Set<string>} available - Actions that currently have eligible credentials
+   * @returns {string|null} Selected action or null if none is available
+   * @private
+   */
+  _pickStatusAction(mix, available) {
+    const weighted = Object.keys(CREDENTIAL_STATUS_ACTIONS)
+      .filter(action => available.has(action) && Number(mix[action]) > 0)
+      .map(action => [action, Number(mix[action])]);
+
+    // Fall back to any possible action if the mix only names unavailable ones
+    if (weighted.length === 0) {
+      const [firstAvailable] = available;
+      return firstAvailable || null;
+    }
+
+    const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random.float() * totalWeight;
+
+    for (const [action, weight] of weighted) {
+      roll -= weight;
+      if (roll < 0) return action;
+    }
+
+    return weighted[weighted.length - 1][0];
+  }
+
+  /**
+   * Get arguments for a credential status update
+   * Uses credentials issued in earlier rounds and keeps their tracked status in sync,
+   * so previousStatus always matches the on-chain status
+   * @param {Object} mix - Weights per action, e.g. { suspend: 50, reactivate: 30, revoke: 20 }
+   * @returns {Promise<Object>} Status update arguments
+   */
+  async getCredentialStatusUpdateArguments(mix = DEFAULT_STATUS_TRANSITION_MIX) {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    // Group committed credentials without an in-flight update by action eligibility
+    const candidatesByAction = new Map(Object.keys(CREDENTIAL_STATUS_ACTIONS).map(action => [action, []]));
+
+    for (const [credentialId, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (!record.confirmed || record.pendingStatus !== undefined) continue;
+      if (!this.isOwnedByWorker(credentialId)) continue;
+      // Only the issuer may change the status, so it must be an account this worker can sign for
+      if (!this._canSignAs(record.issuer)) continue;
+
+      for (const [action, rule] of Object.entries(CREDENTIAL_STATUS_ACTIONS)) {
+        if (rule.from.includes(record.status)) {
+          candidatesByAction.get(action).push(credentialId);
+        }
+      }
+    }
+
+    const availableActions = new Set(
+      [...candidatesByAction.entries()].filter(([, ids]) => ids.length > 0).map(([action]) => action)
+    );
+    const action = this._pickStatusAction(mix, availableActions);
+
+    if (!action) {
+      throw new Error('No credentials eligible for status update (none issued yet, or all revoked or pending).');
+    }
+
+    const candidates = candidatesByAction.get(action);
+    const credentialId = this.random.pick(candidates);
+    const record = GLOBAL_CREDENTIAL_CACHE.get(credentialId);
+    const previousStatus = record.status;
+    const newStatus = CREDENTIAL_STATUS_ACTIONS[action].to;
+
+    if (!this._isValidStatusTransition(previousStatus, newStatus)) {
+      throw new Error(`Invalid credential status transition ${previousStatus} -> ${newStatus} for ${credentialId}`);
+    }
+
+    // Lock the credential until the transaction outcome is known
+    record.pendingStatus = newStatus;
+
+    if (!this.statusUpdateCounts) {
+      this.statusUpdateCounts = { suspend: 0, reactivate: 0, revoke: 0 };
+    }
+    this.statusUpdateCounts[action]++;
+
+    if (logger.isLevelEnabled(LOG_LEVELS.DEBUG)) {
+      logger.debug(`🔁 Prepared credential ${action}: ${credentialId.substring(0, 10)}... (${previousStatus} -> ${newStatus})`);
+    }
+
+    return {
+      credentialId,
+      previousStatus,
+      newStatus,
+      action,
+      caller: record.issuer
+    };
+  }
+
+  /**
+   * Apply or roll back a pending credential status update
+   * @param {string} credentialId - Credential identifier
+   * @param {boolean} committed - Whether the status update transaction was committed
+   */
+  confirmCredentialStatusUpdate(credentialId, committed) {
+    const record = GLOBAL_CREDENTIAL_CACHE.get(credentialId);
+    if (!record || record.pendingStatus === undefined) return;
+
+    if (committed) {
+      record.status = record.pendingStatus;
+      record.statusUpdatedAt = Date.now();
+    }
+
+    delete record.pendingStatus;
+  }
+
+  /**
+   * Get a confirmed active credential without an in-flight update, for gas estimation
+   * Does not lock the credential
+   * @returns {Object|null} { credentialId, issuer } or null if none is known
+   */
+  getCalibrationCredential() {
+    for (const [credentialId, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (record.confirmed && record.pendingStatus === undefined && record.status === CREDENTIAL_STATUS.ACTIVE) {
+        return { credentialId, issuer: record.issuer };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the tracked status of a credential
+   * @param {string} credentialId - Credential identifier
+   * @returns {number|null} Credential status or null if unknown
+   */
+  getCredentialStatus(credentialId) {
+    return GLOBAL_CREDENTIAL_CACHE.get(credentialId)?.status ?? null;
+  }
+  
+  // === READ PATH ===
+
+  /**
+   * Decide whether the next read should deliberately miss
+   * @param {number} missRatio - Share of reads (0-1) that query unknown identifiers
+   * @returns {boolean} True if the next read should miss
+   * @private
+   */
+  _shouldMiss(missRatio) {
+    return missRatio > 0 && this.random.float() < missRatio;
+  }
+
+  /**
+   * Get arguments for DID resolution
+   * Hits use active DIDs only, because resolveDid reverts for deactivated DIDs
+   * @param {number} missRatio - Share of reads (0-1) that should revert with DidNotFound
+   * @returns {Promise<Object>} DID resolution arguments
+   */
+  async getDIDResolutionArguments(missRatio = 0) {
+    await this.waitForAccountsLoaded();
+
+    if (this._shouldMiss(missRatio)) {
+      return { identity: this._generateRandomAddress(), expectMiss: true };
+    }
+
+    const identities = this._getIdentitiesWithDids();
+    if (identities.length === 0) {
+      throw new Error('No active DIDs available for resolution. Run a createDid round first.');
+    }
+
+    return {
+      identity: this.random.pick(identities),
+      expectMiss: false
+    };
+  }
+
+  /**
+   * Get arguments for credential resolution
+   * Hits use committed, non-revoked credentials, because resolveCredential reverts for revoked ones
+   * @param {number} missRatio - Share of reads (0-1) that should revert with CredentialNotFound
+   * @returns {Promise<Object>} Credential resolution arguments
+   */
+  async getCredentialResolutionArguments(missRatio = 0) {
+    await this.waitForAccountsLoaded();
+
+    if (this._shouldMiss(missRatio)) {
+      return { credentialId: this._generateRandomHash('credential-miss'), expectMiss: true };
+    }
+
+    const credentialIds = [];
+    for (const [credentialId, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (!record.confirmed || record.status === CREDENTIAL_STATUS.REVOKED) continue;
+      credentialIds.push(credentialId);
+    }
+
+    if (credentialIds.length === 0) {
+      throw new Error('No resolvable credentials available. Run an issueCredential round first.');
+    }
+
+    return {
+      credentialId: this.random.pick(credentialIds),
+      expectMiss: false
+    };
+  }
+
+  /**
+   * Get arguments for a role query
+   * getRole never reverts, so a miss is an unknown account expected to return NONE
+   * @param {number} missRatio - Share of reads (0-1) that query accounts without a role
+   * @returns {Object} Role query arguments including the expected role
+   */
+  getRoleQueryArguments(missRatio = 0) {
+    if (this._shouldMiss(missRatio)) {
+      return { account: this._generateRandomAddress(), expectedRole: SSI_ROLES.NONE, expectMiss: true };
+    }
+
+    const accounts = [];
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data?.roleRecord || data.roleRecord.role === SSI_ROLES.NONE) continue;
+      accounts.push(address);
+    }
+
+    // Before any assignRole round only the deployer's TRUSTEE role is known for sure
+    if (accounts.length === 0) {
+      return { account: DEPLOYER_ADDRESS, expectedRole: SSI_ROLES.TRUSTEE, expectMiss: false };
+    }
+
+    const account = this.random.pick(accounts);
+    return {
+      account,
+      expectedRole: GLOBAL_ACCOUNT_CACHE.get(account).roleRecord.role,
+      expectMiss: false
+    };
+  }
+  
   /**
    * Get entity state statistics
    * @returns {Object} State statistics
@@ -1110,6 +2330,10 @@ class SimplifiedSSIStateManager {
         dids: this.entities.dids.size,
         credentials: this.entities.credentials.size
       },
+      didUpdates: this.didUpdateCount || 0,
+      didDeactivations: this.didDeactivationCount || 0,
+      roleRevocations: this.roleRevocationCount || 0,
+      credentialStatusUpdates: { ...(this.statusUpdateCounts || {}) },
       counters: { ...this.counters }
     };
   }
@@ -1118,6 +2342,11 @@ class SimplifiedSSIStateManager {
 // Export constants
 SimplifiedSSIStateManager.ENTITY_TYPES = SSI_ENTITY_TYPES;
 SimplifiedSSIStateManager.ROLES = SSI_ROLES;
+SimplifiedSSIStateManager.DID_STATUS = DID_STATUS;
+SimplifiedSSIStateManager.ROLE_NAMES = ROLE_NAMES;
+SimplifiedSSIStateManager.CREDENTIAL_STATUS = CREDENTIAL_STATUS;
 SimplifiedSSIStateManager.DEPLOYER_ADDRESS = DEPLOYER_ADDRESS;
+SimplifiedSSIStateManager.STATUS_ACTIONS = CREDENTIAL_STATUS_ACTIONS;
+SimplifiedSSIStateManager.PAYLOAD_MODES = PAYLOAD_MODES;
 
 module.exports = SimplifiedSSIStateManager;
\ No newline at end of file
@@ -0,0 +1,394 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath, getNodeHttpEndpoint } = require('./ssi-common');
+const logger = require('./ssi-logger').getLogger('ssi-txpool-rate');
+
+// Default report location, relative to the Caliper workspace
+const DEFAULT_REPORT_DIR = path.join('.ssi-reports', 'rate-control');
+
+// Defaults of the rate controller options; TPS values are totals over all workers.
+// The pending band stays well below the txpool GlobalSlots (5120) of network/config/geth/config.toml
+// and queuedHigh below its AccountQueue (256), so the pool never starts evicting benchmark transactions
+const DEFAULT_OPTIONS = {
+  // Unset: NODE_HTTP_ENDPOINT, then the url of the network configuration
+  url: null,
+  startTps: 20,
+  minTps: 2,
+  maxTps: 500,
+  pendingLow: 256,
+  pendingHigh: 2048,
+  queuedHigh: 128,
+  pollMs: 1000,
+  increaseFactor: 1.15,
+  decreaseFactor: 0.7,
+  stableWindow: 5
+};
+
+/**
+ * Caliper rate controller that adapts the send rate to the geth txpool backlog
+ * Polls txpool_status and raises the rate while pending and queued are below the target band,
+ * lowers it while they are above, and holds it inside the band. The highest rate kept for
+ * stableWindow consecutive polls without exceeding the band is reported as the sustainable rate.
+ *
+ * rateControl:
+ *   type: workloads/utils/ssi-txpool-rate.js
+ *   opts: { url, startTps, minTps, maxTps, pendingLow, pendingHigh, queuedHigh, pollMs,
+ *           increaseFactor, decreaseFactor, stableWindow, reportPath }
+ */
+class TxPoolBacklogRate {
+  /**
+   * Initializes the rate controller
+   * @param {TestMessage} testMessage - Start test message of the round
+   * @param {TransactionStatisticsCollector} stats - TX stats collector of the worker
+   * @param {number} workerIndex - 0-based worker index
+   */
+  constructor(testMessage, stats, workerIndex) {
+    this.testMessage = testMessage;
+    this.stats = stats;
+    this.workerIndex = workerIndex;
+    this.roundIndex = testMessage.getRoundIndex();
+    this.roundLabel = testMessage.getRoundLabel();
+    this.numberOfWorkers = testMessage.getWorkersNumber();
+    this.options = TxPoolBacklogRate.parseOptions(testMessage.getRateControlSpec().opts || {});
+    this.directory = path.resolve(this.options.reportPath || TxPoolBacklogRate.getDefaultDirectory());
+
+    // Rates are kept per worker; reports multiply them back by the number of workers
+    this.tps = this.options.startTps / this.numberOfWorkers;
+    this.minTps = this.options.minTps / this.numberOfWorkers;
+    this.maxTps = this.options.maxTps / this.numberOfWorkers;
+
+    // Transactions allowed up to rateChangedAt, integrated over the earlier rates
+    this.allowedBase = 0;
+    this.rateChangedAt = null;
+
+    // Poll results: Array<{ time, pending, queued, tps, action }>
+    this.samples = [];
+    this.requestId = 0;
+    this.timer = null;
+    this.polling = false;
+    this.pollFailed = false;
+  }
+
+  /**
+   * Validate the rate controller options and fill in the defaults
+   * @param {Object} opts - rateControl.opts of the round
+   * @returns {Object} Options
+   */
+  static parseOptions(opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    options.url = options.url || getNodeHttpEndpoint();
+    const errors = [];
+
+    for (const key of Object.keys(DEFAULT_OPTIONS).filter(key => key !== 'url')) {
+      if (typeof options[key] !== 'number' || !Number.isFinite(options[key]) || options[key] < 0) {
+        errors.push(`${key} must be a non-negative number`);
+      }
+    }
+    if (errors.length === 0) {
+      if (options.minTps <= 0 || options.minTps > options.startTps || options.startTps > options.maxTps) {
+        errors.push('minTps, startTps and maxTps must satisfy 0 < minTps <= startTps <= maxTps');
+      }
+      if (options.pendingLow >= options.pendingHigh) {
+        errors.push('pendingLow must be lower than pendingHigh');
+      }
+      if (options.increaseFactor <= 1 || options.decreaseFactor <= 0 || options.decreaseFactor >= 1) {
+        errors.push('increaseFactor must be greater than 1 and decreaseFactor between 0 and 1');
+      }
+      if (options.pollMs < 100 || !Number.isInteger(options.stableWindow) || options.stableWindow < 1) {
+        errors.push('pollMs must be at least 100 and stableWindow a positive integer');
+      }
+    }
+    if (typeof options.url !== 'string' || !/^https?:\/\//.test(options.url)) {
+      errors.push('url must be an http(s) RPC endpoint (set opts.url or NODE_HTTP_ENDPOINT)');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`SSI rate control error: invalid txpool rate options:\n  - ${errors.join('\n  - ')}`);
+    }
+    return options;
+  }
+
+  /**
+   * Get the default report directory under the Caliper workspace
+   * @returns {string} Absolute directory path
+   */
+  static getDefaultDirectory() {
+    return resolveWorkspacePath(DEFAULT_REPORT_DIR);
+  }
+
+  /**
+   * Start polling the txpool on the first call
+   * @private
+   */
+  start() {
+    this.rateChangedAt = Date.now();
+    this.timer = setInterval(() => this.poll(), this.options.pollMs);
+    this.timer.unref();
+
+    if (this.workerIndex === 0) {
+      logger.info(`📈 Round ${this.roundIndex} (${this.roundLabel}): adapting from ${this.options.startTps} TPS to keep ` +
+        `pending within ${this.options.pendingLow}-${this.options.pendingHigh} and queued below ${this.options.queuedHigh}`);
+    }
+  }
+
+  /**
+   * Read pending and queued counts of the txpool
+   * @returns {Promise<Object>} { pending, queued }
+   * @private
+   */
+  async readTxPool() {
+    const response = await fetch(this.options.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method: 'txpool_status', params: [] }),
+      signal: AbortSignal.timeout(this.options.pollMs)
+    });
+    const { result: status, error } = await response.json();
+    if (error) {
+      throw new Error(error.message);
+    }
+    return {
+      pending: Number(BigInt(status.pending)),
+      queued: Number(BigInt(status.queued))
+    };
+  }
+
+  /**
+   * Poll the txpool and adjust the rate to the backlog
+   * @returns {Promise<void>}
+   * @private
+   */
+  async poll() {
+    // A slow node must not stack polls
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      const { pending, queued } = await this.readTxPool();
+      const { pendingLow, pendingHigh, queuedHigh } = this.options;
+
+      let action = 'hold';
+      if (pending > pendingHigh || queued > queuedHigh) {
+        action = 'decrease';
+      } else if (pending < pendingLow) {
+        action = 'increase';
+      }
+
+      this.samples.push({ time: Date.now(), pending, queued, tps: this.round(this.tps * this.numberOfWorkers), action });
+
+      if (action === 'decrease') {
+        this.setRate(this.tps * this.options.decreaseFactor);
+      } else if (action === 'increase') {
+        this.setRate(this.tps * this.options.increaseFactor);
+      }
+      this.pollFailed = false;
+    } catch (error) {
+      // Hold the current rate until the node answers again
+      if (!this.pollFailed) {
+        logger.warn(`⚠️ txpool_status failed on ${this.options.url}, holding ${this.round(this.tps * this.numberOfWorkers)} TPS: ${error.message}`);
+      }
+      this.pollFailed = true;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Change the per-worker rate, keeping the transactions allowed so far
+   * @param {number} tps - New per-worker rate (clamped to minTps..maxTps)
+   * @private
+   */
+  setRate(tps) {
+    const now = Date.now();
+    this.allowedBase = this.getAllowed(now);
+    this.rateChangedAt = now;
+    this.tps = Math.min(this.maxTps, Math.max(this.minTps, tps));
+    logger.debug(`Worker ${this.workerIndex} rate: ${this.round(this.tps)} TPS`);
+  }
+
+  /**
+   * Transactions this worker may have submitted by a given time
+   * @param {number} now - Timestamp in ms
+   * @returns {number} Allowed transaction count
+   * @private
+   */
+  getAllowed(now) {
+    return this.allowedBase + (now - this.rateChangedAt) * this.tps / 1000;
+  }
+
+  /**
+   * Block until the worker may submit its next transaction at the current rate
+   * Uses the submitted count, so batches of several operations are paced as their size
+   * @returns {Promise<void>}
+   */
+  async applyRateControl() {
+    if (!this.timer) {
+      this.start();
+    }
+
+    // Sleep in slices of at most one poll, so a rate change applies to the remaining wait
+    for (;;) {
+      const ahead = this.stats.getTotalSubmittedTx() - this.getAllowed(Date.now());
+      if (ahead < 0) return;
+
+      const sleepMs = Math.min(this.options.pollMs, Math.ceil((ahead + 1) * 1000 / this.tps));
+      await new Promise(resolve => setTimeout(resolve, sleepMs));
+    }
+  }
+
+  /**
+   * Highest total rate kept for stableWindow consecutive polls without exceeding the band
+   * @returns {number|null} Sustainable TPS, or null if no window stayed within the band
+   */
+  getSustainableTps() {
+    const window = this.options.stableWindow;
+    let best = null;
+
+    for (let end = window; end <= this.samples.length; end++) {
+      const samples = this.samples.slice(end - window, end);
+      if (samples.some(sample => sample.action === 'decrease')) continue;
+
+      const tps = Math.min(...samples.map(sample => sample.tps));
+      best = best === null ? tps : Math.max(best, tps);
+    }
+    return best;
+  }
+
+  /**
+   * Round a rate for reports
+   * @param {number} value - Rate
+   * @returns {number} Rate with two decimals
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Write this worker's polls and summary for the round
+   * @param {Object} summary - Round summary
+   * @returns {string|null} Written file path, or null if the txpool was never polled
+   * @private
+   */
+  write(summary) {
+    if (this.samples.length === 0) return null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `round-${this.roundIndex}-worker-${this.workerIndex}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      roundIndex: this.roundIndex,
+      roundLabel: this.roundLabel,
+      workerIndex: this.workerIndex,
+      workers: this.numberOfWorkers,
+      options: this.options,
+      summary,
+      samples: this.samples
+    }, null, 2));
+
+    return filePath;
+  }
+
+  /**
+   * Stop polling and report the sustainable rate of the round
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const sustainableTps = this.getSustainableTps();
+    const elapsedSeconds = (Date.now() - this.stats.getRoundStartTime()) / 1000;
+    const summary = {
+      sustainableTps,
+      finalTps: this.round(this.tps * this.numberOfWorkers),
+      maxPending: Math.max(0, ...this.samples.map(sample => sample.pending)),
+      maxQueued: Math.max(0, ...this.samples.map(sample => sample.queued)),
+      polls: this.samples.length,
+      submitted: this.stats.getTotalSubmittedTx(),
+      sendTps: elapsedSeconds > 0 ? this.round(this.stats.getTotalSubmittedTx() / elapsedSeconds) : null
+    };
+
+    try {
+      this.write(summary);
+    } catch (error) {
+      logger.warn(`⚠️ Could not write the rate control report: ${error.message}`);
+    }
+
+    logger.info(`📈 Worker ${this.workerIndex} round ${this.roundIndex} (${this.roundLabel}): sustainable ` +
+      `${sustainableTps === null ? 'n/a' : `${sustainableTps} TPS`}, final ${summary.finalTps} TPS, ` +
+      `max pending ${summary.maxPending}, max queued ${summary.maxQueued}`);
+  }
+
+  /**
+   * Merge the worker files of a report directory into one summary per round
+   * The sustainable rate of a round is the minimum over its workers, as each worker reports the total rate
+   * @param {string} directory - Report directory
+   * @returns {Array<Object>} [{ roundIndex, roundLabel, workers, sustainableTps, finalTps, maxPending, maxQueued }]
+   */
+  static mergeDirectory(directory) {
+    const rounds = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      if (!/^round-\d+-worker-\d+\.json$/.test(file)) continue;
+
+      const report = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const reports = rounds.get(report.roundIndex) || [];
+      reports.push(report);
+      rounds.set(report.roundIndex, reports);
+    }
+
+    return [...rounds.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([roundIndex, reports]) => {
+        const sustainable = reports.map(report => report.summary.sustainableTps);
+        return {
+          roundIndex,
+          roundLabel: reports[0].roundLabel,
+          workers: reports.length,
+          sustainableTps: sustainable.includes(null) ? null : Math.min(...sustainable),
+          finalTps: Math.min(...reports.map(report => report.summary.finalTps)),
+          maxPending: Math.max(...reports.map(report => report.summary.maxPending)),
+          maxQueued: Math.max(...reports.map(report => report.summary.maxQueued))
+        };
+      });
+  }
+}
+
+/**
+ * Factory of the rate controller, called by Caliper for each worker and round
+ * @param {TestMessage} testMessage - Start test message of the round
+ * @param {TransactionStatisticsCollector} stats - TX stats collector of the worker
+ * @param {number} workerIndex - 0-based worker index
+ * @returns {TxPoolBacklogRate} Rate controller
+ */
+function createRateController(testMessage, stats, workerIndex) {
+  return new TxPoolBacklogRate(testMessage, stats, workerIndex);
+}
+
+// Print the merged table after a run: node workloads/utils/ssi-txpool-rate.js [directory]
+if (require.main === module) {
+  const directory = path.resolve(process.argv[2] || TxPoolBacklogRate.getDefaultDirectory());
+
+  console.log(['round', 'label', 'workers', 'sustainableTps', 'finalTps', 'maxPending', 'maxQueued'].join('\t'));
+  if (fs.existsSync(directory)) {
+    for (const round of TxPoolBacklogRate.mergeDirectory(directory)) {
+      console.log([
+        round.roundIndex,
+        round.roundLabel,
+        round.workers,
+        round.sustainableTps ?? 'n/a',
+        round.finalTps,
+        round.maxPending,
+        round.maxQueued
+      ].join('\t'));
+    }
+  }
+}
+
+module.exports.createRateController = createRateController;
+module.exports.TxPoolBacklogRate = TxPoolBacklogRate;
\ No newline at end of file
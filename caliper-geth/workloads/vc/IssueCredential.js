@@ -2,6 +2,7 @@
 
 const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
 const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('IssueCredential');
 
 /**
  * Simplified Issue Credential Workload for Caliper Benchmarking
@@ -13,7 +14,16 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
   constructor() {
     super();
     this.operationType = 'issueCredential';
-    this.debugMode = false; // Set to true for verbose logging
+  }
+
+  /**
+   * Initialize the workload module and this worker's issuer account
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    // Each worker signs from its own ISSUER account so nonces do not contend
+    await this.setupIssuerAccount();
   }
 
   /**
@@ -28,30 +38,26 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
    * Execute a single transaction
    * @returns {Promise} Transaction result
    */
-  async submitTransaction() {
+  async submitOperation() {
     try {
-      if (this.debugMode) {
-        console.log(`Worker ${this.workerIndex}: Starting Issue Credential...`);
-      }
+      logger.debug(`Worker ${this.workerIndex}: Starting Issue Credential...`);
       
       // Get Issue Credential arguments from state manager - now async
-      const credentialArgs = await this.ssiState.getCredentialIssuanceArguments();
+      const credentialArgs = await this.ssiState.getCredentialIssuanceArguments(this.issuerAccount.address);
 
       if (!credentialArgs) {
         throw new Error('Failed to generate credential arguments');
       }
 
-      if (this.debugMode) {
-        console.log(`Credential args:`, {
-          identity: credentialArgs.identity.substring(0, 10) + '...',
-          credentialId: `${credentialArgs.credentialId.substring(0, 10)}...`,
-          cidLength: credentialArgs.credentialCid.length
-        });
-      }
+      logger.debug(`Credential args`, {
+        identity: credentialArgs.identity.substring(0, 10) + '...',
+        credentialId: `${credentialArgs.credentialId.substring(0, 10)}...`,
+        cidLength: credentialArgs.credentialCid.length
+      });
 
       // Execute credential issuance operation using WebSocket provider
       // For issueCredential(address identity, bytes32 credentialId, string calldata credentialCid)
-      // The issuer is now handled by msg.sender in the contract
+      // The issuer is msg.sender in the contract, i.e. this worker's issuer account
       const issueCredentialArgs = {
         identity: credentialArgs.identity,
         credentialId: credentialArgs.credentialId,
@@ -61,17 +67,21 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
       const result = await this.executeSSIOperation(
         SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
         SimplifiedSSIOperationBase.OPERATIONS.ISSUE_CREDENTIAL,
-        issueCredentialArgs
-        // The caller address (issuer) is now handled by the contract via msg.sender
+        issueCredentialArgs,
+        this.getSenderOptions(this.issuerAccount.address)
       );
 
-      if (this.debugMode) {
-        console.log(`✅ Credential issuance successful for Worker ${this.workerIndex}`);
-      }
+      // Only committed credentials can take part in later status update rounds
+      this.ssiState.confirmCredentialIssuance(
+        credentialArgs.credentialId,
+        typeof result?.IsCommitted === 'function' && result.IsCommitted()
+      );
+
+      logger.debug(`✅ Credential issuance successful for Worker ${this.workerIndex}`);
       
       return result;
     } catch (error) {
-      console.error(`❌ Credential issuance failed for Worker ${this.workerIndex}: ${error.message}`);
+      logger.error(`❌ Credential issuance failed for Worker ${this.workerIndex}: ${error.message}`);
       throw error;
     }
   }
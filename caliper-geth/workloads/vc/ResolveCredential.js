@@ -0,0 +1,65 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIReadOperationBase = require('../utils/ssi-read-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('ResolveCredential');
+
+/**
+ * Simplified Credential Resolution Workload for Caliper Benchmarking
+ * Measures the verifier read path of CredentialRegistry.resolveCredential
+ */
+class SimplifiedResolveCredential extends SimplifiedSSIReadOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'resolveCredential';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single call
+   * @returns {Promise} Call result
+   */
+  async submitOperation() {
+    try {
+      // Get credential resolution arguments from state manager
+      const credentialArgs = await this.ssiState.getCredentialResolutionArguments(this.missRatio);
+
+      if (!credentialArgs) {
+        throw new Error('Failed to generate credential resolution arguments');
+      }
+
+      // For resolveCredential(bytes32 credentialId); misses revert with CredentialNotFound
+      return await this.executeReadOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.RESOLVE_CREDENTIAL,
+        { credentialId: credentialArgs.credentialId },
+        credentialArgs.expectMiss,
+        result => result.IsCommitted() !== credentialArgs.expectMiss
+      );
+    } catch (error) {
+      logger.error(`❌ Credential resolution failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedResolveCredential} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedResolveCredential();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
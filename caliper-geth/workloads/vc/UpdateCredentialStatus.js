@@ -0,0 +1,98 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const logger = require('../utils/ssi-logger').getLogger('UpdateCredentialStatus');
+
+/**
+ * Simplified Credential Status Update Workload for Caliper Benchmarking
+ * Drives issued credentials through ACTIVE -> SUSPENDED -> ACTIVE and -> REVOKED
+ */
+class SimplifiedUpdateCredentialStatus extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'updateCredentialStatus';
+  }
+
+  /**
+   * Initialize the workload module and read the status transition mix
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    // Weights per action, e.g. { suspend: 50, reactivate: 30, revoke: 20 }
+    this.statusTransitionMix = this.roundArguments.statusTransitionMix || undefined;
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitOperation() {
+    let statusArgs;
+
+    try {
+      logger.debug(`Worker ${this.workerIndex}: Starting credential status update...`);
+
+      // Get status update arguments from state manager
+      statusArgs = await this.ssiState.getCredentialStatusUpdateArguments(this.statusTransitionMix);
+
+      if (!statusArgs) {
+        throw new Error('Failed to generate credential status update arguments');
+      }
+
+      // For updateCredentialStatus(bytes32 credentialId, CredentialStatus previousStatus, CredentialStatus newStatus)
+      const updateStatusArgs = {
+        credentialId: statusArgs.credentialId,
+        previousStatus: statusArgs.previousStatus,
+        newStatus: statusArgs.newStatus
+      };
+
+      // Only the original issuer may change the credential status
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.UPDATE_CREDENTIAL_STATUS,
+        updateStatusArgs,
+        statusArgs.caller ? this.getSenderOptions(statusArgs.caller) : {}
+      );
+
+      // Apply the new status, or roll back so the next previousStatus stays correct
+      this.ssiState.confirmCredentialStatusUpdate(
+        statusArgs.credentialId,
+        typeof result?.IsCommitted === 'function' && result.IsCommitted()
+      );
+
+      logger.debug(`✅ Credential ${statusArgs.action} successful for Worker ${this.workerIndex}`);
+
+      return result;
+    } catch (error) {
+      if (statusArgs) {
+        this.ssiState.confirmCredentialStatusUpdate(statusArgs.credentialId, false);
+      }
+
+      logger.error(`❌ Credential status update failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedUpdateCredentialStatus} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedUpdateCredentialStatus();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
\ No newline at end of file
@@ -2,43 +2,46 @@
 
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const { getFeeOptions, getEffectiveGasPrice, describeFeeOptions } = require("./fee-options");
+const { describeDeployment, writeDeploymentManifest } = require("./deployment-manifest");
+const logger = require("./logger").createLogger("deploy-optimized");
 
 async function main() {
-  console.log("🚀 STARTING SIMPLE CONTRACT DEPLOYMENT");
-  console.log("======================================");
+  logger.info("🚀 STARTING SIMPLE CONTRACT DEPLOYMENT");
+  logger.info("======================================");
 
   try {
     // Step 1: Get signer and basic info
-    console.log("\n🔍 Step 1: Getting deployer information...");
+    logger.info("\n🔍 Step 1: Getting deployer information...");
     const [deployer] = await ethers.getSigners();
     const deployerAddress = await deployer.getAddress();
     const balance = await ethers.provider.getBalance(deployerAddress);
 
-    console.log(`   Deployer: ${deployerAddress}`);
-    console.log(`   Balance: ${ethers.formatEther(balance)} ETH`);
+    logger.info(`   Deployer: ${deployerAddress}`);
+    logger.info(`   Balance: ${ethers.formatEther(balance)} ETH`);
 
     if (balance === 0n) {
       throw new Error("Deployer has zero balance - cannot pay for gas");
     }
 
     // Step 2: Check network status
-    console.log("\n🌐 Step 2: Checking network status...");
+    logger.info("\n🌐 Step 2: Checking network status...");
     const network = await ethers.provider.getNetwork();
     const blockNumber = await ethers.provider.getBlockNumber();
 
-    console.log(`   Network: ${network.name} (Chain ID: ${network.chainId})`);
-    console.log(`   Current block: ${blockNumber}`);
+    logger.info(`   Network: ${network.name} (Chain ID: ${network.chainId})`);
+    logger.info(`   Current block: ${blockNumber}`);
 
     if (blockNumber < 2) {
-      console.log("   ⚠️  Network still initializing, waiting 10 seconds...");
+      logger.info("   ⚠️  Network still initializing, waiting 10 seconds...");
       await new Promise(resolve => setTimeout(resolve, 10000));
     }
 
     // Step 3: Test basic transaction capability
-    console.log("\n💨 Step 3: Testing transaction capability...");
+    logger.info("\n💨 Step 3: Testing transaction capability...");
     try {
       const gasPrice = await ethers.provider.getFeeData();
-      console.log(`   Gas price: ${ethers.formatUnits(gasPrice.gasPrice || 10000000000n, "gwei")} gwei`);
+      logger.info(`   Gas price: ${ethers.formatUnits(gasPrice.gasPrice || 10000000000n, "gwei")} gwei`);
 
       // Test gas estimation with simple transaction
       const simpleGas = await ethers.provider.estimateGas({
@@ -46,109 +49,109 @@ async function main() {
         value: 0,
         data: "0x"
       });
-      console.log(`   Gas estimation test: ${simpleGas} gas`);
+      logger.info(`   Gas estimation test: ${simpleGas} gas`);
 
     } catch (error) {
-      console.log(`   ⚠️  Gas estimation test failed: ${error.message}`);
+      logger.info(`   ⚠️  Gas estimation test failed: ${error.message}`);
       // Continue anyway - this might work for contract deployment
     }
 
     // Step 4: Deploy RoleControl (first contract)
-    console.log("\n🔐 Step 4: Deploying RoleControl...");
+    logger.info("\n🔐 Step 4: Deploying RoleControl...");
     const RoleControl = await ethers.getContractFactory("RoleControl");
 
-    console.log("   📝 Contract factory created");
-    console.log(`   📊 Bytecode size: ${RoleControl.bytecode.length / 2 - 1} bytes`);
+    logger.info("   📝 Contract factory created");
+    logger.info(`   📊 Bytecode size: ${RoleControl.bytecode.length / 2 - 1} bytes`);
 
-    // Use simple deployment parameters
+    // Use simple deployment parameters (fee fields from FEE_STRATEGY, see fee-options.js)
     const deploymentOptions = {
       gasLimit: 6500000,
-      gasPrice: ethers.parseUnits("1", "gwei")
+      ...await getFeeOptions((method, params) => ethers.provider.send(method, params))
     };
 
-    console.log("   🚀 Deploying with options:", deploymentOptions);
-    console.log("   ⏳ This may take 30-60 seconds...");
+    logger.debug("   🚀 Deploying with options:", deploymentOptions);
+    logger.info("   ⏳ This may take 30-60 seconds...");
 
     const roleControl = await RoleControl.deploy(deploymentOptions);
-    console.log(`   📋 Transaction submitted: ${roleControl.deploymentTransaction().hash}`);
+    logger.info(`   📋 Transaction submitted: ${roleControl.deploymentTransaction().hash}`);
 
     // Wait for deployment
-    console.log("   ⏳ Waiting for deployment confirmation...");
+    logger.info("   ⏳ Waiting for deployment confirmation...");
     await roleControl.waitForDeployment();
     const roleControlAddress = await roleControl.getAddress();
 
-    console.log(`   ✅ RoleControl deployed at: ${roleControlAddress}`);
+    logger.info(`   ✅ RoleControl deployed at: ${roleControlAddress}`);
 
     // Get deployment receipt for cost analysis
     const receipt = await roleControl.deploymentTransaction().wait();
     const actualGas = receipt.gasUsed;
-    const actualCost = actualGas * deploymentOptions.gasPrice;
+    const actualCost = actualGas * getEffectiveGasPrice(receipt, deploymentOptions);
 
-    console.log(`   📊 Gas used: ${actualGas} (${((Number(actualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
-    console.log(`   💰 Cost: ${ethers.formatEther(actualCost)} ETH`);
+    logger.info(`   📊 Gas used: ${actualGas} (${((Number(actualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
+    logger.info(`   💰 Cost: ${ethers.formatEther(actualCost)} ETH`);
 
     // Step 5: Verify first contract
-    console.log("\n✅ Step 5: Verifying RoleControl deployment...");
+    logger.info("\n✅ Step 5: Verifying RoleControl deployment...");
     const code = await ethers.provider.getCode(roleControlAddress);
     if (code === "0x") {
       throw new Error("RoleControl deployment failed - no code at address");
     }
-    console.log(`   ✅ Contract verified: ${code.length / 2 - 1} bytes of code`);
+    logger.info(`   ✅ Contract verified: ${code.length / 2 - 1} bytes of code`);
 
     // Step 6: Deploy DidRegistry
-    console.log("\n📋 Step 6: Deploying DidRegistry...");
+    logger.info("\n📋 Step 6: Deploying DidRegistry...");
     const DidRegistry = await ethers.getContractFactory("DidRegistry");
 
-    console.log("   📝 Contract factory created");
-    console.log(`   📊 Bytecode size: ${DidRegistry.bytecode.length / 2 - 1} bytes`);
+    logger.info("   📝 Contract factory created");
+    logger.info(`   📊 Bytecode size: ${DidRegistry.bytecode.length / 2 - 1} bytes`);
 
     const didRegistry = await DidRegistry.deploy(roleControlAddress, deploymentOptions);
-    console.log(`   📋 Transaction submitted: ${didRegistry.deploymentTransaction().hash}`);
+    logger.info(`   📋 Transaction submitted: ${didRegistry.deploymentTransaction().hash}`);
 
-    console.log("   ⏳ Waiting for deployment confirmation...");
+    logger.info("   ⏳ Waiting for deployment confirmation...");
     await didRegistry.waitForDeployment();
     const didRegistryAddress = await didRegistry.getAddress();
 
-    console.log(`   ✅ DidRegistry deployed at: ${didRegistryAddress}`);
+    logger.info(`   ✅ DidRegistry deployed at: ${didRegistryAddress}`);
 
     // Get deployment receipt for cost analysis
     const didReceipt = await didRegistry.deploymentTransaction().wait();
     const didActualGas = didReceipt.gasUsed;
-    const didActualCost = didActualGas * deploymentOptions.gasPrice;
+    const didActualCost = didActualGas * getEffectiveGasPrice(didReceipt, deploymentOptions);
 
-    console.log(`   📊 Gas used: ${didActualGas} (${((Number(didActualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
-    console.log(`   💰 Cost: ${ethers.formatEther(didActualCost)} ETH`);
+    logger.info(`   📊 Gas used: ${didActualGas} (${((Number(didActualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
+    logger.info(`   💰 Cost: ${ethers.formatEther(didActualCost)} ETH`);
 
     // Step 7: Deploy CredentialRegistry
-    console.log("\n🏆 Step 7: Deploying CredentialRegistry...");
+    logger.info("\n🏆 Step 7: Deploying CredentialRegistry...");
     const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
 
-    console.log("   📝 Contract factory created");
-    console.log(`   📊 Bytecode size: ${CredentialRegistry.bytecode.length / 2 - 1} bytes`);
+    logger.info("   📝 Contract factory created");
+    logger.info(`   📊 Bytecode size: ${CredentialRegistry.bytecode.length / 2 - 1} bytes`);
 
     const credentialRegistry = await CredentialRegistry.deploy(
       roleControlAddress,
       didRegistryAddress,
       deploymentOptions
     );
-    console.log(`   📋 Transaction submitted: ${credentialRegistry.deploymentTransaction().hash}`);
+    logger.info(`   📋 Transaction submitted: ${credentialRegistry.deploymentTransaction().hash}`);
 
-    console.log("   ⏳ Waiting for deployment confirmation...");
+    logger.info("   ⏳ Waiting for deployment confirmation...");
     await credentialRegistry.waitForDeployment();
     const credentialRegistryAddress = await credentialRegistry.getAddress();
 
-    console.log(`   ✅ CredentialRegistry deployed at: ${credentialRegistryAddress}`);
+    logger.info(`   ✅ CredentialRegistry deployed at: ${credentialRegistryAddress}`);
 
     // Get deployment receipt for cost analysis
     const credReceipt = await credentialRegistry.deploymentTransaction().wait();
     const credActualGas = credReceipt.gasUsed;
-    const credActualCost = credActualGas * deploymentOptions.gasPrice;
+    const credActualCost = credActualGas * getEffectiveGasPrice(credReceipt, deploymentOptions);
 
-    console.log(`   📊 Gas used: ${credActualGas} (${((Number(credActualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
-    console.log(`   💰 Cost: ${ethers.formatEther(credActualCost)} ETH`);
+    logger.info(`   📊 Gas used: ${credActualGas} (${((Number(credActualGas) / deploymentOptions.gasLimit) * 100).toFixed(1)}% of limit)`);
+    logger.info(`   💰 Cost: ${ethers.formatEther(credActualCost)} ETH`);
 
     // Step 8: Final verification
-    console.log("\n🔍 Step 8: Final verification...");
+    logger.info("\n🔍 Step 8: Final verification...");
     const contracts = {
       RoleControl: roleControlAddress,
       DidRegistry: didRegistryAddress,
@@ -158,7 +161,7 @@ async function main() {
     for (const [name, address] of Object.entries(contracts)) {
       const contractCode = await ethers.provider.getCode(address);
       const isValid = contractCode !== "0x";
-      console.log(`   ${name}: ${isValid ? '✅' : '❌'} ${address}`);
+      logger.info(`   ${name}: ${isValid ? '✅' : '❌'} ${address}`);
 
       if (!isValid) {
         throw new Error(`${name} deployment verification failed`);
@@ -166,20 +169,20 @@ async function main() {
     }
 
     // Step 9: Save deployment info
-    console.log("\n💾 Step 9: Saving deployment information...");
+    logger.info("\n💾 Step 9: Saving deployment information...");
 
     // Calculate total gas usage and costs
     const totalGasUsed = actualGas + didActualGas + credActualGas;
     const totalCost = actualCost + didActualCost + credActualCost;
 
-    console.log("\n⛽ Gas Usage Summary:");
-    console.log("=".repeat(50));
-    console.log(`   RoleControl:        ${actualGas.toLocaleString()} gas (${ethers.formatEther(actualCost)} ETH)`);
-    console.log(`   DidRegistry:        ${didActualGas.toLocaleString()} gas (${ethers.formatEther(didActualCost)} ETH)`);
-    console.log(`   CredentialRegistry: ${credActualGas.toLocaleString()} gas (${ethers.formatEther(credActualCost)} ETH)`);
-    console.log("   " + "-".repeat(46));
-    console.log(`   TOTAL:              ${totalGasUsed.toLocaleString()} gas (${ethers.formatEther(totalCost)} ETH)`);
-    console.log("=".repeat(50));
+    logger.info("\n⛽ Gas Usage Summary:");
+    logger.info("=".repeat(50));
+    logger.info(`   RoleControl:        ${actualGas.toLocaleString()} gas (${ethers.formatEther(actualCost)} ETH)`);
+    logger.info(`   DidRegistry:        ${didActualGas.toLocaleString()} gas (${ethers.formatEther(didActualCost)} ETH)`);
+    logger.info(`   CredentialRegistry: ${credActualGas.toLocaleString()} gas (${ethers.formatEther(credActualCost)} ETH)`);
+    logger.info("   " + "-".repeat(46));
+    logger.info(`   TOTAL:              ${totalGasUsed.toLocaleString()} gas (${ethers.formatEther(totalCost)} ETH)`);
+    logger.info("=".repeat(50));
 
     const deploymentInfo = {
       network: {
@@ -194,7 +197,7 @@ async function main() {
       },
       deployment: {
         timestamp: new Date().toISOString(),
-        gasPrice: ethers.formatUnits(deploymentOptions.gasPrice, "gwei") + " gwei",
+        fees: describeFeeOptions(deploymentOptions),
         totalContracts: Object.keys(contracts).length,
         gasUsage: {
           RoleControl: {
@@ -220,55 +223,68 @@ async function main() {
 
     const filename = "deployment-info.json";
     fs.writeFileSync(filename, JSON.stringify(deploymentInfo, null, 2));
-    console.log(`   ✅ Deployment info saved to: ${filename}`);
+    logger.info(`   ✅ Deployment info saved to: ${filename}`);
+
+    // Record the deployment for the benchmark and the other scripts (deployments/<chainId>.json)
+    const manifestPath = writeDeploymentManifest({
+      chainId: network.chainId,
+      network: network.name || 'localhost',
+      deployer: deployerAddress,
+      contracts: {
+        RoleControl: await describeDeployment("RoleControl", roleControl),
+        DidRegistry: await describeDeployment("DidRegistry", didRegistry, [roleControlAddress]),
+        CredentialRegistry: await describeDeployment("CredentialRegistry", credentialRegistry, [roleControlAddress, didRegistryAddress])
+      }
+    });
+    logger.info(`   ✅ Deployment manifest saved to: ${manifestPath}`);
 
     // Success summary
-    console.log("\n" + "🎉".repeat(20));
-    console.log("🎉 DEPLOYMENT SUCCESSFUL! 🎉");
-    console.log("🎉".repeat(20));
+    logger.info("\n" + "🎉".repeat(20));
+    logger.info("🎉 DEPLOYMENT SUCCESSFUL! 🎉");
+    logger.info("🎉".repeat(20));
 
-    console.log("\n📋 DEPLOYMENT SUMMARY:");
-    console.log("=".repeat(40));
+    logger.info("\n📋 DEPLOYMENT SUMMARY:");
+    logger.info("=".repeat(40));
     Object.entries(contracts).forEach(([name, address]) => {
-      console.log(`${name.padEnd(20)}: ${address}`);
+      logger.info(`${name.padEnd(20)}: ${address}`);
     });
-    console.log("=".repeat(40));
+    logger.info("=".repeat(40));
 
-    console.log(`\n🎯 Next steps:`);
-    console.log("   1. Assign roles: npx hardhat run scripts/assign-issuer-role.js --network localhost");
-    console.log("   2. Assign roles: npx hardhat run scripts/assign-holder-role.js --network localhost");
-    console.log("   3. Create DIDs: npx hardhat run scripts/web3signer-create-dids.js --network localhost");
+    logger.info(`\n🎯 Next steps:`);
+    logger.info("   1. Assign roles: npx hardhat run scripts/assign-issuer-role.js --network localhost");
+    logger.info("   2. Assign roles: npx hardhat run scripts/assign-holder-role.js --network localhost");
+    logger.info("   3. Create DIDs: npx hardhat run scripts/web3signer-create-dids.js --network localhost");
 
     return contracts;
 
   } catch (error) {
-    console.error("\n💥 DEPLOYMENT FAILED");
-    console.error("====================");
-    console.error(`Error: ${error.message}`);
+    logger.error("\n💥 DEPLOYMENT FAILED");
+    logger.error("====================");
+    logger.error(`Error: ${error.message}`);
 
     if (error.code) {
-      console.error(`Error code: ${error.code}`);
+      logger.error(`Error code: ${error.code}`);
     }
 
     if (error.reason) {
-      console.error(`Reason: ${error.reason}`);
+      logger.error(`Reason: ${error.reason}`);
     }
 
     // Provide specific troubleshooting based on error type
     if (error.message.includes("insufficient funds")) {
-      console.error("\n🔧 SOLUTION: Fund the deployer account with more ETH");
+      logger.error("\n🔧 SOLUTION: Fund the deployer account with more ETH");
     } else if (error.message.includes("gas required exceeds allowance")) {
-      console.error("\n🔧 SOLUTION: Increase gas limit in deployment options");
+      logger.error("\n🔧 SOLUTION: Increase gas limit in deployment options");
     } else if (error.message.includes("connection refused")) {
-      console.error("\n🔧 SOLUTION: Check that Geth network is running on localhost:8545");
+      logger.error("\n🔧 SOLUTION: Check that Geth network is running on localhost:8545");
     } else if (error.message.includes("timeout")) {
-      console.error("\n🔧 SOLUTION: Network may be slow, try again or increase timeouts");
+      logger.error("\n🔧 SOLUTION: Network may be slow, try again or increase timeouts");
     } else if (error.message.includes("nonce too low")) {
-      console.error("\n🔧 SOLUTION: Reset account nonce or wait for pending transactions");
+      logger.error("\n🔧 SOLUTION: Reset account nonce or wait for pending transactions");
     }
 
-    console.error("\n🔍 For detailed diagnostics, run:");
-    console.error("   npx hardhat run scripts/network-diagnostic.js --network localhost");
+    logger.error("\n🔍 For detailed diagnostics, run:");
+    logger.error("   npx hardhat run scripts/network-diagnostic.js --network localhost");
 
     throw error;
   }
@@ -278,11 +294,11 @@ async function main() {
 if (require.main === module) {
   main()
     .then(() => {
-      console.log("\n✅ Deployment script completed successfully");
+      logger.info("\n✅ Deployment script completed successfully");
       process.exit(0);
     })
     .catch((error) => {
-      console.error("\n❌ Deployment script failed");
+      logger.error("\n❌ Deployment script failed");
       process.exit(1);
     });
 }
@@ -1,5 +1,9 @@
 // deploy.js - Optimized deployment script for SSI/DID contracts
 
+const { getFeeOptions, getEffectiveGasPrice, describeFeeOptions } = require("./fee-options");
+const { describeDeployment, writeDeploymentManifest } = require("./deployment-manifest");
+const logger = require("./logger").createLogger("deploy");
+
 // Helper function to estimate gas with headroom
 async function estimateWithHeadroom(contractFactory, constructorArgs = [], headroom = 1.3) {
   try {
@@ -8,27 +12,26 @@ async function estimateWithHeadroom(contractFactory, constructorArgs = [], headr
     const est = await contractFactory.runner.provider.estimateGas(deployTransaction);
     return (est * BigInt(Math.ceil(headroom * 10))) / 10n; // ~×1.3
   } catch (error) {
-    console.warn(`   Gas estimation failed, using fallback: ${error.message}`);
+    logger.warn(`   Gas estimation failed, using fallback: ${error.message}`);
     // Fallback to a reasonable default with headroom
     return BigInt(6500000); // 6.5M gas as fallback
   }
 }
 
 async function main() {
-  console.log("Starting SSI/DID Trust Triangle deployment...");
+  logger.info("Starting SSI/DID Trust Triangle deployment...");
 
   // Get the deployer's signer
   const [deployer] = await ethers.getSigners();
-  console.log("Deploying contracts with account:", deployer.address);
+  logger.info("Deploying contracts with account:", deployer.address);
 
   // Log deployer balance
   const balance = await ethers.provider.getBalance(deployer.address);
-  console.log("Deployer balance:", ethers.formatEther(balance), "ETH");
+  logger.info("Deployer balance:", ethers.formatEther(balance), "ETH");
 
-  // Define base deployment parameters
-  const baseDeploymentOptions = {
-    gasPrice: ethers.parseUnits("1", "gwei")  // Higher gas price for faster mining
-  };
+  // Define base deployment parameters (fee fields from FEE_STRATEGY, see fee-options.js)
+  const baseDeploymentOptions = await getFeeOptions((method, params) => ethers.provider.send(method, params));
+  logger.info("Transaction fees:", describeFeeOptions(baseDeploymentOptions));
 
   // Set a reasonable timeout for deployments
   const DEPLOYMENT_TIMEOUT = 60000; // 60 seconds
@@ -40,11 +43,11 @@ async function main() {
 
   try {
     // 1. Deploy RoleControl contract first (no dependencies)
-    console.log("\n1. Deploying RoleControl...");
+    logger.info("\n1. Deploying RoleControl...");
     const RoleControl = await ethers.getContractFactory("RoleControl");
 
     // Estimate gas for RoleControl deployment
-    console.log("   Estimating gas for deployment...");
+    logger.info("   Estimating gas for deployment...");
     const roleControlEstimatedGas = await estimateWithHeadroom(RoleControl, []);
     
     const roleControlDeploymentOptions = {
@@ -52,11 +55,11 @@ async function main() {
       gasLimit: roleControlEstimatedGas
     };
     
-    console.log(`   Estimated gas: ${roleControlEstimatedGas.toLocaleString()} (with 30% headroom)`);
-    console.log("   Sending deployment transaction...");
+    logger.info(`   Estimated gas: ${roleControlEstimatedGas.toLocaleString()} (with 30% headroom)`);
+    logger.info("   Sending deployment transaction...");
     const roleControl = await RoleControl.deploy(roleControlDeploymentOptions);
 
-    console.log("   Waiting for deployment confirmation...");
+    logger.info("   Waiting for deployment confirmation...");
     try {
       await Promise.race([
         roleControl.waitForDeployment(),
@@ -66,13 +69,14 @@ async function main() {
       ]);
 
       const roleControlAddress = await roleControl.getAddress();
-      console.log("✅ RoleControl deployed at:", roleControlAddress);
-      console.log("   Deployer assigned TRUSTEE role by default");
+      logger.info("✅ RoleControl deployed at:", roleControlAddress);
+      logger.info("   Deployer assigned TRUSTEE role by default");
 
       // Calculate gas usage for RoleControl
       const roleControlReceipt = await ethers.provider.getTransactionReceipt(roleControl.deploymentTransaction().hash);
       const roleControlGasUsed = roleControlReceipt.gasUsed;
-      const roleControlGasCost = roleControlGasUsed * baseDeploymentOptions.gasPrice;
+      const roleControlGasPrice = getEffectiveGasPrice(roleControlReceipt, baseDeploymentOptions);
+      const roleControlGasCost = roleControlGasUsed * roleControlGasPrice;
       
       totalGasUsed += roleControlGasUsed;
       totalGasCost += roleControlGasCost;
@@ -81,27 +85,27 @@ async function main() {
         contract: "RoleControl",
         gasUsed: roleControlGasUsed.toString(),
         gasEstimated: roleControlEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(roleControlGasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(roleControlGasCost) + " ETH",
         address: roleControlAddress
       });
 
-      console.log("   Gas used:", roleControlGasUsed.toLocaleString());
-      console.log("   Gas cost:", ethers.formatEther(roleControlGasCost), "ETH");
+      logger.info("   Gas used:", roleControlGasUsed.toLocaleString());
+      logger.info("   Gas cost:", ethers.formatEther(roleControlGasCost), "ETH");
     } catch (error) {
-      console.error("❌ RoleControl deployment failed:", error.message);
+      logger.error("❌ RoleControl deployment failed:", error.message);
       process.exit(1);
     }
 
     // 2. Deploy DidRegistry (depends on RoleControl)
-    console.log("\n2. Deploying DidRegistry...");
+    logger.info("\n2. Deploying DidRegistry...");
     const DidRegistry = await ethers.getContractFactory("DidRegistry");
 
     const roleControlAddress = await roleControl.getAddress();
-    console.log("   Using RoleControl at:", roleControlAddress);
+    logger.info("   Using RoleControl at:", roleControlAddress);
     
     // Estimate gas for DidRegistry deployment
-    console.log("   Estimating gas for deployment...");
+    logger.info("   Estimating gas for deployment...");
     const didRegistryEstimatedGas = await estimateWithHeadroom(DidRegistry, [roleControlAddress]);
     
     const didRegistryDeploymentOptions = {
@@ -109,15 +113,15 @@ async function main() {
       gasLimit: didRegistryEstimatedGas
     };
     
-    console.log(`   Estimated gas: ${didRegistryEstimatedGas.toLocaleString()} (with 30% headroom)`);
-    console.log("   Sending deployment transaction...");
+    logger.info(`   Estimated gas: ${didRegistryEstimatedGas.toLocaleString()} (with 30% headroom)`);
+    logger.info("   Sending deployment transaction...");
 
     const didRegistry = await DidRegistry.deploy(
       roleControlAddress,
       didRegistryDeploymentOptions
     );
 
-    console.log("   Waiting for deployment confirmation...");
+    logger.info("   Waiting for deployment confirmation...");
     try {
       await Promise.race([
         didRegistry.waitForDeployment(),
@@ -127,12 +131,13 @@ async function main() {
       ]);
 
       const didRegistryAddress = await didRegistry.getAddress();
-      console.log("✅ DidRegistry deployed at:", didRegistryAddress);
+      logger.info("✅ DidRegistry deployed at:", didRegistryAddress);
 
       // Calculate gas usage for DidRegistry
       const didRegistryReceipt = await ethers.provider.getTransactionReceipt(didRegistry.deploymentTransaction().hash);
       const didRegistryGasUsed = didRegistryReceipt.gasUsed;
-      const didRegistryGasCost = didRegistryGasUsed * baseDeploymentOptions.gasPrice;
+      const didRegistryGasPrice = getEffectiveGasPrice(didRegistryReceipt, baseDeploymentOptions);
+      const didRegistryGasCost = didRegistryGasUsed * didRegistryGasPrice;
       
       totalGasUsed += didRegistryGasUsed;
       totalGasCost += didRegistryGasCost;
@@ -141,28 +146,28 @@ async function main() {
         contract: "DidRegistry",
         gasUsed: didRegistryGasUsed.toString(),
         gasEstimated: didRegistryEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(didRegistryGasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(didRegistryGasCost) + " ETH",
         address: didRegistryAddress
       });
 
-      console.log("   Gas used:", didRegistryGasUsed.toLocaleString());
-      console.log("   Gas cost:", ethers.formatEther(didRegistryGasCost), "ETH");
+      logger.info("   Gas used:", didRegistryGasUsed.toLocaleString());
+      logger.info("   Gas cost:", ethers.formatEther(didRegistryGasCost), "ETH");
     } catch (error) {
-      console.error("❌ DidRegistry deployment failed:", error.message);
+      logger.error("❌ DidRegistry deployment failed:", error.message);
       process.exit(1);
     }
 
     // 3. Deploy CredentialRegistry (depends on both RoleControl and DidRegistry)
-    console.log("\n3. Deploying CredentialRegistry...");
+    logger.info("\n3. Deploying CredentialRegistry...");
     const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
 
     const didRegistryAddress = await didRegistry.getAddress();
-    console.log("   Using RoleControl at:", roleControlAddress);
-    console.log("   Using DidRegistry at:", didRegistryAddress);
+    logger.info("   Using RoleControl at:", roleControlAddress);
+    logger.info("   Using DidRegistry at:", didRegistryAddress);
     
     // Estimate gas for CredentialRegistry deployment
-    console.log("   Estimating gas for deployment...");
+    logger.info("   Estimating gas for deployment...");
     const credentialRegistryEstimatedGas = await estimateWithHeadroom(
       CredentialRegistry, 
       [roleControlAddress, didRegistryAddress]
@@ -173,8 +178,8 @@ async function main() {
       gasLimit: credentialRegistryEstimatedGas
     };
     
-    console.log(`   Estimated gas: ${credentialRegistryEstimatedGas.toLocaleString()} (with 30% headroom)`);
-    console.log("   Sending deployment transaction...");
+    logger.info(`   Estimated gas: ${credentialRegistryEstimatedGas.toLocaleString()} (with 30% headroom)`);
+    logger.info("   Sending deployment transaction...");
 
     const credentialRegistry = await CredentialRegistry.deploy(
       roleControlAddress,
@@ -182,7 +187,7 @@ async function main() {
       credentialRegistryDeploymentOptions
     );
 
-    console.log("   Waiting for deployment confirmation...");
+    logger.info("   Waiting for deployment confirmation...");
     try {
       await Promise.race([
         credentialRegistry.waitForDeployment(),
@@ -192,12 +197,13 @@ async function main() {
       ]);
 
       const credentialRegistryAddress = await credentialRegistry.getAddress();
-      console.log("✅ CredentialRegistry deployed at:", credentialRegistryAddress);
+      logger.info("✅ CredentialRegistry deployed at:", credentialRegistryAddress);
 
       // Calculate gas usage for CredentialRegistry
       const credentialRegistryReceipt = await ethers.provider.getTransactionReceipt(credentialRegistry.deploymentTransaction().hash);
       const credentialRegistryGasUsed = credentialRegistryReceipt.gasUsed;
-      const credentialRegistryGasCost = credentialRegistryGasUsed * baseDeploymentOptions.gasPrice;
+      const credentialRegistryGasPrice = getEffectiveGasPrice(credentialRegistryReceipt, baseDeploymentOptions);
+      const credentialRegistryGasCost = credentialRegistryGasUsed * credentialRegistryGasPrice;
       
       totalGasUsed += credentialRegistryGasUsed;
       totalGasCost += credentialRegistryGasCost;
@@ -206,52 +212,52 @@ async function main() {
         contract: "CredentialRegistry",
         gasUsed: credentialRegistryGasUsed.toString(),
         gasEstimated: credentialRegistryEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(credentialRegistryGasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(credentialRegistryGasCost) + " ETH",
         address: credentialRegistryAddress
       });
 
-      console.log("   Gas used:", credentialRegistryGasUsed.toLocaleString());
-      console.log("   Gas cost:", ethers.formatEther(credentialRegistryGasCost), "ETH");
+      logger.info("   Gas used:", credentialRegistryGasUsed.toLocaleString());
+      logger.info("   Gas cost:", ethers.formatEther(credentialRegistryGasCost), "ETH");
     } catch (error) {
-      console.error("❌ CredentialRegistry deployment failed:", error.message);
+      logger.error("❌ CredentialRegistry deployment failed:", error.message);
       process.exit(1);
     }
 
     // Log deployment summary
-    console.log("\n----- DEPLOYMENT SUMMARY -----");
-    console.log("RoleControl:        ", await roleControl.getAddress());
-    console.log("DidRegistry:        ", await didRegistry.getAddress());
-    console.log("CredentialRegistry: ", await credentialRegistry.getAddress());
-    console.log("-----------------------------");
+    logger.info("\n----- DEPLOYMENT SUMMARY -----");
+    logger.info("RoleControl:        ", await roleControl.getAddress());
+    logger.info("DidRegistry:        ", await didRegistry.getAddress());
+    logger.info("CredentialRegistry: ", await credentialRegistry.getAddress());
+    logger.info("-----------------------------");
 
     // Log comprehensive gas usage report
-    console.log("\n----- GAS USAGE REPORT -----");
+    logger.info("\n----- GAS USAGE REPORT -----");
     gasReport.forEach(report => {
       const gasUsed = BigInt(report.gasUsed);
       const gasEstimated = BigInt(report.gasEstimated);
       const efficiency = (Number(gasUsed * 100n) / Number(gasEstimated)).toFixed(2);
       
-      console.log(`${report.contract}:`);
-      console.log(`  Address:       ${report.address}`);
-      console.log(`  Gas Estimated: ${gasEstimated.toLocaleString()} (with 30% headroom)`);
-      console.log(`  Gas Used:      ${gasUsed.toLocaleString()}`);
-      console.log(`  Efficiency:    ${efficiency}% of estimated`);
-      console.log(`  Gas Price:     ${report.gasPrice}`);
-      console.log(`  Gas Cost:      ${report.gasCost}`);
-      console.log("");
+      logger.info(`${report.contract}:`);
+      logger.info(`  Address:       ${report.address}`);
+      logger.info(`  Gas Estimated: ${gasEstimated.toLocaleString()} (with 30% headroom)`);
+      logger.info(`  Gas Used:      ${gasUsed.toLocaleString()}`);
+      logger.info(`  Efficiency:    ${efficiency}% of estimated`);
+      logger.info(`  Gas Price:     ${report.gasPrice}`);
+      logger.info(`  Gas Cost:      ${report.gasCost}`);
+      logger.info("");
     });
     
-    console.log("TOTAL DEPLOYMENT COSTS:");
-    console.log(`  Total Gas Used:  ${totalGasUsed.toLocaleString()}`);
-    console.log(`  Total Gas Cost:  ${ethers.formatEther(totalGasCost)} ETH`);
-    console.log(`  Gas Price Used:  ${ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei")} gwei`);
+    logger.info("TOTAL DEPLOYMENT COSTS:");
+    logger.info(`  Total Gas Used:  ${totalGasUsed.toLocaleString()}`);
+    logger.info(`  Total Gas Cost:  ${ethers.formatEther(totalGasCost)} ETH`);
+    logger.info(`  Fees Used:       ${describeFeeOptions(baseDeploymentOptions)}`);
     
     // Calculate USD cost (example with ETH price - could be made dynamic)
     const ethPriceUSD = 3500; // This could be fetched from an API
     const totalCostUSD = parseFloat(ethers.formatEther(totalGasCost)) * ethPriceUSD;
-    console.log(`  Estimated Cost:  $${totalCostUSD.toFixed(4)} USD (at $${ethPriceUSD}/ETH)`);
-    console.log("-----------------------------");
+    logger.info(`  Estimated Cost:  $${totalCostUSD.toFixed(4)} USD (at $${ethPriceUSD}/ETH)`);
+    logger.info("-----------------------------");
 
     // Save deployment addresses to file for future reference
     const fs = require("fs");
@@ -264,7 +270,7 @@ async function main() {
       gasUsage: {
         totalGasUsed: totalGasUsed.toString(),
         totalGasCost: ethers.formatEther(totalGasCost),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei"),
+        fees: describeFeeOptions(baseDeploymentOptions),
         estimatedCostUSD: totalCostUSD.toFixed(4),
         contractBreakdown: gasReport
       },
@@ -276,12 +282,26 @@ async function main() {
       "deployment-info.json",
       JSON.stringify(deploymentInfo, null, 2)
     );
-    console.log("Deployment information saved to deployment-info.json");
+    logger.info("Deployment information saved to deployment-info.json");
+
+    // Record the deployment for the benchmark and the other scripts (deployments/<chainId>.json)
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifestPath = writeDeploymentManifest({
+      chainId,
+      network: network.name,
+      deployer: deployer.address,
+      contracts: {
+        RoleControl: await describeDeployment("RoleControl", roleControl),
+        DidRegistry: await describeDeployment("DidRegistry", didRegistry, [roleControlAddress]),
+        CredentialRegistry: await describeDeployment("CredentialRegistry", credentialRegistry, [roleControlAddress, didRegistryAddress])
+      }
+    });
+    logger.info("Deployment manifest saved to", manifestPath);
 
     return deploymentInfo;
 
   } catch (error) {
-    console.error("Deployment failed:", error);
+    logger.error("Deployment failed:", error);
     process.exit(1);
   }
 }
@@ -289,10 +309,10 @@ async function main() {
 // Execute the deployment
 main()
   .then((deployedContracts) => {
-    console.log("Deployment completed successfully!");
+    logger.info("Deployment completed successfully!");
     process.exit(0);
   })
   .catch((error) => {
-    console.error("Deployment error:", error);
+    logger.error("Deployment error:", error);
     process.exit(1);
   });
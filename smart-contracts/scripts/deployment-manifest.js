@@ -0,0 +1,117 @@
+// deployment-manifest.js - Contract addresses of the latest deployment per chain
+//
+// deploy.js and deploy-optimized.js write deployments/<chainId>.json at the repository root:
+//   { chainId, network, deployer, updatedAt,
+//     contracts: { <name>: { address, transactionHash, blockNumber, constructorArgs, abiHash } } }
+// The scripts and the Caliper workloads (caliper-geth/workloads/utils/ssi-deployments.js) read
+// their addresses from it. Overrides:
+//   DEPLOYMENTS_DIR                  directory of the manifests
+//   ROLE_CONTROL_ADDRESS,
+//   DID_REGISTRY_ADDRESS,
+//   CREDENTIAL_REGISTRY_ADDRESS      address of one contract, ignoring the manifest
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR
+  ? path.resolve(process.env.DEPLOYMENTS_DIR)
+  : path.resolve(__dirname, "..", "..", "deployments");
+
+/**
+ * Path of the manifest of a chain
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {string} Manifest path
+ */
+function getManifestPath(chainId) {
+  return path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+}
+
+/**
+ * Hash of a contract ABI, to tell whether a copied ABI still matches the deployed contract
+ * @param {Array} abi - Contract ABI
+ * @returns {string} keccak256 of the ABI JSON
+ */
+function getAbiHash(abi) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+/**
+ * Describe a contract deployed with Hardhat for the manifest
+ * @param {string} name - Contract (artifact) name
+ * @param {object} contract - Deployed ethers contract
+ * @param {Array} constructorArgs - Constructor arguments
+ * @returns {Promise<object>} { address, transactionHash, blockNumber, constructorArgs, abiHash }
+ */
+async function describeDeployment(name, contract, constructorArgs = []) {
+  const { artifacts } = require("hardhat");
+  const receipt = await contract.deploymentTransaction().wait();
+  const artifact = await artifacts.readArtifact(name);
+
+  return {
+    address: await contract.getAddress(),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs: constructorArgs.map(arg => (typeof arg === "bigint" ? arg.toString() : arg)),
+    abiHash: getAbiHash(artifact.abi)
+  };
+}
+
+/**
+ * Write the manifest of a chain, replacing the previous deployment
+ * @param {object} deployment - { chainId, network, deployer, contracts }
+ * @returns {string} Manifest path
+ */
+function writeDeploymentManifest({ chainId, network, deployer, contracts }) {
+  const manifestPath = getManifestPath(chainId);
+  const manifest = {
+    chainId: Number(chainId),
+    network,
+    deployer,
+    updatedAt: new Date().toISOString(),
+    contracts
+  };
+
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifestPath;
+}
+
+/**
+ * Read the manifest of a chain
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {object|null} Manifest, or null if the chain has none
+ */
+function readDeploymentManifest(chainId) {
+  const manifestPath = getManifestPath(chainId);
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Resolve the address of a contract: <CONTRACT_NAME>_ADDRESS, then the manifest of the chain
+ * @param {string} name - Contract name (e.g. "RoleControl")
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {string} Contract address
+ */
+function resolveContractAddress(name, chainId) {
+  const overrideKey = `${name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}_ADDRESS`;
+  if (process.env[overrideKey]) {
+    return ethers.getAddress(process.env[overrideKey]);
+  }
+
+  const address = readDeploymentManifest(chainId)?.contracts?.[name]?.address;
+  if (!address) {
+    throw new Error(`No ${name} address for chain ${chainId}: run scripts/deploy.js to write ${getManifestPath(chainId)}, or set ${overrideKey}`);
+  }
+  return address;
+}
+
+module.exports = {
+  getManifestPath,
+  getAbiHash,
+  describeDeployment,
+  writeDeploymentManifest,
+  readDeploymentManifest,
+  resolveContractAddress
+};
@@ -0,0 +1,103 @@
+// fee-options.js - Transaction fee options shared by the deployment and issuance scripts
+//
+// FEE_STRATEGY selects the transaction type:
+//   legacy       type 0 with GAS_PRICE_GWEI (default 1)
+//   eip1559      type 2 with MAX_FEE_GWEI (default 2) and PRIORITY_FEE_GWEI (default 1)
+//   fee-history  type 2 with the tip from eth_feeHistory (FEE_HISTORY_BLOCKS, FEE_HISTORY_PERCENTILE),
+//                at least PRIORITY_FEE_GWEI, and a fee cap of twice the next base fee plus the tip
+// Type 2 needs London on the network (londonBlock in network/config/geth/genesis.json)
+
+const GWEI = 1000000000n;
+
+const FEE_STRATEGIES = ["legacy", "eip1559", "fee-history"];
+
+/**
+ * Parse a gwei amount from the environment
+ * @param {string|undefined} value - Amount in gwei (decimals allowed)
+ * @param {string} fallback - Default amount in gwei
+ * @returns {bigint} Amount in wei
+ */
+function parseGwei(value, fallback) {
+  const [whole, fraction = ""] = String(value || fallback).split(".");
+  return BigInt(whole || "0") * GWEI + BigInt((fraction + "000000000").slice(0, 9));
+}
+
+/**
+ * Build the fee fields of a transaction from FEE_STRATEGY and related environment variables
+ * @param {Function} send - async (method, params) => result, raw JSON-RPC call
+ *   (e.g. (method, params) => ethers.provider.send(method, params))
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Promise<object>} { gasPrice } or { type: 2, maxFeePerGas, maxPriorityFeePerGas }
+ */
+async function getFeeOptions(send, env = process.env) {
+  const strategy = env.FEE_STRATEGY || "legacy";
+  if (!FEE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unsupported FEE_STRATEGY "${strategy}"; expected one of ${FEE_STRATEGIES.join(", ")}`);
+  }
+
+  if (strategy === "legacy") {
+    return { gasPrice: parseGwei(env.GAS_PRICE_GWEI, "1") };
+  }
+
+  const block = await send("eth_getBlockByNumber", ["latest", false]);
+  if (!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+    throw new Error(`FEE_STRATEGY "${strategy}" needs EIP-1559 (London) on the network; set londonBlock in the genesis config`);
+  }
+
+  const minPriorityFee = parseGwei(env.PRIORITY_FEE_GWEI, "1");
+
+  if (strategy === "eip1559") {
+    return {
+      type: 2,
+      maxFeePerGas: parseGwei(env.MAX_FEE_GWEI, "2"),
+      maxPriorityFeePerGas: minPriorityFee
+    };
+  }
+
+  const blocks = Number(env.FEE_HISTORY_BLOCKS || 10);
+  const percentile = Number(env.FEE_HISTORY_PERCENTILE || 50);
+  const history = await send("eth_feeHistory", [`0x${blocks.toString(16)}`, "latest", [percentile]]);
+
+  // baseFeePerGas has one entry more than the sampled blocks: the base fee of the next block
+  const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  const rewards = (history.reward || []).map(reward => BigInt(reward[0] || 0));
+  const meanReward = rewards.length > 0 ? rewards.reduce((sum, reward) => sum + reward, 0n) / BigInt(rewards.length) : 0n;
+  const maxPriorityFeePerGas = meanReward > minPriorityFee ? meanReward : minPriorityFee;
+
+  return {
+    type: 2,
+    maxFeePerGas: nextBaseFee * 2n + maxPriorityFeePerGas,
+    maxPriorityFeePerGas
+  };
+}
+
+/**
+ * Get the price per gas a mined transaction actually paid
+ * @param {object} receipt - ethers or web3 transaction receipt
+ * @param {object} feeOptions - Options from getFeeOptions (fallback for receipts without the price)
+ * @returns {bigint} Effective gas price in wei
+ */
+function getEffectiveGasPrice(receipt, feeOptions) {
+  const price = receipt.gasPrice ?? receipt.effectiveGasPrice ?? feeOptions.gasPrice ?? feeOptions.maxFeePerGas;
+  return BigInt(price);
+}
+
+/**
+ * Describe fee options for logs and deployment reports
+ * @param {object} feeOptions - Options from getFeeOptions
+ * @returns {string} e.g. "legacy, 1.0 gwei" or "EIP-1559, max 2.0 gwei, tip 1.0 gwei"
+ */
+function describeFeeOptions(feeOptions) {
+  const gwei = wei => `${(Number(wei) / 1e9).toFixed(1)} gwei`;
+
+  if (feeOptions.type === 2) {
+    return `EIP-1559, max ${gwei(feeOptions.maxFeePerGas)}, tip ${gwei(feeOptions.maxPriorityFeePerGas)}`;
+  }
+  return `legacy, ${gwei(feeOptions.gasPrice)}`;
+}
+
+module.exports = {
+  getFeeOptions,
+  getEffectiveGasPrice,
+  describeFeeOptions
+};
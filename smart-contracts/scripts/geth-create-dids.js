@@ -1,8 +1,11 @@
 // create-dids.js - Create DIDs for Issuer and Holder
 
 const { ethers } = require("hardhat");
+const { getFeeOptions } = require("./fee-options");
+const { resolveContractAddress } = require("./deployment-manifest");
 const fs = require('fs');
 const axios = require('axios'); // You might need to install this: npm install axios
+const logger = require("./logger").createLogger("geth-create-dids");
 
 // Web3Signer proxy URL
 const WEB3SIGNER_URL = "http://127.0.0.1:18545";
@@ -72,7 +75,7 @@ async function canonicalizeAndHash(document) {
 // Get available accounts from Web3Signer
 async function getWeb3SignerAccounts() {
   try {
-    console.log("Fetching accounts from Web3Signer...");
+    logger.info("Fetching accounts from Web3Signer...");
 
     const response = await axios({
       method: 'post',
@@ -92,33 +95,33 @@ async function getWeb3SignerAccounts() {
       throw new Error(`JSON-RPC error: ${JSON.stringify(response.data.error)}`);
     }
 
-    console.log("Successfully retrieved accounts from Web3Signer");
+    logger.info("Successfully retrieved accounts from Web3Signer");
     return response.data.result;
   } catch (error) {
-    console.error("Error fetching accounts from Web3Signer:", error.response?.data || error.message);
+    logger.error("Error fetching accounts from Web3Signer:", error.response?.data || error.message);
     throw error;
   }
 }
 
 async function main() {
   try {
-    console.log("Starting DID creation for Issuer and Holder...");
+    logger.info("Starting DID creation for Issuer and Holder...");
 
     // Get available accounts from Web3Signer
     const accounts = await getWeb3SignerAccounts();
-    console.log("Available accounts from Web3Signer:", accounts);
+    logger.debug("Available accounts from Web3Signer:", accounts);
 
     // Select accounts for Issuer and Holder (adjust indexes as needed)
     const issuerAddress = accounts[1]; // Using account at index 1 as Issuer
     const holderAddress = accounts[2]; // Using account at index 2 as Holder
 
-    console.log("Selected Issuer address:", issuerAddress);
-    console.log("Selected Holder address:", holderAddress);
+    logger.info("Selected Issuer address:", issuerAddress);
+    logger.info("Selected Holder address:", holderAddress);
 
-    // Load the deployed DidRegistry contract
-    // Replace with your actual deployed contract address
-    const didRegistryAddress = "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707";
-    console.log("DidRegistry contract address:", didRegistryAddress);
+    // Load the deployed DidRegistry contract (deployments/<chainId>.json, or DID_REGISTRY_ADDRESS)
+    const { chainId } = await ethers.provider.getNetwork();
+    const didRegistryAddress = resolveContractAddress("DidRegistry", chainId);
+    logger.info("DidRegistry contract address:", didRegistryAddress);
 
     const DidRegistry = await ethers.getContractFactory("DidRegistry");
 
@@ -129,22 +132,22 @@ async function main() {
     // Set optimal gas parameters
     const txOptions = {
       gasLimit: 300000,
-      gasPrice: ethers.parseUnits("1", "gwei")
+      ...await getFeeOptions((method, params) => ethers.provider.send(method, params))
     };
 
     // ISSUER SECTION
-    console.log("\n1. Creating DID for Issuer...");
+    logger.info("\n1. Creating DID for Issuer...");
 
     // Create Issuer DID document
     const issuerDidDoc = await createDidDocument(issuerAddress);
-    console.log(JSON.stringify(issuerDidDoc, null, 2));
+    logger.debug(JSON.stringify(issuerDidDoc, null, 2));
 
     // Hash the document
     const { canonicalizedDoc: issuerCanonical, docHash: issuerDocHash } =
       await canonicalizeAndHash(issuerDidDoc);
 
-    console.log("\nCanonical form (first 100 chars):", issuerCanonical.substring(0, 100) + "...");
-    console.log("Generated docHash:", issuerDocHash);
+    logger.debug("\nCanonical form (first 100 chars):", issuerCanonical.substring(0, 100) + "...");
+    logger.info("Generated docHash:", issuerDocHash);
 
     // Save to file for reference
     fs.writeFileSync(
@@ -153,35 +156,35 @@ async function main() {
     );
 
     // Issuer creates their own DID
-    console.log("\nIssuer creating DID on-chain with their own account...");
+    logger.info("\nIssuer creating DID on-chain with their own account...");
     const issuerTx = await issuerDidRegistry.createDid(
       issuerAddress, // Self-registration
       issuerDocHash,
       txOptions
     );
 
-    console.log("Transaction hash:", issuerTx.hash);
+    logger.info("Transaction hash:", issuerTx.hash);
     const issuerReceipt = await issuerTx.wait();
-    console.log("Transaction confirmed in block:", issuerReceipt.blockNumber);
-    console.log("Gas used:", issuerReceipt.gasUsed.toString());
+    logger.info("Transaction confirmed in block:", issuerReceipt.blockNumber);
+    logger.info("Gas used:", issuerReceipt.gasUsed.toString());
 
     // Verify DID was created
     const issuerDidExists = await issuerDidRegistry.didExists(issuerAddress);
-    console.log("Issuer DID exists:", issuerDidExists);
+    logger.info("Issuer DID exists:", issuerDidExists);
 
     // HOLDER SECTION
-    console.log("\n2. Creating DID for Holder...");
+    logger.info("\n2. Creating DID for Holder...");
 
     // Create Holder DID document
     const holderDidDoc = await createDidDocument(holderAddress);
-    console.log(JSON.stringify(holderDidDoc, null, 2));
+    logger.debug(JSON.stringify(holderDidDoc, null, 2));
 
     // Hash the document
     const { canonicalizedDoc: holderCanonical, docHash: holderDocHash } =
       await canonicalizeAndHash(holderDidDoc);
 
-    console.log("\nCanonical form (first 100 chars):", holderCanonical.substring(0, 100) + "...");
-    console.log("Generated docHash:", holderDocHash);
+    logger.debug("\nCanonical form (first 100 chars):", holderCanonical.substring(0, 100) + "...");
+    logger.info("Generated docHash:", holderDocHash);
 
     // Save to file for reference
     fs.writeFileSync(
@@ -190,37 +193,37 @@ async function main() {
     );
 
     // Holder creates their own DID
-    console.log("\nHolder creating DID on-chain with their own account...");
+    logger.info("\nHolder creating DID on-chain with their own account...");
     const holderTx = await holderDidRegistry.createDid(
       holderAddress, // Self-registration
       holderDocHash,
       txOptions
     );
 
-    console.log("Transaction hash:", holderTx.hash);
+    logger.info("Transaction hash:", holderTx.hash);
     const holderReceipt = await holderTx.wait();
-    console.log("Transaction confirmed in block:", holderReceipt.blockNumber);
-    console.log("Gas used:", holderReceipt.gasUsed.toString());
+    logger.info("Transaction confirmed in block:", holderReceipt.blockNumber);
+    logger.info("Gas used:", holderReceipt.gasUsed.toString());
 
     // Verify DID was created
     const holderDidExists = await holderDidRegistry.didExists(holderAddress);
-    console.log("Holder DID exists:", holderDidExists);
+    logger.info("Holder DID exists:", holderDidExists);
 
     // Resolve DIDs to verify they were stored correctly
-    console.log("\n3. Resolving DIDs to verify storage...");
+    logger.info("\n3. Resolving DIDs to verify storage...");
 
     const issuerDidRecord = await DidRegistry.resolveDid(issuerAddress);
-    console.log("Issuer DID stored hash:", issuerDidRecord.docHash);
-    console.log("Hash matches:", issuerDidRecord.docHash === issuerDocHash);
+    logger.info("Issuer DID stored hash:", issuerDidRecord.docHash);
+    logger.info("Hash matches:", issuerDidRecord.docHash === issuerDocHash);
 
     const holderDidRecord = await DidRegistry.resolveDid(holderAddress);
-    console.log("Holder DID stored hash:", holderDidRecord.docHash);
-    console.log("Hash matches:", holderDidRecord.docHash === holderDocHash);
+    logger.info("Holder DID stored hash:", holderDidRecord.docHash);
+    logger.info("Hash matches:", holderDidRecord.docHash === holderDocHash);
 
-    console.log("\n✅ DID creation through Web3Signer completed successfully!");
+    logger.info("\n✅ DID creation through Web3Signer completed successfully!");
 
   } catch (error) {
-    console.error("Error during DID creation:", error);
+    logger.error("Error during DID creation:", error);
     process.exit(1);
   }
 }
@@ -229,6 +232,6 @@ async function main() {
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    logger.error(error);
     process.exit(1);
   });
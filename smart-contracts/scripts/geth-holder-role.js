@@ -1,26 +1,30 @@
 // assign-holder-role.js - Script to assign Holder role to an ETH address
 
+const { getFeeOptions } = require("./fee-options");
+const { resolveContractAddress } = require("./deployment-manifest");
+const logger = require("./logger").createLogger("geth-holder-role");
+
 async function main() {
   try {
-    console.log("Starting HOLDER role assignment process...");
+    logger.info("Starting HOLDER role assignment process...");
 
     // Get signers (deployer has the TRUSTEE role by default)
     const [deployer] = await ethers.getSigners();
-    console.log("Using admin account:", deployer.address);
+    logger.info("Using admin account:", deployer.address);
 
     // Display account balance
     const balance = await ethers.provider.getBalance(deployer.address);
-    console.log("Admin balance:", ethers.formatEther(balance), "ETH");
+    logger.info("Admin balance:", ethers.formatEther(balance), "ETH");
 
     // The address to which we want to assign the HOLDER role
     // Replace this with the actual address you want to assign the role to
     const newHolderAddress = "0x0886328869e4e1f401e1052a5f4aae8b45f42610";
-    console.log("Assigning HOLDER role to:", newHolderAddress);
+    logger.info("Assigning HOLDER role to:", newHolderAddress);
 
-    // Load the deployed RoleControl contract
-    // Replace this with your actual deployed contract address
-    const roleControlAddress = "0x1932c48b2bF8102Ba33B4A6B545C32236e342f34";
-    console.log("RoleControl contract address:", roleControlAddress);
+    // Load the deployed RoleControl contract (deployments/<chainId>.json, or ROLE_CONTROL_ADDRESS)
+    const { chainId } = await ethers.provider.getNetwork();
+    const roleControlAddress = resolveContractAddress("RoleControl", chainId);
+    logger.info("RoleControl contract address:", roleControlAddress);
 
     // Get the contract instance
     const RoleControl = await ethers.getContractFactory("RoleControl");
@@ -28,61 +32,61 @@ async function main() {
 
     // First check if the address already has any role
     const currentRole = await roleControl.getRole(newHolderAddress);
-    console.log("\nCurrent role:", currentRole.toString());
+    logger.info("\nCurrent role:", currentRole.toString());
 
     if (currentRole.toString() === "2") {
-      console.log("Address already has HOLDER role (2). No action needed.");
+      logger.info("Address already has HOLDER role (2). No action needed.");
       return;
     }
 
     // Set transaction options
     const txOptions = {
       gasLimit: 200000,
-      gasPrice: ethers.parseUnits("1", "gwei")
+      ...await getFeeOptions((method, params) => ethers.provider.send(method, params))
     };
 
     // Assign HOLDER role (role = 2 as per the enum ROLES in the contract)
-    console.log("\nAssigning HOLDER role...");
+    logger.info("\nAssigning HOLDER role...");
     const roleEnum = 2; // HOLDER role has index 2 in ROLES enum
     const tx = await roleControl.assignRole(roleEnum, newHolderAddress, txOptions);
 
     // Wait for the transaction to be mined
-    console.log("Transaction hash:", tx.hash);
-    console.log("Waiting for transaction confirmation...");
+    logger.info("Transaction hash:", tx.hash);
+    logger.info("Waiting for transaction confirmation...");
     const receipt = await tx.wait();
-    console.log("Transaction confirmed in block:", receipt.blockNumber);
+    logger.info("Transaction confirmed in block:", receipt.blockNumber);
 
     // Verify the role was assigned correctly
     const assignedRole = await roleControl.getRole(newHolderAddress);
     const hasRole = await roleControl.hasRole(roleEnum, newHolderAddress);
 
-    console.log("\n----- ROLE ASSIGNMENT RESULTS -----");
-    console.log("Address:", newHolderAddress);
-    console.log("Assigned Role (enum value):", assignedRole.toString());
-    console.log("Has HOLDER role:", hasRole);
-    console.log("----------------------------------");
+    logger.info("\n----- ROLE ASSIGNMENT RESULTS -----");
+    logger.info("Address:", newHolderAddress);
+    logger.info("Assigned Role (enum value):", assignedRole.toString());
+    logger.info("Has HOLDER role:", hasRole);
+    logger.info("----------------------------------");
 
     // Get current holder count
     const holderCount = await roleControl.getRoleCount(roleEnum);
-    console.log("Total HOLDER count:", holderCount.toString());
-    console.log("----------------------------------");
+    logger.info("Total HOLDER count:", holderCount.toString());
+    logger.info("----------------------------------");
 
     if (hasRole) {
-      console.log("✅ HOLDER role successfully assigned!");
+      logger.info("✅ HOLDER role successfully assigned!");
     } else {
-      console.log("❌ Role assignment failed!");
+      logger.info("❌ Role assignment failed!");
     }
 
     // Test if the address passes the isHolder check
     try {
       await roleControl.isHolder(newHolderAddress);
-      console.log("✅ Address passes isHolder() verification");
+      logger.info("✅ Address passes isHolder() verification");
     } catch (error) {
-      console.error("❌ Address fails isHolder() verification:", error.message);
+      logger.error("❌ Address fails isHolder() verification:", error.message);
     }
 
   } catch (error) {
-    console.error("Error during role assignment:", error);
+    logger.error("Error during role assignment:", error);
     process.exit(1);
   }
 }
@@ -91,6 +95,6 @@ async function main() {
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    logger.error(error);
     process.exit(1);
   });
\ No newline at end of file
@@ -2,6 +2,9 @@ const Web3 = require('web3');
 const axios = require('axios');
 const FormData = require('form-data');
 const { v4: uuidv4 } = require('uuid');
+const { getFeeOptions } = require('./fee-options');
+const { resolveContractAddress } = require('./deployment-manifest');
+const logger = require('./logger').createLogger('geth-issue-creds');
 
 // Import ABIs
 const CredentialRegistryABI = require('../artifacts/contracts/vc/CredentialRegistry.json').abi;
@@ -9,14 +12,8 @@ const CredentialRegistryABI = require('../artifacts/contracts/vc/CredentialRegis
 // Configure Web3 connection (replace with your node URL)
 const web3 = new Web3('http://localhost:21001');
 
-// Contract address (replace with your deployed contract address)
-const CREDENTIAL_REGISTRY_ADDRESS = '0x9d13C6D3aFE1721BEef56B55D303B09E021E27ab'; // Example address
-
-// Initialize contract
-const credentialRegistry = new web3.eth.Contract(
-  CredentialRegistryABI,
-  CREDENTIAL_REGISTRY_ADDRESS
-);
+// Contract instance, at the address of deployments/<chainId>.json (or CREDENTIAL_REGISTRY_ADDRESS)
+let credentialRegistry = null;
 
 // IPFS configuration - using Infura as the primary gateway with fallbacks
 // Replace with your own API key if using Infura
@@ -136,7 +133,7 @@ async function uploadToIPFS(jsonldObj) {
     const jsonString = JSON.stringify(jsonldObj, null, 2);
     const buffer = Buffer.from(jsonString);
 
-    console.log(`Preparing to upload to IPFS, content size: ${buffer.length} bytes`);
+    logger.info(`Preparing to upload to IPFS, content size: ${buffer.length} bytes`);
 
     // Create form data for the IPFS API request
     const formData = new FormData();
@@ -167,14 +164,14 @@ async function uploadToIPFS(jsonldObj) {
     }
 
     const cid = response.data.Hash;
-    console.log(`IPFS upload successful, CID: ${cid}`);
+    logger.info(`IPFS upload successful, CID: ${cid}`);
 
     // Verify the content is accessible via public gateway
     await verifyIpfsContent(cid, jsonString);
 
     return cid;
   } catch (error) {
-    console.error("IPFS upload error:", error.message);
+    logger.error("IPFS upload error:", error.message);
 
     // Fallback to Pinata or other service if Infura fails
     // This would require additional code and API keys for these services
@@ -193,19 +190,19 @@ async function verifyIpfsContent(cid, expectedContent) {
   for (const gateway of IPFS_CONFIG.publicGateways) {
     try {
       const url = `${gateway}${cid}`;
-      console.log(`Verifying content availability at: ${url}`);
+      logger.debug(`Verifying content availability at: ${url}`);
 
       const response = await axios.get(url, { timeout: 10000 });
       if (response.status === 200) {
-        console.log(`Content verified available on IPFS via ${gateway}`);
+        logger.info(`Content verified available on IPFS via ${gateway}`);
         return true;
       }
     } catch (error) {
-      console.warn(`Gateway ${gateway} failed, trying next...`);
+      logger.warn(`Gateway ${gateway} failed, trying next...`);
     }
   }
 
-  console.warn("Content uploaded but not immediately verifiable on public gateways. This is normal, as propagation may take time.");
+  logger.warn("Content uploaded but not immediately verifiable on public gateways. This is normal, as propagation may take time.");
   return false;
 }
 
@@ -216,27 +213,27 @@ async function verifyIpfsContent(cid, expectedContent) {
  * @returns {Promise<object>} - Transaction receipt
  */
 async function issueCredential(issuerAccount, holderAddress) {
-  console.log(`Issuing credential from ${issuerAccount} to ${holderAddress}`);
+  logger.info(`Issuing credential from ${issuerAccount} to ${holderAddress}`);
 
   // Generate the VC payload
   const vcPayload = generateVCPayload(issuerAccount, holderAddress);
-  console.log("Generated VC payload:", JSON.stringify(vcPayload, null, 2));
+  logger.debug("Generated VC payload:", JSON.stringify(vcPayload, null, 2));
 
   // Hash the credential
   const credentialId = hashCredential(vcPayload);
-  console.log("Credential Hash (credentialId):", credentialId);
+  logger.info("Credential Hash (credentialId):", credentialId);
 
   // Upload to IPFS and get CID
-  console.log("Uploading to IPFS...");
+  logger.info("Uploading to IPFS...");
   const credentialCid = await uploadToIPFS(simpleCanonicalizeJSON(vcPayload));
-  console.log("Credential CID:", credentialCid);
+  logger.info("Credential CID:", credentialCid);
 
   // Create DID hashes
   const issuerDid = createDidHash(issuerAccount);
   const holderDid = createDidHash(holderAddress);
 
-  console.log("Issuer DID Hash:", issuerDid);
-  console.log("Holder DID Hash:", holderDid);
+  logger.info("Issuer DID Hash:", issuerDid);
+  logger.info("Holder DID Hash:", holderDid);
 
   // Check if the DIDs are valid
   if (issuerDid === holderDid) {
@@ -252,7 +249,10 @@ async function issueCredential(issuerAccount, holderAddress) {
     credentialCid
   ).estimateGas({ from: issuerAccount });
 
-  console.log("Gas estimate:", gasEstimate);
+  logger.info("Gas estimate:", gasEstimate);
+
+  // Fee fields from FEE_STRATEGY (see fee-options.js)
+  const feeOptions = await getFeeOptions((method, params) => web3.requestManager.send({ method, params }));
 
   // Send the transaction
   return credentialRegistry.methods.issueCredential(
@@ -263,7 +263,8 @@ async function issueCredential(issuerAccount, holderAddress) {
     credentialCid
   ).send({
     from: issuerAccount,
-    gas: Math.floor(gasEstimate * 1.2) // Add 20% buffer to gas estimate
+    gas: Math.floor(gasEstimate * 1.2), // Add 20% buffer to gas estimate
+    ...feeOptions
   });
 }
 
@@ -275,10 +276,10 @@ async function issueCredential(issuerAccount, holderAddress) {
 async function verifyCredential(credentialId) {
   try {
     const result = await credentialRegistry.methods.resolveCredential(credentialId).call();
-    console.log("Credential verification result:", result);
+    logger.info("Credential verification result:", result);
     return result;
   } catch (error) {
-    console.error("Credential verification failed:", error.message);
+    logger.error("Credential verification failed:", error.message);
     throw new Error(`Invalid or revoked credential: ${error.message}`);
   }
 }
@@ -293,15 +294,15 @@ async function getCredentialFromIPFS(cid) {
   for (const gateway of IPFS_CONFIG.publicGateways) {
     try {
       const url = `${gateway}${cid}`;
-      console.log(`Attempting to fetch credential from: ${url}`);
+      logger.debug(`Attempting to fetch credential from: ${url}`);
 
       const response = await axios.get(url, { timeout: 10000 });
       if (response.status === 200 && response.data) {
-        console.log(`Successfully retrieved credential from ${gateway}`);
+        logger.info(`Successfully retrieved credential from ${gateway}`);
         return response.data;
       }
     } catch (error) {
-      console.warn(`Failed to fetch from ${gateway}, trying next...`);
+      logger.warn(`Failed to fetch from ${gateway}, trying next...`);
     }
   }
 
@@ -313,17 +314,22 @@ async function getCredentialFromIPFS(cid) {
  */
 async function main() {
   try {
+    const chainId = await web3.eth.getChainId();
+    const credentialRegistryAddress = resolveContractAddress('CredentialRegistry', chainId);
+    logger.info("CredentialRegistry contract address:", credentialRegistryAddress);
+    credentialRegistry = new web3.eth.Contract(CredentialRegistryABI, credentialRegistryAddress);
+
     const accounts = await web3.eth.getAccounts();
     const issuerAccount = accounts[0];
     const holderAccount = accounts[1];
 
-    console.log("Issuer account:", issuerAccount);
-    console.log("Holder account:", holderAccount);
+    logger.info("Issuer account:", issuerAccount);
+    logger.info("Holder account:", holderAccount);
 
     // Issue the credential
     const result = await issueCredential(issuerAccount, holderAccount);
-    console.log("Transaction hash:", result.transactionHash);
-    console.log("Credential issued successfully!");
+    logger.info("Transaction hash:", result.transactionHash);
+    logger.info("Credential issued successfully!");
 
     // Get credential ID from logs
     const events = await credentialRegistry.getPastEvents('CredentialIssued', {
@@ -334,23 +340,23 @@ async function main() {
     if (events.length > 0) {
       const credentialId = events[0].returnValues.credentialId;
       const credentialCid = events[0].returnValues.credentialCid;
-      console.log("Credential ID from event:", credentialId);
-      console.log("Credential CID from event:", credentialCid);
+      logger.info("Credential ID from event:", credentialId);
+      logger.info("Credential CID from event:", credentialCid);
 
       // Verify the credential on-chain
       const credentialData = await verifyCredential(credentialId);
-      console.log("Credential is valid and active");
-      console.log("Issuance date:", new Date(parseInt(credentialData.metadata.issuanceDate) * 1000));
+      logger.info("Credential is valid and active");
+      logger.info("Issuance date:", new Date(parseInt(credentialData.metadata.issuanceDate) * 1000));
 
       // Retrieve the full credential from IPFS
-      console.log("Retrieving full credential data from IPFS...");
+      logger.info("Retrieving full credential data from IPFS...");
       const fullCredential = await getCredentialFromIPFS(credentialCid);
-      console.log("Full credential:", JSON.stringify(fullCredential, null, 2));
+      logger.debug("Full credential:", JSON.stringify(fullCredential, null, 2));
     }
   } catch (error) {
-    console.error("Error:", error.message);
+    logger.error("Error:", error.message);
   }
 }
 
 // Execute the main function
-main().catch(console.error);
+main().catch(logger.error);
@@ -1,26 +1,30 @@
 // assign-issuer-role.js - Script to assign Issuer role to an address
 
+const { getFeeOptions } = require("./fee-options");
+const { resolveContractAddress } = require("./deployment-manifest");
+const logger = require("./logger").createLogger("geth-issuer-role");
+
 async function main() {
   try {
-    console.log("Starting ISSUER role assignment process...");
+    logger.info("Starting ISSUER role assignment process...");
 
     // Get signers (deployer has the TRUSTEE role by default)
     const [deployer] = await ethers.getSigners();
-    console.log("Using admin account:", deployer.address);
+    logger.info("Using admin account:", deployer.address);
 
     // Display account balance
     const balance = await ethers.provider.getBalance(deployer.address);
-    console.log("Admin balance:", ethers.formatEther(balance), "ETH");
+    logger.info("Admin balance:", ethers.formatEther(balance), "ETH");
 
     // The address to which we want to assign the ISSUER role
     // Replace this with the actual address you want to assign the role to
     const newIssuerAddress = "0xb30f304642de3fee4365ed5cd06ea2e69d3fd0ca";
-    console.log("Assigning ISSUER role to:", newIssuerAddress);
+    logger.info("Assigning ISSUER role to:", newIssuerAddress);
 
-    // Load the deployed RoleControl contract
-    // Replace this with your actual deployed contract address
-    const roleControlAddress = "0x1932c48b2bF8102Ba33B4A6B545C32236e342f34";
-    console.log("RoleControl contract address:", roleControlAddress);
+    // Load the deployed RoleControl contract (deployments/<chainId>.json, or ROLE_CONTROL_ADDRESS)
+    const { chainId } = await ethers.provider.getNetwork();
+    const roleControlAddress = resolveContractAddress("RoleControl", chainId);
+    logger.info("RoleControl contract address:", roleControlAddress);
 
     // Get the contract instance
     const RoleControl = await ethers.getContractFactory("RoleControl");
@@ -28,61 +32,61 @@ async function main() {
 
     // First check if the address already has any role
     const currentRole = await roleControl.getRole(newIssuerAddress);
-    console.log("\nCurrent role:", currentRole.toString());
+    logger.info("\nCurrent role:", currentRole.toString());
 
     if (currentRole.toString() === "1") {
-      console.log("Address already has ISSUER role (1). No action needed.");
+      logger.info("Address already has ISSUER role (1). No action needed.");
       return;
     }
 
     // Set transaction options
     const txOptions = {
       gasLimit: 200000,
-      gasPrice: ethers.parseUnits("1", "gwei")
+      ...await getFeeOptions((method, params) => ethers.provider.send(method, params))
     };
 
     // Assign ISSUER role (role = 1 as per the enum ROLES in the contract)
-    console.log("\nAssigning ISSUER role...");
+    logger.info("\nAssigning ISSUER role...");
     const roleEnum = 1; // ISSUER role has index 1 in ROLES enum
     const tx = await roleControl.assignRole(roleEnum, newIssuerAddress, txOptions);
 
     // Wait for the transaction to be mined
-    console.log("Transaction hash:", tx.hash);
-    console.log("Waiting for transaction confirmation...");
+    logger.info("Transaction hash:", tx.hash);
+    logger.info("Waiting for transaction confirmation...");
     const receipt = await tx.wait();
-    console.log("Transaction confirmed in block:", receipt.blockNumber);
+    logger.info("Transaction confirmed in block:", receipt.blockNumber);
 
     // Verify the role was assigned correctly
     const assignedRole = await roleControl.getRole(newIssuerAddress);
     const hasRole = await roleControl.hasRole(roleEnum, newIssuerAddress);
 
-    console.log("\n----- ROLE ASSIGNMENT RESULTS -----");
-    console.log("Address:", newIssuerAddress);
-    console.log("Assigned Role (enum value):", assignedRole.toString());
-    console.log("Has ISSUER role:", hasRole);
-    console.log("----------------------------------");
+    logger.info("\n----- ROLE ASSIGNMENT RESULTS -----");
+    logger.info("Address:", newIssuerAddress);
+    logger.info("Assigned Role (enum value):", assignedRole.toString());
+    logger.info("Has ISSUER role:", hasRole);
+    logger.info("----------------------------------");
 
     // Get current issuer count
     const issuerCount = await roleControl.getRoleCount(roleEnum);
-    console.log("Total ISSUER count:", issuerCount.toString());
-    console.log("----------------------------------");
+    logger.info("Total ISSUER count:", issuerCount.toString());
+    logger.info("----------------------------------");
 
     if (hasRole) {
-      console.log("✅ ISSUER role successfully assigned!");
+      logger.info("✅ ISSUER role successfully assigned!");
     } else {
-      console.log("❌ Role assignment failed!");
+      logger.info("❌ Role assignment failed!");
     }
 
     // Test if the address passes the isIssuer check
     try {
       await roleControl.isIssuer(newIssuerAddress);
-      console.log("✅ Address passes isIssuer() verification");
+      logger.info("✅ Address passes isIssuer() verification");
     } catch (error) {
-      console.error("❌ Address fails isIssuer() verification:", error.message);
+      logger.error("❌ Address fails isIssuer() verification:", error.message);
     }
 
   } catch (error) {
-    console.error("Error during role assignment:", error);
+    logger.error("Error during role assignment:", error);
     process.exit(1);
   }
 }
@@ -91,6 +95,6 @@ async function main() {
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    logger.error(error);
     process.exit(1);
   });
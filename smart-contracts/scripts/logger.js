@@ -0,0 +1,95 @@
+// logger.js - Leveled logging shared by the deployment, setup and diagnostic scripts
+//
+// Configured from the environment:
+//   LOG_LEVEL    error, warn, info (default) or debug (per-transaction details, full documents)
+//   LOG_FORMAT   text (default) or json (one { time, level, script, msg } object per line)
+//   LOG_FILE     also append records to this file
+//   LOG_CONSOLE  false keeps everything but errors off the console (default true)
+// The workload logger of the Caliper benchmark (caliper-geth/workloads/utils/ssi-logger.js)
+// uses the same levels and JSON fields
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const SEVERITY = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const level = (process.env.LOG_LEVEL || "info").toLowerCase();
+if (SEVERITY[level] === undefined) {
+  throw new Error(`Unsupported LOG_LEVEL "${level}"; expected one of ${Object.keys(SEVERITY).join(", ")}`);
+}
+
+const format = (process.env.LOG_FORMAT || "text").toLowerCase();
+if (!["text", "json"].includes(format)) {
+  throw new Error(`Unsupported LOG_FORMAT "${format}"; expected text or json`);
+}
+
+const toConsole = !["false", "0", "no", "off"].includes(String(process.env.LOG_CONSOLE || "true").toLowerCase());
+
+// Written synchronously: the scripts call process.exit right after their last record
+let fileDescriptor = null;
+if (process.env.LOG_FILE) {
+  fs.mkdirSync(path.dirname(path.resolve(process.env.LOG_FILE)), { recursive: true });
+  fileDescriptor = fs.openSync(process.env.LOG_FILE, "a");
+}
+
+/**
+ * Check whether records of a level are written
+ * @param {string} recordLevel - error, warn, info or debug
+ * @returns {boolean} True if the level is enabled
+ */
+function isLevelEnabled(recordLevel) {
+  return SEVERITY[recordLevel] <= SEVERITY[level];
+}
+
+/**
+ * Format and write a record
+ * @param {string} script - Script name
+ * @param {string} recordLevel - Record level
+ * @param {Array} args - console.log style arguments
+ */
+function write(script, recordLevel, args) {
+  if (!isLevelEnabled(recordLevel)) return;
+
+  const consoleRecord = toConsole || recordLevel === "error";
+  if (!consoleRecord && fileDescriptor === null) return;
+
+  const message = util.format(...args);
+  const line = format === "json"
+    ? JSON.stringify({ time: new Date().toISOString(), level: recordLevel, script, msg: message })
+    : message;
+
+  if (consoleRecord) {
+    const method = recordLevel === "error" ? "error" : recordLevel === "warn" ? "warn" : "log";
+    console[method](line);
+  }
+
+  if (fileDescriptor !== null) {
+    const fileLine = format === "json" ? line : `${new Date().toISOString()} ${recordLevel.toUpperCase().padEnd(5)} [${script}] ${line}`;
+    fs.writeSync(fileDescriptor, `${fileLine}\n`);
+  }
+}
+
+/**
+ * Create the logger of a script
+ * @param {string} script - Script name written with every record (e.g. "deploy")
+ * @returns {object} { error, warn, info, debug, isLevelEnabled }, taking console.log style arguments
+ */
+function createLogger(script) {
+  return {
+    error: (...args) => write(script, "error", args),
+    warn: (...args) => write(script, "warn", args),
+    info: (...args) => write(script, "info", args),
+    debug: (...args) => write(script, "debug", args),
+    isLevelEnabled
+  };
+}
+
+module.exports = {
+  createLogger
+};